@@ -0,0 +1,335 @@
+/**
+ * AIStrategy.js - Pluggable category choice for AI opponents
+ *
+ * A strategy gets a context describing what the AI can see and returns the
+ * category to play:
+ *
+ *   {
+ *       card,           // the AI's top card
+ *       hand,           // the AI's whole hand, top card first
+ *       tieCards,       // cards in the tie pile (face up)
+ *       deck,           // every card of the deck pack
+ *       categories,     // category keys
+ *       categoryRules,  // CategoryRules of the deck
+ *       rules           // GameRules of the game, for the tie policy
+ *   }
+ *
+ * Strategies are registered by name with AIStrategy.register() so menus
+ * can list them and new levels can be added without touching the game.
+ */
+import PoliticalCard from './PoliticalCard.js';
+import GameRules from './GameRules.js';
+
+class AIStrategy {
+    static strategies = {};
+
+    /**
+     * Register a strategy under a level name
+     * @param {String} id - Level name, e.g. 'greedy'
+     * @param {Function} StrategyClass - Subclass of AIStrategy
+     * @param {Object} info - { label, description } for menus
+     */
+    static register(id, StrategyClass, info = {}) {
+        if (typeof StrategyClass !== 'function') {
+            throw new Error(`AI strategy "${ id }" must be a class`);
+        }
+        AIStrategy.strategies[id] = { id, StrategyClass, label: info.label || id, description: info.description || '' };
+    }
+
+    /**
+     * Create a strategy by level name
+     * @param {String} id - Level name
+     * @param {Object} options - Strategy options, e.g. { random }
+     * @returns {AIStrategy} - Strategy instance
+     */
+    static create(id, options = {}) {
+        const entry = AIStrategy.strategies[id];
+        if (!entry) {
+            throw new Error(`Unknown AI strategy "${ id }"`);
+        }
+        return new entry.StrategyClass(options);
+    }
+
+    /**
+     * List the registered levels for menus
+     * @returns {Array} - [{ id, label, description }]
+     */
+    static list() {
+        return Object.values(AIStrategy.strategies).map(({ id, label, description }) => ({ id, label, description }));
+    }
+
+    /**
+     * Build the context for a seat of a GameEngine
+     * @param {GameEngine} engine - Engine of the running game
+     * @param {Number} seat - Seat the AI plays
+     * @param {Array} deck - Every card of the deck in play
+     * @returns {Object|null} - Strategy context, null if the seat has no card
+     */
+    static buildContext(engine, seat, deck) {
+        const hand = engine.hands[seat] || [];
+        const card = hand[0];
+        if (!PoliticalCard.statsOf(card)) return null;
+
+        const declared = engine.categoryRules.getKeys();
+
+        return {
+            card,
+            hand,
+            tieCards: engine.tieCards,
+            deck: deck || [],
+            categories: declared.length > 0 ? declared : PoliticalCard.readCategories(card),
+            categoryRules: engine.categoryRules,
+            rules: engine.rules
+        };
+    }
+
+    /**
+     * @param {Object} options - { random: () => Number in [0, 1) }
+     */
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Pick the category to play
+     * @param {Object} context - See the module comment
+     * @returns {String} - Category key
+     */
+    chooseCategory(context) {
+        throw new Error(`${ this.constructor.name } must implement chooseCategory()`);
+    }
+
+    /**
+     * Pick the category with the highest score, first one wins on equal scores
+     * @param {Array} categories - Category keys
+     * @param {Function} score - category => Number
+     * @returns {String} - Category key
+     */
+    pickBest(categories, score) {
+        let best = null;
+        let bestScore = -Infinity;
+
+        categories.forEach(category => {
+            const value = score(category);
+            if (value > bestScore) {
+                best = category;
+                bestScore = value;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Cards the opponent may be holding: the deck minus the AI's hand and the tie pile
+     * @param {Object} context - Strategy context
+     * @returns {Array} - Cards not known to be elsewhere
+     */
+    getUnknownCards(context) {
+        const known = new Set([...context.hand, ...context.tieCards].map(card => card.id));
+        return context.deck.filter(card => !known.has(card.id));
+    }
+
+    /**
+     * Chances of a card winning, tying and losing a category against a set of cards
+     * @param {Object} context - Strategy context
+     * @param {Object} card - Card to play
+     * @param {String} category - Category key
+     * @param {Array} opponents - Possible opposing cards
+     * @returns {Object} - { win, tie, lose } as fractions
+     */
+    getOdds(context, card, category, opponents) {
+        const odds = { win: 0, tie: 0, lose: 0 };
+        if (opponents.length === 0) return odds;
+
+        opponents.forEach(other => {
+            const result = context.categoryRules.compareValues(category, PoliticalCard.readStat(card, category), PoliticalCard.readStat(other, category));
+            odds[result > 0 ? 'win' : (result < 0 ? 'lose' : 'tie')]++;
+        });
+
+        odds.win /= opponents.length;
+        odds.tie /= opponents.length;
+        odds.lose /= opponents.length;
+        return odds;
+    }
+}
+
+/**
+ * Easy: any category
+ */
+class RandomStrategy extends AIStrategy {
+    chooseCategory(context) {
+        return context.categories[Math.floor(this.random() * context.categories.length)];
+    }
+}
+
+/**
+ * Normal: the category in which the card ranks best across the whole deck
+ * Ignores what has already been played.
+ */
+class GreedyStrategy extends AIStrategy {
+    chooseCategory(context) {
+        const others = context.deck.filter(card => card.id !== context.card.id);
+        return this.pickBest(context.categories, category => {
+            const odds = this.getOdds(context, context.card, category, others);
+            return odds.win + odds.tie / 2;
+        });
+    }
+}
+
+/**
+ * Hard: counts the cards that are out of reach (own hand, tie pile) and plays
+ * the category with the best chance against what the opponent can still hold
+ */
+class CardCountingStrategy extends AIStrategy {
+    chooseCategory(context) {
+        const unknown = this.getUnknownCards(context);
+        const pool = unknown.length > 0 ? unknown : context.deck.filter(card => card.id !== context.card.id);
+
+        return this.pickBest(context.categories, category => {
+            const odds = this.getOdds(context, context.card, category, pool);
+            return odds.win + odds.tie / 2;
+        });
+    }
+}
+
+/**
+ * Expert: card counting plus a look at the following rounds
+ * Rounds are scored in cards won or lost, so a big tie pile raises the
+ * stakes. Ties are played out by the game's tie policy the way GameEngine
+ * breaks them: a tie pile hands the choice to the other seat, sudden death
+ * and blind draws play the next cards in the same category and a second
+ * category compares the same cards again. Winning or losing the turn is
+ * weighed by what the next card can do.
+ */
+class LookaheadStrategy extends AIStrategy {
+    static FUTURE_WEIGHT = 1;
+
+    constructor(options = {}) {
+        super(options);
+        this.depth = options.depth || 2;
+    }
+
+    chooseCategory(context) {
+        const pool = this.getUnknownCards(context);
+        if (pool.length === 0) {
+            return new CardCountingStrategy({ random: this.random }).chooseCategory(context);
+        }
+
+        // Contexts built by hand may leave out the rules; games default to a tie pile
+        const withRules = context.rules ? context : { ...context, rules: new GameRules() };
+
+        return this.pickBest(context.categories, category =>
+            this.expectedValue(withRules, category, context.hand, pool, context.tieCards.length, this.depth, true));
+    }
+
+    /**
+     * Expected card difference of playing a category with the top card of a hand
+     * @param {Object} context - Strategy context
+     * @param {String} category - Category key
+     * @param {Array} hand - AI hand, top card first
+     * @param {Array} pool - Possible opposing cards
+     * @param {Number} tieCount - Cards in the tie pile
+     * @param {Number} depth - Rounds to look at, including this one
+     * @param {Boolean} aiChooses - True if the AI chose the category, false if the opponent did
+     * @returns {Number} - Expected cards gained (negative if lost)
+     */
+    expectedValue(context, category, hand, pool, tieCount, depth, aiChooses) {
+        const [card, ...rest] = hand;
+        const stake = 1 + tieCount;
+        let total = 0;
+
+        pool.forEach(other => {
+            const result = this.compareCards(context, category, card, other);
+            const remaining = pool.filter(candidate => candidate !== other);
+            const canLookAhead = depth > 1 && rest.length > 0 && remaining.length > 0;
+
+            if (result > 0) {
+                // We choose next with the next card
+                total += stake + (canLookAhead ? LookaheadStrategy.FUTURE_WEIGHT * this.bestValue(context, rest, remaining, 0, depth - 1) : 0);
+            } else if (result < 0) {
+                // The opponent chooses next and will pick what hurts us most
+                total += -stake + (canLookAhead ? LookaheadStrategy.FUTURE_WEIGHT * this.worstValue(context, rest, remaining, 0, depth - 1) : 0);
+            } else {
+                total += this.tieValue(context, category, rest, remaining, tieCount + 2, depth, aiChooses);
+            }
+        });
+
+        return total / pool.length;
+    }
+
+    /**
+     * Compare two cards in a category, going on to the tie categories under the second category policy
+     * @param {Object} context - Strategy context
+     * @param {String} category - Category key
+     * @param {Object} card - AI card
+     * @param {Object} other - Opposing card
+     * @returns {Number} - Positive if the AI card wins, negative if it loses, 0 for a tie that stands
+     */
+    compareCards(context, category, card, other) {
+        const compare = key => context.categoryRules.compareValues(key, PoliticalCard.readStat(card, key), PoliticalCard.readStat(other, key));
+        const result = compare(category);
+        if (result !== 0 || context.rules.tiePolicy !== 'secondaryCategory') return result;
+
+        for (const nextCategory of context.rules.getTieCategories(category, context.categories)) {
+            const next = compare(nextCategory);
+            if (next !== 0) return next;
+        }
+        return 0;
+    }
+
+    /**
+     * Value of a tie once compareCards() could not break it
+     * @param {Object} context - Strategy context
+     * @param {String} category - Category of the round
+     * @param {Array} hand - AI hand left after the tied card
+     * @param {Array} pool - Possible opposing cards
+     * @param {Number} tieCount - Cards at stake, the tied cards included
+     * @param {Number} depth - Rounds to look at, including this one
+     * @param {Boolean} aiChooses - True if the AI chose the category
+     * @returns {Number} - Expected cards gained (negative if lost)
+     */
+    tieValue(context, category, hand, pool, tieCount, depth, aiChooses) {
+        const policy = context.rules.tiePolicy;
+
+        if (policy === 'sameCategory' || policy === 'blindDraw') {
+            // Both seats put cards face down in a blind draw, keeping one to play
+            const faceDown = policy === 'blindDraw' ? Math.min(context.rules.blindDrawCount, Math.max(hand.length - 1, 0)) : 0;
+            const next = hand.slice(faceDown);
+
+            // The seat that runs out of cards first loses the pot
+            if (next.length === 0) return -tieCount;
+            if (pool.length > faceDown) {
+                return this.expectedValue(context, category, next, pool, tieCount + 2 * faceDown, depth, aiChooses);
+            }
+        }
+
+        // The cards go to the tie pile and the next seat chooses
+        if (depth <= 1 || hand.length === 0 || pool.length === 0) return 0;
+        return aiChooses
+            ? this.worstValue(context, hand, pool, tieCount, depth - 1)
+            : this.bestValue(context, hand, pool, tieCount, depth - 1);
+    }
+
+    /**
+     * Value of the best category for the top card of a hand, when the AI chooses
+     */
+    bestValue(context, hand, pool, tieCount, depth) {
+        return Math.max(...context.categories.map(category => this.expectedValue(context, category, hand, pool, tieCount, depth, true)));
+    }
+
+    /**
+     * Value of the worst category for the top card of a hand, when the opponent chooses
+     */
+    worstValue(context, hand, pool, tieCount, depth) {
+        return Math.min(...context.categories.map(category => this.expectedValue(context, category, hand, pool, tieCount, depth, false)));
+    }
+}
+
+AIStrategy.register('random', RandomStrategy, { label: 'Easy', description: 'Picks a random category' });
+AIStrategy.register('greedy', GreedyStrategy, { label: 'Normal', description: 'Plays the card\'s strongest category' });
+AIStrategy.register('card-counting', CardCountingStrategy, { label: 'Hard', description: 'Counts cards and plays the best odds' });
+AIStrategy.register('lookahead', LookaheadStrategy, { label: 'Expert', description: 'Counts cards and plans for tie piles' });
+
+export { RandomStrategy, GreedyStrategy, CardCountingStrategy, LookaheadStrategy };
+export default AIStrategy;
@@ -0,0 +1,256 @@
+/**
+ * CardEffects.js - Card abilities triggered during a round
+ *
+ * Cards list their abilities in `effects` (see core/Card.js), in card data
+ * as well as in deck packs:
+ *
+ *   { id: 'putin', stats: { ... }, effects: [{ type: 'veto' }] }
+ *
+ * GameEngine.compareCards() triggers the effects of the played cards in
+ * four phases:
+ *
+ *   beforeReveal  the cards are on the table; values can still change
+ *   afterCompare  the best card is known, before a tie is broken; the round can be cancelled
+ *   onWin         the card's seat has won the round and taken the cards
+ *   onLoss        the card's seat has lost the round
+ *
+ * Handlers are registered with CardManager.registerEffectHandler() and called
+ * through applyCardEffect(card, seat, round). They change the round (play
+ * values, round.cancelled) and return a description, or null if the effect
+ * did not apply this round.
+ *
+ * Effects defined as secret change values by what is still hidden, e.g. the
+ * next card in hand; views sent to clients leave their changes out (see
+ * redact()).
+ */
+import CardManager from './CardManager.js';
+import PoliticalCard from './PoliticalCard.js';
+
+class CardEffects {
+    static PHASES = ['beforeReveal', 'afterCompare', 'onWin', 'onLoss'];
+
+    static EFFECTS = {
+        veto: {
+            label: 'Veto',
+            phase: 'afterCompare',
+            description: 'Cancels a round its card would not win outright; every card goes back to its owner.'
+        },
+        scandal: {
+            label: 'Scandal',
+            phase: 'beforeReveal',
+            description: 'Costs the other cards 3 integrity this round (set stat and amount to change that).'
+        },
+        coalition: {
+            label: 'Coalition',
+            phase: 'beforeReveal',
+            description: 'Adds the value of the next card in hand, its teammate, this round.',
+            secret: true
+        }
+    };
+
+    static DEFAULT_SCANDAL = { stat: 'integrity', amount: 3 };
+
+    /**
+     * Create the effect registry with the built-in effects
+     * @param {CardManager} cardManager - Holds the effect handlers (optional, a new one)
+     */
+    constructor(cardManager = null) {
+        this.cardManager = cardManager || new CardManager(null);
+        this.definitions = new Map();
+
+        this.register('veto', CardEffects.EFFECTS.veto, CardEffects.veto);
+        this.register('scandal', CardEffects.EFFECTS.scandal, CardEffects.scandal);
+        this.register('coalition', CardEffects.EFFECTS.coalition, CardEffects.coalition);
+    }
+
+    /**
+     * Register an effect type, replacing any effect of the same type
+     * @param {String} type - Effect type used in card data
+     * @param {Object} definition - { label, phase, description, secret }, secret optional
+     * @param {Function} handler - (card, seat, round) => description or null
+     */
+    register(type, definition, handler) {
+        if (!CardEffects.PHASES.includes(definition.phase)) {
+            throw new Error(`Unknown effect phase "${ definition.phase }" (${ type })`);
+        }
+
+        this.definitions.set(type, { label: type, description: '', secret: false, ...definition });
+        this.cardManager.registerEffectHandler(type, handler);
+    }
+
+    /**
+     * Definition of an effect type
+     * @param {String} type - Effect type
+     * @returns {Object|null} - { label, phase, description, secret }, null if unknown
+     */
+    getDefinition(type) {
+        return this.definitions.get(type) || null;
+    }
+
+    /**
+     * Every registered effect for menus and rule texts
+     * @returns {Array} - [{ type, label, phase, description, secret }]
+     */
+    list() {
+        return Array.from(this.definitions.entries()).map(([type, definition]) => ({ type, ...definition }));
+    }
+
+    /**
+     * Trigger the effects of a phase
+     * Effects of unknown types are ignored; deck packs are checked with
+     * validate() when they are loaded.
+     * @param {String} phase - One of PHASES
+     * @param {Object} round - { category, plays, leaders, winnerSeat, cancelled, hands, categoryRules }
+     * @param {Array} plays - Plays whose cards trigger (optional, every play of the round)
+     * @returns {Array} - Triggered effects: [{ phase, type, label, seat, cardId, description, secret, changes: [{ seat, from, to }] }]
+     */
+    trigger(phase, round, plays = round.plays) {
+        const triggered = [];
+
+        plays.forEach(play => {
+            CardEffects.getEffects(play.card).forEach(effect => {
+                const definition = this.getDefinition(effect.type);
+                if (!definition || definition.phase !== phase) return;
+
+                const before = round.plays.map(entry => entry.value);
+                round.effect = effect;
+                const description = this.cardManager.applyCardEffect(play.card, play.seat, round, effect);
+                round.effect = null;
+
+                if (!description) return;
+
+                triggered.push({
+                    phase,
+                    type: effect.type,
+                    label: definition.label,
+                    seat: play.seat,
+                    cardId: play.card.id,
+                    description,
+                    secret: Boolean(definition.secret),
+                    changes: round.plays
+                        .map((entry, index) => ({ seat: entry.seat, from: before[index], to: entry.value }))
+                        .filter(change => change.from !== change.to)
+                });
+            });
+        });
+
+        return triggered;
+    }
+
+    /**
+     * Triggered effects as clients may see them
+     * Secret effects keep their description but lose their changes, which
+     * would give away the hidden value behind them.
+     * @param {Array} effects - Triggered effects, see trigger()
+     * @returns {Array} - Copies, changes null for secret effects
+     */
+    static redact(effects = []) {
+        return effects.map(effect => (effect.secret ? { ...effect, changes: null } : effect));
+    }
+
+    /**
+     * Effects listed on a card
+     * @param {Object} card - Card
+     * @returns {Array} - [{ type, ... }]
+     */
+    static getEffects(card) {
+        if (!card) return [];
+        if (Array.isArray(card.effects)) return card.effects.filter(effect => effect && effect.type);
+        return card.effect && card.effect.type ? [card.effect] : [];
+    }
+
+    /**
+     * Check an effect from card data
+     * @param {Object} effect - { type, stat?, amount? }
+     * @param {Array} categoryKeys - Categories of the deck (optional, not checked if empty)
+     * @returns {Array} - Error messages
+     */
+    static validate(effect, categoryKeys = []) {
+        if (!effect || !CardEffects.EFFECTS[effect.type]) {
+            return [`unknown effect "${ effect ? effect.type : effect }"`];
+        }
+
+        const errors = [];
+        if (effect.type === 'scandal') {
+            const stat = effect.stat || CardEffects.DEFAULT_SCANDAL.stat;
+            if (categoryKeys.length > 0 && !categoryKeys.includes(stat)) {
+                errors.push(`scandal stat "${ stat }" is not a declared category`);
+            }
+            if (effect.amount !== undefined && !(Number.isFinite(effect.amount) && effect.amount > 0)) {
+                errors.push('scandal amount must be a positive number');
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Change a play's value for this round, remembering the printed value
+     * @param {Object} play - { seat, card, value }
+     * @param {Number} value - New value
+     */
+    static setValue(play, value) {
+        if (play.baseValue === undefined) {
+            play.baseValue = play.value;
+        }
+        play.value = value;
+    }
+
+    /**
+     * Veto: cancel the round unless the card's seat has the only best card
+     * @param {Object} card - Card with the effect
+     * @param {Number} seat - Seat that played it
+     * @param {Object} round - Round being played
+     * @returns {String|null} - Description
+     */
+    static veto(card, seat, round) {
+        if (round.cancelled) return null;
+        if (round.leaders.length === 1 && round.leaders[0].seat === seat) return null;
+
+        round.cancelled = true;
+        return `${ card.name } vetoes the round: every card goes back to its owner.`;
+    }
+
+    /**
+     * Scandal: worsen the other cards' value of a stat, if it is the round's category
+     * @param {Object} card - Card with the effect
+     * @param {Number} seat - Seat that played it
+     * @param {Object} round - Round being played
+     * @returns {String|null} - Description
+     */
+    static scandal(card, seat, round) {
+        const { stat, amount } = { ...CardEffects.DEFAULT_SCANDAL, ...round.effect };
+        if (round.category !== stat) return null;
+
+        // Lower is better in some categories, e.g. "scandals"
+        const change = round.categoryRules.isHigherBetter(stat) ? -amount : amount;
+        const others = round.plays.filter(play => play.seat !== seat && Number.isFinite(play.value));
+        if (others.length === 0) return null;
+
+        others.forEach(play => CardEffects.setValue(play, play.value + change));
+        return `Scandal! ${ card.name } costs the other ${ others.length === 1 ? 'card' : 'cards' } ${ amount } ${ round.categoryRules.getLabel(stat) } this round.`;
+    }
+
+    /**
+     * Coalition: add the value of the next card in the seat's hand
+     * The description gives neither the teammate nor the bonus: the teammate
+     * is the next card the seat plays, which the other seats must not see.
+     * The effect is secret for the same reason, see redact().
+     * @param {Object} card - Card with the effect
+     * @param {Number} seat - Seat that played it
+     * @param {Object} round - Round being played
+     * @returns {String|null} - Description
+     */
+    static coalition(card, seat, round) {
+        const teammate = round.hands[seat][0];
+        const play = round.plays.find(entry => entry.seat === seat);
+        const bonus = teammate ? PoliticalCard.readStat(teammate, round.category) : undefined;
+        if (!play || !Number.isFinite(play.value) || !Number.isFinite(bonus)) return null;
+
+        // The teammate helps in the category's direction
+        const change = round.categoryRules.isHigherBetter(round.category) ? bonus : -bonus;
+        CardEffects.setValue(play, play.value + change);
+        return `Coalition: a teammate backs ${ card.name } this round.`;
+    }
+}
+
+export default CardEffects;
@@ -4,15 +4,22 @@
  * Manages the card operations including loading, creating decks,
  * dealing cards, managing hands, and applying card effects.
  */
+import CategoryRules from './CategoryRules.js';
+import DeckPack from './DeckPack.js';
+import SeededRandom from './SeededRandom.js';
 
 class CardManager {
     /**
      * Creates a new CardManager instance
      * @param {GameEvents} events - Game events system for emitting card events
+     * @param {SeededRandom} random - Source for shuffles (optional, randomly seeded)
      */
-    constructor(events) {
+    constructor(events, random = null) {
         this.events = events;
+        this.random = random || new SeededRandom();
         this.cards = [];
+        this.pack = null;
+        this.categoryRules = new CategoryRules();
         this.hands = new Map();
         this.effectHandlers = new Map();
     }
@@ -27,22 +34,51 @@ class CardManager {
 
     /**
      * Loads cards from a URL
+     * Deck packs (JSON with a manifest) are validated first and replace the
+     * current pack; plain { cards: [...] } files are added as before.
      * @param {string} url - URL to fetch cards from
-     * @returns {Promise} - Promise that resolves when cards are loaded
+     * @returns {Promise<Object|null>} - The parsed deck pack, or null for a plain card list
      */
     async loadCardsFromUrl(url) {
-        try {
-            const response = await fetch(url);
-            const data = await response.json();
+        const response = await fetch(url);
 
-            if (data.cards && Array.isArray(data.cards)) {
-                this.loadCards(data.cards);
-            }
+        if (!response.ok) {
+            throw new Error(`Failed to load cards from ${ url }: ${ response.status } ${ response.statusText }`);
+        }
 
-            return Promise.resolve();
+        let data;
+        try {
+            data = await response.json();
         } catch (error) {
-            return Promise.reject(error);
+            throw new Error(`Failed to load cards from ${ url }: not valid JSON (${ error.message })`);
+        }
+
+        if (data && data.manifest) {
+            return this.loadPack(DeckPack.parse(data, url));
+        }
+
+        if (data.cards && Array.isArray(data.cards)) {
+            this.loadCards(data.cards);
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace the loaded cards with a parsed deck pack
+     * @param {Object} pack - Pack from DeckPack.parse()
+     * @returns {Object} - The pack
+     */
+    loadPack(pack) {
+        this.pack = pack;
+        this.cards = [...pack.cards];
+        this.categoryRules = new CategoryRules(pack.categories);
+
+        if (this.events) {
+            this.events.emit('deck:loaded', pack.id, pack.manifest);
         }
+
+        return pack;
     }
 
     /**
@@ -98,10 +134,7 @@ class CardManager {
      * @param {Array} deck - Deck to shuffle
      */
     shuffleDeck(deck) {
-        for (let i = deck.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [deck[i], deck[j]] = [deck[j], deck[i]];
-        }
+        this.random.shuffle(deck);
     }
 
     /**
@@ -225,17 +258,18 @@ class CardManager {
      * @param {Object} card - Card with effect to apply
      * @param {string} target - Target for the effect
      * @param {Object} gameState - Game state object
+     * @param {Object} effect - Effect to apply, for cards with several (defaults to card.effect)
      * @returns {string} - Result message
      */
-    applyCardEffect(card, target, gameState) {
-        if (!card.effect || !card.effect.type) {
+    applyCardEffect(card, target, gameState, effect = card.effect) {
+        if (!effect || !effect.type) {
             throw new Error(`Card ${ card.id } has no effect`);
         }
 
-        const handler = this.effectHandlers.get(card.effect.type);
+        const handler = this.effectHandlers.get(effect.type);
 
         if (!handler) {
-            throw new Error(`No handler registered for effect type: ${ card.effect.type }`);
+            throw new Error(`No handler registered for effect type: ${ effect.type }`);
         }
 
         return handler(card, target, gameState);
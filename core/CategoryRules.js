@@ -0,0 +1,166 @@
+/**
+ * CategoryRules.js - Per-category metadata and comparison rules
+ *
+ * Every deck declares its categories as a map of key -> metadata:
+ *
+ *   {
+ *       charisma: { label: 'Charisma', direction: 'higher' },
+ *       scandals: { label: 'Scandals', direction: 'lower', unit: 'scandals' },
+ *       founded:  { label: 'Founded', direction: 'lower', comparator: 'numeric' }
+ *   }
+ *
+ * `comparator` is optional and is either a function or the name of a
+ * comparator registered with CategoryRules.registerComparator(). Comparators
+ * receive (a, b) and return a positive number if a is better, negative if b
+ * is better and 0 for a tie, before the direction is applied.
+ */
+class CategoryRules {
+    static comparators = {
+        numeric: (a, b) => a - b
+    };
+
+    /**
+     * Register a named comparator that decks can refer to
+     * @param {String} name - Comparator name
+     * @param {Function} comparator - Function (a, b) => Number
+     */
+    static registerComparator(name, comparator) {
+        if (typeof comparator !== 'function') {
+            throw new Error(`Comparator "${ name }" must be a function`);
+        }
+        CategoryRules.comparators[name] = comparator;
+    }
+
+    /**
+     * Create rules for a deck's categories
+     * @param {Object} categories - Map of category key to metadata
+     */
+    constructor(categories = {}) {
+        this.categories = {};
+
+        Object.entries(categories).forEach(([key, metadata]) => {
+            this.categories[key] = CategoryRules.normalize(key, metadata);
+        });
+    }
+
+    /**
+     * Rebuild rules from the list produced by describe(), e.g. on a client
+     * @param {Array} list - [{ key, label, direction, unit }]
+     * @returns {CategoryRules} - Rules for those categories
+     */
+    static fromDescription(list = []) {
+        const categories = {};
+        list.forEach(({ key, label, direction, unit }) => {
+            categories[key] = { label, direction, unit };
+        });
+        return new CategoryRules(categories);
+    }
+
+    /**
+     * Fill in defaults for a category's metadata
+     * @param {String} key - Category key
+     * @param {Object} metadata - Declared metadata
+     * @returns {Object} - Complete metadata
+     */
+    static normalize(key, metadata = {}) {
+        const direction = metadata.direction === 'lower' ? 'lower' : 'higher';
+        let comparator = metadata.comparator || 'numeric';
+
+        if (typeof comparator === 'string') {
+            if (!CategoryRules.comparators[comparator]) {
+                throw new Error(`Unknown comparator "${ comparator }" for category "${ key }"`);
+            }
+            comparator = CategoryRules.comparators[comparator];
+        }
+
+        return {
+            key,
+            label: metadata.label || key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '),
+            direction,
+            unit: metadata.unit || '',
+            comparator
+        };
+    }
+
+    /**
+     * Get the metadata for a category; undeclared categories are higher-is-better
+     * @param {String} key - Category key
+     * @returns {Object} - Category metadata
+     */
+    getCategory(key) {
+        return this.categories[key] || CategoryRules.normalize(key);
+    }
+
+    /**
+     * Get the keys of all declared categories
+     * @returns {Array} - Category keys
+     */
+    getKeys() {
+        return Object.keys(this.categories);
+    }
+
+    /**
+     * Get a category's display label
+     * @param {String} key - Category key
+     * @returns {String} - Label
+     */
+    getLabel(key) {
+        return this.getCategory(key).label;
+    }
+
+    /**
+     * Check if higher values win in a category
+     * @param {String} key - Category key
+     * @returns {Boolean} - True if higher is better
+     */
+    isHigherBetter(key) {
+        return this.getCategory(key).direction === 'higher';
+    }
+
+    /**
+     * Compare two values of a category
+     * Missing values always lose against present ones.
+     * @param {String} key - Category key
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {Number} - Positive if a wins, negative if b wins, 0 for a tie
+     */
+    compareValues(key, a, b) {
+        const aMissing = a === undefined || a === null || Number.isNaN(a);
+        const bMissing = b === undefined || b === null || Number.isNaN(b);
+
+        if (aMissing || bMissing) {
+            return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+        }
+
+        const category = this.getCategory(key);
+        const result = Math.sign(category.comparator(a, b));
+        return category.direction === 'lower' ? -result : result;
+    }
+
+    /**
+     * Format a value with the category's unit
+     * @param {String} key - Category key
+     * @param {*} value - Value to format
+     * @returns {String} - Formatted value
+     */
+    formatValue(key, value) {
+        const unit = this.getCategory(key).unit;
+        return unit ? `${ value } ${ unit }` : `${ value }`;
+    }
+
+    /**
+     * Serializable category list for clients (comparators are left out)
+     * @returns {Array} - [{ key, label, direction, unit }]
+     */
+    describe() {
+        return Object.values(this.categories).map(({ key, label, direction, unit }) => ({
+            key,
+            label,
+            direction,
+            unit
+        }));
+    }
+}
+
+export default CategoryRules;
@@ -0,0 +1,294 @@
+/**
+ * Chat.js - Chat messages and emotes of lobbies and games
+ *
+ * Every lobby and game has a channel with its recent history. Senders and
+ * listeners are identified by a key (the server uses session tokens, which
+ * survive reconnects). Before a message is kept it is checked against a rate
+ * limit of MAX_MESSAGES per RATE_WINDOW_MS per sender, shared by messages
+ * and emotes, and blocked words are starred out. Like PlayerStore, the chat
+ * does no I/O and delivers nothing itself:
+ *
+ *   const chat = new Chat({ blockedWords: ['darn'] });
+ *   const message = chat.post('game:42', { key: token, id, name, seat }, { text: 'Good luck!' });
+ *   chat.canHear(listenerKey, message.from.key);   // false once muted or blocked
+ *
+ * A mute hides the muted player's messages from the muting one; a block
+ * hides messages both ways. Both last as long as the chat does.
+ */
+class Chat {
+    static EMOTES = {
+        good_luck: 'Good luck!',
+        well_played: 'Well played!',
+        nice_card: 'Nice card!',
+        ouch: 'Ouch!',
+        oops: 'Oops!',
+        thanks: 'Thanks!'
+    };
+
+    static MAX_LENGTH = 200;
+    static HISTORY_SIZE = 50;
+
+    static MAX_MESSAGES = 5;
+    static RATE_WINDOW_MS = 10000;
+
+    // A starting point; servers pass their own list
+    static DEFAULT_BLOCKED_WORDS = ['arsehole', 'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dickhead', 'fuck', 'fucking', 'motherfucker', 'shit', 'wanker'];
+
+    /**
+     * @param {Object} options - { blockedWords, maxMessages, rateWindowMs, historySize, now }, all optional
+     */
+    constructor(options = {}) {
+        this.maxMessages = options.maxMessages || Chat.MAX_MESSAGES;
+        this.rateWindowMs = options.rateWindowMs || Chat.RATE_WINDOW_MS;
+        this.historySize = options.historySize || Chat.HISTORY_SIZE;
+        this.now = options.now || (() => Date.now());
+        this.setBlockedWords(options.blockedWords || Chat.DEFAULT_BLOCKED_WORDS);
+
+        this.channels = new Map(); // channel -> messages, oldest first
+        this.sent = new Map(); // sender key -> send times within the rate window
+        this.mutes = new Map(); // listener key -> muted sender keys
+        this.blocks = new Map(); // key -> blocked keys
+        this.nextId = 1;
+    }
+
+    /**
+     * Emotes for menus
+     * @returns {Array} - [{ id, text }]
+     */
+    static listEmotes() {
+        return Object.entries(Chat.EMOTES).map(([id, text]) => ({ id, text }));
+    }
+
+    /**
+     * Replace the list of blocked words
+     * @param {Array} words - Words, matched whole and ignoring case
+     */
+    setBlockedWords(words) {
+        const escaped = words
+            .map(word => String(word).trim())
+            .filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        this.blockedWords = escaped.length > 0 ? new RegExp(`\\b(${ escaped.join('|') })\\b`, 'gi') : null;
+    }
+
+    /**
+     * Star out blocked words, keeping their first letter
+     * @param {String} text - Message text
+     * @returns {String} - Filtered text
+     */
+    filter(text) {
+        if (!this.blockedWords) return text;
+        return text.replace(this.blockedWords, word => word[0] + '*'.repeat(word.length - 1));
+    }
+
+    /**
+     * Add a message or an emote to a channel
+     * @param {String} channel - Channel, e.g. "game:<gameId>"
+     * @param {Object} from - Sender { key, id, name, seat }; seat is null outside games
+     * @param {Object} content - { text } or { emote }
+     * @returns {Object} - The kept message { id, channel, type, from, text, emote, sentAt }
+     */
+    post(channel, from, content = {}) {
+        let text;
+        let emote = null;
+
+        if (content.emote !== undefined) {
+            if (!Chat.EMOTES[content.emote]) {
+                throw new Error(`Unknown emote "${ content.emote }"`);
+            }
+            emote = content.emote;
+            text = Chat.EMOTES[emote];
+        } else {
+            text = typeof content.text === 'string' ? content.text.replace(/\s+/g, ' ').trim() : '';
+            if (!text) {
+                throw new Error('A message needs some text');
+            }
+            if (text.length > Chat.MAX_LENGTH) {
+                throw new Error(`A message has at most ${ Chat.MAX_LENGTH } characters`);
+            }
+            text = this.filter(text);
+        }
+
+        this.checkRate(from.key);
+
+        const message = {
+            id: this.nextId++,
+            channel,
+            type: emote ? 'emote' : 'message',
+            from: { key: from.key, id: from.id, name: from.name, seat: from.seat === undefined ? null : from.seat },
+            text,
+            emote,
+            sentAt: this.now()
+        };
+
+        const history = this.channels.get(channel) || [];
+        history.push(message);
+        this.channels.set(channel, history.slice(-this.historySize));
+        return message;
+    }
+
+    /**
+     * Count a message against its sender's rate limit
+     * @param {String} key - Sender key
+     */
+    checkRate(key) {
+        const now = this.now();
+        const recent = (this.sent.get(key) || []).filter(time => now - time < this.rateWindowMs);
+
+        if (recent.length >= this.maxMessages) {
+            const waitMs = this.rateWindowMs - (now - recent[0]);
+            throw new Error(`You are sending messages too fast; wait ${ Math.ceil(waitMs / 1000) }s`);
+        }
+
+        recent.push(now);
+        this.sent.set(key, recent);
+    }
+
+    /**
+     * Recent messages of a channel a listener may see
+     * @param {String} channel - Channel
+     * @param {String} listenerKey - Key of the listener, null for everything
+     * @returns {Array} - Messages, oldest first
+     */
+    getHistory(channel, listenerKey = null) {
+        return (this.channels.get(channel) || []).filter(message => listenerKey === null || this.canHear(listenerKey, message.from.key));
+    }
+
+    /**
+     * Continue a channel under another name, e.g. when a lobby starts its game
+     * @param {String} from - Old channel
+     * @param {String} to - New channel
+     */
+    moveChannel(from, to) {
+        if (!this.channels.has(from)) return;
+
+        const history = (this.channels.get(to) || []).concat(this.channels.get(from).map(message => ({ ...message, channel: to })));
+        this.channels.set(to, history.slice(-this.historySize));
+        this.channels.delete(from);
+    }
+
+    /**
+     * Forget a channel
+     * @param {String} channel - Channel
+     */
+    deleteChannel(channel) {
+        this.channels.delete(channel);
+    }
+
+    /**
+     * Whether a listener gets a sender's messages
+     * @param {String} listenerKey - Listener
+     * @param {String} senderKey - Sender
+     * @returns {Boolean} - False if muted or blocked either way
+     */
+    canHear(listenerKey, senderKey) {
+        if (listenerKey === senderKey) return true;
+
+        return !this.has(this.mutes, listenerKey, senderKey) &&
+            !this.has(this.blocks, listenerKey, senderKey) &&
+            !this.has(this.blocks, senderKey, listenerKey);
+    }
+
+    /**
+     * Hide a sender's messages from a listener
+     * @param {String} key - Muting listener
+     * @param {String} otherKey - Muted sender
+     */
+    mute(key, otherKey) {
+        this.add(this.mutes, key, otherKey);
+    }
+
+    /**
+     * Show a muted sender's messages again
+     * @param {String} key - Muting listener
+     * @param {String} otherKey - Muted sender
+     */
+    unmute(key, otherKey) {
+        this.remove(this.mutes, key, otherKey);
+    }
+
+    /**
+     * Hide messages between two players both ways
+     * @param {String} key - Blocking player
+     * @param {String} otherKey - Blocked player
+     */
+    block(key, otherKey) {
+        this.add(this.blocks, key, otherKey);
+    }
+
+    /**
+     * Lift a block
+     * @param {String} key - Blocking player
+     * @param {String} otherKey - Blocked player
+     */
+    unblock(key, otherKey) {
+        this.remove(this.blocks, key, otherKey);
+    }
+
+    /**
+     * Whether a player has muted another one
+     * @param {String} key - Listener
+     * @param {String} otherKey - Sender
+     * @returns {Boolean} - Muted
+     */
+    isMuted(key, otherKey) {
+        return this.has(this.mutes, key, otherKey);
+    }
+
+    /**
+     * Whether a player has blocked another one
+     * @param {String} key - Blocking player
+     * @param {String} otherKey - Other player
+     * @returns {Boolean} - Blocked
+     */
+    isBlocked(key, otherKey) {
+        return this.has(this.blocks, key, otherKey);
+    }
+
+    /**
+     * Add a pair to a mute or block list
+     * @param {Map} lists - Mutes or blocks
+     * @param {String} key - Owner of the list
+     * @param {String} otherKey - Listed player
+     */
+    add(lists, key, otherKey) {
+        if (key === otherKey) {
+            throw new Error('You cannot mute or block yourself');
+        }
+        if (!lists.has(key)) {
+            lists.set(key, new Set());
+        }
+        lists.get(key).add(otherKey);
+    }
+
+    /**
+     * Remove a pair from a mute or block list
+     * @param {Map} lists - Mutes or blocks
+     * @param {String} key - Owner of the list
+     * @param {String} otherKey - Listed player
+     */
+    remove(lists, key, otherKey) {
+        const list = lists.get(key);
+        if (!list) return;
+
+        list.delete(otherKey);
+        if (list.size === 0) {
+            lists.delete(key);
+        }
+    }
+
+    /**
+     * Whether a pair is on a mute or block list
+     * @param {Map} lists - Mutes or blocks
+     * @param {String} key - Owner of the list
+     * @param {String} otherKey - Listed player
+     * @returns {Boolean} - Listed
+     */
+    has(lists, key, otherKey) {
+        const list = lists.get(key);
+        return Boolean(list && list.has(otherKey));
+    }
+}
+
+export default Chat;
@@ -0,0 +1,111 @@
+/**
+ * DealCommitment.js - Commit-reveal proof that a deal was fair
+ *
+ * When a game starts the server publishes a commitment: the SHA-256 hash of
+ * the deal (every seat's card IDs in order), the seed and a secret salt.
+ * The deal is shuffled from the seed mixed with the salt (see shuffleSeed()),
+ * so a seed that is known in advance, like the daily one, does not give the
+ * deal away. The hash gives nothing away either, and the server cannot
+ * change the deal afterwards without the hash changing. Once the game is
+ * over it reveals what it committed to, and every player can check it:
+ *
+ *   const commitment = await DealCommitment.digest(DealCommitment.encode(reveal));
+ *   ...
+ *   const check = await DealCommitment.verify(commitment, reveal, { deck, seat, firstCardId });
+ *
+ * Hashing uses the Web Crypto API, available in browsers and Node.js alike.
+ */
+import SeededRandom from './SeededRandom.js';
+
+class DealCommitment {
+    /**
+     * What a commitment is made of
+     * @param {Object} options - { gameId, deckId, seed, salt, hands }, hands being cards or card IDs per seat
+     * @returns {Object} - Reveal { gameId, deckId, seed, salt, hands } with card IDs
+     */
+    static createReveal({ gameId, deckId, seed, salt, hands }) {
+        return {
+            gameId,
+            deckId,
+            seed: String(seed),
+            salt,
+            hands: hands.map(hand => hand.map(card => (typeof card === 'object' ? card.id : card)))
+        };
+    }
+
+    /**
+     * The text that is hashed; the order of the fields is fixed
+     * @param {Object} reveal - Reveal
+     * @returns {String} - Canonical text
+     */
+    static encode(reveal) {
+        return JSON.stringify([reveal.gameId, reveal.deckId, reveal.seed, reveal.salt, reveal.hands]);
+    }
+
+    /**
+     * SHA-256 of a text
+     * @param {String} text - Text
+     * @returns {Promise<String>} - Lowercase hex digest
+     */
+    static async digest(text) {
+        const bytes = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Seed a game is actually shuffled from: its seed mixed with its secret salt
+     * @param {String} seed - Seed of the game
+     * @param {String|null} salt - Secret salt, none for a plain seed
+     * @returns {String} - Shuffle seed
+     */
+    static shuffleSeed(seed, salt) {
+        return salt ? `${ seed }#${ salt }` : String(seed);
+    }
+
+    /**
+     * Deal a deck from a seed the way GameEngine does: shuffle, then round-robin
+     * @param {String} seed - Seed
+     * @param {Array} deck - Cards of the deck, in pack order
+     * @param {Number} seatCount - Number of seats
+     * @returns {Array} - Card IDs per seat
+     */
+    static dealFromSeed(seed, deck, seatCount) {
+        const hands = Array.from({ length: seatCount }, () => []);
+        new SeededRandom(seed).shuffle([...deck]).forEach((card, index) => hands[index % seatCount].push(card.id));
+        return hands;
+    }
+
+    /**
+     * Check a revealed deal against its commitment
+     * The deal can only be recreated from the seed and salt by a client that
+     * has the deck; the first card can only be checked by a seat that saw it.
+     * @param {String} commitment - Hash published at the start
+     * @param {Object} reveal - Reveal published at the end
+     * @param {Object} options - { deck, seat, firstCardId }, all optional
+     * @returns {Promise<Object>} - { valid, hashMatches, dealMatches, firstCardMatches }; checks that could not be made are null
+     */
+    static async verify(commitment, reveal, options = {}) {
+        const hashMatches = await DealCommitment.digest(DealCommitment.encode(reveal)) === commitment;
+
+        let dealMatches = null;
+        if (options.deck) {
+            const dealt = DealCommitment.dealFromSeed(DealCommitment.shuffleSeed(reveal.seed, reveal.salt), options.deck, reveal.hands.length);
+            dealMatches = JSON.stringify(dealt) === JSON.stringify(reveal.hands);
+        }
+
+        let firstCardMatches = null;
+        if (options.seat !== undefined && options.firstCardId !== undefined) {
+            const hand = reveal.hands[options.seat] || [];
+            firstCardMatches = hand[0] === options.firstCardId;
+        }
+
+        return {
+            valid: hashMatches && dealMatches !== false && firstCardMatches !== false,
+            hashMatches,
+            dealMatches,
+            firstCardMatches
+        };
+    }
+}
+
+export default DealCommitment;
@@ -1,6 +1,8 @@
 /**
  * Deck.js - Represents a collection of cards with shuffle and draw functionality
  */
+import SeededRandom from './SeededRandom.js';
+
 export default class Deck {
     /**
      * Create a new deck
@@ -12,6 +14,7 @@ export default class Deck {
         this.cards = config.cards || [];
         this.discardPile = config.discardPile || [];
         this.metadata = config.metadata || {};
+        this.random = config.random || new SeededRandom();
     }
 
     /**
@@ -46,13 +49,11 @@ export default class Deck {
 
     /**
      * Shuffle the deck using Fisher-Yates algorithm
+     * @param {SeededRandom} random - Source to draw from (optional, the deck's own)
      * @return {Deck} - This deck instance for chaining
      */
-    shuffle() {
-        for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
-        }
+    shuffle(random = this.random) {
+        random.shuffle(this.cards);
         return this;
     }
 
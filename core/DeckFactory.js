@@ -21,7 +21,8 @@ export default class DeckFactory {
         const deck = new Deck({
             id: options.id || `standard-deck-${ Date.now() }`,
             name: options.name || 'Standard Deck',
-            metadata: options.metadata || { type: 'standard' }
+            metadata: options.metadata || { type: 'standard' },
+            random: options.random
         });
 
         const cards = [];
@@ -81,7 +82,8 @@ export default class DeckFactory {
         const deck = new Deck({
             id: options.id || `pinochle-deck-${ Date.now() }`,
             name: options.name || 'Pinochle Deck',
-            metadata: options.metadata || { type: 'pinochle' }
+            metadata: options.metadata || { type: 'pinochle' },
+            random: options.random
         });
 
         // Add two of each card
@@ -126,7 +128,8 @@ export default class DeckFactory {
         const deck = new Deck({
             id: options.id || `euchre-deck-${ Date.now() }`,
             name: options.name || 'Euchre Deck',
-            metadata: options.metadata || { type: 'euchre' }
+            metadata: options.metadata || { type: 'euchre' },
+            random: options.random
         });
 
         const cards = [];
@@ -163,7 +166,8 @@ export default class DeckFactory {
         const deck = new Deck({
             id: options.id || `custom-deck-${ Date.now() }`,
             name: options.name || 'Custom Deck',
-            metadata: options.metadata || { type: 'custom' }
+            metadata: options.metadata || { type: 'custom' },
+            random: options.random
         });
 
         const cardObjects = [];
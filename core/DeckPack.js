@@ -0,0 +1,214 @@
+/**
+ * DeckPack.js - Deck pack format, schema and validation
+ *
+ * A deck pack is a JSON document with a manifest, category definitions
+ * and cards:
+ *
+ *   {
+ *       "manifest": { "id": "classic", "name": "Classic", "version": "1.0.0", "imageBase": "cards/" },
+ *       "categories": { "charisma": { "label": "Charisma", "direction": "higher" } },
+ *       "cards": [{ "id": "obama", "name": "Barack Obama", "image": "card_Obama.png", "stats": { "charisma": 10 } }]
+ *   }
+ *
+ * Categories use the metadata format of core/CategoryRules.js. Image paths
+ * are resolved against manifest.imageBase unless they are absolute.
+ */
+import CategoryRules from './CategoryRules.js';
+import SchemaValidator from './SchemaValidator.js';
+import PoliticalCard from './PoliticalCard.js';
+import CardEffects from './CardEffects.js';
+
+const IDENTIFIER = '^[a-z0-9][a-z0-9_-]*$';
+
+class DeckPack {
+    static SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        $id: 'deck-pack.schema.json',
+        title: 'Political Quartett deck pack',
+        type: 'object',
+        required: ['manifest', 'categories', 'cards'],
+        additionalProperties: false,
+        properties: {
+            $schema: { type: 'string' },
+            manifest: {
+                type: 'object',
+                required: ['id', 'name', 'version'],
+                additionalProperties: false,
+                properties: {
+                    id: { type: 'string', pattern: IDENTIFIER, maxLength: 48 },
+                    name: { type: 'string', minLength: 1, maxLength: 64 },
+                    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+                    description: { type: 'string', maxLength: 280 },
+                    author: { type: 'string' },
+                    locale: { type: 'string' },
+                    imageBase: { type: 'string' }
+                }
+            },
+            categories: {
+                type: 'object',
+                minProperties: 1,
+                propertyNames: { pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$' },
+                additionalProperties: {
+                    type: 'object',
+                    required: ['label'],
+                    additionalProperties: false,
+                    properties: {
+                        label: { type: 'string', minLength: 1 },
+                        direction: { enum: ['higher', 'lower'] },
+                        unit: { type: 'string' },
+                        comparator: { type: 'string' }
+                    }
+                }
+            },
+            cards: {
+                type: 'array',
+                minItems: 2,
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'stats'],
+                    additionalProperties: false,
+                    properties: {
+                        id: { type: 'string', pattern: IDENTIFIER },
+                        name: { type: 'string', minLength: 1 },
+                        image: { type: 'string' },
+                        quote: { type: 'string' },
+                        rarity: { type: 'string', enum: PoliticalCard.RARITIES },
+                        stats: {
+                            type: 'object',
+                            additionalProperties: { type: 'number' }
+                        },
+                        effects: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type'],
+                                additionalProperties: false,
+                                properties: {
+                                    type: { type: 'string' },
+                                    stat: { type: 'string' },
+                                    amount: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    /**
+     * Validate pack data against the schema and the pack's own categories
+     * @param {Object} data - Parsed pack JSON
+     * @returns {Object} - { valid, errors }
+     */
+    static validate(data) {
+        const errors = SchemaValidator.validate(DeckPack.SCHEMA, data, 'pack');
+
+        // Cross-field checks only make sense once the structure is right
+        if (errors.length === 0) {
+            errors.push(...DeckPack.checkConsistency(data));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check things a schema can't express: unique IDs, known comparators,
+     * every card having exactly the declared categories and known card effects
+     * @param {Object} data - Structurally valid pack data
+     * @returns {Array} - Error messages
+     */
+    static checkConsistency(data) {
+        const errors = [];
+        const categoryKeys = Object.keys(data.categories);
+        const seenIds = new Set();
+
+        Object.entries(data.categories).forEach(([key, category]) => {
+            if (category.comparator && !CategoryRules.comparators[category.comparator]) {
+                errors.push(`pack.categories.${ key }.comparator: unknown comparator "${ category.comparator }"`);
+            }
+        });
+
+        data.cards.forEach((card, index) => {
+            const path = `pack.cards[${ index }]`;
+
+            if (seenIds.has(card.id)) {
+                errors.push(`${ path }.id: duplicate card id "${ card.id }"`);
+            }
+            seenIds.add(card.id);
+
+            categoryKeys
+                .filter(key => card.stats[key] === undefined)
+                .forEach(key => errors.push(`${ path }.stats: missing value for category "${ key }" (${ card.name })`));
+
+            Object.keys(card.stats)
+                .filter(key => !categoryKeys.includes(key))
+                .forEach(key => errors.push(`${ path }.stats.${ key }: not a declared category`));
+
+            (card.effects || []).forEach((effect, effectIndex) => {
+                CardEffects.validate(effect, categoryKeys)
+                    .forEach(error => errors.push(`${ path }.effects[${ effectIndex }]: ${ error } (${ card.name })`));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate pack data and normalize it for the game
+     * @param {Object} data - Parsed pack JSON
+     * @param {String} source - Where the pack came from, for error messages
+     * @returns {Object} - { id, manifest, categories, cards }
+     */
+    static parse(data, source = 'deck pack') {
+        const { valid, errors } = DeckPack.validate(data);
+
+        if (!valid) {
+            throw new Error(`Invalid deck pack (${ source }):\n  - ${ errors.join('\n  - ') }`);
+        }
+
+        const imageBase = data.manifest.imageBase || '';
+
+        return {
+            id: data.manifest.id,
+            manifest: { ...data.manifest },
+            categories: data.categories,
+            cards: data.cards.map(card => ({
+                ...card,
+                image: DeckPack.resolveImage(imageBase, card.image),
+                stats: { ...card.stats },
+                effects: (card.effects || []).map(effect => ({ ...effect }))
+            }))
+        };
+    }
+
+    /**
+     * Resolve a card image against the pack's image base
+     * @param {String} imageBase - Base path from the manifest
+     * @param {String} image - Image path from the card
+     * @returns {String|null} - Resolved path or null if the card has no image
+     */
+    static resolveImage(imageBase, image) {
+        if (!image) return null;
+        if (!imageBase || /^([a-z]+:|\/)/i.test(image)) return image;
+        return imageBase.endsWith('/') ? `${ imageBase }${ image }` : `${ imageBase }/${ image }`;
+    }
+
+    /**
+     * Short description of a pack for menus and the deck list API
+     * @param {Object} pack - Parsed pack
+     * @returns {Object} - { id, name, version, description, cardCount, categories }
+     */
+    static summarize(pack) {
+        return {
+            id: pack.id,
+            name: pack.manifest.name,
+            version: pack.manifest.version,
+            description: pack.manifest.description || '',
+            cardCount: pack.cards.length,
+            categories: new CategoryRules(pack.categories).describe()
+        };
+    }
+}
+
+export default DeckPack;
@@ -2,6 +2,7 @@
  * GameCommands.js - Command pattern implementation for game actions
  */
 import GameEngine from './GameEngine.js';
+import AIStrategy from './AIStrategy.js';
 
 class GameCommands {
     constructor(gameEngine, eventEmitter) {
@@ -9,15 +10,30 @@ class GameCommands {
         this.eventEmitter = eventEmitter;
         this.isAIOpponent = false;
         this.isOnlineGame = false;
+        this.cardData = [];
+        this.aiStrategy = AIStrategy.create('greedy', { random: () => this.engine.random.next() });
+    }
+
+    /**
+     * Choose how the AI opponent plays
+     * @param {String} level - Registered strategy name, see AIStrategy.list()
+     */
+    setAIStrategy(level) {
+        this.aiStrategy = AIStrategy.create(level, { random: () => this.engine.random.next() });
     }
 
     /**
      * Initialize a new game
      * @param {Array} cardData - Card data to use for the game
+     * @param {String} seed - Seed to deal from, e.g. to replay a game (optional)
      * @returns {Object} - Game state after initialization
      */
-    initGame(cardData) {
-        // Reset game state
+    initGame(cardData, seed = null) {
+        // A fresh source per game, so the reported seed always reproduces this deal
+        this.engine.setSeed(seed);
+
+        // Reset game state; the AI counts cards against the full deck
+        this.cardData = [...cardData];
         const shuffledDeck = this.engine.shuffleDeck([...cardData]);
 
         // Deal cards (5 each)
@@ -105,13 +121,11 @@ class GameCommands {
             return;
         }
 
-        // AI strategy: pick the highest stat from the current card
-        const aiCard = this.engine.opponentCards[0];
-        if (!aiCard || !aiCard.stats) return;
+        // The AI plays seat 1; its strategy decides the category
+        const context = AIStrategy.buildContext(this.engine, 1, this.cardData);
+        if (!context) return;
 
-        const stats = Object.entries(aiCard.stats);
-        stats.sort((a, b) => b[1] - a[1]); // Sort by value (highest first)
-        const bestCategory = stats[0][0];
+        const bestCategory = this.aiStrategy.chooseCategory(context);
 
         // Select this category
         this.selectCategory(bestCategory);
@@ -123,12 +137,13 @@ class GameCommands {
     /**
      * Start an AI game
      * @param {Array} cardData - Card data to use
+     * @param {String} seed - Seed to deal from (optional)
      * @returns {Object} - Game state
      */
-    startAIGame(cardData) {
+    startAIGame(cardData, seed = null) {
         this.isAIOpponent = true;
         this.isOnlineGame = false;
-        const gameState = this.initGame(cardData);
+        const gameState = this.initGame(cardData, seed);
 
         this.emitEvent('gameStarted', {
             isAIGame: true,
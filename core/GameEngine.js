@@ -1,35 +1,134 @@
 /**
  * GameEngine.js - Core game logic for Political Quartett
+ *
+ * Hands are kept per seat so the same rules run two-player games in the
+ * browser and 3-6 player games on the server. Seat 0 is "player" and
+ * seat 1 is "opponent" for the two-player accessors.
  */
+import CategoryRules from './CategoryRules.js';
+import GameRules from './GameRules.js';
+import SeededRandom from './SeededRandom.js';
+import PoliticalCard from './PoliticalCard.js';
+import CardEffects from './CardEffects.js';
+
 class GameEngine {
-    constructor() {
-        this.playerCards = [];
-        this.opponentCards = [];
+    /**
+     * Create a new game engine
+     * @param {CategoryRules} categoryRules - Comparison rules of the deck's categories (optional)
+     * @param {SeededRandom} random - Source of every shuffle and coin flip (optional, randomly seeded)
+     * @param {GameRules} rules - Win condition and round limit (optional, all cards in 50 rounds)
+     * @param {CardEffects} effects - Card abilities (optional, the built-in effects)
+     */
+    constructor(categoryRules = null, random = null, rules = null, effects = null) {
+        this.categoryRules = categoryRules || new CategoryRules();
+        this.random = random || new SeededRandom();
+        this.rules = rules || new GameRules({ categories: this.categoryRules });
+        this.effects = effects || new CardEffects();
+        this.hands = [[], []];
+        this.points = [0, 0];
+        this.roundsWon = [0, 0];
+        this.eliminatedSeats = []; // in order of elimination
         this.tieCards = [];
         this.gameOver = false;
-        this.winner = null;
-        this.currentPlayer = null; // 'player' or 'opponent'
-        this.isPlayerTurn = false;
+        this.winnerIndex = null;
+        this.endReason = null; // 'lastStanding', 'roundLimit' or 'forfeit'
+        this.decidedBy = null; // what picked the winner, see GameRules.decideWinner()
+        this.currentPlayerIndex = 0;
+        this.roundsPlayed = 0;
         this.gameId = null;
     }
 
+    // Two-player accessors, kept for the browser game and older callers
+    get playerCards() { return this.hands[0]; }
+    set playerCards(cards) { this.hands[0] = cards; }
+
+    get opponentCards() { return this.hands[1]; }
+    set opponentCards(cards) { this.hands[1] = cards; }
+
+    get isPlayerTurn() { return this.currentPlayerIndex === 0; }
+    set isPlayerTurn(value) { this.currentPlayerIndex = value ? 0 : 1; }
+
+    get currentPlayer() { return this.currentPlayerIndex === 0 ? 'player' : 'opponent'; }
+    set currentPlayer(player) { this.currentPlayerIndex = player === 'player' ? 0 : 1; }
+
+    get winner() { return this.getSeatLabel(this.winnerIndex); }
+    set winner(value) { this.winnerIndex = value === 'player' ? 0 : (value === 'opponent' ? 1 : null); }
+
+    /**
+     * Seed of the random source; the same seed deals the same game
+     * @returns {String} - Seed
+     */
+    get seed() {
+        return this.random.seed;
+    }
+
+    /**
+     * Restart the random source from a seed
+     * Call before shuffling to replay a game or play a daily challenge.
+     * @param {String|Number} seed - Seed, a fresh random one if empty
+     */
+    setSeed(seed) {
+        this.random = new SeededRandom(seed);
+    }
+
+    /**
+     * Change the win condition and round limit, e.g. before a new game
+     * @param {GameRules} rules - Rules
+     */
+    setRules(rules) {
+        this.rules = rules;
+    }
+
+    get winCondition() {
+        return this.rules.winCondition;
+    }
+
+    get maxRounds() {
+        return this.rules.maxRounds;
+    }
+
+    /**
+     * Number of seats in the game
+     * @returns {Number} - Seat count
+     */
+    get playerCount() {
+        return this.hands.length;
+    }
+
     /**
-     * Initialize game state
+     * Initialize a two-player game state
      * @param {Array} playerCards - Initial cards for player
      * @param {Array} opponentCards - Initial cards for opponent
      * @param {Boolean} isPlayerTurn - Whether it's the player's turn
      * @returns {Object} - Game state
      */
     initializeState(playerCards, opponentCards, isPlayerTurn = null) {
-        this.playerCards = playerCards || [];
-        this.opponentCards = opponentCards || [];
+        const startingIndex = isPlayerTurn === null ? null : (isPlayerTurn ? 0 : 1);
+        return this.initializePlayers([playerCards, opponentCards], startingIndex);
+    }
+
+    /**
+     * Initialize a game state for any number of seats
+     * @param {Array} hands - Initial cards for each seat
+     * @param {Number} startingIndex - Seat that starts, random if null
+     * @returns {Object} - Game state
+     */
+    initializePlayers(hands, startingIndex = null) {
+        this.hands = hands.map(hand => hand || []);
+        this.points = this.hands.map(() => 0);
+        this.roundsWon = this.hands.map(() => 0);
+        this.eliminatedSeats = [];
         this.tieCards = [];
         this.gameOver = false;
-        this.winner = null;
+        this.winnerIndex = null;
+        this.endReason = null;
+        this.decidedBy = null;
+        this.roundsPlayed = 0;
 
         // Determine starting player if not specified
-        this.isPlayerTurn = isPlayerTurn !== null ? isPlayerTurn : Math.random() >= 0.5;
-        this.currentPlayer = this.isPlayerTurn ? 'player' : 'opponent';
+        this.currentPlayerIndex = startingIndex !== null
+            ? startingIndex
+            : this.random.nextInt(this.hands.length);
 
         return this.getState();
     }
@@ -40,41 +139,129 @@ class GameEngine {
      */
     getState() {
         return {
+            hands: this.hands,
             playerCards: this.playerCards,
             opponentCards: this.opponentCards,
             tieCards: this.tieCards,
+            eliminatedSeats: this.eliminatedSeats,
+            currentPlayerIndex: this.currentPlayerIndex,
             currentPlayer: this.currentPlayer,
             isPlayerTurn: this.isPlayerTurn,
             gameOver: this.gameOver,
             winner: this.winner,
+            winnerIndex: this.winnerIndex,
+            endReason: this.endReason,
+            decidedBy: this.decidedBy,
+            roundsPlayed: this.roundsPlayed,
+            maxRounds: this.maxRounds,
+            winCondition: this.winCondition,
+            tiePolicy: this.rules.tiePolicy,
+            points: this.points,
+            roundsWon: this.roundsWon,
+            seed: this.seed,
             gameId: this.gameId
         };
     }
 
+    /**
+     * Get the game state as one seat may see it
+     * getState() holds every hand and the seed, which together give the whole
+     * deal away; it is for whoever runs the game. Here the seat only sees its
+     * own top card. Every other card, the tie pile included, is null, so hand
+     * sizes can still be read. The seed is left out.
+     * @param {Number} index - Seat index
+     * @returns {Object} - Game state with the hidden cards nulled
+     */
+    getSeatView(index) {
+        const hide = cards => cards.map(() => null);
+        const hands = this.hands.map((hand, seat) => (seat === index && hand.length > 0 ? [hand[0], ...hide(hand.slice(1))] : hide(hand)));
+
+        return {
+            ...this.getState(),
+            seat: index,
+            hands,
+            playerCards: hands[0],
+            opponentCards: hands[1],
+            tieCards: hide(this.tieCards),
+            cardCounts: this.hands.map(hand => hand.length),
+            seed: null
+        };
+    }
+
     /**
      * Shuffles a deck of cards
      * @param {Array} deck - Deck to shuffle
      * @returns {Array} - Shuffled deck
      */
     shuffleDeck(deck) {
-        const shuffled = [...deck];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        return this.random.shuffle([...deck]);
+    }
+
+    /**
+     * Deal a deck round-robin to a number of seats
+     * @param {Array} deck - Deck to deal
+     * @param {Number} seatCount - Number of seats
+     * @returns {Array} - One hand per seat
+     */
+    dealHands(deck, seatCount) {
+        const hands = Array.from({ length: seatCount }, () => []);
+        deck.forEach((card, index) => hands[index % seatCount].push(card));
+        return hands;
+    }
+
+    /**
+     * Get the two-player label of a seat
+     * @param {Number|null} index - Seat index
+     * @returns {String|null} - 'player', 'opponent' or null
+     */
+    getSeatLabel(index) {
+        if (index === null || index === undefined) return null;
+        return index === 0 ? 'player' : 'opponent';
+    }
+
+    /**
+     * Check if a seat is out of the game
+     * @param {Number} index - Seat index
+     * @returns {Boolean} - True if eliminated
+     */
+    isEliminated(index) {
+        return this.eliminatedSeats.includes(index);
+    }
+
+    /**
+     * Get the seats still playing, in seat order
+     * @returns {Array} - Seat indices
+     */
+    getActiveSeats() {
+        return this.hands.map((hand, index) => index).filter(index => !this.isEliminated(index));
+    }
+
+    /**
+     * Find the next active seat after the given one
+     * @param {Number} index - Seat to start after
+     * @returns {Number|null} - Seat index or null if nobody is left
+     */
+    getNextActiveSeat(index) {
+        for (let offset = 1; offset <= this.hands.length; offset++) {
+            const seat = (index + offset) % this.hands.length;
+            if (!this.isEliminated(seat)) return seat;
         }
-        return shuffled;
+        return null;
     }
 
     /**
-     * Check if both players have cards to play
-     * @returns {Boolean} - True if both players have cards
+     * Check if at least two players have cards to play
+     * @returns {Boolean} - True if a round can be played
      */
     canPlayRound() {
-        return this.playerCards.length > 0 && this.opponentCards.length > 0 && !this.gameOver;
+        return !this.gameOver && this.getActiveSeats().filter(index => this.hands[index].length > 0).length >= 2;
     }
 
     /**
      * Compare cards and determine winner for a round
+     * A tie for the best card is resolved by the rules' tie policy (see breakTie()).
+     * Card effects trigger before the reveal, after the compare and on a win
+     * or loss (see core/CardEffects.js); a vetoed round is cancelled.
      * @param {String} category - Category to compare
      * @returns {Object|null} - Round result or null if can't play
      */
@@ -83,75 +270,375 @@ class GameEngine {
             return null;
         }
 
-        // Get top cards from each player
-        const playerCard = this.playerCards[0];
-        const opponentCard = this.opponentCards[0];
+        // Every active seat plays its top card
+        const plays = this.getActiveSeats().map(seat => {
+            const card = this.hands[seat].shift();
+            return { seat, card, value: PoliticalCard.readStat(card, category) };
+        });
 
-        // Remove cards from hands
-        this.playerCards.shift();
-        this.opponentCards.shift();
+        const round = {
+            category,
+            plays,
+            leaders: [],
+            winnerSeat: null,
+            cancelled: false,
+            hands: this.hands,
+            categoryRules: this.categoryRules
+        };
+        const effects = this.effects.trigger('beforeReveal', round);
 
-        // Get values from pre-defined card stats
-        const playerValue = playerCard.stats[category];
-        const opponentValue = opponentCard.stats[category];
+        const leaders = this.findLeaders(category, plays);
+        round.leaders = leaders;
+        effects.push(...this.effects.trigger('afterCompare', round));
 
-        let result;
+        if (round.cancelled) {
+            return this.cancelRound(category, plays, effects);
+        }
 
-        // Handle result
-        if (playerValue > opponentValue) {
-            result = 'player';
-            // Player wins the round
-            this.playerCards.push(playerCard, opponentCard, ...this.tieCards);
-            this.tieCards = [];
-            this.isPlayerTurn = true;
-            this.currentPlayer = 'player';
-        } else if (opponentValue > playerValue) {
-            result = 'opponent';
-            // Opponent wins the round
-            this.opponentCards.push(playerCard, opponentCard, ...this.tieCards);
+        // Every card played this round, including any played to break a tie
+        const pot = plays.map(play => play.card);
+        const tieBreak = leaders.length > 1 ? this.breakTie(category, leaders, pot) : null;
+        const decider = tieBreak ? tieBreak.decider : { category, plays, leaders };
+
+        let roundWinnerIndex = null;
+        let roundPoints = 0;
+
+        if (decider.leaders.length === 1) {
+            // One clear winner takes every played card and the tie pile
+            roundWinnerIndex = decider.leaders[0].seat;
+            this.hands[roundWinnerIndex].push(...pot, ...this.tieCards);
             this.tieCards = [];
-            this.isPlayerTurn = false;
-            this.currentPlayer = 'opponent';
+            this.currentPlayerIndex = roundWinnerIndex;
+
+            // Points are scored by the margin over the best of the other cards
+            const runnerUp = this.findLeaders(decider.category, decider.plays.filter(play => play.seat !== roundWinnerIndex))[0];
+            roundPoints = this.rules.scoreRound(decider.leaders[0].value, runnerUp ? runnerUp.value : undefined);
+            this.points[roundWinnerIndex] += roundPoints;
+            this.roundsWon[roundWinnerIndex]++;
+
+            round.winnerSeat = roundWinnerIndex;
+            effects.push(...this.effects.trigger('onWin', round, plays.filter(play => play.seat === roundWinnerIndex)));
+            effects.push(...this.effects.trigger('onLoss', round, plays.filter(play => play.seat !== roundWinnerIndex)));
         } else {
-            result = 'tie';
-            // It's a tie - collect tie cards
-            this.tieCards.push(playerCard, opponentCard);
-            // Keep the same player's turn
+            // An unresolved tie sends every played card to the tie pile and the next player chooses
+            this.tieCards.push(...pot);
+            const nextSeat = this.getNextActiveSeat(this.currentPlayerIndex);
+            if (nextSeat !== null) {
+                this.currentPlayerIndex = nextSeat;
+            }
         }
 
+        this.roundsPlayed++;
+
+        const eliminated = this.eliminateEmptyHands();
+
         // Check for game over
         this.checkGameOver();
 
+        return this.buildRoundResult({
+            category,
+            plays,
+            roundWinnerIndex,
+            roundPoints,
+            tiedSeats: roundWinnerIndex === null ? decider.leaders.map(play => play.seat) : [],
+            tieBreak: tieBreak ? this.summarizeTieBreak(tieBreak, roundWinnerIndex, pot.length) : null,
+            eliminated,
+            effects
+        });
+    }
+
+    /**
+     * End a round cancelled by a card effect
+     * Every played card goes back under its owner's hand and the same player
+     * chooses again; the round still counts towards the round limit.
+     * @param {String} category - Category of the round
+     * @param {Array} plays - Plays of the round
+     * @param {Array} effects - Triggered effects
+     * @returns {Object} - Round result
+     */
+    cancelRound(category, plays, effects) {
+        plays.forEach(play => this.hands[play.seat].push(play.card));
+        this.roundsPlayed++;
+        this.checkGameOver();
+
+        return this.buildRoundResult({
+            category,
+            plays,
+            roundWinnerIndex: null,
+            roundPoints: 0,
+            tiedSeats: [],
+            tieBreak: null,
+            eliminated: [],
+            effects,
+            cancelled: true
+        });
+    }
+
+    /**
+     * Find the plays with the best value
+     * @param {String} category - Category to compare
+     * @param {Array} plays - [{ seat, card, value }]
+     * @returns {Array} - Best plays, more than one for a tie
+     */
+    findLeaders(category, plays) {
+        if (plays.length === 0) return [];
+
+        // The category decides whether higher or lower values win
+        const rules = this.categoryRules;
+        const best = plays.reduce((top, play) => (rules.compareValues(category, play.value, top.value) > 0 ? play : top));
+        return plays.filter(play => rules.compareValues(category, play.value, best.value) === 0);
+    }
+
+    /**
+     * Resolve a tie for the best card with the rules' tie policy
+     * - tiePile: nothing more is played; the cards go to the tie pile
+     * - sameCategory: the tied seats play their next cards in the same category
+     *   until one wins (sudden death)
+     * - blindDraw: the tied seats first put blindDrawCount cards face down, then
+     *   play their next card in the same category, until one wins
+     * - secondaryCategory: the tied cards are compared in other categories
+     *   (GameRules.getTieCategories()) until one wins
+     * Seats that run out of cards drop out of the tie break. Cards played to
+     * break the tie are added to the pot.
+     * @param {String} category - Category of the round
+     * @param {Array} leaders - Tied plays
+     * @param {Array} pot - Cards played this round
+     * @returns {Object} - { policy, tiedSeats, steps, decider: { category, plays, leaders } }
+     */
+    breakTie(category, leaders, pot) {
+        const policy = this.rules.tiePolicy;
+        const tieBreak = { policy, tiedSeats: leaders.map(play => play.seat), steps: [], decider: { category, plays: leaders, leaders } };
+
+        if (policy === 'secondaryCategory') {
+            const categories = this.categoryRules.getKeys().length > 0
+                ? this.categoryRules.getKeys()
+                : PoliticalCard.readCategories(leaders[0].card);
+
+            for (const nextCategory of this.rules.getTieCategories(category, categories)) {
+                const plays = tieBreak.decider.leaders.map(play => ({
+                    seat: play.seat,
+                    card: play.card,
+                    value: PoliticalCard.readStat(play.card, nextCategory)
+                }));
+                tieBreak.decider = { category: nextCategory, plays, leaders: this.findLeaders(nextCategory, plays) };
+                tieBreak.steps.push({ category: nextCategory, plays, faceDown: [] });
+
+                if (tieBreak.decider.leaders.length === 1) break;
+            }
+        } else if (policy === 'sameCategory' || policy === 'blindDraw') {
+            while (tieBreak.decider.leaders.length > 1) {
+                const faceDown = [];
+                const plays = [];
+
+                tieBreak.decider.leaders.forEach(({ seat }) => {
+                    const hand = this.hands[seat];
+
+                    // Keep one card to play if there is one
+                    if (policy === 'blindDraw') {
+                        const hidden = hand.splice(0, Math.min(this.rules.blindDrawCount, Math.max(hand.length - 1, 0)));
+                        pot.push(...hidden);
+                        faceDown.push({ seat, count: hidden.length });
+                    }
+
+                    if (hand.length > 0) {
+                        const card = hand.shift();
+                        pot.push(card);
+                        plays.push({ seat, card, value: PoliticalCard.readStat(card, category) });
+                    }
+                });
+
+                // Nobody has a card left to play: the tie stands
+                if (plays.length === 0) break;
+
+                tieBreak.decider = { category, plays, leaders: this.findLeaders(category, plays) };
+                tieBreak.steps.push({ category, plays, faceDown });
+            }
+        }
+
+        return tieBreak;
+    }
+
+    /**
+     * Describe a tie break for the round result
+     * @param {Object} tieBreak - Result of breakTie()
+     * @param {Number|null} winnerSeat - Seat that won the round, null if the tie stands
+     * @param {Number} potSize - Cards played this round
+     * @returns {Object} - { policy, tiedSeats, steps, winnerSeat, potSize, description }
+     */
+    summarizeTieBreak(tieBreak, winnerSeat, potSize) {
+        const label = key => this.categoryRules.getLabel(key);
+        const replays = tieBreak.steps.length;
+        let description;
+
+        if (tieBreak.policy === 'tiePile') {
+            description = 'Tie: the cards go to the tie pile and the next player chooses.';
+        } else if (winnerSeat === null) {
+            description = `Tie: still level after ${ replays } ${ replays === 1 ? 'tie break' : 'tie breaks' }, the cards go to the tie pile.`;
+        } else if (tieBreak.policy === 'secondaryCategory') {
+            description = `Tie broken by ${ label(tieBreak.decider.category) }.`;
+        } else if (tieBreak.policy === 'blindDraw') {
+            const hidden = tieBreak.steps.reduce((sum, step) => sum + step.faceDown.reduce((total, entry) => total + entry.count, 0), 0);
+            description = `Tie broken by a blind draw: ${ hidden } ${ hidden === 1 ? 'card' : 'cards' } face down, ${ replays } ${ replays === 1 ? 'draw' : 'draws' }.`;
+        } else {
+            description = `Tie broken by sudden death in ${ label(tieBreak.decider.category) } after ${ replays } ${ replays === 1 ? 'replay' : 'replays' }.`;
+        }
+
+        return {
+            policy: tieBreak.policy,
+            tiedSeats: tieBreak.tiedSeats,
+            steps: tieBreak.steps,
+            winnerSeat,
+            potSize,
+            description
+        };
+    }
+
+    /**
+     * Build the round result, including the two-player fields
+     * @param {Object} round - Round details
+     * @returns {Object} - Round result
+     */
+    buildRoundResult({ category, plays, roundWinnerIndex, roundPoints, tiedSeats, tieBreak, eliminated, effects = [], cancelled = false }) {
+        const playerPlay = plays.find(play => play.seat === 0) || {};
+        const opponentPlay = plays.find(play => play.seat === 1) || {};
+
+        let result = roundWinnerIndex === null ? 'tie' : this.getSeatLabel(roundWinnerIndex);
+        if (cancelled) {
+            result = 'cancelled';
+        }
+
         return {
             result,
-            playerCard,
-            opponentCard,
-            playerValue,
-            opponentValue,
+            roundWinnerIndex,
+            roundPoints,
+            tiedSeats,
+            tieBreak,
+            effects,
+            cancelled,
+            plays,
+            playerCard: playerPlay.card || null,
+            opponentCard: opponentPlay.card || null,
+            playerValue: playerPlay.value,
+            opponentValue: opponentPlay.value,
             category,
             nextTurn: this.currentPlayer,
+            nextPlayerIndex: this.currentPlayerIndex,
+            cardCounts: this.hands.map(hand => hand.length),
             playerCardCount: this.playerCards.length,
             opponentCardCount: this.opponentCards.length,
+            tieCardCount: this.tieCards.length,
+            eliminated,
+            points: [...this.points],
+            roundsWon: [...this.roundsWon],
+            roundsPlayed: this.roundsPlayed,
+            maxRounds: this.maxRounds,
             gameOver: this.gameOver,
-            winner: this.winner
+            winner: this.winner,
+            winnerIndex: this.winnerIndex,
+            endReason: this.endReason,
+            decidedBy: this.decidedBy
         };
     }
 
+    /**
+     * Eliminate every active seat that has run out of cards
+     * @returns {Array} - Seats eliminated by this call
+     */
+    eliminateEmptyHands() {
+        const eliminated = this.getActiveSeats().filter(index => this.hands[index].length === 0);
+        eliminated.forEach(index => this.markEliminated(index));
+        return eliminated;
+    }
+
+    /**
+     * Take a seat out of the game, e.g. when its player leaves
+     * Its remaining cards go to the tie pile so no card leaves play.
+     * @param {Number} index - Seat index
+     * @returns {Boolean} - True if the seat was still active
+     */
+    eliminatePlayer(index) {
+        return this.removeSeat(index, 'lastStanding');
+    }
+
+    /**
+     * Give up the game, e.g. after running out of time too often
+     * Like eliminatePlayer(), but if one seat is left it wins by forfeit
+     * whatever the win condition.
+     * @param {Number} index - Seat index
+     * @returns {Boolean} - True if the seat was still active
+     */
+    forfeit(index) {
+        return this.removeSeat(index, 'forfeit');
+    }
+
+    /**
+     * Take a seat out of play, its cards going to the tie pile
+     * @param {Number} index - Seat index
+     * @param {String} reason - End reason if at most one seat is left
+     * @returns {Boolean} - True if the seat was still active
+     */
+    removeSeat(index, reason) {
+        if (this.isEliminated(index) || !this.hands[index]) return false;
+
+        this.tieCards.push(...this.hands[index]);
+        this.hands[index] = [];
+        this.markEliminated(index);
+        this.checkGameOver(reason);
+        return true;
+    }
+
+    /**
+     * Record an elimination and pass the turn on if needed
+     * @param {Number} index - Seat index
+     */
+    markEliminated(index) {
+        this.eliminatedSeats.push(index);
+
+        if (this.currentPlayerIndex === index) {
+            const nextSeat = this.getNextActiveSeat(index);
+            if (nextSeat !== null) {
+                this.currentPlayerIndex = nextSeat;
+            }
+        }
+    }
+
     /**
      * Check if the game is over
+     * A game ends when at most one seat is left or at the round limit; the
+     * win condition then picks the winner (see GameRules.decideWinner()).
+     * @param {String} standingReason - End reason when at most one seat is left, 'lastStanding' or 'forfeit'
      * @returns {Boolean} - True if game is over
      */
-    checkGameOver() {
-        if (this.playerCards.length === 0) {
-            this.gameOver = true;
-            this.winner = 'opponent';
-            return true;
-        } else if (this.opponentCards.length === 0) {
-            this.gameOver = true;
-            this.winner = 'player';
-            return true;
+    checkGameOver(standingReason = 'lastStanding') {
+        let reason = null;
+        if (this.getActiveSeats().length <= 1) {
+            reason = standingReason;
+        } else if (this.rules.isRoundLimitReached(this.roundsPlayed)) {
+            reason = 'roundLimit';
         }
-        return false;
+
+        if (!reason) return false;
+
+        const { winnerIndex, decidedBy } = this.rules.decideWinner(this.getStandings(), reason);
+        this.gameOver = true;
+        this.winnerIndex = winnerIndex;
+        this.endReason = reason;
+        this.decidedBy = decidedBy;
+        return true;
+    }
+
+    /**
+     * Standings of every seat, as the win condition ranks them
+     * @returns {Array} - [{ seat, cards, points, roundsWon, active }]
+     */
+    getStandings() {
+        return this.hands.map((hand, seat) => ({
+            seat,
+            cards: hand.length,
+            points: this.points[seat] || 0,
+            roundsWon: this.roundsWon[seat] || 0,
+            active: !this.isEliminated(seat)
+        }));
     }
 
     /**
@@ -161,15 +648,53 @@ class GameEngine {
     syncState(state) {
         if (!state) return;
 
-        this.playerCards = state.playerCards || this.playerCards;
-        this.opponentCards = state.opponentCards || this.opponentCards;
+        if (state.hands) {
+            this.hands = state.hands;
+        } else {
+            this.playerCards = state.playerCards || this.playerCards;
+            this.opponentCards = state.opponentCards || this.opponentCards;
+        }
+
         this.tieCards = state.tieCards || this.tieCards;
-        this.currentPlayer = state.currentPlayer || this.currentPlayer;
-        this.isPlayerTurn = state.isPlayerTurn !== undefined ? state.isPlayerTurn : this.isPlayerTurn;
+        this.eliminatedSeats = state.eliminatedSeats || this.eliminatedSeats;
+
+        if (state.currentPlayerIndex !== undefined) {
+            this.currentPlayerIndex = state.currentPlayerIndex;
+        } else if (state.isPlayerTurn !== undefined) {
+            this.isPlayerTurn = state.isPlayerTurn;
+        } else if (state.currentPlayer) {
+            this.currentPlayer = state.currentPlayer;
+        }
+
         this.gameOver = state.gameOver !== undefined ? state.gameOver : this.gameOver;
-        this.winner = state.winner || this.winner;
+
+        if (state.winnerIndex !== undefined) {
+            this.winnerIndex = state.winnerIndex;
+        } else if (state.winner) {
+            this.winner = state.winner;
+        }
+
+        this.endReason = state.endReason !== undefined ? state.endReason : this.endReason;
+        this.decidedBy = state.decidedBy !== undefined ? state.decidedBy : this.decidedBy;
+        this.points = state.points || this.points;
+        this.roundsWon = state.roundsWon || this.roundsWon;
+
+        // Rules only change hands when the state names them
+        if (state.winCondition) {
+            const settings = {
+                ...this.rules.getSettings(),
+                winCondition: state.winCondition,
+                maxRounds: state.maxRounds,
+                tiePolicy: state.tiePolicy || this.rules.tiePolicy
+            };
+            if (JSON.stringify(settings) !== JSON.stringify(this.rules.getSettings())) {
+                this.rules = new GameRules({ ...settings, categories: this.categoryRules });
+            }
+        }
+
+        this.roundsPlayed = state.roundsPlayed !== undefined ? state.roundsPlayed : this.roundsPlayed;
         this.gameId = state.gameId || this.gameId;
     }
 }
 
-export default GameEngine;
\ No newline at end of file
+export default GameEngine;
@@ -0,0 +1,201 @@
+/**
+ * GameLog.js - Append-only log of a game's state transitions
+ *
+ * The server appends an entry for every change of a running game and
+ * writes each one out as a line of JSON before it goes on. A game can be
+ * rebuilt from its log by dealing from the same seed and salt and replaying
+ * every round through a GameEngine:
+ *
+ *   { seq: 1, type: 'created', at, version, gameId, maxPlayers, deckId, seed, salt, seedSource,
+ *     rules, bestOf, ranked, spectatorDelayMs, turnTimeMs, seriesId }
+ *   { type: 'seated', accountId, name }        a player took the next seat; the log names their
+ *                                              account, never their session token
+ *   { type: 'started', requestedSeat, series }   dealt; requestedSeat is what the deal was asked
+ *                                              to start with (null: the engine drew it), series
+ *                                              is MatchSeries.toJSON() or null
+ *   { type: 'category', seat, category, timedOut, moveId }   a category was chosen
+ *   { type: 'round' }                          the chosen category was played
+ *   { type: 'forfeit', seat }                  a seat ran out of time too often
+ *   { type: 'vacated', seat }                  a seat left, the game goes on without it
+ *   { type: 'left', seat }                     a seat left and was removed; a running game ends
+ *
+ * A crash can cut the last line short; parse() drops such a line, as the
+ * change it described was never acted on.
+ */
+class GameLog {
+    static VERSION = 3;
+
+    /**
+     * @param {Object} options - { entries, write }; entries of a log read back (optional),
+     *                           write(line) is called with every appended line (optional)
+     */
+    constructor(options = {}) {
+        this.entries = options.entries ? [...options.entries] : [];
+        this.write = options.write || (() => {});
+    }
+
+    /**
+     * Add an entry and write it out
+     * @param {String} type - Entry type
+     * @param {Object} data - Fields of the entry
+     * @returns {Object} - The entry
+     */
+    append(type, data = {}) {
+        const entry = { seq: this.entries.length + 1, type, at: Date.now(), ...data };
+        this.entries.push(entry);
+        this.write(GameLog.encode(entry));
+        return entry;
+    }
+
+    /**
+     * One line of a log file
+     * @param {Object} entry - Entry
+     * @returns {String} - JSON with a trailing newline
+     */
+    static encode(entry) {
+        return `${ JSON.stringify(entry) }\n`;
+    }
+
+    /**
+     * Read the entries of a log file
+     * @param {String} text - File contents
+     * @returns {Array} - Entries in order
+     */
+    static parse(text) {
+        const lines = text.split('\n');
+        const entries = [];
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Only the line being written when the process stopped may be incomplete
+                if (index < lines.length - 1) {
+                    throw new Error(`Line ${ index + 1 } of the game log is not JSON: ${ error.message }`);
+                }
+            }
+        });
+
+        entries.forEach((entry, index) => {
+            if (entry.seq !== index + 1) {
+                throw new Error(`Game log entry ${ index + 1 } is numbered ${ entry.seq }`);
+            }
+        });
+
+        return entries;
+    }
+
+    /**
+     * Rebuild a game from its log
+     * The engine must use the categories, rules, seed and salt of the
+     * created entry (see DealCommitment.shuffleSeed()); it is dealt from cards and every round is played again. Events
+     * (optional) get the gameInitialized, categorySelected and roundPlayed
+     * events a live game emits, so a ReplayRecorder can follow along.
+     * @param {Array} entries - Log entries
+     * @param {Object} options - { engine, cards, events }
+     * @returns {Object} - { created, seats: [{ accountId, name }], state, startingSeat, salt, series,
+     *                       dealtHands, selectedCategory, lastRoundResult, timeouts, moveIds }
+     */
+    static restore(entries, { engine, cards, events = null }) {
+        const created = entries[0];
+        if (!created || created.type !== 'created') {
+            throw new Error('A game log starts with its created entry');
+        }
+        if (created.version !== GameLog.VERSION) {
+            throw new Error(`Unsupported game log version ${ created.version }`);
+        }
+
+        const game = {
+            created,
+            seats: [],
+            state: 'waiting',
+            startingSeat: null,
+            salt: created.salt || null,
+            series: null,
+            dealtHands: null,
+            selectedCategory: null,
+            lastRoundResult: null,
+            timeouts: {},
+            moveIds: []
+        };
+        const emit = (event, data) => events && events.emit(event, data);
+
+        entries.slice(1).forEach(entry => {
+            switch (entry.type) {
+                case 'seated':
+                    game.seats.push({ accountId: entry.accountId, name: entry.name });
+                    break;
+
+                case 'started':
+                    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...cards]), game.seats.length), entry.requestedSeat);
+                    game.state = 'in_progress';
+                    game.startingSeat = engine.currentPlayerIndex;
+                    game.series = entry.series || null;
+                    game.dealtHands = engine.hands.map(hand => [...hand]);
+
+                    emit('gameInitialized', {
+                        gameId: created.gameId,
+                        seed: created.seed,
+                        deckId: created.deckId,
+                        rules: engine.rules.getSettings(),
+                        players: game.seats.map(seat => seat.name),
+                        hands: engine.hands,
+                        currentPlayerIndex: engine.currentPlayerIndex,
+                        categories: engine.categoryRules.describe()
+                    });
+                    break;
+
+                case 'category':
+                    game.selectedCategory = entry.category;
+                    game.timeouts[entry.seat] = entry.timedOut ? (game.timeouts[entry.seat] || 0) + 1 : 0;
+                    if (entry.moveId) {
+                        game.moveIds.push(entry.moveId);
+                    }
+                    emit('categorySelected', { category: entry.category, seat: entry.seat });
+                    break;
+
+                case 'round': {
+                    const roundResult = engine.compareCards(game.selectedCategory);
+                    game.selectedCategory = null;
+                    if (!roundResult) {
+                        throw new Error(`Round of entry ${ entry.seq } could not be played again`);
+                    }
+
+                    game.lastRoundResult = roundResult;
+                    emit('roundPlayed', roundResult);
+                    break;
+                }
+
+                case 'forfeit':
+                    game.timeouts[entry.seat] = (game.timeouts[entry.seat] || 0) + 1;
+                    engine.forfeit(entry.seat);
+                    break;
+
+                case 'vacated':
+                    engine.eliminatePlayer(entry.seat);
+                    game.seats[entry.seat] = { accountId: null, name: game.seats[entry.seat].name };
+                    break;
+
+                case 'left':
+                    game.seats.splice(entry.seat, 1);
+                    if (game.state === 'in_progress') {
+                        game.state = 'completed';
+                    }
+                    break;
+
+                default:
+                    throw new Error(`Unknown game log entry "${ entry.type }"`);
+            }
+
+            if (game.state === 'in_progress' && engine.gameOver) {
+                game.state = 'completed';
+            }
+        });
+
+        return game;
+    }
+}
+
+export default GameLog;
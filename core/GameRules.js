@@ -1,19 +1,206 @@
 /**
  * GameRules.js - Handles game rules and card comparison logic
  */
+import CategoryRules from './CategoryRules.js';
+import SeededRandom from './SeededRandom.js';
+import PoliticalCard from './PoliticalCard.js';
+
 export default class GameRules {
+    // How a game is won, for menus
+    static WIN_CONDITIONS = {
+        allCards: { label: 'All cards', description: 'Win every card; the round limit is a safety net' },
+        mostCards: { label: 'Most cards', description: 'Hold the most cards when the round limit is reached' },
+        points: { label: 'Points', description: 'Rounds score by the winning margin; most points at the limit wins' }
+    };
+
+    // Round limit per win condition when none is given (0 means no limit)
+    static DEFAULT_MAX_ROUNDS = { allCards: 50, mostCards: 15, points: 15 };
+
+    // What breaks a tie in the final standings, after the win condition's own measure
+    static DEFAULT_TIEBREAKERS = { allCards: ['roundsWon', 'points'], mostCards: ['roundsWon', 'points'], points: ['cards', 'roundsWon'] };
+
+    // Points for a round won by the widest possible margin; a narrow win scores 1
+    static MAX_ROUND_POINTS = 5;
+
+    // How a tie for the best card is resolved, for menus
+    static TIE_POLICIES = {
+        tiePile: { label: 'Tie pile', description: 'Tied cards go to the tie pile, the next player chooses and the next round winner takes them' },
+        sameCategory: { label: 'Sudden death', description: 'Tied players play their next cards in the same category until one wins' },
+        blindDraw: { label: 'Blind draw', description: 'Tied players put cards face down, then play their next card in the same category' },
+        secondaryCategory: { label: 'Second category', description: 'The tied cards are compared in the next category until one wins' }
+    };
+
+    // Cards each tied player puts face down in a blind draw
+    static DEFAULT_BLIND_DRAW = 3;
+    static MAX_BLIND_DRAW = 10;
+
     /**
      * Create a new game rules instance
      * @param {Object} options - Game rule options
      */
     constructor(options = {}) {
+        const winCondition = options.winCondition || 'allCards';
+        if (!GameRules.WIN_CONDITIONS[winCondition]) {
+            throw new Error(`Unknown win condition "${ winCondition }"`);
+        }
+
+        const maxRounds = options.maxRounds !== undefined && options.maxRounds !== null
+            ? options.maxRounds
+            : GameRules.DEFAULT_MAX_ROUNDS[winCondition];
+        if (!Number.isInteger(maxRounds) || maxRounds < 0) {
+            throw new Error(`Round limit must be a whole number of rounds, got "${ maxRounds }"`);
+        }
+
+        const tiePolicy = options.tiePolicy || 'tiePile';
+        if (!GameRules.TIE_POLICIES[tiePolicy]) {
+            throw new Error(`Unknown tie policy "${ tiePolicy }"`);
+        }
+
+        const blindDrawCount = options.blindDrawCount !== undefined && options.blindDrawCount !== null
+            ? options.blindDrawCount
+            : GameRules.DEFAULT_BLIND_DRAW;
+        if (!Number.isInteger(blindDrawCount) || blindDrawCount < 1 || blindDrawCount > GameRules.MAX_BLIND_DRAW) {
+            throw new Error(`Blind draw must be 1 to ${ GameRules.MAX_BLIND_DRAW } cards, got "${ blindDrawCount }"`);
+        }
+
         this.options = {
             tieBreaker: 'retry', // 'retry' or 'random'
-            maxRounds: options.maxRounds || 50,
-            winCondition: options.winCondition || 'allCards', // 'allCards', 'mostCards', 'points'
             initialHandSize: options.initialHandSize || 15,
-            ...options
+            ...options,
+            winCondition, // 'allCards', 'mostCards', 'points'
+            maxRounds, // 0 means no limit
+            tiePolicy, // 'tiePile', 'sameCategory', 'blindDraw', 'secondaryCategory'
+            blindDrawCount,
+            tieCategory: options.tieCategory || null, // tried first by 'secondaryCategory'
+            tiebreakers: options.tiebreakers || GameRules.DEFAULT_TIEBREAKERS[winCondition]
         };
+
+        // Direction, label, unit and comparator of each category come from the deck
+        this.categoryRules = options.categories instanceof CategoryRules
+            ? options.categories
+            : new CategoryRules(options.categories || {});
+
+        // Random tie breaks draw from the game's seeded source
+        this.random = options.random || new SeededRandom();
+    }
+
+    /**
+     * Win conditions for menus
+     * @return {Array} - [{ id, label, description, maxRounds }]
+     */
+    static listWinConditions() {
+        return Object.entries(GameRules.WIN_CONDITIONS).map(([id, info]) => ({
+            id,
+            ...info,
+            maxRounds: GameRules.DEFAULT_MAX_ROUNDS[id]
+        }));
+    }
+
+    /**
+     * Tie policies for menus
+     * @return {Array} - [{ id, label, description }]
+     */
+    static listTiePolicies() {
+        return Object.entries(GameRules.TIE_POLICIES).map(([id, info]) => ({ id, ...info }));
+    }
+
+    get winCondition() {
+        return this.options.winCondition;
+    }
+
+    get maxRounds() {
+        return this.options.maxRounds;
+    }
+
+    get tiePolicy() {
+        return this.options.tiePolicy;
+    }
+
+    get blindDrawCount() {
+        return this.options.blindDrawCount;
+    }
+
+    /**
+     * The choices a game was created with, e.g. to create the same rules again
+     * @return {Object} - { winCondition, maxRounds, tiePolicy, blindDrawCount, tieCategory }
+     */
+    getSettings() {
+        const { winCondition, maxRounds, tiePolicy, blindDrawCount, tieCategory } = this.options;
+        return { winCondition, maxRounds, tiePolicy, blindDrawCount, tieCategory };
+    }
+
+    /**
+     * Categories a 'secondaryCategory' tie break tries, in order
+     * The configured tie category comes first, then the categories after the
+     * chosen one in deck order, wrapping around.
+     * @param {string} category - Category of the tied round
+     * @param {Array} categories - Category keys of the deck
+     * @return {Array} - Category keys, without the tied category
+     */
+    getTieCategories(category, categories) {
+        const start = categories.indexOf(category) + 1;
+        const ordered = [...categories.slice(start), ...categories.slice(0, start)]
+            .filter(key => key !== category && key !== this.options.tieCategory);
+
+        return this.options.tieCategory && this.options.tieCategory !== category
+            ? [this.options.tieCategory, ...ordered]
+            : ordered;
+    }
+
+    /**
+     * Check if a game has played all its rounds
+     * @param {number} roundsPlayed - Rounds played so far
+     * @return {boolean} - True if the round limit is reached
+     */
+    isRoundLimitReached(roundsPlayed) {
+        return this.options.maxRounds > 0 && roundsPlayed >= this.options.maxRounds;
+    }
+
+    /**
+     * Points for winning a round, by margin
+     * The margin is relative to the larger value so categories of any scale
+     * score alike: a narrow win scores 1, a crushing one MAX_ROUND_POINTS.
+     * @param {number} winnerValue - Winning value
+     * @param {number} runnerUpValue - Best value of the other cards
+     * @return {number} - Points
+     */
+    scoreRound(winnerValue, runnerUpValue) {
+        if (!Number.isFinite(runnerUpValue)) return GameRules.MAX_ROUND_POINTS;
+
+        const scale = Math.max(Math.abs(winnerValue), Math.abs(runnerUpValue));
+        const margin = scale > 0 ? Math.min(Math.abs(winnerValue - runnerUpValue) / scale, 1) : 0;
+        return 1 + Math.round(margin * (GameRules.MAX_ROUND_POINTS - 1));
+    }
+
+    /**
+     * Decide the winner of a finished game
+     * With allCards and mostCards, the last seat standing wins outright; at the
+     * round limit the seats still playing are ranked by cards. With points,
+     * every seat is ranked by points. Equal seats go through the tiebreakers;
+     * if they are still equal the game is a draw. A forfeit hands the game to
+     * the last seat standing whatever the win condition.
+     * @param {Array} standings - [{ seat, cards, points, roundsWon, active }]
+     * @param {string} reason - Why the game ended: 'lastStanding', 'roundLimit' or 'forfeit'
+     * @return {Object} - { winnerIndex, decidedBy }, winnerIndex null for a draw
+     */
+    decideWinner(standings, reason) {
+        const byPoints = this.options.winCondition === 'points' && reason !== 'forfeit';
+        let leaders = byPoints ? standings : standings.filter(standing => standing.active);
+
+        if (!byPoints && (reason === 'lastStanding' || reason === 'forfeit')) {
+            return { winnerIndex: leaders.length === 1 ? leaders[0].seat : null, decidedBy: reason };
+        }
+
+        for (const measure of [byPoints ? 'points' : 'cards', ...this.options.tiebreakers]) {
+            const best = Math.max(...leaders.map(standing => standing[measure] || 0));
+            leaders = leaders.filter(standing => (standing[measure] || 0) === best);
+
+            if (leaders.length === 1) {
+                return { winnerIndex: leaders[0].seat, decidedBy: measure };
+            }
+        }
+
+        return { winnerIndex: null, decidedBy: 'draw' };
     }
 
     /**
@@ -22,22 +209,12 @@ export default class GameRules {
      * @return {boolean} True if higher is better, false if lower is better
      */
     isHigherBetter(category) {
-        // Categories where higher values are better
-        const higherBetterCategories = [
-            'wähleranteil', 'sitze', 'parteimitglieder', 'regierungsbeteiligungen',
-            'regierteBundesländer', 'anzahlSozialeMedien'
-        ];
-
-        // Categories where lower values are better
-        const lowerBetterCategories = [
-            'alter', 'skandale', 'gründungsjahr'
-        ];
-
-        return !lowerBetterCategories.includes(category.toLowerCase());
+        return this.categoryRules.isHigherBetter(category);
     }
 
     /**
      * Compare cards based on a specific category
+     * Cards may be in any shape PoliticalCard reads (stats, attributes, data).
      * @param {Object} card1 - First card
      * @param {Object} card2 - Second card
      * @param {string} category - Category to compare
@@ -48,46 +225,27 @@ export default class GameRules {
             return card1 ? 1 : card2 ? -1 : 0;
         }
 
-        if (!card1.data || !card2.data) {
+        if (!PoliticalCard.statsOf(card1) || !PoliticalCard.statsOf(card2)) {
             console.error('Invalid card data for comparison', card1, card2);
             return 0;
         }
 
-        const value1 = parseFloat(card1.data[category]);
-        const value2 = parseFloat(card2.data[category]);
-
-        // Handle when values are not numbers
-        if (isNaN(value1) || isNaN(value2)) {
-            if (isNaN(value1) && isNaN(value2)) return 0;
-            if (isNaN(value1)) return -1;
-            if (isNaN(value2)) return 1;
-        }
-
-        // Handle missing values
-        if (value1 === undefined && value2 === undefined) return 0;
-        if (value1 === undefined) return -1;
-        if (value2 === undefined) return 1;
+        // Values that are not numbers count as missing and lose
+        const value1 = PoliticalCard.readStat(card1, category);
+        const value2 = PoliticalCard.readStat(card2, category);
 
-        // Compare values based on whether higher is better
-        const higherIsBetter = this.isHigherBetter(category);
-
-        if (value1 === value2) return 0;
-        if (higherIsBetter) {
-            return value1 > value2 ? 1 : -1;
-        } else {
-            return value1 < value2 ? 1 : -1;
-        }
+        return this.categoryRules.compareValues(category, value1, value2);
     }
 
     /**
-     * Handle a tie between cards
+     * Handle a tie between cards (GameState games; GameEngine applies tiePolicy)
      * @param {Object} gameState - Current game state
      * @param {Array} cards - Tied cards
      * @return {Object} Object containing next action and winner if determined
      */
     handleTie(gameState, cards) {
         if (this.options.tieBreaker === 'random') {
-            const randomWinner = Math.floor(Math.random() * gameState.players.length);
+            const randomWinner = this.random.nextInt(gameState.players.length);
             return {
                 action: 'giveCardsToPlayer',
                 winner: gameState.players[randomWinner]
@@ -108,13 +266,17 @@ export default class GameRules {
      * @return {boolean} True if game should end, false otherwise
      */
     shouldEndGame(gameState) {
-        // Check for round limit
-        if (this.options.maxRounds && gameState.roundsPlayed >= this.options.maxRounds) {
-            // Determine winner by most cards if round limit is reached
-            const playerWithMostCards = gameState.players.reduce((prev, current) => {
-                return prev.hand.length > current.hand.length ? prev : current;
-            });
-            gameState.winner = playerWithMostCards;
+        // At the round limit the win condition ranks the players
+        if (this.isRoundLimitReached(gameState.roundsPlayed)) {
+            const standings = gameState.players.map((player, seat) => ({
+                seat,
+                cards: player.hand.length,
+                points: player.score || 0,
+                roundsWon: player.stats ? player.stats.roundsWon : 0,
+                active: player.hand.length > 0
+            }));
+            const { winnerIndex } = this.decideWinner(standings, 'roundLimit');
+            gameState.winner = winnerIndex === null ? null : gameState.players[winnerIndex];
             return true;
         }
 
@@ -128,10 +290,7 @@ export default class GameRules {
      * @return {Array} Array of available categories
      */
     getAvailableCategories(card) {
-        if (!card || !card.data) return [];
-
-        // Filter out categories that shouldn't be compared
-        const excludedFields = ['id', 'name', 'partei', 'farbe', 'image', 'logo'];
-        return Object.keys(card.data).filter(key => !excludedFields.includes(key));
+        // Non-category fields of legacy cards (name, party, ...) are left out
+        return PoliticalCard.readCategories(card);
     }
 }
\ No newline at end of file
@@ -5,6 +5,8 @@
  * Instead of directly accessing game state, the UI subscribes
  * to events and renders based on those events.
  */
+import PoliticalCard from './PoliticalCard.js';
+
 class GameUI {
     constructor(eventEmitter) {
         this.eventEmitter = eventEmitter;
@@ -18,8 +20,24 @@ class GameUI {
             opponentCardCount: 0,
             tieCardCount: 0,
             isPlayerTurn: false,
-            inAnimation: false
+            inAnimation: false,
+            turnDeadline: null // local time the chooser's clock runs out, null without a running clock
         };
+
+        // Category metadata by key: { key, label, direction, unit }
+        this.categories = {};
+        this.turnTimer = null;
+    }
+
+    /**
+     * Store the deck's category metadata for labels and units
+     * @param {Array} categories - [{ key, label, direction, unit }]
+     */
+    setCategories(categories) {
+        this.categories = {};
+        (categories || []).forEach(category => {
+            this.categories[category.key] = category;
+        });
     }
 
     /**
@@ -70,6 +88,23 @@ class GameUI {
         this.eventEmitter.on('gameReset', (data) => {
             this.handleGameReset(data);
         });
+
+        this.eventEmitter.on('opponentDisconnected', (data) => {
+            this.handleOpponentDisconnected(data);
+        });
+
+        this.eventEmitter.on('opponentReconnected', () => {
+            this.handleOpponentReconnected();
+        });
+
+        // Online games time each turn
+        this.eventEmitter.on('turnTimeout', (data) => {
+            this.handleTurnTimeout(data);
+        });
+
+        this.eventEmitter.on('playerForfeited', (data) => {
+            this.handlePlayerForfeited(data);
+        });
     }
 
     /**
@@ -77,6 +112,7 @@ class GameUI {
      * @param {Object} data - Game state data
      */
     handleGameInitialized(data) {
+        if (data.categories) this.setCategories(data.categories);
         this.state.playerCardCount = data.playerCards.length;
         this.state.opponentCardCount = data.opponentCards.length;
         this.state.tieCardCount = data.tieCards ? data.tieCards.length : 0;
@@ -98,6 +134,7 @@ class GameUI {
      * @param {Object} data - Game state data
      */
     handleGameStateSynced(data) {
+        if (data.categories) this.setCategories(data.categories);
         this.state.playerCardCount = data.playerCards.length;
         this.state.opponentCardCount = data.opponentCards.length;
         this.state.tieCardCount = data.tieCards.length;
@@ -120,6 +157,10 @@ class GameUI {
             );
         }
 
+        if (data.turnClock !== undefined) {
+            this.setTurnClock(data.turnClock);
+        }
+
         this.render();
     }
 
@@ -147,7 +188,52 @@ class GameUI {
     handleCategorySelected(data) {
         this.state.currentCategory = data.category;
         this.highlightSelectedCategory(data.category);
-        this.updateStatusMessage(`Comparing ${ data.category }...`);
+        this.updateStatusMessage(`Comparing ${ this.formatCategoryName(data.category) }...`);
+        this.setTurnClock(null);
+    }
+
+    /**
+     * Handle the server choosing for a seat that ran out of time
+     * @param {Object} data - { name, category, isSelf, timeouts, timeoutsToForfeit }
+     */
+    handleTurnTimeout(data) {
+        const left = data.timeoutsToForfeit - data.timeouts;
+        const message = data.isSelf
+            ? `Time's up! ${ this.formatCategoryName(data.category) } was picked for you. ${ left } more in a row and you forfeit.`
+            : `${ data.name || 'Opponent' } ran out of time; ${ this.formatCategoryName(data.category) } was picked.`;
+
+        this.setTurnClock(null);
+        this.updateStatusMessage(message);
+    }
+
+    /**
+     * Handle a seat forfeiting after running out of time too often, or by leaving a ranked game
+     * @param {Object} data - { name, isSelf, reason, gameOver }
+     */
+    handlePlayerForfeited(data) {
+        const cause = data.reason === 'left' ? 'by leaving the game' : 'after running out of time too often';
+        this.setTurnClock(null);
+        this.updateStatusMessage(data.isSelf
+            ? `You forfeited ${ cause }.`
+            : `${ data.name || 'Opponent' } forfeited ${ cause }.`);
+    }
+
+    /**
+     * Count down the chooser's time
+     * @param {Object|null} turnClock - Clock from the game state (see core/TurnClock.js), null to stop counting
+     */
+    setTurnClock(turnClock) {
+        const remainingMs = turnClock ? turnClock.remainingMs : null;
+        this.state.turnDeadline = remainingMs === null ? null : Date.now() + remainingMs;
+
+        if (this.state.turnDeadline === null) {
+            clearInterval(this.turnTimer);
+            this.turnTimer = null;
+        } else if (!this.turnTimer) {
+            this.turnTimer = setInterval(() => this.renderTurnTimer(), 250);
+        }
+
+        this.renderTurnTimer();
     }
 
     /**
@@ -197,10 +283,31 @@ class GameUI {
         this.render();
     }
 
+    /**
+     * Handle opponent losing their connection
+     * @param {Object} data - Disconnect data with the grace period in ms
+     */
+    handleOpponentDisconnected(data) {
+        const seconds = Math.round((data.gracePeriod || 0) / 1000);
+        this.updateStatusMessage(`Opponent disconnected. Waiting up to ${ seconds }s for them to return...`);
+    }
+
+    /**
+     * Handle opponent coming back
+     */
+    handleOpponentReconnected() {
+        this.updateStatusMessage(
+            this.state.isPlayerTurn
+                ? "Opponent is back! Your turn, select a category from your card."
+                : "Opponent is back! Waiting for them to select a category..."
+        );
+    }
+
     /**
      * Handle game reset event
      */
     handleGameReset() {
+        this.setTurnClock(null);
         this.state = {
             playerCard: null,
             opponentCard: null,
@@ -209,7 +316,8 @@ class GameUI {
             opponentCardCount: 0,
             tieCardCount: 0,
             isPlayerTurn: false,
-            inAnimation: false
+            inAnimation: false,
+            turnDeadline: null
         };
 
         this.updateStatusMessage('Game reset. Start a new game!');
@@ -265,13 +373,15 @@ class GameUI {
             let resultMessage;
 
             if (data.result === 'player') {
-                resultMessage = `You win the round with ${ data.category }!`;
+                resultMessage = `You win the round with ${ this.formatCategoryName(data.category) }!`;
                 this.animateCardsToWinner('player');
             } else if (data.result === 'opponent') {
-                resultMessage = `Opponent wins the round with ${ data.category }!`;
+                resultMessage = `Opponent wins the round with ${ this.formatCategoryName(data.category) }!`;
                 this.animateCardsToWinner('opponent');
+            } else if (data.result === 'cancelled') {
+                resultMessage = `Round vetoed! Every card goes back to its owner.`;
             } else {
-                resultMessage = `Tie on ${ data.category }! Cards go to tie pile.`;
+                resultMessage = `Tie on ${ this.formatCategoryName(data.category) }! Cards go to tie pile.`;
                 this.animateCardsToTiePile();
             }
 
@@ -404,6 +514,16 @@ class GameUI {
         }
     }
 
+    /**
+     * Render the seconds left to choose, empty without a running clock
+     */
+    renderTurnTimer() {
+        if (!this.elements.turnTimer) return;
+
+        const deadline = this.state.turnDeadline;
+        this.elements.turnTimer.textContent = deadline === null ? '' : `${ Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) }s`;
+    }
+
     /**
      * Render card counts
      */
@@ -435,7 +555,7 @@ class GameUI {
         }
 
         // Create buttons for each category
-        for (const category in this.state.playerCard.stats) {
+        for (const category of PoliticalCard.readCategories(this.state.playerCard)) {
             const button = document.createElement('button');
             button.textContent = this.formatCategoryName(category);
             button.dataset.category = category;
@@ -456,9 +576,23 @@ class GameUI {
      * @returns {String} - Formatted category name
      */
     formatCategoryName(category) {
+        if (this.categories[category]) {
+            return this.categories[category].label;
+        }
         return category.charAt(0).toUpperCase() + category.slice(1).replace(/_/g, ' ');
     }
 
+    /**
+     * Format a category value with its unit
+     * @param {String} category - Category name
+     * @param {*} value - Category value
+     * @returns {String} - Formatted value
+     */
+    formatCategoryValue(category, value) {
+        const unit = this.categories[category] ? this.categories[category].unit : '';
+        return unit ? `${ value } ${ unit }` : `${ value }`;
+    }
+
     /**
      * Handle category button click
      * @param {String} category - Selected category
@@ -483,7 +617,10 @@ class GameUI {
      * @returns {String} - Card HTML
      */
     generateCardHTML(card, owner) {
-        let html = `<div class="card-content">
+        const quote = card.description || card.quote;
+        const rarity = card.rarity ? ` rarity-${ card.rarity }` : '';
+
+        let html = `<div class="card-content${ rarity }">
             <div class="card-header">
                 <h3>${ card.name }</h3>
             </div>
@@ -491,18 +628,19 @@ class GameUI {
                 <img src="${ card.image || 'images/placeholder.jpg' }" alt="${ card.name }">
             </div>`;
 
-        if (card.description) {
-            html += `<div class="card-quote">"${ card.description }"</div>`;
+        if (quote) {
+            html += `<div class="card-quote">"${ quote }"</div>`;
         }
 
         html += '<ul class="card-stats">';
 
         // Add stats
-        for (const [category, value] of Object.entries(card.stats)) {
+        for (const category of PoliticalCard.readCategories(card)) {
+            const value = PoliticalCard.readStat(card, category);
             const isHighlighted = category === this.state.currentCategory ? 'highlighted' : '';
             const isClickable = owner === 'player' && this.state.isPlayerTurn ? 'clickable' : '';
 
-            html += `<li class="category ${ isHighlighted } ${ isClickable }" data-category="${ category }">${ this.formatCategoryName(category) }: <span>${ value }</span></li>`;
+            html += `<li class="category ${ isHighlighted } ${ isClickable }" data-category="${ category }">${ this.formatCategoryName(category) }: <span>${ this.formatCategoryValue(category, value) }</span></li>`;
         }
 
         html += `</ul></div>`;
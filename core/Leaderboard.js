@@ -0,0 +1,293 @@
+/**
+ * Leaderboard.js - Standings and card statistics of finished online games
+ *
+ * Results are added up per bucket: one bucket per season (calendar month),
+ * deck pack and mode (ranked or casual). A query merges the buckets its
+ * filters select, so any combination of filters is answered without keeping
+ * the games themselves. Like PlayerStore, the leaderboard does no I/O:
+ *
+ *   {
+ *       version,
+ *       buckets: [{ season, deckId, mode,
+ *                   players: { accountId: { wins, losses, draws, roundsPlayed, roundsWon } },
+ *                   cards: { cardId: { played, won, categories: { key: { played, won } } } } }]
+ *   }
+ *
+ * Only seats with an account are ranked; cards count for every seat.
+ */
+class Leaderboard {
+    static VERSION = 1;
+
+    static MODES = {
+        ranked: { label: 'Ranked' },
+        casual: { label: 'Casual' }
+    };
+
+    static DEFAULT_PAGE_SIZE = 20;
+    static MAX_PAGE_SIZE = 100;
+
+    static SEASON_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+    constructor() {
+        this.buckets = new Map(); // keyed by "season|deckId|mode"
+    }
+
+    /**
+     * Season a date belongs to
+     * @param {Date|String|Number} date - Any value Date accepts, now if omitted
+     * @returns {String} - Season ID, e.g. "2024-05"
+     */
+    static getSeason(date = new Date()) {
+        return new Date(date).toISOString().slice(0, 7);
+    }
+
+    /**
+     * Modes for menus
+     * @returns {Array} - [{ id, label }]
+     */
+    static listModes() {
+        return Object.entries(Leaderboard.MODES).map(([id, mode]) => ({ id, ...mode }));
+    }
+
+    /**
+     * Check the filters and paging of a query, e.g. from a URL query string
+     * @param {Object} query - { season, deckId, mode, page, pageSize }, all optional
+     * @returns {Object} - { season, deckId, mode, page, pageSize }; unset filters are null
+     */
+    static parseQuery(query = {}) {
+        const season = query.season || null;
+        if (season !== null && !Leaderboard.SEASON_PATTERN.test(season)) {
+            throw new Error(`Unknown season "${ season }"`);
+        }
+
+        const mode = query.mode || null;
+        if (mode !== null && !Leaderboard.MODES[mode]) {
+            throw new Error(`Unknown mode "${ mode }"`);
+        }
+
+        const page = Leaderboard.parsePositive(query.page, 1, 'page');
+        const pageSize = Leaderboard.parsePositive(query.pageSize, Leaderboard.DEFAULT_PAGE_SIZE, 'pageSize');
+        if (pageSize > Leaderboard.MAX_PAGE_SIZE) {
+            throw new Error(`pageSize is at most ${ Leaderboard.MAX_PAGE_SIZE }`);
+        }
+
+        return { season, deckId: query.deckId || null, mode, page, pageSize };
+    }
+
+    /**
+     * Parse a whole number of at least 1
+     * @param {*} value - Raw value
+     * @param {Number} fallback - Value when none is given
+     * @param {String} name - Name for the error message
+     * @returns {Number} - Parsed number
+     */
+    static parsePositive(value, fallback, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new Error(`${ name } must be a whole number of at least 1`);
+        }
+        return number;
+    }
+
+    /**
+     * Add a finished game
+     * @param {Object} replay - Replay of the game (see core/ReplayRecorder.js)
+     * @param {Object} options - { accountIds, mode }; accountIds holds one account ID or null per seat
+     */
+    recordGame(replay, options = {}) {
+        const mode = options.mode || 'casual';
+        if (!Leaderboard.MODES[mode]) {
+            throw new Error(`Unknown mode "${ mode }"`);
+        }
+
+        const accountIds = options.accountIds || [];
+        const bucket = this.getBucket(Leaderboard.getSeason(replay.finishedAt || Date.now()), replay.deckId || null, mode);
+        const winnerSeat = replay.result ? replay.result.winnerSeat : null;
+
+        accountIds.forEach((id, seat) => {
+            if (!id) return;
+
+            const stats = bucket.players[id] || (bucket.players[id] = { wins: 0, losses: 0, draws: 0, roundsPlayed: 0, roundsWon: 0 });
+            if (winnerSeat === null || winnerSeat === undefined) {
+                stats.draws++;
+            } else if (seat === winnerSeat) {
+                stats.wins++;
+            } else {
+                stats.losses++;
+            }
+        });
+
+        replay.rounds.forEach(round => {
+            // A cancelled round compared nothing
+            if (round.cancelled) return;
+
+            round.plays.forEach(play => {
+                const won = round.winnerSeat === play.seat;
+
+                const id = accountIds[play.seat];
+                if (id) {
+                    bucket.players[id].roundsPlayed++;
+                    if (won) bucket.players[id].roundsWon++;
+                }
+
+                const card = bucket.cards[play.cardId] || (bucket.cards[play.cardId] = { played: 0, won: 0, categories: {} });
+                const category = card.categories[round.category] || (card.categories[round.category] = { played: 0, won: 0 });
+                card.played++;
+                category.played++;
+                if (won) {
+                    card.won++;
+                    category.won++;
+                }
+            });
+        });
+    }
+
+    /**
+     * Ranked players for the selected filters
+     * Players are ordered by wins, then win rate, then fewer games played.
+     * @param {Object} query - Output of parseQuery()
+     * @returns {Object} - { page, pageSize, total, totalPages,
+     *                      players: [{ rank, id, gamesPlayed, wins, losses, draws, winRate, roundsPlayed, roundsWon }] }
+     */
+    getStandings(query = Leaderboard.parseQuery()) {
+        const totals = {};
+        this.selectBuckets(query).forEach(bucket => {
+            Object.entries(bucket.players).forEach(([id, stats]) => {
+                const total = totals[id] || (totals[id] = { wins: 0, losses: 0, draws: 0, roundsPlayed: 0, roundsWon: 0 });
+                Object.keys(total).forEach(key => { total[key] += stats[key]; });
+            });
+        });
+
+        const players = Object.entries(totals).map(([id, total]) => {
+            const gamesPlayed = total.wins + total.losses + total.draws;
+            return { id, gamesPlayed, ...total, winRate: Leaderboard.rate(total.wins, gamesPlayed) };
+        });
+
+        players.sort((a, b) => (b.wins - a.wins) || (b.winRate - a.winRate) || (a.gamesPlayed - b.gamesPlayed) || a.id.localeCompare(b.id));
+
+        const start = (query.page - 1) * query.pageSize;
+        return {
+            page: query.page,
+            pageSize: query.pageSize,
+            total: players.length,
+            totalPages: Math.max(1, Math.ceil(players.length / query.pageSize)),
+            players: players.slice(start, start + query.pageSize).map((player, index) => ({ rank: start + index + 1, ...player }))
+        };
+    }
+
+    /**
+     * How often each card won the rounds it was played in, overall and per category
+     * @param {Object} query - Output of parseQuery(); paging is ignored
+     * @returns {Array} - [{ id, played, won, winRate, categories: [{ key, played, won, winRate }] }], most played first
+     */
+    getCardStats(query = Leaderboard.parseQuery()) {
+        const totals = {};
+        this.selectBuckets(query).forEach(bucket => {
+            Object.entries(bucket.cards).forEach(([id, stats]) => {
+                const total = totals[id] || (totals[id] = { played: 0, won: 0, categories: {} });
+                total.played += stats.played;
+                total.won += stats.won;
+
+                Object.entries(stats.categories).forEach(([key, category]) => {
+                    const categoryTotal = total.categories[key] || (total.categories[key] = { played: 0, won: 0 });
+                    categoryTotal.played += category.played;
+                    categoryTotal.won += category.won;
+                });
+            });
+        });
+
+        return Object.entries(totals)
+            .map(([id, total]) => ({
+                id,
+                played: total.played,
+                won: total.won,
+                winRate: Leaderboard.rate(total.won, total.played),
+                categories: Object.entries(total.categories)
+                    .map(([key, category]) => ({ key, ...category, winRate: Leaderboard.rate(category.won, category.played) }))
+                    .sort((a, b) => (b.played - a.played) || a.key.localeCompare(b.key))
+            }))
+            .sort((a, b) => (b.played - a.played) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Seasons with results
+     * @returns {Array} - Season IDs, newest first
+     */
+    listSeasons() {
+        return Array.from(new Set(Array.from(this.buckets.values()).map(bucket => bucket.season))).sort().reverse();
+    }
+
+    /**
+     * Buckets matching the filters of a query
+     * @param {Object} query - { season, deckId, mode }, null matches everything
+     * @returns {Array} - Buckets
+     */
+    selectBuckets(query) {
+        return Array.from(this.buckets.values()).filter(bucket =>
+            (!query.season || bucket.season === query.season) &&
+            (!query.deckId || bucket.deckId === query.deckId) &&
+            (!query.mode || bucket.mode === query.mode));
+    }
+
+    /**
+     * Get a bucket, creating it when it is empty
+     * @param {String} season - Season ID
+     * @param {String|null} deckId - Deck pack ID
+     * @param {String} mode - Mode ID
+     * @returns {Object} - Bucket
+     */
+    getBucket(season, deckId, mode) {
+        const key = `${ season }|${ deckId }|${ mode }`;
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, { season, deckId, mode, players: {}, cards: {} });
+        }
+        return this.buckets.get(key);
+    }
+
+    /**
+     * Share of wins, rounded to three decimals
+     * @param {Number} won - Wins
+     * @param {Number} played - Games or rounds
+     * @returns {Number} - Rate between 0 and 1, 0 when nothing was played
+     */
+    static rate(won, played) {
+        return played > 0 ? Math.round((won / played) * 1000) / 1000 : 0;
+    }
+
+    /**
+     * Plain JSON for the leaderboard file
+     * @returns {Object} - { version, buckets }
+     */
+    toJSON() {
+        return {
+            version: Leaderboard.VERSION,
+            buckets: Array.from(this.buckets.values())
+        };
+    }
+
+    /**
+     * Load a leaderboard from its file
+     * @param {Object} data - Output of toJSON()
+     * @returns {Leaderboard} - Leaderboard
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.buckets)) {
+            throw new Error('Not a leaderboard: buckets are missing');
+        }
+        if (data.version !== Leaderboard.VERSION) {
+            throw new Error(`Unsupported leaderboard version ${ data.version }`);
+        }
+
+        const leaderboard = new Leaderboard();
+        data.buckets.forEach(entry => {
+            const bucket = leaderboard.getBucket(entry.season, entry.deckId, entry.mode);
+            bucket.players = entry.players || {};
+            bucket.cards = entry.cards || {};
+        });
+        return leaderboard;
+    }
+}
+
+export default Leaderboard;
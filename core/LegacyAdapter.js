@@ -1,7 +1,7 @@
 /**
  * LegacyAdapter.js - Adapts the original simplified code to work with the framework
  */
-import Card from './Card.js';
+import PoliticalCard from './PoliticalCard.js';
 import Deck from './Deck.js';
 import Player from './Player.js';
 import GameState from './GameState.js';
@@ -33,14 +33,14 @@ export class LegacyPlayerAdapter {
     /**
      * Convert an original card to a framework card
      * @param {Object} originalCard - Original card instance
-     * @return {Card} - Framework card instance
+     * @return {PoliticalCard} - Framework card instance
      */
     convertCard(originalCard) {
-        return new Card({
+        return new PoliticalCard({
             name: originalCard.name,
-            description: originalCard.quote || '',
+            quote: originalCard.quote || '',
             image: originalCard.image || '',
-            metadata: { attributes: originalCard.attributes || {} }
+            stats: originalCard.attributes || {}
         });
     }
 
@@ -113,14 +113,14 @@ export class LegacyGameStateAdapter {
     /**
      * Convert an original card to a framework card
      * @param {Object} originalCard - Original card instance
-     * @return {Card} - Framework card instance
+     * @return {PoliticalCard} - Framework card instance
      */
     convertCard(originalCard) {
-        return new Card({
+        return new PoliticalCard({
             name: originalCard.name,
-            description: originalCard.quote || '',
+            quote: originalCard.quote || '',
             image: originalCard.image || '',
-            metadata: { attributes: originalCard.attributes || {} }
+            stats: originalCard.attributes || {}
         });
     }
 
@@ -242,7 +242,6 @@ export class LegacyTurnManagerAdapter {
      * @return {number} - Attribute value
      */
     getCardAttributeValue(card, attribute) {
-        if (!card || !card.metadata || !card.metadata.attributes) return 0;
-        return card.metadata.attributes[attribute] || 0;
+        return PoliticalCard.readStat(card, attribute) || 0;
     }
 }
\ No newline at end of file
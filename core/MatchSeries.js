@@ -0,0 +1,233 @@
+/**
+ * MatchSeries.js - A best-of-N series between the same two players
+ *
+ * The series keeps a Player per seat and records every finished game on
+ * them (Player.recordWin() / recordLoss() / recordDraw()), so its
+ * scoreboard survives from one game to the next. Seats stay the same for
+ * the whole series; the seat that chooses the first category alternates.
+ *
+ * Between games both players have to ask for the next game (or, once the
+ * series is decided, for a rematch) before it is dealt:
+ *
+ *   series.requestRematch(0);   // false: waiting for seat 1
+ *   series.requestRematch(1);   // true: deal the next game
+ */
+import Player from './Player.js';
+
+class MatchSeries {
+    static LENGTHS = [1, 3, 5, 7];
+
+    /**
+     * Create a series
+     * @param {Object} options - { id, bestOf, players: [{ id, name }, { id, name }] }
+     */
+    constructor(options = {}) {
+        const bestOf = options.bestOf === undefined ? 1 : options.bestOf;
+
+        if (!MatchSeries.LENGTHS.includes(bestOf)) {
+            throw new Error(`A series is best of ${ MatchSeries.LENGTHS.join(', ') } games, not "${ bestOf }"`);
+        }
+        if (!Array.isArray(options.players) || options.players.length !== 2) {
+            throw new Error('A series is played by exactly two players');
+        }
+
+        this.id = options.id || `series-${ Date.now() }`;
+        this.bestOf = bestOf;
+        this.players = options.players.map(player => new Player({ id: player.id, name: player.name }));
+        this.games = []; // [{ number, gameId, startingSeat, winnerSeat }]
+        this.firstChooser = null; // seat that chose first in game 1
+        this.rematchRequests = [false, false];
+    }
+
+    /**
+     * Series lengths for menus
+     * @returns {Array} - [{ bestOf, label }]
+     */
+    static listLengths() {
+        return MatchSeries.LENGTHS.map(bestOf => ({ bestOf, label: bestOf === 1 ? 'Single game' : `Best of ${ bestOf }` }));
+    }
+
+    /**
+     * Games a player has to win to take the series
+     * @returns {Number} - Wins needed
+     */
+    get winsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    /**
+     * Number of finished games
+     * @returns {Number} - Games played
+     */
+    get gamesPlayed() {
+        return this.games.length;
+    }
+
+    /**
+     * Games won per seat
+     * @returns {Array} - [wins of seat 0, wins of seat 1]
+     */
+    get wins() {
+        return this.players.map(player => player.getStats().wins);
+    }
+
+    /**
+     * Check if the series is decided
+     * A player reaching the wins needed takes it; otherwise it ends after
+     * bestOf games, drawn games included.
+     * @returns {Boolean} - True if no more games are played
+     */
+    isOver() {
+        return this.wins.some(wins => wins >= this.winsNeeded) || this.gamesPlayed >= this.bestOf;
+    }
+
+    /**
+     * Winner of a finished series
+     * @returns {Number|null} - Seat with more wins, null while running or if level
+     */
+    getWinnerSeat() {
+        if (!this.isOver()) return null;
+
+        const [first, second] = this.wins;
+        if (first === second) return null;
+        return first > second ? 0 : 1;
+    }
+
+    /**
+     * Seat that chooses first in the next game
+     * @returns {Number|null} - Seat, null for the first game (the deal decides)
+     */
+    getStartingSeat() {
+        if (this.firstChooser === null) return null;
+        return (this.firstChooser + this.gamesPlayed) % 2;
+    }
+
+    /**
+     * Remember who chose first, once a game has been dealt
+     * @param {Number} seat - Seat that chooses first
+     */
+    recordStart(seat) {
+        if (this.firstChooser === null) {
+            this.firstChooser = this.gamesPlayed % 2 === 0 ? seat : 1 - seat;
+        }
+    }
+
+    /**
+     * Record a finished game on both players
+     * @param {String} gameId - Game ID
+     * @param {Number|null} winnerSeat - Winning seat, null for a draw
+     * @param {Number} startingSeat - Seat that chose first (optional)
+     */
+    recordGame(gameId, winnerSeat, startingSeat = null) {
+        if (this.isOver()) {
+            throw new Error(`Series ${ this.id } is already over`);
+        }
+
+        this.players.forEach((player, seat) => {
+            if (winnerSeat === null || winnerSeat === undefined) {
+                player.recordDraw();
+            } else if (seat === winnerSeat) {
+                player.recordWin();
+            } else {
+                player.recordLoss();
+            }
+        });
+
+        this.games.push({
+            number: this.games.length + 1,
+            gameId,
+            startingSeat,
+            winnerSeat: winnerSeat === undefined ? null : winnerSeat
+        });
+        this.rematchRequests = [false, false];
+    }
+
+    /**
+     * Ask for the next game of the series, or a rematch once it is over
+     * @param {Number} seat - Asking seat
+     * @returns {Boolean} - True once both seats have asked; the requests are then cleared
+     */
+    requestRematch(seat) {
+        if (seat !== 0 && seat !== 1) {
+            throw new Error(`Seat ${ seat } is not part of series ${ this.id }`);
+        }
+
+        this.rematchRequests[seat] = true;
+        if (!this.rematchRequests.every(Boolean)) return false;
+
+        this.rematchRequests = [false, false];
+        return true;
+    }
+
+    /**
+     * Start a new series between the same players, for a rematch
+     * @param {String} id - ID of the new series
+     * @returns {MatchSeries} - Series of the same length; the first chooser keeps alternating
+     */
+    createRematch(id) {
+        const rematch = new MatchSeries({
+            id,
+            bestOf: this.bestOf,
+            players: this.players.map(player => ({ id: player.id, name: player.name }))
+        });
+
+        if (this.firstChooser !== null) {
+            rematch.firstChooser = (this.firstChooser + this.gamesPlayed) % 2;
+        }
+        return rematch;
+    }
+
+    /**
+     * Scoreboard for the game-over screen
+     * @returns {Object} - { id, bestOf, winsNeeded, gamesPlayed, players: [{ name, wins, losses, draws }],
+     *                      games, over, winnerSeat, nextStartingSeat, rematchRequests }
+     */
+    getScoreboard() {
+        return {
+            id: this.id,
+            bestOf: this.bestOf,
+            winsNeeded: this.winsNeeded,
+            gamesPlayed: this.gamesPlayed,
+            players: this.players.map(player => {
+                const { wins, losses, draws } = player.getStats();
+                return { name: player.name, wins, losses, draws };
+            }),
+            games: this.games.map(game => ({ ...game })),
+            over: this.isOver(),
+            winnerSeat: this.getWinnerSeat(),
+            nextStartingSeat: this.isOver() ? null : this.getStartingSeat(),
+            rematchRequests: [...this.rematchRequests]
+        };
+    }
+
+    /**
+     * Plain JSON, e.g. for a game log
+     * @returns {Object} - { id, bestOf, players: [{ id, name }], games, firstChooser, rematchRequests }
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            bestOf: this.bestOf,
+            players: this.players.map(player => ({ id: player.id, name: player.name })),
+            games: this.games.map(game => ({ ...game })),
+            firstChooser: this.firstChooser,
+            rematchRequests: [...this.rematchRequests]
+        };
+    }
+
+    /**
+     * Rebuild a series; its finished games are recorded again
+     * @param {Object} data - Output of toJSON()
+     * @returns {MatchSeries} - Series
+     */
+    static fromJSON(data) {
+        const matchSeries = new MatchSeries({ id: data.id, bestOf: data.bestOf, players: data.players });
+
+        (data.games || []).forEach(game => matchSeries.recordGame(game.gameId, game.winnerSeat, game.startingSeat));
+        matchSeries.firstChooser = data.firstChooser === undefined ? null : data.firstChooser;
+        matchSeries.rematchRequests = data.rematchRequests ? [...data.rematchRequests] : [false, false];
+        return matchSeries;
+    }
+}
+
+export default MatchSeries;
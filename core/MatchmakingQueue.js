@@ -0,0 +1,216 @@
+/**
+ * MatchmakingQueue.js - Players waiting for a two-player game
+ *
+ * Entries are only paired with entries of the same key (deck pack, rules,
+ * series length, turn time, seed). A casual queue pairs them first come, first served.
+ * A ranked queue also compares ratings: each entry accepts opponents within
+ * a rating window that starts at INITIAL_WINDOW and widens by WIDEN_BY every
+ * WIDEN_EVERY_MS it waits, up to MAX_WINDOW. Two entries are paired once the
+ * difference of their ratings fits the window of the one waiting longer.
+ *
+ *   const queue = new MatchmakingQueue({ ranked: true });
+ *   queue.add({ id, key, rating });
+ *   queue.findMatches();   // [[entryA, entryB], ...], removed from the queue
+ */
+class MatchmakingQueue {
+    static QUEUES = {
+        casual: { label: 'Casual', description: 'First come, first served; ratings do not change.' },
+        ranked: { label: 'Ranked', description: 'Opponents of a similar rating; the result moves your rating.' }
+    };
+
+    static INITIAL_WINDOW = 100;
+    static WIDEN_BY = 50;
+    static WIDEN_EVERY_MS = 5000;
+    static MAX_WINDOW = 1000;
+
+    // Waits of this many recent matches estimate how long the next one takes
+    static WAIT_HISTORY = 20;
+
+    /**
+     * @param {Object} options - { ranked, initialWindow, widenBy, widenEveryMs, maxWindow, now }, all optional
+     */
+    constructor(options = {}) {
+        this.ranked = Boolean(options.ranked);
+        this.initialWindow = options.initialWindow || MatchmakingQueue.INITIAL_WINDOW;
+        this.widenBy = options.widenBy || MatchmakingQueue.WIDEN_BY;
+        this.widenEveryMs = options.widenEveryMs || MatchmakingQueue.WIDEN_EVERY_MS;
+        this.maxWindow = options.maxWindow || MatchmakingQueue.MAX_WINDOW;
+        this.now = options.now || (() => Date.now());
+        this.entries = []; // [{ id, key, rating, joinedAt }], oldest first
+        this.recentWaits = [];
+    }
+
+    /**
+     * Queues for menus
+     * @returns {Array} - [{ id, label, description }]
+     */
+    static listQueues() {
+        return Object.entries(MatchmakingQueue.QUEUES).map(([id, queue]) => ({ id, ...queue }));
+    }
+
+    /**
+     * Number of waiting entries
+     * @returns {Number} - Queue length
+     */
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Put a player in the queue, or refresh their entry
+     * @param {Object} entry - { id, key, rating }; rating is only used by a ranked queue
+     * @returns {Object} - The queued entry
+     */
+    add(entry) {
+        this.remove(entry.id);
+
+        const queued = { id: entry.id, key: entry.key || '', rating: entry.rating, joinedAt: this.now() };
+        if (this.ranked && !Number.isFinite(queued.rating)) {
+            throw new Error(`Ranked queue entry ${ entry.id } has no rating`);
+        }
+
+        this.entries.push(queued);
+        return queued;
+    }
+
+    /**
+     * Replace the waiting entries, e.g. with those of a queue several servers share
+     * Entries keep their joinedAt and any fields of their own, and are served oldest first.
+     * @param {Array} entries - [{ id, key, rating, joinedAt, ... }]
+     */
+    load(entries) {
+        this.entries = entries
+            .map(entry => ({ ...entry, key: entry.key || '' }))
+            .sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    /**
+     * Take a player out of the queue
+     * @param {String} id - Entry ID
+     * @returns {Boolean} - True if the player was queued
+     */
+    remove(id) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Check if a player is queued
+     * @param {String} id - Entry ID
+     * @returns {Boolean} - True if queued
+     */
+    has(id) {
+        return this.entries.some(entry => entry.id === id);
+    }
+
+    /**
+     * Drop every entry a test rejects, e.g. players who have left
+     * @param {Function} isValid - (entry) => Boolean
+     */
+    prune(isValid) {
+        this.entries = this.entries.filter(entry => isValid(entry));
+    }
+
+    /**
+     * Rating difference an entry accepts at the moment
+     * @param {Object} entry - Queued entry
+     * @returns {Number} - Window, Infinity in a casual queue
+     */
+    getWindow(entry) {
+        if (!this.ranked) return Infinity;
+
+        const steps = Math.floor((this.now() - entry.joinedAt) / this.widenEveryMs);
+        return Math.min(this.maxWindow, this.initialWindow + steps * this.widenBy);
+    }
+
+    /**
+     * Check if two entries may play each other now
+     * @param {Object} older - Entry that joined first
+     * @param {Object} newer - Entry that joined later
+     * @returns {Boolean} - True if they can be paired
+     */
+    canPair(older, newer) {
+        if (older.key !== newer.key) return false;
+        return !this.ranked || Math.abs(older.rating - newer.rating) <= this.getWindow(older);
+    }
+
+    /**
+     * Pair every entry that can be paired and remove the pairs from the queue
+     * The longest waiting entries are served first, each with the closest
+     * rated opponent its window allows.
+     * @returns {Array} - [[older, newer], ...]
+     */
+    findMatches() {
+        const matches = [];
+        let i = 0;
+
+        while (i < this.entries.length) {
+            const entry = this.entries[i];
+            const candidates = this.entries.filter((other, index) => index > i && this.canPair(entry, other));
+
+            if (candidates.length === 0) {
+                i++;
+                continue;
+            }
+
+            const partner = this.ranked
+                ? candidates.reduce((best, other) => (Math.abs(other.rating - entry.rating) < Math.abs(best.rating - entry.rating) ? other : best))
+                : candidates[0];
+
+            this.remove(entry.id);
+            this.remove(partner.id);
+            this.recordWait(entry);
+            this.recordWait(partner);
+            matches.push([entry, partner]);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Where a player stands in the queue
+     * @param {String} id - Entry ID
+     * @returns {Object|null} - { ranked, position, size, waitedMs, ratingWindow, etaMs }; position counts
+     *                          entries with the same key only, etaMs is null until matches have been made
+     */
+    getStatus(id) {
+        const entry = this.entries.find(queued => queued.id === id);
+        if (!entry) return null;
+
+        const sameKey = this.entries.filter(queued => queued.key === entry.key);
+        const waitedMs = this.now() - entry.joinedAt;
+        const averageWait = this.getAverageWait();
+
+        return {
+            ranked: this.ranked,
+            position: sameKey.indexOf(entry) + 1,
+            size: sameKey.length,
+            waitedMs,
+            ratingWindow: this.ranked ? this.getWindow(entry) : null,
+            etaMs: averageWait === null ? null : Math.max(0, averageWait - waitedMs)
+        };
+    }
+
+    /**
+     * Average wait of the recent matches
+     * @returns {Number|null} - Milliseconds, null before the first match
+     */
+    getAverageWait() {
+        if (this.recentWaits.length === 0) return null;
+        return Math.round(this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length);
+    }
+
+    /**
+     * Remember how long a matched entry waited
+     * @param {Object} entry - Matched entry
+     */
+    recordWait(entry) {
+        this.recentWaits.push(this.now() - entry.joinedAt);
+        this.recentWaits.splice(0, Math.max(0, this.recentWaits.length - MatchmakingQueue.WAIT_HISTORY));
+    }
+}
+
+export default MatchmakingQueue;
@@ -0,0 +1,132 @@
+/**
+ * MemoryGameStore.js - Games, sessions and matchmaking queues shared by server processes
+ *
+ * The store is what several server processes need to agree on: which
+ * process runs a game, which game a session token holds a seat in and who
+ * waits in a matchmaking queue. Everything else about a game (engine,
+ * timers, replay) stays in the process that runs it.
+ *
+ *   games:    { id, node, state, maxPlayers, playerTokens, updatedAt }
+ *   sessions: { token, gameId }
+ *   queues:   { id, key, rating, joinedAt, node, gameId, token, name } per queue name
+ *
+ * This store keeps them in memory, which is enough for a single process.
+ * core/RedisGameStore.js has the same methods on top of Redis, for several
+ * processes behind one socket.io adapter. Every method is asynchronous and
+ * returns copies, so callers never change what is stored by accident.
+ */
+class MemoryGameStore {
+    constructor() {
+        this.games = new Map(); // keyed by game ID
+        this.sessions = new Map(); // keyed by session token
+        this.queues = new Map(); // queue name -> Map of entries keyed by player ID
+    }
+
+    /**
+     * Save a game record, replacing any earlier one
+     * @param {Object} record - { id, node, state, ... }
+     */
+    async saveGame(record) {
+        this.games.set(record.id, MemoryGameStore.copy(record));
+    }
+
+    /**
+     * Get a game record
+     * @param {String} gameId - Game ID
+     * @returns {Promise<Object|null>} - Record, null if there is none
+     */
+    async getGame(gameId) {
+        return this.games.has(gameId) ? MemoryGameStore.copy(this.games.get(gameId)) : null;
+    }
+
+    /**
+     * Delete a game record
+     * @param {String} gameId - Game ID
+     * @returns {Promise<Boolean>} - True if there was one
+     */
+    async deleteGame(gameId) {
+        return this.games.delete(gameId);
+    }
+
+    /**
+     * Every game record
+     * @returns {Promise<Array>} - Records
+     */
+    async listGames() {
+        return Array.from(this.games.values(), MemoryGameStore.copy);
+    }
+
+    /**
+     * Save a session, replacing any earlier one
+     * @param {Object} session - { token, gameId }
+     */
+    async saveSession(session) {
+        this.sessions.set(session.token, MemoryGameStore.copy(session));
+    }
+
+    /**
+     * Get a session
+     * @param {String} token - Session token
+     * @returns {Promise<Object|null>} - Session, null if there is none
+     */
+    async getSession(token) {
+        return this.sessions.has(token) ? MemoryGameStore.copy(this.sessions.get(token)) : null;
+    }
+
+    /**
+     * Delete a session
+     * @param {String} token - Session token
+     * @returns {Promise<Boolean>} - True if there was one
+     */
+    async deleteSession(token) {
+        return this.sessions.delete(token);
+    }
+
+    /**
+     * Put an entry in a queue, replacing the player's earlier entry
+     * @param {String} queueName - Queue name
+     * @param {Object} entry - { id, joinedAt, ... }
+     */
+    async enqueue(queueName, entry) {
+        if (!this.queues.has(queueName)) {
+            this.queues.set(queueName, new Map());
+        }
+        this.queues.get(queueName).set(entry.id, MemoryGameStore.copy(entry));
+    }
+
+    /**
+     * Take a player out of a queue
+     * Only one caller gets true for the same entry, which is how a process
+     * claims a player it wants to match.
+     * @param {String} queueName - Queue name
+     * @param {String} id - Player ID of the entry
+     * @returns {Promise<Boolean>} - True if the entry was still queued
+     */
+    async dequeue(queueName, id) {
+        const queue = this.queues.get(queueName);
+        return Boolean(queue) && queue.delete(id);
+    }
+
+    /**
+     * Every entry of a queue
+     * @param {String} queueName - Queue name
+     * @returns {Promise<Array>} - Entries, oldest first
+     */
+    async getQueue(queueName) {
+        const queue = this.queues.get(queueName);
+        if (!queue) return [];
+
+        return Array.from(queue.values(), MemoryGameStore.copy).sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    /**
+     * Copy a stored value the way serializing it would
+     * @param {Object} value - Plain data
+     * @returns {Object} - Copy
+     */
+    static copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+export default MemoryGameStore;
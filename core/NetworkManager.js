@@ -1,6 +1,10 @@
 /**
  * NetworkManager.js - Handles all network communication for the Political Quartett game
  */
+import Protocol from './Protocol.js';
+
+const { CLIENT, SERVER } = Protocol;
+
 class NetworkManager {
     constructor(eventEmitter) {
         this.socket = null;
@@ -8,9 +12,15 @@ class NetworkManager {
         this.playerId = null;
         this.gameId = null;
         this.username = null;
+        this.accountId = null;
+        this.profile = null; // public profile of our account, see core/PlayerStore.js
         this.inviteCode = null;
         this.inLobby = false;
+        this.spectatingGameId = null;
         this.reconnecting = false;
+        this.roundsPlayed = 0;
+        this.moveCounter = 0;
+        this.playerToken = this.loadPlayerToken();
         this.eventEmitter = eventEmitter;
 
         const protocol = window.location.protocol;
@@ -28,7 +38,9 @@ class NetworkManager {
                 console.log(`Connecting to server at ${ this.serverUrl }`);
                 this.socket = io(this.serverUrl, {
                     reconnectionAttempts: 3,
-                    timeout: 10000
+                    timeout: 10000,
+                    // Evaluated on every (re)connect so a refreshed token is always sent
+                    auth: (callback) => callback({ playerToken: this.playerToken, protocolVersion: Protocol.VERSION })
                 });
 
                 this.setupSocketListeners(resolve, reject);
@@ -53,7 +65,6 @@ class NetworkManager {
             console.log('Connected to server');
             this.connected = true;
             this.playerId = this.socket.id;
-            this.setUsername(`Player-${ this.playerId.slice(0, 5) }`);
 
             if (this.reconnecting && this.gameId) {
                 this.rejoinGame(this.gameId);
@@ -67,6 +78,12 @@ class NetworkManager {
         this.socket.on('connect_error', (error) => {
             console.error('Connection error:', error);
             this.connected = false;
+
+            // The server runs another version of the game; reloading the page fetches it
+            if (error.data && error.data.code === 'PROTOCOL_MISMATCH') {
+                this.emitEvent('protocolMismatch', error.data);
+            }
+
             rejectConnection(error);
         });
 
@@ -87,6 +104,27 @@ class NetworkManager {
             this.emitEvent('networkReconnected');
         });
 
+        // The server hands out a persistent token that identifies our seat across reconnects
+        this.socket.on(SERVER.SESSION, (data) => {
+            this.savePlayerToken(data.playerToken);
+
+            // Players without an account yet go by the server's default name
+            this.accountId = data.accountId || null;
+            this.profile = data.profile || null;
+            this.username = this.profile ? this.profile.name : `Player-${ this.socket.id.slice(0, 5) }`;
+
+            if (data.activeGameId && data.activeGameId !== this.gameId) {
+                this.gameId = data.activeGameId;
+                this.rejoinGame(data.activeGameId);
+            }
+        });
+
+        this.socket.on(SERVER.PROFILE_UPDATED, (data) => {
+            this.profile = data.profile;
+            this.accountId = data.profile.id;
+            this.emitEvent('profileUpdated', data.profile);
+        });
+
         // Game creation and matchmaking events
         this.setupGameEvents();
 
@@ -96,8 +134,14 @@ class NetworkManager {
         // Game state events
         this.setupGameStateEvents();
 
+        // Spectator events
+        this.setupSpectatorEvents();
+
+        // Chat events
+        this.setupChatEvents();
+
         // Error handling
-        this.socket.on('error', (data) => {
+        this.socket.on(SERVER.ERROR, (data) => {
             console.error('Server error:', data.message);
             this.emitEvent('networkError', data);
         });
@@ -107,21 +151,29 @@ class NetworkManager {
      * Set up game creation and matchmaking events
      */
     setupGameEvents() {
-        this.socket.on('game_created', (data) => {
+        this.socket.on(SERVER.GAME_CREATED, (data) => {
             this.gameId = data.gameId;
             this.inviteCode = data.inviteCode;
             this.emitEvent('gameCreated', data);
         });
 
-        this.socket.on('player_joined', (data) => {
+        this.socket.on(SERVER.PLAYER_JOINED, (data) => {
             this.emitEvent('playerJoined', data);
         });
 
-        this.socket.on('players_count', (data) => {
-            this.emitEvent('playersCount', { count: data.count });
+        this.socket.on(SERVER.WAITING_FOR_PLAYERS, (data) => {
+            this.emitEvent('waitingForPlayers', data);
         });
 
-        this.socket.on('game_started', (data) => {
+        this.socket.on(SERVER.QUEUE_STATUS, (data) => {
+            this.emitEvent('queueStatus', data);
+        });
+
+        this.socket.on(SERVER.RATING_UPDATED, (data) => {
+            this.emitEvent('ratingUpdated', data);
+        });
+
+        this.socket.on(SERVER.GAME_STARTED, (data) => {
             this.inLobby = false;
             this.gameId = data.gameId;
             this.emitEvent('gameStarted', data);
@@ -132,28 +184,36 @@ class NetworkManager {
      * Set up lobby system events
      */
     setupLobbyEvents() {
-        this.socket.on('lobby_list', (data) => {
+        this.socket.on(SERVER.LOBBY_LIST, (data) => {
             const lobbies = data?.lobbies || [];
             this.emitEvent('lobbyList', { lobbies });
         });
 
-        this.socket.on('lobby_created', (data) => {
+        this.socket.on(SERVER.LOBBY_CREATED, (data) => {
             this.gameId = data.gameId;
             this.inviteCode = data.inviteCode;
             this.inLobby = true;
             this.emitEvent('lobbyCreated', data);
         });
 
-        this.socket.on('joined_lobby', (data) => {
+        this.socket.on(SERVER.JOINED_LOBBY, (data) => {
             this.inLobby = true;
             this.inviteCode = data.lobbyId;
             this.gameId = data.gameId;
             this.emitEvent('joinedLobby', data);
         });
 
-        this.socket.on('player_joined_lobby', (data) => {
+        this.socket.on(SERVER.PLAYER_JOINED_LOBBY, (data) => {
             this.emitEvent('playerJoinedLobby', data);
         });
+
+        this.socket.on(SERVER.PLAYER_LEFT_LOBBY, (data) => {
+            this.emitEvent('playerLeftLobby', data);
+        });
+
+        this.socket.on(SERVER.LOBBY_UPDATED, (data) => {
+            this.emitEvent('lobbyUpdated', data);
+        });
     }
 
     /**
@@ -161,24 +221,137 @@ class NetworkManager {
      */
     setupGameStateEvents() {
         // Using a single game state event to sync game state
-        this.socket.on('game_state', (data) => {
+        this.socket.on(SERVER.GAME_STATE, (data) => {
+            this.trackRound(data.gameState);
             this.emitEvent('gameState', data);
         });
 
-        this.socket.on('next_cards', (data) => {
+        // Keep the round counter current so our moves are never taken for stale ones
+        this.socket.on(SERVER.ROUND_PLAYED, (data) => {
+            this.trackRound(data);
+        });
+
+        this.socket.on(SERVER.MOVE_REJECTED, (data) => {
+            console.warn(`Move ${ data.moveType } rejected: ${ data.reason }`);
+            this.emitEvent('moveRejected', data);
+        });
+
+        this.socket.on(SERVER.NEXT_CARDS, (data) => {
             this.emitEvent('nextCards', data);
         });
 
-        this.socket.on('reconnect_state', (data) => {
+        // The server chose for a seat that ran out of time, or took it out for doing so too often
+        this.socket.on(SERVER.TURN_TIMEOUT, (data) => {
+            this.emitEvent('turnTimeout', data);
+        });
+
+        this.socket.on(SERVER.PLAYER_FORFEITED, (data) => {
+            this.emitEvent('playerForfeited', data);
+        });
+
+        this.socket.on(SERVER.RECONNECT_STATE, (data) => {
             this.gameId = data.gameId;
+            this.trackRound(data.gameState);
             this.emitEvent('reconnectState', data);
+
+            // Messages sent while we were away are part of the state
+            this.emitEvent('chatHistory', { gameId: data.gameId, messages: data.chat || [] });
         });
 
         // We specifically handle opponent moves separately from general game state
         // to allow for animations and UX
-        this.socket.on('opponent_move', (data) => {
+        this.socket.on(SERVER.OPPONENT_MOVE, (data) => {
             this.emitEvent('opponentMove', data);
         });
+
+        this.socket.on(SERVER.OPPONENT_DISCONNECTED, (data) => {
+            this.emitEvent('opponentDisconnected', data);
+        });
+
+        this.socket.on(SERVER.OPPONENT_RECONNECTED, (data) => {
+            this.emitEvent('opponentReconnected', data);
+        });
+
+        // Eliminated players stay in the game as spectators
+        this.socket.on(SERVER.PLAYER_ELIMINATED, (data) => {
+            this.emitEvent('playerEliminated', data);
+        });
+
+        this.socket.on(SERVER.PLAYER_LEFT_GAME, (data) => {
+            this.emitEvent('playerLeftGame', data);
+        });
+    }
+
+    /**
+     * Set up events of watching other players' games
+     */
+    setupSpectatorEvents() {
+        this.socket.on(SERVER.LIVE_GAMES, (data) => {
+            this.emitEvent('liveGames', data);
+        });
+
+        this.socket.on(SERVER.SPECTATE_STARTED, (data) => {
+            this.spectatingGameId = data.gameId;
+            this.emitEvent('spectateStarted', data);
+        });
+
+        // Neutral views: no hands, cards only once they are played
+        this.socket.on(SERVER.SPECTATOR_STATE, (data) => {
+            this.emitEvent('spectatorState', data);
+        });
+
+        this.socket.on(SERVER.SPECTATOR_ROUND, (data) => {
+            this.emitEvent('spectatorRound', data);
+        });
+
+        this.socket.on(SERVER.SPECTATE_ENDED, (data) => {
+            if (this.spectatingGameId === data.gameId) {
+                this.spectatingGameId = null;
+            }
+            this.emitEvent('spectateEnded', data);
+        });
+
+        // Sent to players and spectators alike
+        this.socket.on(SERVER.SPECTATORS_UPDATED, (data) => {
+            this.emitEvent('spectatorsUpdated', data);
+        });
+    }
+
+    /**
+     * Set up chat and emote events
+     */
+    setupChatEvents() {
+        // Messages of muted and blocked players never arrive
+        this.socket.on(SERVER.CHAT_MESSAGE, (data) => {
+            this.emitEvent('chatMessage', data);
+        });
+    }
+
+    /**
+     * Load the persistent player token from storage
+     * @returns {String|null} - Stored token or null
+     */
+    loadPlayerToken() {
+        try {
+            return window.localStorage.getItem('pq_player_token');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the persistent player token
+     * @param {String} token - Token issued by the server
+     */
+    savePlayerToken(token) {
+        if (!token) return;
+
+        this.playerToken = token;
+        try {
+            window.localStorage.setItem('pq_player_token', token);
+        } catch (error) {
+            // Storage may be unavailable (private mode); the token still lives for this page
+        }
     }
 
     /**
@@ -195,19 +368,32 @@ class NetworkManager {
     }
 
     /**
-     * Set username
+     * Set username, which creates our account if there is none yet
      * @param {String} username - Username to set
+     * @param {String} avatar - Avatar image, e.g. "default_avatar.png" (optional)
      * @returns {Boolean} - Success status
      */
-    setUsername(username) {
+    setUsername(username, avatar = undefined) {
         if (!this.connected || !username) return false;
 
         this.username = username;
-        this.socket.emit('set_username', { username });
+        this.socket.emit(CLIENT.SET_USERNAME, { username, avatar });
 
         return true;
     }
 
+    /**
+     * Fetch a player's public profile and lifetime stats
+     * @param {String} accountId - Account ID (optional, our own account)
+     * @returns {Promise<Object|null>} - Profile, null if there is no such player
+     */
+    async fetchProfile(accountId = this.accountId) {
+        if (!accountId) return null;
+
+        const response = await fetch(`${ this.serverUrl }/api/players/${ encodeURIComponent(accountId) }`);
+        return response.ok ? response.json() : null;
+    }
+
     /**
      * Access the lobby system
      * @returns {Promise<Boolean>} - Success status
@@ -219,7 +405,7 @@ class NetworkManager {
         }
 
         await this.leaveCurrentGame();
-        this.socket.emit('access_lobby_system');
+        this.socket.emit(CLIENT.ACCESS_LOBBY_SYSTEM);
 
         return true;
     }
@@ -246,7 +432,7 @@ class NetworkManager {
         return new Promise((resolve) => {
             if (!this.connected) return resolve(false);
 
-            this.socket.emit('leave_lobby', () => {
+            this.socket.emit(CLIENT.LEAVE_LOBBY, () => {
                 this.inLobby = false;
                 this.inviteCode = null;
                 resolve(true);
@@ -258,18 +444,24 @@ class NetworkManager {
      * Create a custom lobby
      * @param {String} name - Lobby name
      * @param {String} password - Lobby password (optional)
+     * @param {Number} maxPlayers - Seats in the lobby, 2-6 (optional)
+     * @param {String} deckId - Deck pack to play with (optional)
+     * @param {Object} options - { seed } or { daily: true }, plus rules such as { winCondition, maxRounds, tiePolicy } (optional)
      * @returns {Boolean} - Success status
      */
-    createLobby(name, password) {
+    createLobby(name, password, maxPlayers, deckId = null, options = {}) {
         if (!this.connected) {
             console.warn('Not connected to server');
             return false;
         }
 
         this.leaveCurrentGame().then(() => {
-            this.socket.emit('create_lobby', {
+            this.socket.emit(CLIENT.CREATE_LOBBY, {
                 name: name || `${ this.username }'s Game`,
-                password: password || null
+                password: password || null,
+                maxPlayers,
+                deckId,
+                ...options
             });
         });
 
@@ -289,7 +481,7 @@ class NetworkManager {
         }
 
         this.leaveCurrentGame().then(() => {
-            this.socket.emit('join_lobby_by_code', {
+            this.socket.emit(CLIENT.JOIN_LOBBY_BY_CODE, {
                 inviteCode,
                 password: password || null
             });
@@ -308,22 +500,25 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('start_game_from_lobby', { lobbyId: this.inviteCode });
+        this.socket.emit(CLIENT.START_GAME_FROM_LOBBY, { lobbyId: this.inviteCode });
         return true;
     }
 
     /**
      * Create a new game
+     * @param {Number} maxPlayers - Seats to fill before the game starts, 2-6 (optional)
+     * @param {String} deckId - Deck pack to play with (optional)
+     * @param {Object} options - { seed } or { daily: true }, plus rules such as { winCondition, maxRounds, tiePolicy } (optional)
      * @returns {Boolean} - Success status
      */
-    createGame() {
+    createGame(maxPlayers = 2, deckId = null, options = {}) {
         if (!this.connected) {
             console.warn('Not connected to server');
             return false;
         }
 
         this.leaveCurrentGame().then(() => {
-            this.socket.emit('create_game');
+            this.socket.emit(CLIENT.CREATE_GAME, { maxPlayers, deckId, ...options });
         });
 
         return true;
@@ -340,7 +535,7 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('join_game', { gameId });
+        this.socket.emit(CLIENT.JOIN_GAME, { gameId });
         return true;
     }
 
@@ -355,7 +550,7 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('rejoin_game', { gameId });
+        this.socket.emit(CLIENT.REJOIN_GAME, { gameId });
         return true;
     }
 
@@ -370,14 +565,35 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('select_category', {
+        this.socket.emit(CLIENT.SELECT_CATEGORY, {
             gameId: this.gameId,
-            category
+            category,
+            round: this.roundsPlayed,
+            moveId: this.nextMoveId()
         });
 
         return true;
     }
 
+    /**
+     * Generate an ID the server uses to drop replayed moves
+     * @returns {String} - Move ID unique to this client
+     */
+    nextMoveId() {
+        this.moveCounter++;
+        return `${ this.playerToken || this.playerId }-${ Date.now() }-${ this.moveCounter }`;
+    }
+
+    /**
+     * Remember how many rounds the server has resolved
+     * @param {Object} state - Game state or round result from the server
+     */
+    trackRound(state) {
+        if (state && Number.isInteger(state.roundsPlayed)) {
+            this.roundsPlayed = state.roundsPlayed;
+        }
+    }
+
     /**
      * Request the next cards from the server
      * @returns {Boolean} - Success status
@@ -388,7 +604,7 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('request_next_cards', {
+        this.socket.emit(CLIENT.GET_NEXT_CARDS, {
             gameId: this.gameId
         });
 
@@ -406,7 +622,7 @@ class NetworkManager {
                 return resolve(false);
             }
 
-            this.socket.emit('leave_game', { gameId: this.gameId }, () => {
+            this.socket.emit(CLIENT.LEAVE_GAME, { gameId: this.gameId }, () => {
                 this.gameId = null;
                 resolve(true);
             });
@@ -458,10 +674,111 @@ class NetworkManager {
             return false;
         }
 
-        this.socket.emit('get_lobby_list');
+        this.socket.emit(CLIENT.GET_LOBBY_LIST);
+        return true;
+    }
+
+    /**
+     * Request the running games that can be watched
+     * @returns {Boolean} - Success status
+     */
+    getLiveGames() {
+        if (!this.connected) {
+            console.warn('Not connected to server');
+            return false;
+        }
+
+        this.socket.emit(CLIENT.GET_LIVE_GAMES);
+        return true;
+    }
+
+    /**
+     * Watch a running game
+     * @param {String} gameId - Game to watch
+     * @returns {Boolean} - Success status
+     */
+    spectateGame(gameId) {
+        if (!this.connected) {
+            console.warn('Not connected to server');
+            return false;
+        }
+
+        this.socket.emit(CLIENT.SPECTATE_GAME, { gameId });
         return true;
     }
 
+    /**
+     * Stop watching the current game
+     * @returns {Promise<Boolean>} - Success status
+     */
+    stopSpectating() {
+        return new Promise((resolve) => {
+            if (!this.connected || !this.spectatingGameId) {
+                this.spectatingGameId = null;
+                return resolve(false);
+            }
+
+            this.socket.emit(CLIENT.STOP_SPECTATING, () => {
+                this.spectatingGameId = null;
+                resolve(true);
+            });
+        });
+    }
+
+    /**
+     * Send a chat message to the current game or lobby
+     * @param {String} text - Message text
+     * @returns {Promise<Object>} - { success, message } or { success: false, error }
+     */
+    sendChatMessage(text) {
+        return this.sendChat(CLIENT.CHAT_MESSAGE, { text });
+    }
+
+    /**
+     * Send a quick emote to the current game or lobby
+     * @param {String} emote - Emote ID (see core/Chat.js)
+     * @returns {Promise<Object>} - { success, message } or { success: false, error }
+     */
+    sendEmote(emote) {
+        return this.sendChat(CLIENT.SEND_EMOTE, { emote });
+    }
+
+    /**
+     * Hide or show another player's messages
+     * @param {Object} target - { playerId } or { seat } of the current game
+     * @param {Boolean} muted - Mute or unmute
+     * @returns {Promise<Object>} - { success } or { success: false, error }
+     */
+    mutePlayer(target, muted = true) {
+        return this.sendChat(muted ? CLIENT.MUTE_PLAYER : CLIENT.UNMUTE_PLAYER, target);
+    }
+
+    /**
+     * Block or unblock another player; a block hides messages both ways
+     * @param {Object} target - { playerId } or { seat } of the current game
+     * @param {Boolean} blocked - Block or unblock
+     * @returns {Promise<Object>} - { success } or { success: false, error }
+     */
+    blockPlayer(target, blocked = true) {
+        return this.sendChat(blocked ? CLIENT.BLOCK_PLAYER : CLIENT.UNBLOCK_PLAYER, target);
+    }
+
+    /**
+     * Emit a chat event and wait for the server's answer
+     * @param {String} event - Socket event
+     * @param {Object} data - Payload
+     * @returns {Promise<Object>} - Acknowledgement
+     */
+    sendChat(event, data) {
+        return new Promise((resolve) => {
+            if (!this.connected) {
+                return resolve({ success: false, error: 'Not connected to server' });
+            }
+
+            this.socket.emit(event, data, resolve);
+        });
+    }
+
     /**
      * Emit an event via the event emitter
      * @param {String} event - Event name
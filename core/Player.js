@@ -12,12 +12,16 @@ export default class Player {
         this.hand = config.hand || [];
         this.score = config.score || 0;
         this.isActive = config.isActive !== undefined ? config.isActive : true;
-        this.stats = config.stats || {
+        this.stats = {
             wins: 0,
             losses: 0,
             draws: 0,
             cardsPlayed: 0,
-            roundsWon: 0
+            roundsPlayed: 0,
+            roundsWon: 0,
+            categoriesChosen: {}, // category key -> times chosen
+            cardsUsed: {}, // card ID -> times played
+            ...config.stats
         };
         this.avatar = config.avatar || 'default_avatar.png';
         this.metadata = config.metadata || {};
@@ -156,12 +160,50 @@ export default class Player {
         return this;
     }
 
+    /**
+     * Record a round this player took part in
+     * @param {string} cardId - ID of the card the player played
+     * @param {string} category - Category, if the player chose it (optional)
+     * @return {Player} - This player instance for chaining
+     */
+    recordRoundPlayed(cardId, category = null) {
+        this.stats.roundsPlayed++;
+        if (cardId) {
+            this.stats.cardsPlayed++;
+            this.stats.cardsUsed[cardId] = (this.stats.cardsUsed[cardId] || 0) + 1;
+        }
+        if (category) {
+            this.stats.categoriesChosen[category] = (this.stats.categoriesChosen[category] || 0) + 1;
+        }
+        return this;
+    }
+
+    /**
+     * Get the category this player chooses most often
+     * @return {string|null} - Category key, null if the player never chose one
+     */
+    getFavouriteCategory() {
+        return Player.mostFrequent(this.stats.categoriesChosen);
+    }
+
+    /**
+     * Get the card this player has played most often
+     * @return {string|null} - Card ID, null if the player never played a card
+     */
+    getMostPlayedCard() {
+        return Player.mostFrequent(this.stats.cardsUsed);
+    }
+
     /**
      * Get player stats
      * @return {Object} - Player statistics
      */
     getStats() {
-        return { ...this.stats };
+        return {
+            ...this.stats,
+            categoriesChosen: { ...this.stats.categoriesChosen },
+            cardsUsed: { ...this.stats.cardsUsed }
+        };
     }
 
     /**
@@ -195,11 +237,26 @@ export default class Player {
             hand: this.hand.map(card => card.toJSON ? card.toJSON() : card),
             score: this.score,
             isActive: this.isActive,
-            stats: { ...this.stats },
+            stats: this.getStats(),
             avatar: this.avatar
         };
     }
 
+    /**
+     * Find the key with the highest count; the first one wins a tie
+     * @param {Object} counts - Counts by key
+     * @return {string|null} - Key, null if there are no counts
+     */
+    static mostFrequent(counts) {
+        let best = null;
+        Object.keys(counts || {}).forEach(key => {
+            if (best === null || counts[key] > counts[best]) {
+                best = key;
+            }
+        });
+        return best;
+    }
+
     /**
      * Create a Player instance from a plain object
      * @param {Object} data - Plain object data
@@ -0,0 +1,306 @@
+/**
+ * PlayerStore.js - Player accounts with profiles and lifetime statistics
+ *
+ * Every account is a Player (display name, avatar, stats) plus the session
+ * token its owner reconnects with. The store itself does no I/O: the server
+ * loads it with fromJSON() and writes toJSON() back to its accounts file
+ * whenever it changes.
+ *
+ *   {
+ *       version,
+ *       players: [{ id, token, name, avatar, stats, rating, rankedGames, createdAt, lastSeenAt }]
+ *   }
+ *
+ * Ranked games also move the account's Elo rating (see core/Rating.js).
+ *
+ * Tokens are secrets; getProfile() is what may be shown to anyone.
+ */
+import Player from './Player.js';
+import Rating from './Rating.js';
+
+class PlayerStore {
+    static VERSION = 1;
+
+    static MAX_NAME_LENGTH = 32;
+
+    // Avatars are image files shipped with the client, e.g. "default_avatar.png"
+    static AVATAR_PATTERN = /^[A-Za-z0-9_-]{1,64}\.(png|jpg|svg)$/;
+
+    constructor() {
+        this.players = new Map(); // keyed by account ID
+        this.tokens = new Map(); // session token -> account ID
+    }
+
+    /**
+     * Number of accounts
+     * @returns {Number} - Account count
+     */
+    get size() {
+        return this.players.size;
+    }
+
+    /**
+     * Create an account
+     * @param {Object} options - { id, token, name, avatar }; token is required
+     * @returns {Player} - The new account
+     */
+    create(options = {}) {
+        if (typeof options.token !== 'string' || !options.token) {
+            throw new Error('An account needs a session token');
+        }
+        if (this.tokens.has(options.token)) {
+            throw new Error('An account already uses this session token');
+        }
+
+        const now = new Date().toISOString();
+        const player = new Player({
+            id: options.id,
+            name: PlayerStore.validateName(options.name || 'Player'),
+            avatar: options.avatar ? PlayerStore.validateAvatar(options.avatar) : undefined,
+            metadata: { token: options.token, rating: Rating.DEFAULT, rankedGames: 0, createdAt: now, lastSeenAt: now }
+        });
+
+        if (this.players.has(player.id)) {
+            throw new Error(`Account ${ player.id } already exists`);
+        }
+
+        this.players.set(player.id, player);
+        this.tokens.set(options.token, player.id);
+        return player;
+    }
+
+    /**
+     * Get an account by ID
+     * @param {String} id - Account ID
+     * @returns {Player|null} - Account
+     */
+    get(id) {
+        return this.players.get(id) || null;
+    }
+
+    /**
+     * Get the account a session token belongs to
+     * @param {String} token - Session token
+     * @returns {Player|null} - Account
+     */
+    findByToken(token) {
+        const id = this.tokens.get(token);
+        return id ? this.get(id) : null;
+    }
+
+    /**
+     * Change the display name and/or avatar of an account
+     * @param {String} id - Account ID
+     * @param {Object} changes - { name, avatar }, both optional
+     * @returns {Player} - Updated account
+     */
+    update(id, changes = {}) {
+        const player = this.require(id);
+
+        // Validate everything before changing anything
+        const name = changes.name !== undefined ? PlayerStore.validateName(changes.name) : player.name;
+        const avatar = changes.avatar !== undefined ? PlayerStore.validateAvatar(changes.avatar) : player.avatar;
+
+        player.name = name;
+        player.avatar = avatar;
+        return player;
+    }
+
+    /**
+     * Note that an account has just been used
+     * @param {String} id - Account ID
+     */
+    touch(id) {
+        this.require(id).metadata.lastSeenAt = new Date().toISOString();
+    }
+
+    /**
+     * Add a finished game to the lifetime stats of its players
+     * @param {Object} replay - Replay of the game (see core/ReplayRecorder.js)
+     * @param {Array} accountIds - Account ID per seat, null for seats without an account
+     */
+    recordGame(replay, accountIds) {
+        const winnerSeat = replay.result ? replay.result.winnerSeat : null;
+
+        accountIds.forEach((id, seat) => {
+            const player = id ? this.get(id) : null;
+            if (!player) return;
+
+            if (winnerSeat === null || winnerSeat === undefined) {
+                player.recordDraw();
+            } else if (seat === winnerSeat) {
+                player.recordWin();
+            } else {
+                player.recordLoss();
+            }
+
+            replay.rounds.forEach(round => {
+                const play = round.plays.find(entry => entry.seat === seat);
+                if (!play) return;
+
+                player.recordRoundPlayed(play.cardId, round.chooser === seat ? round.category : null);
+                if (round.winnerSeat === seat) {
+                    player.recordRoundWin();
+                }
+            });
+
+            player.metadata.lastSeenAt = replay.finishedAt || new Date().toISOString();
+        });
+    }
+
+    /**
+     * Rating of an account
+     * @param {String} id - Account ID
+     * @returns {Object} - { value, games, provisional }
+     */
+    getRating(id) {
+        const { rating, rankedGames } = this.require(id).metadata;
+        return { value: rating, games: rankedGames, provisional: rankedGames < Rating.PROVISIONAL_GAMES };
+    }
+
+    /**
+     * Rate a finished ranked game between two accounts
+     * @param {Array} accountIds - Account ID per seat
+     * @param {Number|null} winnerSeat - Winning seat, null for a draw
+     * @returns {Object} - { ratings, changes } per seat (see Rating.update())
+     */
+    recordRatedGame(accountIds, winnerSeat) {
+        const accounts = accountIds.map(id => this.require(id));
+        const result = Rating.update(
+            accounts.map(player => player.metadata.rating),
+            winnerSeat,
+            accounts.map(player => player.metadata.rankedGames)
+        );
+
+        accounts.forEach((player, seat) => {
+            player.metadata.rating = result.ratings[seat];
+            player.metadata.rankedGames++;
+        });
+        return result;
+    }
+
+    /**
+     * Public profile of an account, without its token
+     * @param {String} id - Account ID
+     * @returns {Object|null} - { id, name, avatar, createdAt, lastSeenAt, rating: { value, games, provisional },
+     *                          stats: { gamesPlayed, wins, losses, draws, roundsPlayed, roundsWon, cardsPlayed,
+     *                          favouriteCategory, mostPlayedCard } }
+     */
+    getProfile(id) {
+        const player = this.get(id);
+        if (!player) return null;
+
+        const stats = player.getStats();
+        const mostPlayedCard = player.getMostPlayedCard();
+        const favouriteCategory = player.getFavouriteCategory();
+
+        return {
+            id: player.id,
+            name: player.name,
+            avatar: player.avatar,
+            createdAt: player.metadata.createdAt,
+            lastSeenAt: player.metadata.lastSeenAt,
+            rating: this.getRating(id),
+            stats: {
+                gamesPlayed: stats.wins + stats.losses + stats.draws,
+                wins: stats.wins,
+                losses: stats.losses,
+                draws: stats.draws,
+                roundsPlayed: stats.roundsPlayed,
+                roundsWon: stats.roundsWon,
+                cardsPlayed: stats.cardsPlayed,
+                favouriteCategory: favouriteCategory ? { key: favouriteCategory, count: stats.categoriesChosen[favouriteCategory] } : null,
+                mostPlayedCard: mostPlayedCard ? { id: mostPlayedCard, count: stats.cardsUsed[mostPlayedCard] } : null
+            }
+        };
+    }
+
+    /**
+     * Plain JSON for the accounts file
+     * @returns {Object} - { version, players }
+     */
+    toJSON() {
+        return {
+            version: PlayerStore.VERSION,
+            players: Array.from(this.players.values()).map(player => ({
+                id: player.id,
+                token: player.metadata.token,
+                name: player.name,
+                avatar: player.avatar,
+                stats: player.getStats(),
+                rating: player.metadata.rating,
+                rankedGames: player.metadata.rankedGames,
+                createdAt: player.metadata.createdAt,
+                lastSeenAt: player.metadata.lastSeenAt
+            }))
+        };
+    }
+
+    /**
+     * Load a store from the accounts file
+     * @param {Object} data - Output of toJSON()
+     * @returns {PlayerStore} - Store
+     */
+    static fromJSON(data) {
+        if (!data || !Array.isArray(data.players)) {
+            throw new Error('Not a player store: players are missing');
+        }
+        if (data.version !== PlayerStore.VERSION) {
+            throw new Error(`Unsupported player store version ${ data.version }`);
+        }
+
+        const store = new PlayerStore();
+        data.players.forEach(entry => {
+            const player = store.create({ id: entry.id, token: entry.token, name: entry.name, avatar: entry.avatar });
+            player.stats = new Player({ stats: entry.stats }).stats;
+            player.metadata.rating = Number.isFinite(entry.rating) ? entry.rating : Rating.DEFAULT;
+            player.metadata.rankedGames = entry.rankedGames || 0;
+            player.metadata.createdAt = entry.createdAt || player.metadata.createdAt;
+            player.metadata.lastSeenAt = entry.lastSeenAt || player.metadata.lastSeenAt;
+        });
+        return store;
+    }
+
+    /**
+     * Check a display name
+     * @param {String} name - Requested name
+     * @returns {String} - Trimmed name
+     */
+    static validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error('A display name is required');
+        }
+        if (trimmed.length > PlayerStore.MAX_NAME_LENGTH) {
+            throw new Error(`A display name has at most ${ PlayerStore.MAX_NAME_LENGTH } characters`);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Check an avatar file name
+     * @param {String} avatar - Requested avatar
+     * @returns {String} - Avatar
+     */
+    static validateAvatar(avatar) {
+        if (typeof avatar !== 'string' || !PlayerStore.AVATAR_PATTERN.test(avatar)) {
+            throw new Error(`Unknown avatar "${ avatar }"`);
+        }
+        return avatar;
+    }
+
+    /**
+     * Get an account that has to exist
+     * @param {String} id - Account ID
+     * @returns {Player} - Account
+     */
+    require(id) {
+        const player = this.get(id);
+        if (!player) {
+            throw new Error(`Unknown account ${ id }`);
+        }
+        return player;
+    }
+}
+
+export default PlayerStore;
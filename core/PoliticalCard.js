@@ -0,0 +1,251 @@
+/**
+ * PoliticalCard.js - A politician card with numeric categories
+ *
+ * Category values have lived in several shapes over time:
+ *
+ *   { stats: { charisma: 8 } }                   js/card-data.js, deck packs, GameEngine
+ *   { attributes: { charisma: 8 } }              game_information_for_ai/cardData.js
+ *   { metadata: { attributes: { charisma: 8 } } } Card instances of PoliticalCardGame
+ *   { data: { charisma: '8', partei: 'X' } }     legacy cards compared by GameRules
+ *
+ * PoliticalCard.from() converts any of them into a PoliticalCard, and the
+ * static readStat() / readCategories() read values from any of them without
+ * converting, so code handling plain cards from the network can share the
+ * same API as code holding Card instances.
+ */
+import Card from './Card.js';
+
+export default class PoliticalCard extends Card {
+    static RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+
+    // Fields of legacy `data` cards that are not categories
+    static NON_CATEGORY_FIELDS = ['id', 'name', 'partei', 'farbe', 'image', 'logo', 'quote', 'rarity'];
+
+    /**
+     * Create a political card
+     * @param {Object} config - { id, name, image, quote, rarity, stats } plus any Card option
+     */
+    constructor(config = {}) {
+        const quote = config.quote || config.description || '';
+        super({ ...config, type: 'political', description: quote });
+
+        if (config.rarity !== undefined && !PoliticalCard.RARITIES.includes(config.rarity)) {
+            throw new Error(`Unknown card rarity "${ config.rarity }" (${ this.name })`);
+        }
+
+        this.quote = quote;
+        this.rarity = config.rarity || 'common';
+        this.stats = PoliticalCard.toStats(config.stats || {});
+
+        // Legacy readers look for metadata.attributes; it is the same object as stats
+        this.metadata = { ...this.metadata, attributes: this.stats };
+    }
+
+    /**
+     * Value of a category
+     * @param {String} category - Category key
+     * @return {number|undefined} - Value, undefined if the card lacks the category
+     */
+    getStat(category) {
+        return this.stats[category];
+    }
+
+    /**
+     * Check if the card has a value for a category
+     * @param {String} category - Category key
+     * @return {boolean} - True if the category is on the card
+     */
+    hasCategory(category) {
+        return Object.prototype.hasOwnProperty.call(this.stats, category);
+    }
+
+    /**
+     * Category keys of the card
+     * @return {Array} - Category keys
+     */
+    getCategories() {
+        return Object.keys(this.stats);
+    }
+
+    /**
+     * Clone this card, keeping its ID (a politician stays the same card)
+     * @return {PoliticalCard} - A new card instance with the same properties
+     */
+    clone() {
+        return new PoliticalCard(this.toJSON());
+    }
+
+    /**
+     * Convert card to a plain object for serialization
+     * @return {Object} - Plain object representation
+     */
+    toJSON() {
+        const { metadata, ...card } = super.toJSON();
+        const { attributes, ...otherMetadata } = metadata;
+
+        return {
+            ...card,
+            metadata: otherMetadata,
+            quote: this.quote,
+            rarity: this.rarity,
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * Create a PoliticalCard from a plain object
+     * @param {Object} data - Plain object data
+     * @return {PoliticalCard} - New PoliticalCard instance
+     */
+    static fromJSON(data) {
+        if (!data) return null;
+        return PoliticalCard.from(data);
+    }
+
+    /**
+     * Convert a card of any known shape
+     * @param {Object} card - Card in any shape listed in the module comment
+     * @return {PoliticalCard} - Political card (the same object if it already is one)
+     */
+    static from(card) {
+        if (!card) {
+            throw new Error('Cannot convert an empty card');
+        }
+        if (card instanceof PoliticalCard) return card;
+        if (card.stats) return PoliticalCard.fromStats(card);
+        if (card.attributes) return PoliticalCard.fromAttributes(card);
+        if (card.metadata && card.metadata.attributes) return PoliticalCard.fromMetadata(card);
+        if (card.data) return PoliticalCard.fromData(card);
+
+        throw new Error(`Card "${ card.name || card.id }" has no category values`);
+    }
+
+    /**
+     * Convert a { stats } card (card-data.js, deck packs, GameEngine)
+     * @param {Object} card - Card
+     * @return {PoliticalCard} - Political card
+     */
+    static fromStats(card) {
+        return new PoliticalCard(card);
+    }
+
+    /**
+     * Convert an { attributes } card (game_information_for_ai/cardData.js)
+     * @param {Object} card - Card
+     * @return {PoliticalCard} - Political card
+     */
+    static fromAttributes(card) {
+        const { attributes, ...rest } = card;
+        return new PoliticalCard({ ...rest, stats: attributes });
+    }
+
+    /**
+     * Convert a Card that keeps its values in metadata.attributes
+     * @param {Card|Object} card - Card
+     * @return {PoliticalCard} - Political card
+     */
+    static fromMetadata(card) {
+        const source = typeof card.toJSON === 'function' ? card.toJSON() : card;
+        const { attributes, ...metadata } = source.metadata;
+        return new PoliticalCard({ ...source, metadata, stats: attributes });
+    }
+
+    /**
+     * Convert a legacy { data } card; non-category fields are left out
+     * @param {Object} card - Card
+     * @return {PoliticalCard} - Political card
+     */
+    static fromData(card) {
+        const data = card.data;
+        return new PoliticalCard({
+            id: card.id || data.id,
+            name: card.name || data.name,
+            image: card.image || data.image || data.logo,
+            quote: card.quote || data.quote,
+            rarity: card.rarity || data.rarity,
+            stats: PoliticalCard.statsOf(card)
+        });
+    }
+
+    /**
+     * Category values of a card of any known shape, without converting it
+     * @param {Object} card - Card
+     * @return {Object|null} - Values by category, null if the card has none
+     */
+    static statsOf(card) {
+        if (!card) return null;
+        if (card.stats) return card.stats;
+        if (card.attributes) return card.attributes;
+        if (card.metadata && card.metadata.attributes) return card.metadata.attributes;
+
+        if (card.data) {
+            const stats = {};
+            Object.keys(card.data)
+                .filter(key => !PoliticalCard.NON_CATEGORY_FIELDS.includes(key))
+                .forEach(key => { stats[key] = card.data[key]; });
+            return stats;
+        }
+
+        return null;
+    }
+
+    /**
+     * Value of a category on a card of any known shape
+     * Values that are not numbers count as missing (undefined or NaN).
+     * @param {Object} card - Card
+     * @param {String} category - Category key
+     * @return {number|undefined} - Value
+     */
+    static readStat(card, category) {
+        const stats = PoliticalCard.statsOf(card);
+        if (!stats || !Object.prototype.hasOwnProperty.call(stats, category)) return undefined;
+        return PoliticalCard.toNumber(stats[category]);
+    }
+
+    /**
+     * Category keys of a card of any known shape
+     * @param {Object} card - Card
+     * @return {Array} - Category keys, empty if the card has none
+     */
+    static readCategories(card) {
+        const stats = PoliticalCard.statsOf(card);
+        return stats ? Object.keys(stats) : [];
+    }
+
+    /**
+     * Check if a card of any known shape has a category
+     * @param {Object} card - Card
+     * @param {String} category - Category key
+     * @return {boolean} - True if the category is on the card
+     */
+    static hasStat(card, category) {
+        const stats = PoliticalCard.statsOf(card);
+        return Boolean(stats) && Object.prototype.hasOwnProperty.call(stats, category);
+    }
+
+    /**
+     * Convert a category value to a number
+     * @param {*} value - Number or numeric string
+     * @return {number} - Number, NaN if the value is not numeric
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        return typeof value === 'string' ? parseFloat(value) : NaN;
+    }
+
+    /**
+     * Typed copy of category values; values that are not numeric are left out
+     * @param {Object} values - Values by category
+     * @return {Object} - Numbers by category
+     */
+    static toStats(values) {
+        const stats = {};
+        Object.entries(values).forEach(([key, value]) => {
+            const number = PoliticalCard.toNumber(value);
+            if (Number.isFinite(number)) {
+                stats[key] = number;
+            }
+        });
+        return stats;
+    }
+}
@@ -1,12 +1,13 @@
 /**
  * PoliticalCardGame.js - Specialized implementation for political card games
  */
-import Card from './Card.js';
+import PoliticalCard from './PoliticalCard.js';
 import Deck from './Deck.js';
 import DeckFactory from './DeckFactory.js';
 import Player from './Player.js';
 import GameState from './GameState.js';
 import GameRules from './GameRules.js';
+import SeededRandom from './SeededRandom.js';
 import cardData from '../game_information_for_ai/cardData.js';
 
 export default class PoliticalCardGame {
@@ -24,8 +25,11 @@ export default class PoliticalCardGame {
             initialHandSize: config.initialHandSize || -1, // -1 means split deck evenly
             winCondition: config.winCondition || 'allCards',
             selectedAttributes: config.selectedAttributes || [],
+            categories: config.categories || {}, // per-category metadata, see CategoryRules
+            seed: config.seed || null, // same seed, same deal
             ...config
         };
+        this.random = new SeededRandom(this.config.seed);
     }
 
     /**
@@ -47,14 +51,17 @@ export default class PoliticalCardGame {
         // Initialize game rules
         this.gameRules = new GameRules({
             winCondition: this.config.winCondition,
-            availableAttributes: this.getAvailableAttributes()
+            maxRounds: this.config.maxRounds,
+            availableAttributes: this.getAvailableAttributes(),
+            categories: this.config.categories,
+            random: this.random
         });
 
         // Set up game state
         this.gameState = new GameState(this.players, this.deck);
 
         // Initialize turn manager
-        this.turnManager = new TurnManager(this.gameState);
+        this.turnManager = new TurnManager(this.gameState, this.gameRules);
 
         return this;
     }
@@ -65,18 +72,10 @@ export default class PoliticalCardGame {
      * @return {Deck} - New deck with political cards
      */
     createPoliticalDeck(cardData) {
-        return DeckFactory.createCustomDeck(
-            { name: "Political Deck", shuffleOnCreate: true },
-            cardData.map(data => ({
-                type: 'political',
-                name: data.name,
-                description: data.quote || '',
-                image: data.image || '',
-                metadata: {
-                    attributes: data.attributes || {}
-                }
-            }))
-        );
+        const deck = DeckFactory.createCustomDeck({ name: "Political Deck", random: this.random });
+        deck.addCards(cardData.map(data => PoliticalCard.from(data)));
+        deck.shuffle();
+        return deck;
     }
 
     /**
@@ -121,15 +120,15 @@ export default class PoliticalCardGame {
         if (this.players.length > 0 && this.players[0].hasCards()) {
             const firstCard = this.players[0].getHand()[0];
 
-            if (firstCard && firstCard.metadata && firstCard.metadata.attributes) {
-                return Object.keys(firstCard.metadata.attributes);
+            if (PoliticalCard.readCategories(firstCard).length > 0) {
+                return PoliticalCard.readCategories(firstCard);
             }
         }
 
         // Fallback: if no player cards available, check the deck
         const card = this.deck.peek();
-        if (card && card.metadata && card.metadata.attributes) {
-            return Object.keys(card.metadata.attributes);
+        if (PoliticalCard.readCategories(card).length > 0) {
+            return PoliticalCard.readCategories(card);
         }
 
         // If we still can't find attributes, provide default political attributes
@@ -150,7 +149,7 @@ export default class PoliticalCardGame {
      * @return {boolean} - True if game is over
      */
     isGameOver() {
-        return this.gameState.checkWinCondition();
+        return this.gameRules.shouldEndGame(this.gameState);
     }
 
     /**
@@ -176,8 +175,12 @@ export default class PoliticalCardGame {
             opponent: this.gameState.getOpponentPlayer().name,
             tiePileCount: this.gameState.tiePile.length,
             isGameOver: this.isGameOver(),
-            winner: this.isGameOver() ? this.getWinner().name : null,
-            availableAttributes: this.getAvailableAttributes()
+            winner: this.isGameOver() && this.getWinner() ? this.getWinner().name : null,
+            roundsPlayed: this.gameState.roundsPlayed,
+            maxRounds: this.gameRules.maxRounds,
+            scores: this.players.map(p => p.getScore()),
+            availableAttributes: this.getAvailableAttributes(),
+            categories: this.gameRules.categoryRules.describe()
         };
     }
 
@@ -193,7 +196,8 @@ export default class PoliticalCardGame {
             name: card.name,
             description: card.description,
             image: card.image,
-            attributes: card.metadata.attributes || {}
+            rarity: card.rarity,
+            attributes: { ...(PoliticalCard.statsOf(card) || {}) }
         };
     }
 }
@@ -205,9 +209,11 @@ class TurnManager {
     /**
      * Create a new turn manager
      * @param {GameState} gameState - Game state to manage
+     * @param {GameRules} gameRules - Rules used to compare attributes
      */
-    constructor(gameState) {
+    constructor(gameState, gameRules = null) {
         this.gameState = gameState;
+        this.gameRules = gameRules || new GameRules();
     }
 
     /**
@@ -245,17 +251,21 @@ class TurnManager {
             winner: null
         };
 
-        // Determine winner
-        if (playerValue > opponentValue) {
-            // Player wins
-            player.addToHand(cardsInPlay);
-            this.gameState.clearTiePile();
-            result.winner = player.name;
-        } else if (opponentValue > playerValue) {
-            // Opponent wins
-            opponent.addToHand(cardsInPlay);
+        // Determine winner; the attribute's metadata decides if lower values win
+        const comparison = this.gameRules.categoryRules.compareValues(attribute, playerValue, opponentValue);
+
+        if (comparison !== 0) {
+            // The round winner takes the cards and scores by margin
+            const [winner, winnerValue, loserValue] = comparison > 0
+                ? [player, playerValue, opponentValue]
+                : [opponent, opponentValue, playerValue];
+            result.points = this.gameRules.scoreRound(winnerValue, loserValue);
+
+            winner.addToHand(cardsInPlay);
+            winner.addScore(result.points);
+            winner.recordRoundWin();
             this.gameState.clearTiePile();
-            result.winner = opponent.name;
+            result.winner = winner.name;
         } else {
             // Tie - add cards to tie pile
             this.gameState.addToTiePile(cardsInPlay);
@@ -274,11 +284,10 @@ class TurnManager {
      * Get attribute value from a card
      * @param {Card} card - Card to get value from
      * @param {string} attribute - Attribute to get
-     * @return {number} - Attribute value
+     * @return {number|undefined} - Attribute value, undefined if the card lacks it
      */
     getCardAttributeValue(card, attribute) {
-        if (!card || !card.metadata || !card.metadata.attributes) return 0;
-        return card.metadata.attributes[attribute] || 0;
+        return PoliticalCard.readStat(card, attribute);
     }
 
     /**
@@ -0,0 +1,234 @@
+/**
+ * Protocol.js - Socket events of the client/server protocol and their payloads
+ *
+ * Server and clients import their event names from here, so neither side can
+ * drift away from the other. Payloads sent by clients are described as JSON
+ * Schemas and checked on the server before they reach a handler:
+ *
+ *   socket.emit(Protocol.CLIENT.SELECT_CATEGORY, { gameId, category, round, moveId });
+ *
+ * Clients send Protocol.VERSION with the handshake; the server refuses
+ * connections of a client that speaks another version. Raise the version
+ * whenever an event is renamed, removed or changes its payload.
+ */
+import SchemaValidator from './SchemaValidator.js';
+
+// Payload pieces used by several events
+const GAME_ID = { type: 'string', minLength: 1, maxLength: 64 };
+const OPTIONAL_NUMBER = { type: ['number', 'null'] };
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+const NO_PAYLOAD = { type: ['object', 'null'] };
+
+// Game settings shared by create_game and create_lobby; the server checks their ranges
+const GAME_OPTIONS = {
+    maxPlayers: OPTIONAL_NUMBER,
+    deckId: OPTIONAL_STRING,
+    seed: { type: ['string', 'number', 'null'] },
+    daily: { type: ['boolean', 'null'] },
+    winCondition: OPTIONAL_STRING,
+    maxRounds: OPTIONAL_NUMBER,
+    tiePolicy: OPTIONAL_STRING,
+    blindDrawCount: OPTIONAL_NUMBER,
+    tieCategory: OPTIONAL_STRING,
+    bestOf: OPTIONAL_NUMBER,
+    spectatorDelay: OPTIONAL_NUMBER,
+    turnTime: OPTIONAL_NUMBER
+};
+
+// A player of the current game or lobby, for mute and block
+const PLAYER_TARGET = {
+    type: 'object',
+    properties: {
+        playerId: { type: 'string' },
+        seat: { type: 'integer', minimum: 0 }
+    }
+};
+
+const MOVE = {
+    type: 'object',
+    required: ['gameId'],
+    properties: {
+        gameId: GAME_ID,
+        moveId: { type: ['string', 'integer', 'null'] }
+    }
+};
+
+class Protocol {
+    // Raise on every change that breaks older clients
+    static VERSION = 1;
+
+    // Events sent by clients
+    static CLIENT = Object.freeze({
+        SET_USERNAME: 'set_username',
+        CREATE_GAME: 'create_game',
+        JOIN_GAME: 'join_game',
+        REJOIN_GAME: 'rejoin_game',
+        SELECT_CATEGORY: 'select_category',
+        GET_NEXT_CARDS: 'get_next_cards',
+        LEAVE_GAME: 'leave_game',
+        REQUEST_REMATCH: 'request_rematch',
+        GET_LIVE_GAMES: 'get_live_games',
+        SPECTATE_GAME: 'spectate_game',
+        STOP_SPECTATING: 'stop_spectating',
+        CHAT_MESSAGE: 'chat_message',
+        SEND_EMOTE: 'send_emote',
+        MUTE_PLAYER: 'mute_player',
+        UNMUTE_PLAYER: 'unmute_player',
+        BLOCK_PLAYER: 'block_player',
+        UNBLOCK_PLAYER: 'unblock_player',
+        ACCESS_LOBBY_SYSTEM: 'access_lobby_system',
+        GET_LOBBY_LIST: 'get_lobby_list',
+        CREATE_LOBBY: 'create_lobby',
+        JOIN_LOBBY_BY_CODE: 'join_lobby_by_code',
+        LEAVE_LOBBY: 'leave_lobby',
+        START_GAME_FROM_LOBBY: 'start_game_from_lobby'
+    });
+
+    // Events sent by the server
+    static SERVER = Object.freeze({
+        SESSION: 'session',
+        ERROR: 'error',
+        PROFILE_UPDATED: 'profile_updated',
+        GAME_CREATED: 'game_created',
+        WAITING_FOR_PLAYERS: 'waiting_for_players',
+        PLAYER_JOINED: 'player_joined',
+        GAME_STARTED: 'game_started',
+        QUEUE_STATUS: 'queue_status',
+        RATING_UPDATED: 'rating_updated',
+        GAME_STATE: 'game_state',
+        ROUND_PLAYED: 'round_played',
+        MOVE_REJECTED: 'move_rejected',
+        NEXT_CARDS: 'next_cards',
+        OPPONENT_MOVE: 'opponent_move',
+        OPPONENT_DISCONNECTED: 'opponent_disconnected',
+        OPPONENT_RECONNECTED: 'opponent_reconnected',
+        RECONNECT_STATE: 'reconnect_state',
+        TURN_TIMEOUT: 'turn_timeout',
+        PLAYER_ELIMINATED: 'player_eliminated',
+        PLAYER_FORFEITED: 'player_forfeited',
+        PLAYER_LEFT_GAME: 'player_left_game',
+        REMATCH_REQUESTED: 'rematch_requested',
+        REMATCH_STARTED: 'rematch_started',
+        REMATCH_DECLINED: 'rematch_declined',
+        LIVE_GAMES: 'live_games',
+        SPECTATE_STARTED: 'spectate_started',
+        SPECTATE_ENDED: 'spectate_ended',
+        SPECTATOR_STATE: 'spectator_state',
+        SPECTATOR_ROUND: 'spectator_round',
+        SPECTATORS_UPDATED: 'spectators_updated',
+        CHAT_MESSAGE: 'chat_message',
+        LOBBY_LIST: 'lobby_list',
+        LOBBY_CREATED: 'lobby_created',
+        JOINED_LOBBY: 'joined_lobby',
+        LOBBY_UPDATED: 'lobby_updated',
+        PLAYER_JOINED_LOBBY: 'player_joined_lobby',
+        PLAYER_LEFT_LOBBY: 'player_left_lobby'
+    });
+
+    // Payload of every client event; events without a payload may send nothing at all
+    static SCHEMAS = Object.freeze({
+        set_username: {
+            type: 'object',
+            required: ['username'],
+            properties: {
+                username: { type: 'string' },
+                avatar: OPTIONAL_STRING
+            }
+        },
+        create_game: {
+            type: ['object', 'null'],
+            properties: { ...GAME_OPTIONS, queue: OPTIONAL_STRING }
+        },
+        join_game: { type: 'object', required: ['gameId'], properties: { gameId: GAME_ID } },
+        rejoin_game: { type: 'object', required: ['gameId'], properties: { gameId: GAME_ID } },
+        select_category: {
+            ...MOVE,
+            required: ['gameId', 'category'],
+            properties: {
+                ...MOVE.properties,
+                category: { type: 'string', minLength: 1 },
+                round: { type: ['integer', 'null'], minimum: 0 }
+            }
+        },
+        get_next_cards: MOVE,
+        leave_game: MOVE,
+        request_rematch: MOVE,
+        get_live_games: NO_PAYLOAD,
+        spectate_game: { type: 'object', required: ['gameId'], properties: { gameId: GAME_ID } },
+        stop_spectating: NO_PAYLOAD,
+        chat_message: { type: 'object', required: ['text'], properties: { text: { type: 'string' } } },
+        send_emote: { type: 'object', required: ['emote'], properties: { emote: { type: 'string' } } },
+        mute_player: PLAYER_TARGET,
+        unmute_player: PLAYER_TARGET,
+        block_player: PLAYER_TARGET,
+        unblock_player: PLAYER_TARGET,
+        access_lobby_system: NO_PAYLOAD,
+        get_lobby_list: NO_PAYLOAD,
+        create_lobby: {
+            type: ['object', 'null'],
+            properties: {
+                ...GAME_OPTIONS,
+                name: OPTIONAL_STRING,
+                password: OPTIONAL_STRING
+            }
+        },
+        join_lobby_by_code: {
+            type: 'object',
+            required: ['inviteCode'],
+            properties: {
+                inviteCode: { type: 'string', minLength: 1, maxLength: 16 },
+                password: OPTIONAL_STRING
+            }
+        },
+        leave_lobby: NO_PAYLOAD,
+        start_game_from_lobby: {
+            type: ['object', 'null'],
+            properties: { lobbyId: OPTIONAL_STRING }
+        }
+    });
+
+    /**
+     * Check the payload of a client event
+     * Undefined fields are dropped the way JSON would drop them.
+     * @param {String} event - Client event name
+     * @param {*} payload - Payload as received, undefined if none was sent
+     * @returns {Array} - Error messages, empty if the payload is valid
+     */
+    static validate(event, payload) {
+        const schema = Object.prototype.hasOwnProperty.call(Protocol.SCHEMAS, event) ? Protocol.SCHEMAS[event] : null;
+        if (!schema) {
+            return [`Unknown event "${ event }"`];
+        }
+
+        const value = payload === undefined ? null : Protocol.dropUndefined(payload);
+        return SchemaValidator.validate(schema, value, event);
+    }
+
+    /**
+     * Copy a payload without its undefined fields
+     * @param {*} payload - Payload
+     * @returns {*} - Payload as it would arrive over the wire
+     */
+    static dropUndefined(payload) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+
+        return Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined));
+    }
+
+    /**
+     * Check the protocol version a client connects with
+     * @param {*} version - Version sent with the handshake
+     * @returns {String|null} - Why the client is refused, null if it may connect
+     */
+    static checkVersion(version) {
+        if (version === undefined || version === null) {
+            return `Client did not send a protocol version, server speaks version ${ Protocol.VERSION }`;
+        }
+        if (version !== Protocol.VERSION) {
+            return `Client speaks protocol version ${ version }, server speaks version ${ Protocol.VERSION }`;
+        }
+        return null;
+    }
+}
+
+export default Protocol;
@@ -0,0 +1,72 @@
+/**
+ * Rating.js - Elo ratings for ranked games
+ *
+ * Every account starts at DEFAULT. After a ranked game both ratings move
+ * towards the result by K times the difference between the actual score
+ * (1 win, 0.5 draw, 0 loss) and the expected one. New players are
+ * provisional: a larger K lets their first games find their level quickly.
+ *
+ *   const { ratings, changes } = Rating.update([1500, 1600], 0);
+ *   // seat 0 beat the favourite: [1526, 1574]
+ */
+class Rating {
+    static DEFAULT = 1500;
+
+    // Rating points at stake per game
+    static K_PROVISIONAL = 40;
+    static K_ESTABLISHED = 20;
+
+    // Games before a rating counts as established
+    static PROVISIONAL_GAMES = 10;
+
+    // A difference of this many points makes the stronger player a 10:1 favourite
+    static SCALE = 400;
+
+    /**
+     * Chance of a player to beat an opponent, counting a draw as half a win
+     * @param {Number} rating - Player's rating
+     * @param {Number} opponentRating - Opponent's rating
+     * @returns {Number} - Expected score between 0 and 1
+     */
+    static expectedScore(rating, opponentRating) {
+        return 1 / (1 + Math.pow(10, (opponentRating - rating) / Rating.SCALE));
+    }
+
+    /**
+     * K factor of a player
+     * @param {Number} gamesPlayed - Ranked games played before this one
+     * @returns {Number} - K factor
+     */
+    static getK(gamesPlayed = 0) {
+        return gamesPlayed < Rating.PROVISIONAL_GAMES ? Rating.K_PROVISIONAL : Rating.K_ESTABLISHED;
+    }
+
+    /**
+     * Rate a finished two-player game
+     * @param {Array} ratings - Rating per seat
+     * @param {Number|null} winnerSeat - Winning seat, null for a draw
+     * @param {Array} gamesPlayed - Ranked games played per seat (optional, both provisional)
+     * @returns {Object} - { ratings, changes }, both per seat and rounded to whole points
+     */
+    static update(ratings, winnerSeat, gamesPlayed = [0, 0]) {
+        if (!Array.isArray(ratings) || ratings.length !== 2 || !ratings.every(Number.isFinite)) {
+            throw new Error('A ranked game is rated for exactly two players');
+        }
+
+        const scores = winnerSeat === null || winnerSeat === undefined
+            ? [0.5, 0.5]
+            : [winnerSeat === 0 ? 1 : 0, winnerSeat === 1 ? 1 : 0];
+
+        const changes = ratings.map((rating, seat) => {
+            const expected = Rating.expectedScore(rating, ratings[1 - seat]);
+            return Math.round(Rating.getK(gamesPlayed[seat]) * (scores[seat] - expected));
+        });
+
+        return {
+            ratings: ratings.map((rating, seat) => rating + changes[seat]),
+            changes
+        };
+    }
+}
+
+export default Rating;
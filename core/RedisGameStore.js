@@ -0,0 +1,166 @@
+/**
+ * RedisGameStore.js - Games, sessions and matchmaking queues in Redis
+ *
+ * Has the same methods as core/MemoryGameStore.js, so several server
+ * processes can share one store. Each kind of record is a Redis hash of
+ * JSON values:
+ *
+ *   <prefix>:games            game ID -> { id, node, state, ... }
+ *   <prefix>:sessions         session token -> { token, gameId }
+ *   <prefix>:queue:<name>     player ID -> queue entry
+ *
+ * The client only needs HGET, HSET, HDEL and HGETALL as ioredis names them
+ * (client.hget(key, field) and so on, returning promises):
+ *
+ *   const store = new RedisGameStore(new Redis(process.env.REDIS_URL));
+ *
+ * HDEL answers how many fields it removed, so of several processes taking
+ * the same player out of a queue exactly one succeeds.
+ */
+class RedisGameStore {
+    static DEFAULT_PREFIX = 'pq';
+
+    /**
+     * @param {Object} client - Redis client with ioredis-style hash commands
+     * @param {Object} options - { prefix } for the keys (optional)
+     */
+    constructor(client, options = {}) {
+        if (!client || typeof client.hget !== 'function') {
+            throw new Error('RedisGameStore needs a Redis client with hget, hset, hdel and hgetall');
+        }
+
+        this.client = client;
+        this.prefix = options.prefix || RedisGameStore.DEFAULT_PREFIX;
+    }
+
+    /**
+     * Key of a hash
+     * @param {String} name - games, sessions or queue:<name>
+     * @returns {String} - Redis key
+     */
+    key(name) {
+        return `${ this.prefix }:${ name }`;
+    }
+
+    /**
+     * Read a JSON value of a hash
+     * @param {String} key - Redis key
+     * @param {String} field - Field
+     * @returns {Promise<Object|null>} - Value, null if there is none
+     */
+    async read(key, field) {
+        const value = await this.client.hget(key, field);
+        return value === null || value === undefined ? null : JSON.parse(value);
+    }
+
+    /**
+     * Read every JSON value of a hash
+     * @param {String} key - Redis key
+     * @returns {Promise<Array>} - Values
+     */
+    async readAll(key) {
+        const values = await this.client.hgetall(key);
+        return Object.values(values || {}).map(value => JSON.parse(value));
+    }
+
+    /**
+     * Delete a field of a hash
+     * @param {String} key - Redis key
+     * @param {String} field - Field
+     * @returns {Promise<Boolean>} - True if this call removed it
+     */
+    async remove(key, field) {
+        return Number(await this.client.hdel(key, field)) > 0;
+    }
+
+    /**
+     * Save a game record, replacing any earlier one
+     * @param {Object} record - { id, node, state, ... }
+     */
+    async saveGame(record) {
+        await this.client.hset(this.key('games'), record.id, JSON.stringify(record));
+    }
+
+    /**
+     * Get a game record
+     * @param {String} gameId - Game ID
+     * @returns {Promise<Object|null>} - Record, null if there is none
+     */
+    async getGame(gameId) {
+        return this.read(this.key('games'), gameId);
+    }
+
+    /**
+     * Delete a game record
+     * @param {String} gameId - Game ID
+     * @returns {Promise<Boolean>} - True if there was one
+     */
+    async deleteGame(gameId) {
+        return this.remove(this.key('games'), gameId);
+    }
+
+    /**
+     * Every game record
+     * @returns {Promise<Array>} - Records
+     */
+    async listGames() {
+        return this.readAll(this.key('games'));
+    }
+
+    /**
+     * Save a session, replacing any earlier one
+     * @param {Object} session - { token, gameId }
+     */
+    async saveSession(session) {
+        await this.client.hset(this.key('sessions'), session.token, JSON.stringify(session));
+    }
+
+    /**
+     * Get a session
+     * @param {String} token - Session token
+     * @returns {Promise<Object|null>} - Session, null if there is none
+     */
+    async getSession(token) {
+        return this.read(this.key('sessions'), token);
+    }
+
+    /**
+     * Delete a session
+     * @param {String} token - Session token
+     * @returns {Promise<Boolean>} - True if there was one
+     */
+    async deleteSession(token) {
+        return this.remove(this.key('sessions'), token);
+    }
+
+    /**
+     * Put an entry in a queue, replacing the player's earlier entry
+     * @param {String} queueName - Queue name
+     * @param {Object} entry - { id, joinedAt, ... }
+     */
+    async enqueue(queueName, entry) {
+        await this.client.hset(this.key(`queue:${ queueName }`), entry.id, JSON.stringify(entry));
+    }
+
+    /**
+     * Take a player out of a queue; only one process gets true for the same entry
+     * @param {String} queueName - Queue name
+     * @param {String} id - Player ID of the entry
+     * @returns {Promise<Boolean>} - True if the entry was still queued
+     */
+    async dequeue(queueName, id) {
+        return this.remove(this.key(`queue:${ queueName }`), id);
+    }
+
+    /**
+     * Every entry of a queue
+     * @param {String} queueName - Queue name
+     * @returns {Promise<Array>} - Entries, oldest first
+     */
+    async getQueue(queueName) {
+        const entries = await this.readAll(this.key(`queue:${ queueName }`));
+        return entries.sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+}
+
+export default RedisGameStore;
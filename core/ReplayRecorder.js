@@ -0,0 +1,283 @@
+/**
+ * ReplayRecorder.js - Records a match from the events GameCommands emits
+ *
+ * Attach a recorder to any emitter with on(event, callback) (GameEvents, the
+ * browser Game) and it listens for gameInitialized, categorySelected and
+ * roundPlayed. The replay it builds is plain JSON:
+ *
+ *   {
+ *       version, gameId, seed, deckId, players, categories,
+ *       rules,          // GameRules settings, null if the game did not report them
+ *       cards,          // every card of the deal by id
+ *       initialHands,   // card ids per seat, top card first
+ *       startingSeat,
+ *       rounds: [{ number, chooser, category, plays: [{ seat, cardId, value }],
+ *                  winnerSeat, points, tiedSeats, tieBreak, effects, cancelled,
+ *                  eliminated, cardCounts, tieCardCount }],
+ *       result,         // { winnerSeat, reason, endReason, decidedBy } once the game is over
+ *       startedAt, finishedAt
+ *   }
+ */
+import PoliticalCard from './PoliticalCard.js';
+import CardEffects from './CardEffects.js';
+
+class ReplayRecorder {
+    static VERSION = 1;
+
+    /**
+     * @param {Object} meta - Defaults for the replay, e.g. { gameId, deckId, players }
+     */
+    constructor(meta = {}) {
+        this.meta = meta;
+        this.replay = null;
+        this.nextSeat = null;
+        this.pendingChooser = null;
+    }
+
+    /**
+     * Listen to the game events of an emitter
+     * @param {Object} emitter - Anything with on(event, callback)
+     * @returns {ReplayRecorder} - This recorder
+     */
+    attach(emitter) {
+        emitter.on('gameInitialized', data => this.recordDeal(data));
+        emitter.on('categorySelected', data => this.recordCategory(data));
+        emitter.on('roundPlayed', data => this.recordRound(data));
+        return this;
+    }
+
+    /**
+     * Start a new replay from the initial deal
+     * Accepts the engine's seat-indexed shape ({ hands, currentPlayerIndex })
+     * as well as the two-player shape ({ playerCards, opponentCards, isPlayerTurn }).
+     * @param {Object} data - gameInitialized payload
+     */
+    recordDeal(data) {
+        const hands = data.hands || [data.playerCards || [], data.opponentCards || []];
+        const startingSeat = typeof data.currentPlayerIndex === 'number'
+            ? data.currentPlayerIndex
+            : (data.isPlayerTurn ? 0 : 1);
+
+        const cards = {};
+        hands.forEach(hand => hand.forEach(card => {
+            cards[card.id] = ReplayRecorder.copyCard(card);
+        }));
+
+        this.replay = {
+            version: ReplayRecorder.VERSION,
+            gameId: data.gameId || this.meta.gameId || null,
+            seed: data.seed || this.meta.seed || null,
+            deckId: data.deckId || this.meta.deckId || null,
+            players: data.players || this.meta.players || hands.map((hand, seat) => `Player ${ seat + 1 }`),
+            categories: data.categories || [],
+            rules: data.rules || null,
+            cards,
+            initialHands: hands.map(hand => hand.map(card => card.id)),
+            startingSeat,
+            rounds: [],
+            result: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+
+        this.nextSeat = startingSeat;
+        this.pendingChooser = null;
+    }
+
+    /**
+     * Remember who chose the category of the coming round
+     * @param {Object} data - categorySelected payload ({ category, seat? })
+     */
+    recordCategory(data) {
+        if (!this.replay) return;
+        this.pendingChooser = typeof data.seat === 'number' ? data.seat : this.nextSeat;
+    }
+
+    /**
+     * Add a resolved round
+     * @param {Object} result - roundPlayed payload (GameEngine round result)
+     */
+    recordRound(result) {
+        if (!this.replay || !result || !Array.isArray(result.plays)) return;
+
+        this.replay.rounds.push({
+            number: this.replay.rounds.length + 1,
+            chooser: this.pendingChooser !== null ? this.pendingChooser : this.nextSeat,
+            category: result.category,
+            plays: result.plays.map(play => {
+                // Cards dealt before the recorder was attached are added on first sight
+                if (!this.replay.cards[play.card.id]) {
+                    this.replay.cards[play.card.id] = ReplayRecorder.copyCard(play.card);
+                }
+                return { seat: play.seat, cardId: play.card.id, value: play.value };
+            }),
+            winnerSeat: result.roundWinnerIndex,
+            points: result.roundPoints || 0,
+            tiedSeats: result.tiedSeats || [],
+            tieBreak: result.tieBreak ? this.copyTieBreak(result.tieBreak) : null,
+            effects: (result.effects || []).map(effect => ({ ...effect })),
+            cancelled: Boolean(result.cancelled),
+            eliminated: result.eliminated || [],
+            cardCounts: result.cardCounts || [result.playerCardCount, result.opponentCardCount],
+            tieCardCount: result.tieCardCount || 0
+        });
+
+        this.nextSeat = result.nextPlayerIndex;
+        this.pendingChooser = null;
+
+        if (result.gameOver) {
+            this.finish(result.winnerIndex, 'finished');
+            this.replay.result.endReason = result.endReason || null;
+            this.replay.result.decidedBy = result.decidedBy || null;
+        }
+    }
+
+    /**
+     * Copy a tie break for the replay, with cards by id
+     * @param {Object} tieBreak - Round result tieBreak (see GameEngine.summarizeTieBreak())
+     * @returns {Object} - { policy, tiedSeats, winnerSeat, potSize, description, steps }
+     */
+    copyTieBreak(tieBreak) {
+        return {
+            policy: tieBreak.policy,
+            tiedSeats: tieBreak.tiedSeats,
+            winnerSeat: tieBreak.winnerSeat,
+            potSize: tieBreak.potSize,
+            description: tieBreak.description,
+            steps: tieBreak.steps.map(step => ({
+                category: step.category,
+                faceDown: step.faceDown,
+                plays: step.plays.map(play => {
+                    if (!this.replay.cards[play.card.id]) {
+                        this.replay.cards[play.card.id] = ReplayRecorder.copyCard(play.card);
+                    }
+                    return { seat: play.seat, cardId: play.card.id, value: play.value };
+                })
+            }))
+        };
+    }
+
+    /**
+     * Close the replay, e.g. when the game ends or is abandoned
+     * @param {Number|null} winnerSeat - Winning seat, null if none
+     * @param {String} reason - 'finished', 'abandoned', ...
+     */
+    finish(winnerSeat = null, reason = 'finished') {
+        if (!this.replay || this.replay.result) return;
+
+        this.replay.result = { winnerSeat, reason };
+        this.replay.finishedAt = new Date().toISOString();
+    }
+
+    /**
+     * The replay recorded so far
+     * @returns {Object|null} - Replay, null before the deal
+     */
+    getReplay() {
+        return this.replay;
+    }
+
+    /**
+     * Copy the parts of a card a replay needs to render it
+     * @param {Object} card - Card
+     * @returns {Object} - { id, name, image, quote, rarity, stats, effects }
+     */
+    static copyCard(card) {
+        return {
+            id: card.id,
+            name: card.name,
+            image: card.image || null,
+            quote: card.quote || card.description || null,
+            rarity: card.rarity || null,
+            stats: { ...PoliticalCard.statsOf(card) },
+            effects: CardEffects.getEffects(card).map(effect => ({ ...effect }))
+        };
+    }
+
+    /**
+     * Check a replay loaded from storage
+     * @param {Object} data - Parsed replay
+     * @returns {Object} - The replay
+     */
+    static load(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (data.version !== ReplayRecorder.VERSION) {
+            throw new Error(`Unsupported replay version "${ data.version }"`);
+        }
+        if (!Array.isArray(data.initialHands) || !Array.isArray(data.rounds) || !data.cards) {
+            throw new Error('Replay is missing its deal or rounds');
+        }
+        return data;
+    }
+
+    /**
+     * Steps of a replay for a viewer: the deal, then one step per round
+     * Card ids are resolved to cards.
+     * @param {Object} replay - Replay
+     * @returns {Array} - [{ index, round, category, chooser, plays: [{ seat, card, value }], winnerSeat, tiedSeats,
+     *                       tieBreak, effects, cancelled, eliminated, cardCounts, tieCardCount, nextSeat, gameOver }]
+     */
+    static getSteps(replay) {
+        const resolve = id => replay.cards[id] || { id, name: id, stats: {} };
+
+        const deal = {
+            index: 0,
+            round: null,
+            category: null,
+            chooser: null,
+            plays: replay.initialHands.map((hand, seat) => ({ seat, card: hand.length > 0 ? resolve(hand[0]) : null, value: null })),
+            winnerSeat: null,
+            tiedSeats: [],
+            tieBreak: null,
+            effects: [],
+            cancelled: false,
+            eliminated: [],
+            cardCounts: replay.initialHands.map(hand => hand.length),
+            tieCardCount: 0,
+            nextSeat: replay.startingSeat,
+            gameOver: false
+        };
+
+        const rounds = replay.rounds.map((round, index) => ({
+            index: index + 1,
+            round: round.number,
+            category: round.category,
+            chooser: round.chooser,
+            plays: round.plays.map(play => ({ seat: play.seat, card: resolve(play.cardId), value: play.value })),
+            winnerSeat: round.winnerSeat,
+            tiedSeats: round.tiedSeats,
+            tieBreak: round.tieBreak || null,
+            effects: round.effects || [],
+            cancelled: Boolean(round.cancelled),
+            eliminated: round.eliminated,
+            cardCounts: round.cardCounts,
+            tieCardCount: round.tieCardCount,
+            nextSeat: index + 1 < replay.rounds.length ? replay.rounds[index + 1].chooser : null,
+            gameOver: index === replay.rounds.length - 1 && replay.result !== null
+        }));
+
+        return [deal, ...rounds];
+    }
+
+    /**
+     * Short description of a replay for lists
+     * @param {Object} replay - Replay
+     * @returns {Object} - { gameId, deckId, players, rounds, winner, finishedAt }
+     */
+    static summarize(replay) {
+        const winnerSeat = replay.result ? replay.result.winnerSeat : null;
+
+        return {
+            gameId: replay.gameId,
+            deckId: replay.deckId,
+            players: replay.players,
+            rounds: replay.rounds.length,
+            winner: winnerSeat !== null && winnerSeat !== undefined ? replay.players[winnerSeat] : null,
+            finishedAt: replay.finishedAt
+        };
+    }
+}
+
+export default ReplayRecorder;
@@ -0,0 +1,146 @@
+/**
+ * SchemaValidator.js - Minimal JSON Schema validator shared by browser and server
+ *
+ * Supports the draft-07 keywords the deck pack schema uses: type, enum,
+ * required, properties, additionalProperties, propertyNames, minProperties,
+ * items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum.
+ */
+class SchemaValidator {
+    /**
+     * Validate a value against a schema
+     * @param {Object} schema - JSON Schema
+     * @param {*} value - Value to validate
+     * @param {String} path - Name of the root value in error messages
+     * @returns {Array} - Error messages, empty if the value is valid
+     */
+    static validate(schema, value, path = 'value') {
+        const errors = [];
+        SchemaValidator.check(schema, value, path, errors);
+        return errors;
+    }
+
+    /**
+     * Get the JSON Schema type name of a value
+     * @param {*} value - Value to inspect
+     * @returns {String} - Type name
+     */
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    /**
+     * Check if a value matches one of the allowed types
+     * @param {*} value - Value to check
+     * @param {String|Array} type - Allowed type(s)
+     * @returns {Boolean} - True if the type matches
+     */
+    static matchesType(value, type) {
+        const actual = SchemaValidator.typeOf(value);
+        const allowed = Array.isArray(type) ? type : [type];
+        return allowed.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+    }
+
+    /**
+     * Recursively check a value and collect errors
+     * @param {Object} schema - Schema for this value
+     * @param {*} value - Value to check
+     * @param {String} path - Path of the value for error messages
+     * @param {Array} errors - Collected error messages
+     */
+    static check(schema, value, path, errors) {
+        if (!schema || schema === true) return;
+
+        if (schema.type && !SchemaValidator.matchesType(value, schema.type)) {
+            errors.push(`${ path }: must be of type ${ [].concat(schema.type).join(' or ') }, got ${ SchemaValidator.typeOf(value) }`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${ path }: must be one of ${ schema.enum.map(option => JSON.stringify(option)).join(', ') }`);
+        }
+
+        if (typeof value === 'string') {
+            SchemaValidator.checkString(schema, value, path, errors);
+        } else if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${ path }: must be at least ${ schema.minimum }`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${ path }: must be at most ${ schema.maximum }`);
+            }
+        } else if (Array.isArray(value)) {
+            SchemaValidator.checkArray(schema, value, path, errors);
+        } else if (value && typeof value === 'object') {
+            SchemaValidator.checkObject(schema, value, path, errors);
+        }
+    }
+
+    /**
+     * Check string keywords
+     */
+    static checkString(schema, value, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${ path }: must not be empty` : `${ path }: must be at least ${ schema.minLength } characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${ path }: must be at most ${ schema.maxLength } characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${ path }: "${ value }" does not match ${ schema.pattern }`);
+        }
+    }
+
+    /**
+     * Check array keywords
+     */
+    static checkArray(schema, value, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${ path }: must contain at least ${ schema.minItems } items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${ path }: must contain at most ${ schema.maxItems } items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => SchemaValidator.check(schema.items, item, `${ path }[${ index }]`, errors));
+        }
+    }
+
+    /**
+     * Check object keywords
+     */
+    static checkObject(schema, value, path, errors) {
+        const keys = Object.keys(value);
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${ path }: missing required property "${ key }"`);
+            }
+        });
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            errors.push(`${ path }: must have at least ${ schema.minProperties } ${ schema.minProperties === 1 ? 'entry' : 'entries' }`);
+        }
+
+        keys.forEach(key => {
+            const childPath = `${ path }.${ key }`;
+
+            if (schema.propertyNames) {
+                SchemaValidator.check(schema.propertyNames, key, `${ path } key "${ key }"`, errors);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                SchemaValidator.check(properties[key], value[key], childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${ path }: unknown property "${ key }"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                SchemaValidator.check(schema.additionalProperties, value[key], childPath, errors);
+            }
+        });
+    }
+}
+
+export default SchemaValidator;
@@ -0,0 +1,119 @@
+/**
+ * SeededRandom.js - Reproducible pseudo-random numbers
+ *
+ * Every shuffle and coin flip of a game draws from one SeededRandom so the
+ * same seed always deals the same hands and picks the same starting player.
+ * Seeds are strings (numbers are converted); the generator is mulberry32
+ * seeded with a string hash, which is plenty for card games and identical
+ * in every browser and Node.js.
+ */
+class SeededRandom {
+    /**
+     * Create a generator
+     * @param {String|Number} seed - Seed, a fresh random one if omitted
+     */
+    constructor(seed = null) {
+        this.seed = seed === null || seed === undefined || seed === '' ? SeededRandom.generateSeed() : String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+
+        // Bound so it can be handed around like Math.random
+        this.next = this.next.bind(this);
+    }
+
+    /**
+     * Create a new random seed
+     * @returns {String} - 10 character seed
+     */
+    static generateSeed() {
+        const alphabet = '0123456789abcdefghijklmnopqrstuvwxyz';
+        const values = new Uint32Array(10);
+
+        if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+            globalThis.crypto.getRandomValues(values);
+        } else {
+            values.forEach((value, index) => { values[index] = Math.floor(Math.random() * 0x100000000); });
+        }
+
+        return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+    }
+
+    /**
+     * Seed of the daily challenge; the same for everyone on a UTC day
+     * @param {Date} date - Day of the challenge
+     * @returns {String} - Seed like "daily-2024-05-01"
+     */
+    static dailySeed(date = new Date()) {
+        return `daily-${ date.toISOString().slice(0, 10) }`;
+    }
+
+    /**
+     * Hash a seed string to a 32-bit state
+     * @param {String} seed - Seed
+     * @returns {Number} - Unsigned 32-bit integer
+     */
+    static hashSeed(seed) {
+        let hash = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1)
+     * @returns {Number} - Pseudo-random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     * @param {Number} max - Upper bound (exclusive)
+     * @returns {Number} - Pseudo-random integer
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} - The same array
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Snapshot of the generator, e.g. to save a game mid-way
+     * @returns {Object} - { seed, state }
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    /**
+     * Continue from a snapshot taken with getState()
+     * @param {Object} snapshot - { seed, state }
+     * @returns {SeededRandom} - Generator at that point
+     */
+    static fromState(snapshot) {
+        const random = new SeededRandom(snapshot.seed);
+        random.state = snapshot.state >>> 0;
+        return random;
+    }
+}
+
+export default SeededRandom;
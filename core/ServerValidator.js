@@ -4,42 +4,83 @@
  * This ensures that clients cannot cheat by validating all moves
  * before they are applied to the game state.
  */
+import PoliticalCard from './PoliticalCard.js';
+
 class ServerValidator {
+    /**
+     * Move types the server accepts from clients
+     */
+    static MOVE_TYPES = ['category_selection', 'next_cards_request', 'leave_game', 'rematch_request'];
+
+    /**
+     * Build a typed move from a raw socket payload
+     * @param {String} type - Move type
+     * @param {String} playerId - ID of the player sending the move
+     * @param {Object} payload - Raw event payload
+     * @returns {Object} - Typed move
+     */
+    static createMove(type, playerId, payload = {}) {
+        const data = payload && typeof payload === 'object' ? payload : {};
+        const isId = value => typeof value === 'string' || Number.isInteger(value);
+
+        return {
+            type,
+            playerId,
+            gameId: typeof data.gameId === 'string' ? data.gameId : null,
+            category: typeof data.category === 'string' ? data.category : null,
+            moveId: isId(data.moveId) ? data.moveId : null,
+            round: Number.isInteger(data.round) ? data.round : null,
+            receivedAt: Date.now()
+        };
+    }
+
+    /**
+     * Build a rejected validation result
+     * @param {String} code - Machine readable rejection code
+     * @param {String} reason - Human readable reason
+     * @returns {Object} - Validation result {valid: false, code, reason}
+     */
+    static reject(code, reason) {
+        return { valid: false, code, reason };
+    }
+
     /**
      * Validate a player's move
      * @param {Object} gameState - Current game state
      * @param {String} playerId - ID of the player making the move
      * @param {Object} move - The move to validate
-     * @returns {Object} - Validation result {valid: boolean, reason: string}
+     * @returns {Object} - Validation result {valid: boolean, code: string, reason: string}
      */
     static validateMove(gameState, playerId, move) {
         // Check if game exists
         if (!gameState) {
-            return { valid: false, reason: 'Game does not exist' };
+            return this.reject('GAME_NOT_FOUND', 'Game does not exist');
         }
 
-        // Check if game is in progress
-        if (gameState.state !== 'in_progress') {
-            return { valid: false, reason: 'Game is not in progress' };
+        if (!move || !this.MOVE_TYPES.includes(move.type)) {
+            return this.reject('UNKNOWN_MOVE', 'Unknown move type');
         }
 
         // Check if player is in the game
         if (!gameState.players.includes(playerId)) {
-            return { valid: false, reason: 'Player is not in this game' };
+            return this.reject('NOT_IN_GAME', 'Player is not in this game');
         }
 
-        // Check if it's the player's turn
-        const playerIndex = gameState.players.indexOf(playerId);
-        if (gameState.currentPlayerIndex !== playerIndex) {
-            return { valid: false, reason: 'Not your turn' };
+        // Reject replays of a move that was already applied
+        if (move.moveId !== null && move.moveId !== undefined &&
+            gameState.processedMoveIds && gameState.processedMoveIds.has(move.moveId)) {
+            return this.reject('DUPLICATE_MOVE', 'Move has already been processed');
         }
 
         // Validate the specific move type
         switch (move.type) {
             case 'category_selection':
                 return this.validateCategorySelection(gameState, playerId, move);
+            case 'rematch_request':
+                return this.validateRematchRequest(gameState);
             default:
-                return { valid: false, reason: 'Unknown move type' };
+                // Informational moves only require a seat in the game
+                return { valid: true };
         }
     }
 
@@ -48,25 +89,64 @@ class ServerValidator {
      * @param {Object} gameState - Current game state
      * @param {String} playerId - ID of the player making the move
      * @param {Object} move - The move to validate
-     * @returns {Object} - Validation result {valid: boolean, reason: string}
+     * @returns {Object} - Validation result {valid: boolean, code: string, reason: string}
      */
     static validateCategorySelection(gameState, playerId, move) {
+        // Check if game is in progress
+        if (gameState.state !== 'in_progress') {
+            return this.reject('NOT_IN_PROGRESS', 'Game is not in progress');
+        }
+
+        // Check if it's the player's turn
+        const playerIndex = gameState.players.indexOf(playerId);
+        if (gameState.currentPlayerIndex !== playerIndex) {
+            return this.reject('NOT_YOUR_TURN', 'Not your turn');
+        }
+
+        // A category was already chosen and the round has not been resolved yet
+        if (gameState.pendingCategory) {
+            return this.reject('ROUND_IN_PROGRESS', 'Round is already being played');
+        }
+
+        // Moves aimed at an earlier round are stale
+        if (move.round !== null && move.round !== undefined &&
+            gameState.roundsPlayed !== undefined && move.round !== gameState.roundsPlayed) {
+            return this.reject('STALE_MOVE', 'Move was made for a different round');
+        }
+
         // Check if category is provided
         if (!move.category) {
-            return { valid: false, reason: 'No category selected' };
+            return this.reject('NO_CATEGORY', 'No category selected');
         }
 
         // Check if player has cards
-        const playerIndex = gameState.players.indexOf(playerId);
         const playerHand = gameState.playerHands[playerIndex];
         if (!playerHand || playerHand.length === 0) {
-            return { valid: false, reason: 'Player has no cards' };
+            return this.reject('NO_CARDS', 'Player has no cards');
         }
 
         // Check if category exists on the player's top card
         const topCard = playerHand[0];
-        if (!topCard || !topCard.stats || topCard.stats[move.category] === undefined) {
-            return { valid: false, reason: 'Invalid category' };
+        if (!PoliticalCard.hasStat(topCard, move.category)) {
+            return this.reject('INVALID_CATEGORY', 'Invalid category');
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate asking for the next game of a series or a rematch
+     * @param {Object} gameState - Current game state
+     * @returns {Object} - Validation result {valid: boolean, code: string, reason: string}
+     */
+    static validateRematchRequest(gameState) {
+        if (gameState.state !== 'completed') {
+            return this.reject('GAME_NOT_OVER', 'Game is not over yet');
+        }
+
+        // Both players have to be around to play again
+        if (gameState.players.length !== 2 || !gameState.players.every(Boolean)) {
+            return this.reject('OPPONENT_GONE', 'Opponent has left the game');
         }
 
         return { valid: true };
@@ -108,7 +188,7 @@ class ServerValidator {
                 if (hand && Array.isArray(hand)) {
                     for (let j = 0; j < hand.length; j++) {
                         const card = hand[j];
-                        if (!card || !card.stats) {
+                        if (!PoliticalCard.statsOf(card)) {
                             issues.push(`Card at index ${ j } in player ${ i }'s hand is invalid`);
                         }
                     }
@@ -185,8 +265,8 @@ class ServerValidator {
         const player2Card = player2Hand.shift();
 
         // Compare values
-        const player1Value = player1Card.stats[category];
-        const player2Value = player2Card.stats[category];
+        const player1Value = PoliticalCard.readStat(player1Card, category);
+        const player2Value = PoliticalCard.readStat(player2Card, category);
 
         let result;
 
@@ -0,0 +1,100 @@
+/**
+ * SpectatorFeed.js - What the spectators of a game see, and when
+ *
+ * Spectators get a neutral view of the game: card counts and scores, never a
+ * hand, the tie pile or the seed. Cards only show up in the round they are
+ * played, once it is decided, and secret card effects without their changes. Updates can be held back by the game's
+ * spectator delay; views are copies, so a delayed update shows the game as
+ * it was when the view was built. Timers are injectable so tests can run the
+ * delay by hand:
+ *
+ *   const feed = new SpectatorFeed({ delayMs: 10000 });
+ *   const view = SpectatorFeed.buildState(engine);
+ *   feed.send(() => room.emit('spectator_state', view));
+ */
+import CardEffects from './CardEffects.js';
+
+class SpectatorFeed {
+    /**
+     * @param {Object} options - { delayMs, setTimer }, both optional; 0 delayMs sends at once
+     */
+    constructor(options = {}) {
+        this.delayMs = options.delayMs || 0;
+        this.setTimer = options.setTimer || ((callback, ms) => setTimeout(callback, ms));
+    }
+
+    /**
+     * Build the neutral view of a running engine
+     * @param {GameEngine} engine - Engine of the game
+     * @returns {Object} - { seats: [{ seat, cardCount, eliminated, isCurrentTurn }], currentPlayerIndex,
+     *                     roundsPlayed, maxRounds, winCondition, tiePolicy, points, roundsWon,
+     *                     tieCardCount, gameOver, winnerIndex, endReason, categories }
+     */
+    static buildState(engine) {
+        return {
+            seats: engine.hands.map((hand, seat) => ({
+                seat,
+                cardCount: hand.length,
+                eliminated: engine.isEliminated(seat),
+                isCurrentTurn: !engine.gameOver && seat === engine.currentPlayerIndex
+            })),
+            currentPlayerIndex: engine.currentPlayerIndex,
+            roundsPlayed: engine.roundsPlayed,
+            maxRounds: engine.maxRounds,
+            winCondition: engine.winCondition,
+            tiePolicy: engine.rules.tiePolicy,
+            points: [...engine.points],
+            roundsWon: [...engine.roundsWon],
+            tieCardCount: (engine.tieCards || []).length,
+            gameOver: engine.gameOver,
+            winnerIndex: engine.winnerIndex,
+            endReason: engine.endReason,
+            categories: engine.categoryRules.describe()
+        };
+    }
+
+    /**
+     * Build the neutral view of a decided round
+     * Every card played in the round is revealed; none of the seat-relative fields are kept
+     * and secret effects are redacted (see CardEffects.redact()).
+     * @param {Object} roundResult - Round result from GameEngine.compareCards()
+     * @returns {Object} - Round as spectators see it
+     */
+    static buildRound(roundResult) {
+        return {
+            category: roundResult.category,
+            plays: roundResult.plays,
+            roundWinnerIndex: roundResult.roundWinnerIndex,
+            tiedSeats: roundResult.tiedSeats,
+            tieBreak: roundResult.tieBreak,
+            effects: CardEffects.redact(roundResult.effects),
+            cancelled: roundResult.cancelled,
+            cardCounts: [...roundResult.cardCounts],
+            tieCardCount: roundResult.tieCardCount,
+            eliminated: roundResult.eliminated,
+            points: [...roundResult.points],
+            roundsWon: [...roundResult.roundsWon],
+            roundsPlayed: roundResult.roundsPlayed,
+            maxRounds: roundResult.maxRounds,
+            nextPlayerIndex: roundResult.nextPlayerIndex,
+            gameOver: roundResult.gameOver,
+            winnerIndex: roundResult.winnerIndex,
+            endReason: roundResult.endReason
+        };
+    }
+
+    /**
+     * Deliver an update once the delay has passed
+     * Build the update before calling, so it shows the game as it is now.
+     * @param {Function} deliver - Sends the update
+     */
+    send(deliver) {
+        if (this.delayMs > 0) {
+            this.setTimer(deliver, this.delayMs);
+        } else {
+            deliver();
+        }
+    }
+}
+
+export default SpectatorFeed;
@@ -0,0 +1,136 @@
+/**
+ * TurnClock.js - Time limit for choosing a category
+ *
+ * The clock runs for one seat at a time. When it runs out the owner is
+ * told so it can pick for the seat; a seat that runs out of time
+ * TIMEOUTS_TO_FORFEIT times in a row forfeits. Picking in time resets the
+ * count. Timers are injectable so tests can run the clock by hand:
+ *
+ *   const clock = new TurnClock({ turnTimeMs: 30000 });
+ *   clock.start(seat, () => { ... clock.recordTimeout(seat) ... });
+ *   clock.recordMove(seat);   // the seat chose in time
+ */
+class TurnClock {
+    static DEFAULT_TURN_TIME_MS = 30000;
+    static MIN_TURN_TIME_S = 5;
+    static MAX_TURN_TIME_S = 300;
+    static TIMEOUTS_TO_FORFEIT = 2;
+
+    /**
+     * @param {Object} options - { turnTimeMs, timeoutsToForfeit, now, setTimer, clearTimer }, all optional; 0 turnTimeMs turns the clock off
+     */
+    constructor(options = {}) {
+        this.turnTimeMs = options.turnTimeMs === undefined ? TurnClock.DEFAULT_TURN_TIME_MS : options.turnTimeMs;
+        this.timeoutsToForfeit = options.timeoutsToForfeit || TurnClock.TIMEOUTS_TO_FORFEIT;
+        this.now = options.now || (() => Date.now());
+        this.setTimer = options.setTimer || ((callback, ms) => setTimeout(callback, ms));
+        this.clearTimer = options.clearTimer || (timer => clearTimeout(timer));
+
+        this.seat = null; // seat whose time is running
+        this.deadline = null;
+        this.timer = null;
+        this.timeouts = {}; // consecutive timeouts by seat
+    }
+
+    /**
+     * Check a turn time given in seconds, e.g. by a client
+     * @param {*} seconds - Requested time; 0 turns the clock off
+     * @returns {Number} - Turn time in milliseconds
+     */
+    static parseTurnTime(seconds) {
+        const value = Number(seconds);
+        if (value === 0) return 0;
+
+        if (!Number.isInteger(value) || value < TurnClock.MIN_TURN_TIME_S || value > TurnClock.MAX_TURN_TIME_S) {
+            throw new Error(`The turn time is 0 (no clock) or a whole number of seconds from ${ TurnClock.MIN_TURN_TIME_S } to ${ TurnClock.MAX_TURN_TIME_S }`);
+        }
+        return value * 1000;
+    }
+
+    /**
+     * Whether turns are timed at all
+     * @returns {Boolean} - Enabled
+     */
+    get enabled() {
+        return this.turnTimeMs > 0;
+    }
+
+    /**
+     * Start a seat's turn, stopping any running one
+     * @param {Number} seat - Seat to choose
+     * @param {Function} onTimeout - Called with the seat when its time is up
+     * @returns {Number|null} - Deadline, null without a clock
+     */
+    start(seat, onTimeout) {
+        this.stop();
+        if (!this.enabled) return null;
+
+        this.seat = seat;
+        this.deadline = this.now() + this.turnTimeMs;
+        this.timer = this.setTimer(() => {
+            this.timer = null;
+            this.seat = null;
+            this.deadline = null;
+            onTimeout(seat);
+        }, this.turnTimeMs);
+        return this.deadline;
+    }
+
+    /**
+     * Stop the running turn without counting anything
+     */
+    stop() {
+        if (this.timer !== null) {
+            this.clearTimer(this.timer);
+        }
+        this.timer = null;
+        this.seat = null;
+        this.deadline = null;
+    }
+
+    /**
+     * A seat chose in time
+     * @param {Number} seat - Seat
+     */
+    recordMove(seat) {
+        if (this.seat === seat) {
+            this.stop();
+        }
+        this.timeouts[seat] = 0;
+    }
+
+    /**
+     * Count a timeout of a seat
+     * @param {Number} seat - Seat
+     * @returns {Object} - { timeouts, forfeit }; forfeit once the seat ran out of time too often in a row
+     */
+    recordTimeout(seat) {
+        const timeouts = (this.timeouts[seat] || 0) + 1;
+        this.timeouts[seat] = timeouts;
+        return { timeouts, forfeit: timeouts >= this.timeoutsToForfeit };
+    }
+
+    /**
+     * Time left for the running turn
+     * @returns {Number|null} - Milliseconds, null when no turn is timed
+     */
+    getRemaining() {
+        return this.deadline === null ? null : Math.max(0, this.deadline - this.now());
+    }
+
+    /**
+     * The clock for clients; they count down from remainingMs on their own clock
+     * @returns {Object} - { turnTimeMs, seat, remainingMs, timeouts, timeoutsToForfeit }
+     */
+    describe() {
+        return {
+            turnTimeMs: this.turnTimeMs,
+            seat: this.seat,
+            remainingMs: this.getRemaining(),
+            timeouts: { ...this.timeouts },
+            timeoutsToForfeit: this.timeoutsToForfeit
+        };
+    }
+}
+
+export default TurnClock;
@@ -1 +1,8 @@
- 
\ No newline at end of file
+/**
+ * Classic cards in the `attributes` shape used by core/PoliticalCardGame.js
+ *
+ * Derived from js/card-data.js so the values live in a single place.
+ */
+import { CARD_DATA } from '../js/card-data.js';
+
+export default CARD_DATA.map(({ stats, ...card }) => ({ ...card, attributes: { ...stats } }));
@@ -1,7 +1,24 @@
 /**
  * Card Data for Political Quartett Game
+ *
+ * The built-in "classic" deck pack, shared by the browser client and the
+ * server as an ES module. Additional packs are JSON files in decks/ using
+ * the same format (see core/DeckPack.js).
  */
-const CARD_DATA = [
+
+/**
+ * Category metadata for the cards below (see core/CategoryRules.js)
+ */
+export const CARD_CATEGORIES = {
+    charisma: { label: 'Charisma', direction: 'higher' },
+    leadership: { label: 'Leadership', direction: 'higher' },
+    influence: { label: 'Influence', direction: 'higher' },
+    integrity: { label: 'Integrity', direction: 'higher' },
+    trickery: { label: 'Trickery', direction: 'higher' },
+    wealth: { label: 'Wealth', direction: 'higher' }
+};
+
+export const CARD_DATA = [
     {
         id: 'trump',
         name: 'Donald Trump',
@@ -14,7 +31,8 @@ const CARD_DATA = [
             trickery: 10,
             wealth: 9
         },
-        quote: "My fingers are long and beautiful, as, it has been well documented, are various other parts of my body."
+        quote: "My fingers are long and beautiful, as, it has been well documented, are various other parts of my body.",
+        effects: [{ type: 'scandal' }]
     },
     {
         id: 'obama',
@@ -70,7 +88,8 @@ const CARD_DATA = [
             trickery: 4,
             wealth: 6
         },
-        quote: "Wir schaffen das."
+        quote: "Wir schaffen das.",
+        effects: [{ type: 'coalition' }]
     },
     {
         id: 'thunberg',
@@ -126,7 +145,8 @@ const CARD_DATA = [
             trickery: 10,
             wealth: 10
         },
-        quote: "I am not a woman, so I don't have bad days."
+        quote: "I am not a woman, so I don't have bad days.",
+        effects: [{ type: 'veto' }]
     },
     {
         id: 'soeder',
@@ -144,7 +164,18 @@ const CARD_DATA = [
     }
 ];
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CARD_DATA };
-}
\ No newline at end of file
+/**
+ * The cards above as a deck pack
+ */
+export const CLASSIC_PACK = {
+    manifest: {
+        id: 'classic',
+        name: 'Classic Politicians',
+        version: '1.0.0',
+        description: 'The original ten political figures.'
+    },
+    categories: CARD_CATEGORIES,
+    cards: CARD_DATA
+};
+
+export default CARD_DATA;
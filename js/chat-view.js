@@ -0,0 +1,185 @@
+/**
+ * Chat panel for Political Quartett
+ *
+ * Shows the chat of the current online game with its emote buttons. Every
+ * message from another player can be muted (hidden from us) or blocked
+ * (hidden both ways); the server filters what arrives afterwards, the panel
+ * hides what it already shows. It talks to the network through ui:sendChat,
+ * ui:sendEmote, ui:mutePlayer and ui:blockPlayer events, like the UI does.
+ */
+import Chat from '../core/Chat.js';
+
+class ChatView {
+    constructor() {
+        this.elements = {
+            panel: document.getElementById('chat-panel'),
+            log: document.getElementById('chat-log'),
+            emotes: document.getElementById('chat-emotes'),
+            input: document.getElementById('chat-input'),
+            send: document.getElementById('chat-send'),
+            error: document.getElementById('chat-error')
+        };
+
+        this.selfId = null; // our socket ID; our own messages get no mute buttons
+        this.messageIds = new Set();
+
+        this.elements.input.maxLength = Chat.MAX_LENGTH;
+        this.renderEmotes();
+        this.setupListeners();
+    }
+
+    /**
+     * Add a button per emote
+     */
+    renderEmotes() {
+        this.elements.emotes.innerHTML = '';
+
+        Chat.listEmotes().forEach(emote => {
+            const button = document.createElement('button');
+            button.className = 'secondary-button chat-emote';
+            button.textContent = emote.text;
+            button.addEventListener('click', () => this.emitEvent('sendEmote', { emote: emote.id }));
+            this.elements.emotes.appendChild(button);
+        });
+    }
+
+    /**
+     * Send on click or Enter
+     */
+    setupListeners() {
+        const send = () => {
+            const text = this.elements.input.value.trim();
+            if (!text) return;
+
+            this.emitEvent('sendChat', { text });
+            this.elements.input.value = '';
+        };
+
+        this.elements.send.addEventListener('click', send);
+        this.elements.input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                send();
+            }
+        });
+    }
+
+    /**
+     * Show a new message
+     * @param {Object} message - { id, type, from: { id, name, seat }, text, emote, sentAt }
+     */
+    addMessage(message) {
+        // A reconnect sends the history again
+        if (this.messageIds.has(message.id)) return;
+        this.messageIds.add(message.id);
+
+        const item = document.createElement('li');
+        item.className = message.type === 'emote' ? 'chat-message emote' : 'chat-message';
+        item.dataset.senderId = message.from.id;
+        if (message.from.seat !== null) {
+            item.dataset.seat = message.from.seat;
+        }
+
+        const name = document.createElement('span');
+        name.className = 'chat-sender';
+        name.textContent = message.from.id === this.selfId ? 'You' : message.from.name;
+        item.appendChild(name);
+
+        const text = document.createElement('span');
+        text.className = 'chat-text';
+        text.textContent = message.text;
+        item.appendChild(text);
+
+        if (message.from.id !== this.selfId) {
+            item.appendChild(this.createActionButton('Mute', 'Hide this player\'s messages', () => this.hideSender(message.from, 'mutePlayer')));
+            item.appendChild(this.createActionButton('Block', 'Hide messages between you and this player', () => this.hideSender(message.from, 'blockPlayer')));
+        }
+
+        this.elements.log.appendChild(item);
+        this.elements.log.scrollTop = this.elements.log.scrollHeight;
+        this.showError('');
+    }
+
+    /**
+     * Replace the log with a game's history, e.g. after reconnecting
+     * @param {Array} messages - Messages, oldest first
+     */
+    showHistory(messages) {
+        this.clear();
+        messages.forEach(message => this.addMessage(message));
+    }
+
+    /**
+     * Small button next to a message
+     * @param {String} label - Button text
+     * @param {String} title - Tooltip
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - Button
+     */
+    createActionButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'chat-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Mute or block a sender and hide what they already said
+     * @param {Object} from - Sender { id, seat }
+     * @param {String} event - mutePlayer or blockPlayer
+     */
+    hideSender(from, event) {
+        // Seats outlive socket IDs, which change when a player reconnects
+        this.emitEvent(event, from.seat !== null ? { seat: from.seat } : { playerId: from.id });
+
+        Array.from(this.elements.log.children).forEach(item => {
+            const sameSeat = from.seat !== null && item.dataset.seat === String(from.seat);
+            if (sameSeat || item.dataset.senderId === from.id) {
+                item.remove();
+            }
+        });
+    }
+
+    /**
+     * Show why a message was refused, or clear it
+     * @param {String} text - Error text
+     */
+    showError(text) {
+        this.elements.error.textContent = text;
+    }
+
+    /**
+     * Empty the log, e.g. for a new game
+     */
+    clear() {
+        this.elements.log.innerHTML = '';
+        this.messageIds.clear();
+        this.showError('');
+    }
+
+    /**
+     * Show or hide the panel; only online games have a chat
+     * @param {Boolean} visible - Visible
+     */
+    setVisible(visible) {
+        this.elements.panel.hidden = !visible;
+    }
+
+    /**
+     * Emit a UI event
+     * @param {String} event - Event name, without the ui: prefix
+     * @param {Object} data - Event data
+     */
+    emitEvent(event, data = {}) {
+        document.dispatchEvent(new CustomEvent(`ui:${ event }`, { detail: data }));
+    }
+}
+
+// Classic scripts (js/main.js) look the class up on window
+if (typeof window !== 'undefined') {
+    window.ChatView = ChatView;
+}
+
+export { ChatView };
+export default ChatView;
@@ -1,45 +1,255 @@
 /**
  * Game Logic for Political Quartett
+ *
+ * Round resolution is delegated to core/GameEngine so the browser
+ * and the authoritative server apply exactly the same rules.
  */
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import GameRules from '../core/GameRules.js';
+import CardManager from '../core/CardManager.js';
+import DeckPack from '../core/DeckPack.js';
+import AIStrategy from '../core/AIStrategy.js';
+import SeededRandom from '../core/SeededRandom.js';
+import ReplayRecorder from '../core/ReplayRecorder.js';
+import MatchSeries from '../core/MatchSeries.js';
+import MatchmakingQueue from '../core/MatchmakingQueue.js';
+import DealCommitment from '../core/DealCommitment.js';
+import PoliticalCard from '../core/PoliticalCard.js';
+import { CLASSIC_PACK } from './card-data.js';
+
 class Game {
     constructor(isAIOpponent = false) {
+        this.deck = DeckPack.parse(CLASSIC_PACK, 'js/card-data.js');
+        this.engine = new GameEngine(new CategoryRules(this.deck.categories)); // cards, turn, tie pile and winner
         this.isAIOpponent = isAIOpponent;
-        this.currentPlayer = null; // 'player' or 'opponent'
-        this.playerCards = [];
-        this.opponentCards = [];
+        this.aiLevel = 'greedy';
+        this.aiStrategy = this.createAIStrategy(this.aiLevel);
         this.currentCategory = null;
-        this.gameOver = false;
-        this.winner = null;
         this.waitingForOpponent = false;
-        this.isPlayerTurn = false;
         this.eventListeners = {};
-        this.gameId = null;
-        this.tieCards = [];
         this.isOnlineGame = false;
         this.reconnecting = false;
+        this.series = null; // MatchSeries this game counts for, if any
+        this.startingSeat = null;
+        this.firstCard = null; // { gameId, cardId } of our first online card, to check the deal with
+        this.checkedDealGameId = null;
+
+        // Records every game dealt by init() from the events below
+        this.replayRecorder = new ReplayRecorder({ players: ['You', isAIOpponent ? 'AI' : 'Opponent'] }).attach(this);
+    }
+
+    // Game state lives in the engine; these accessors keep the old field names working
+    get playerCards() { return this.engine.playerCards; }
+    set playerCards(cards) { this.engine.playerCards = cards; }
+
+    get opponentCards() { return this.engine.opponentCards; }
+    set opponentCards(cards) { this.engine.opponentCards = cards; }
+
+    get tieCards() { return this.engine.tieCards; }
+    set tieCards(cards) { this.engine.tieCards = cards; }
+
+    get currentPlayer() { return this.engine.currentPlayer; }
+    set currentPlayer(player) { this.engine.currentPlayer = player; }
+
+    get isPlayerTurn() { return this.engine.isPlayerTurn; }
+    set isPlayerTurn(value) { this.engine.isPlayerTurn = value; }
+
+    get gameOver() { return this.engine.gameOver; }
+    set gameOver(value) { this.engine.gameOver = value; }
+
+    get winner() { return this.engine.winner; }
+    set winner(value) { this.engine.winner = value; }
+
+    get gameId() { return this.engine.gameId; }
+    set gameId(value) { this.engine.gameId = value; }
+
+    get roundsPlayed() { return this.engine.roundsPlayed; }
+    get maxRounds() { return this.engine.maxRounds; }
+    get winCondition() { return this.engine.winCondition; }
+    get tiePolicy() { return this.engine.rules.tiePolicy; }
+
+    /**
+     * Load the deck packs listed in a registry file
+     * The classic pack is always available; packs that fail to load or
+     * validate are reported and left out.
+     * @param {String} indexUrl - URL of the pack registry ({ packs: [file, ...] })
+     * @returns {Promise<Array>} - Parsed deck packs
+     */
+    static async loadDeckPacks(indexUrl = 'decks/index.json') {
+        const packs = [DeckPack.parse(CLASSIC_PACK, 'js/card-data.js')];
+
+        try {
+            const response = await fetch(indexUrl);
+            const index = response.ok ? await response.json() : { packs: [] };
+            const baseUrl = indexUrl.slice(0, indexUrl.lastIndexOf('/') + 1);
+
+            for (const file of index.packs || []) {
+                try {
+                    const pack = await new CardManager().loadCardsFromUrl(`${ baseUrl }${ file }`);
+                    if (pack && !packs.some(existing => existing.id === pack.id)) {
+                        packs.push(pack);
+                    }
+                } catch (error) {
+                    console.warn(error.message);
+                }
+            }
+        } catch (error) {
+            console.warn(`Could not load deck pack list: ${ error.message }`);
+        }
+
+        return packs;
+    }
+
+    /**
+     * Use a deck pack for the next game
+     * @param {Object} pack - Parsed deck pack (see core/DeckPack.js)
+     */
+    setDeck(pack) {
+        this.deck = pack;
+        this.engine.categoryRules = new CategoryRules(pack.categories);
+        this.changeRules({});
+    }
+
+    /**
+     * Win conditions for menus
+     * @returns {Array} - [{ id, label, description, maxRounds }]
+     */
+    static getWinConditions() {
+        return GameRules.listWinConditions();
+    }
+
+    /**
+     * Choose how the next game is won
+     * @param {String} winCondition - 'allCards', 'mostCards' or 'points'
+     * @param {Number} maxRounds - Round limit, the win condition's default if omitted
+     */
+    setWinCondition(winCondition, maxRounds = null) {
+        this.changeRules({ winCondition, maxRounds });
+    }
+
+    /**
+     * Tie policies for menus
+     * @returns {Array} - [{ id, label, description }]
+     */
+    static getTiePolicies() {
+        return GameRules.listTiePolicies();
+    }
+
+    /**
+     * Choose how ties for the best card are resolved in the next game
+     * @param {String} tiePolicy - 'tiePile', 'sameCategory', 'blindDraw' or 'secondaryCategory'
+     * @param {Object} options - { blindDrawCount, tieCategory } (optional)
+     */
+    setTiePolicy(tiePolicy, options = {}) {
+        this.changeRules({ tiePolicy, ...options });
+    }
+
+    /**
+     * Replace some of the rules, keeping the others
+     * @param {Object} changes - GameRules settings to change
+     */
+    changeRules(changes) {
+        this.engine.setRules(new GameRules({
+            ...this.engine.rules.getSettings(),
+            ...changes,
+            categories: this.engine.categoryRules
+        }));
+    }
+
+    /**
+     * Series lengths for menus
+     * @returns {Array} - [{ bestOf, label }]
+     */
+    static getSeriesLengths() {
+        return MatchSeries.listLengths();
+    }
+
+    /**
+     * Online matchmaking queues for menus
+     * @returns {Array} - [{ id, label, description }]
+     */
+    static getQueues() {
+        return MatchmakingQueue.listQueues();
+    }
+
+    /**
+     * Start a series against the AI
+     * @param {Number} bestOf - Series length, one of MatchSeries.LENGTHS
+     * @returns {MatchSeries} - Series to pass to setSeries() for every game
+     */
+    static createSeries(bestOf = 1) {
+        return new MatchSeries({
+            id: `local-${ Date.now() }`,
+            bestOf,
+            players: [{ id: 'player', name: 'You' }, { id: 'opponent', name: 'AI' }]
+        });
+    }
+
+    /**
+     * Count the next game for a series; it also decides who chooses first
+     * @param {MatchSeries} series - Series, null for a game on its own
+     */
+    setSeries(series) {
+        this.series = series;
+    }
+
+    /**
+     * Seed of today's daily challenge
+     * @returns {String} - Seed
+     */
+    static getDailySeed() {
+        return SeededRandom.dailySeed();
+    }
+
+    /**
+     * AI levels for menus
+     * @returns {Array} - [{ id, label, description }]
+     */
+    static getAILevels() {
+        return AIStrategy.list();
+    }
+
+    /**
+     * Choose how the AI opponent plays
+     * @param {String} level - Registered strategy name, see AIStrategy.list()
+     */
+    setAILevel(level) {
+        this.aiStrategy = this.createAIStrategy(level);
+        this.aiLevel = level;
+    }
+
+    /**
+     * Create an AI strategy that draws from the game's seeded random source
+     * @param {String} level - Registered strategy name
+     * @returns {AIStrategy} - Strategy
+     */
+    createAIStrategy(level) {
+        return AIStrategy.create(level, { random: () => this.engine.random.next() });
     }
 
     /**
      * Initialize game with deck and distribute cards
+     * @param {String} seed - Seed to deal from, e.g. the daily challenge (optional)
      */
-    init() {
-        // Reset game state
-        this.playerCards = [];
-        this.opponentCards = [];
+    init(seed = null) {
         this.currentCategory = null;
-        this.gameOver = false;
-        this.winner = null;
-        this.tieCards = [];
 
-        // Deal cards (5 each)
-        const shuffledDeck = this.shuffleDeck([...CARD_DATA]);
+        // A fresh source per game, so the reported seed always reproduces this deal
+        this.engine.setSeed(seed);
 
-        this.playerCards = shuffledDeck.slice(0, 5);
-        this.opponentCards = shuffledDeck.slice(5, 10);
+        // Deal half the deck to each side; the engine picks the starting player
+        // unless a series has it alternate
+        const shuffledDeck = this.shuffleDeck([...this.deck.cards]);
+        const handSize = Math.floor(shuffledDeck.length / 2);
+        const startingSeat = this.series ? this.series.getStartingSeat() : null;
+        this.engine.initializeState(shuffledDeck.slice(0, handSize), shuffledDeck.slice(handSize, handSize * 2),
+            startingSeat === null ? null : startingSeat === 0);
 
-        // Determine starting player randomly
-        this.isPlayerTurn = Math.random() >= 0.5;
-        this.currentPlayer = this.isPlayerTurn ? 'player' : 'opponent';
+        this.startingSeat = this.engine.currentPlayerIndex;
+        if (this.series) {
+            this.series.recordStart(this.startingSeat);
+        }
 
         // If AI opponent and AI starts, make AI move after a delay
         if (this.isAIOpponent && !this.isPlayerTurn) {
@@ -51,20 +261,34 @@ class Game {
             playerCards: this.playerCards,
             opponentCards: this.opponentCards,
             currentPlayer: this.currentPlayer,
-            isPlayerTurn: this.isPlayerTurn
+            isPlayerTurn: this.isPlayerTurn,
+            categories: this.getCategories(),
+            seed: this.engine.seed,
+            deckId: this.deck.id,
+            rules: this.engine.rules.getSettings()
         });
     }
 
+    /**
+     * Replay of the current or last game
+     * @returns {Object|null} - Replay (see core/ReplayRecorder.js), null before the first deal
+     */
+    getReplay() {
+        return this.replayRecorder.getReplay();
+    }
+
+    /**
+     * Get the category metadata (label, direction, unit) of the deck in play
+     */
+    getCategories() {
+        return this.engine.categoryRules.describe();
+    }
+
     /**
      * Shuffle a deck of cards
      */
     shuffleDeck(deck) {
-        const shuffled = [...deck];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
+        return this.engine.shuffleDeck(deck);
     }
 
     /**
@@ -108,64 +332,14 @@ class Game {
             return roundData;
         }
 
-        const playerCard = this.playerCards[0];
-        const opponentCard = this.opponentCards[0];
-
-        // Remove cards from hands
-        this.playerCards.shift();
-        this.opponentCards.shift();
-
-        // Get values from pre-defined card stats
-        const playerValue = playerCard.stats[this.currentCategory];
-        const opponentValue = opponentCard.stats[this.currentCategory];
-
-        let result;
-
-        // Handle result
-        if (playerValue > opponentValue) {
-            result = 'player';
-            // Player wins the round
-            this.playerCards.push(playerCard, opponentCard, ...this.tieCards);
-            this.tieCards = [];
-            this.isPlayerTurn = true;
-            this.currentPlayer = 'player';
-        } else if (opponentValue > playerValue) {
-            result = 'opponent';
-            // Opponent wins the round
-            this.opponentCards.push(playerCard, opponentCard, ...this.tieCards);
-            this.tieCards = [];
-            this.isPlayerTurn = false;
-            this.currentPlayer = 'opponent';
-        } else {
-            result = 'tie';
-            // It's a tie - collect tie cards
-            this.tieCards.push(playerCard, opponentCard);
-            // Keep the same player's turn
-        }
+        const roundData = this.engine.compareCards(this.currentCategory);
 
-        // Check for game over
-        if (this.playerCards.length === 0) {
-            this.gameOver = true;
-            this.winner = 'opponent';
-        } else if (this.opponentCards.length === 0) {
-            this.gameOver = true;
-            this.winner = 'player';
+        // A finished game counts for its series; you always sit in seat 0
+        if (roundData && roundData.gameOver && this.series && !this.series.isOver()) {
+            this.series.recordGame(this.gameId, this.engine.winnerIndex, this.startingSeat);
+            roundData.series = { ...this.series.getScoreboard(), seat: 0 };
         }
 
-        const roundData = {
-            result,
-            playerCard,
-            opponentCard,
-            playerValue,
-            opponentValue,
-            category: this.currentCategory,
-            nextTurn: this.currentPlayer,
-            playerCardCount: this.playerCards.length,
-            opponentCardCount: this.opponentCards.length,
-            gameOver: this.gameOver,
-            winner: this.winner
-        };
-
         this.emitEvent('roundPlayed', roundData);
 
         // If AI opponent and AI's turn, make AI move after a delay
@@ -182,13 +356,11 @@ class Game {
     makeAIMove() {
         if (this.gameOver || this.isPlayerTurn || this.opponentCards.length === 0) return;
 
-        // AI strategy: pick the highest stat from the current card
-        const aiCard = this.opponentCards[0];
-        if (!aiCard || !aiCard.stats) return;
+        // The AI plays seat 1; its level decides the category
+        const context = AIStrategy.buildContext(this.engine, 1, this.deck.cards);
+        if (!context) return;
 
-        const stats = Object.entries(aiCard.stats);
-        stats.sort((a, b) => b[1] - a[1]); // Sort by value (highest first)
-        const bestCategory = stats[0][0];
+        const bestCategory = this.aiStrategy.chooseCategory(context);
 
         // Select this category
         this.selectCategory(bestCategory);
@@ -199,11 +371,12 @@ class Game {
 
     /**
      * Start an AI game
+     * @param {String} seed - Seed to deal from (optional)
      */
-    startAIGame() {
+    startAIGame(seed = null) {
         this.isAIOpponent = true;
         this.isOnlineGame = false;
-        this.init();
+        this.init(seed);
 
         this.emitEvent('gameStarted', {
             isAIGame: true
@@ -267,6 +440,14 @@ class Game {
         }
     }
 
+    /**
+     * Handle the server choosing for us after our time ran out
+     * The round goes on exactly as after an opponent's choice.
+     */
+    handleAutoPick(data) {
+        this.handleOpponentMove(data);
+    }
+
     /**
      * Handle game update from server (sync game state)
      */
@@ -281,6 +462,29 @@ class Game {
         this.winner = data.winner;
         this.currentCategory = data.currentCategory || this.currentCategory;
 
+        // Online we only ever see our own top card; the first one is checked against the deal at the end
+        if (data.gameId && data.roundsPlayed === 0 && data.playerCards && data.playerCards[0]) {
+            this.firstCard = { gameId: data.gameId, cardId: data.playerCards[0].id };
+        }
+        if (data.dealCommitment && data.dealReveal) {
+            this.verifyDeal(data.dealCommitment, data.dealReveal, data.seat);
+        }
+
+        // The server decides how categories compare and how the game is won
+        if (data.categories) {
+            this.engine.categoryRules = CategoryRules.fromDescription(data.categories);
+        }
+        this.engine.syncState({
+            winCondition: data.winCondition,
+            maxRounds: data.maxRounds,
+            tiePolicy: data.tiePolicy,
+            roundsPlayed: data.roundsPlayed,
+            points: data.points,
+            roundsWon: data.roundsWon,
+            endReason: data.endReason,
+            decidedBy: data.decidedBy
+        });
+
         if (this.reconnecting) {
             this.reconnecting = false;
             this.emitEvent('gameReconnected', data);
@@ -289,22 +493,37 @@ class Game {
         }
     }
 
+    /**
+     * Check the deal of a finished online game against the commitment the server made when it started
+     * @param {String} commitment - Hash sent with the game state from the start
+     * @param {Object} reveal - What the hash was made of, sent once the game is over
+     * @param {Number} seat - Our seat
+     */
+    async verifyDeal(commitment, reveal, seat) {
+        if (this.checkedDealGameId === reveal.gameId) return;
+        this.checkedDealGameId = reveal.gameId;
+
+        // The deal can only be dealt again from the seed with the same deck
+        const deck = this.deck.id === reveal.deckId ? this.deck.cards : undefined;
+        const firstCardId = this.firstCard && this.firstCard.gameId === reveal.gameId ? this.firstCard.cardId : undefined;
+
+        try {
+            const check = await DealCommitment.verify(commitment, reveal, { deck, seat, firstCardId });
+            this.emitEvent('dealVerified', { gameId: reveal.gameId, ...check });
+        } catch (error) {
+            console.error('Could not check the deal:', error);
+        }
+    }
+
     /**
      * Reset the game
      */
     resetGame() {
+        this.engine = new GameEngine(this.engine.categoryRules, null, this.engine.rules);
         this.isAIOpponent = false;
         this.isOnlineGame = false;
-        this.currentPlayer = null;
-        this.playerCards = [];
-        this.opponentCards = [];
         this.currentCategory = null;
-        this.gameOver = false;
-        this.winner = null;
         this.waitingForOpponent = false;
-        this.isPlayerTurn = false;
-        this.gameId = null;
-        this.tieCards = [];
 
         this.emitEvent('gameReset', {});
     }
@@ -329,7 +548,11 @@ class Game {
     }
 }
 
-// If Node.js environment, export the class
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Game };
-}
\ No newline at end of file
+// Classic scripts look the class up on window (js/main.js), and read card values through PoliticalCard (js/ui.js)
+if (typeof window !== 'undefined') {
+    window.Game = Game;
+    window.PoliticalCard = PoliticalCard;
+}
+
+export { Game };
+export default Game;
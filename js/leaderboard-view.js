@@ -0,0 +1,211 @@
+/**
+ * Leaderboard screen for Political Quartett
+ *
+ * Shows the server's player standings page by page and how often each
+ * card wins by category (see /api/leaderboard and /api/leaderboard/cards),
+ * filtered by season, deck pack and mode.
+ */
+import GameUI from '../core/GameUI.js';
+
+class LeaderboardView {
+    static ALL = '';
+
+    // Categories listed per card, most played first
+    static CATEGORIES_SHOWN = 3;
+
+    constructor() {
+        this.elements = {
+            season: document.getElementById('leaderboard-season'),
+            deck: document.getElementById('leaderboard-deck'),
+            mode: document.getElementById('leaderboard-mode'),
+            message: document.getElementById('leaderboard-message'),
+            players: document.getElementById('leaderboard-players'),
+            cards: document.getElementById('leaderboard-cards'),
+            page: document.getElementById('leaderboard-page'),
+            previous: document.getElementById('leaderboard-previous'),
+            next: document.getElementById('leaderboard-next')
+        };
+
+        // Only used to name categories, so it listens to nothing
+        this.categoryNames = new GameUI(null);
+
+        this.page = 1;
+        this.totalPages = 1;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Set up the filters and the page buttons
+     */
+    setupListeners() {
+        [this.elements.season, this.elements.deck, this.elements.mode].forEach(select => {
+            select.addEventListener('change', () => this.load(1));
+        });
+
+        this.elements.previous.addEventListener('click', () => this.load(this.page - 1));
+        this.elements.next.addEventListener('click', () => this.load(this.page + 1));
+    }
+
+    /**
+     * Query string of the selected filters
+     * @param {Number} page - Page of the standings
+     * @returns {String} - e.g. "season=2024-05&mode=ranked&page=2"
+     */
+    getQuery(page) {
+        const params = new URLSearchParams();
+        if (this.elements.season.value) params.set('season', this.elements.season.value);
+        if (this.elements.deck.value) params.set('deckId', this.elements.deck.value);
+        if (this.elements.mode.value) params.set('mode', this.elements.mode.value);
+        params.set('page', page);
+        return params.toString();
+    }
+
+    /**
+     * Fetch and show a page of standings with the card statistics
+     * @param {Number} page - Page to show, clamped to the standings
+     */
+    async load(page = 1) {
+        this.page = Math.max(1, Math.min(page, this.totalPages));
+        const query = this.getQuery(this.page);
+
+        try {
+            const [standings, cards] = await Promise.all([
+                this.fetchJSON(`api/leaderboard?${ query }`),
+                this.fetchJSON(`api/leaderboard/cards?${ query }`)
+            ]);
+
+            this.populateFilters(standings);
+            this.renderPlayers(standings);
+            this.renderCards(cards.cards);
+            this.elements.message.textContent = standings.total === 0 ? 'No online games have been finished for these filters yet.' : '';
+        } catch (error) {
+            console.warn(`Could not load the leaderboard: ${ error.message }`);
+            this.renderPlayers({ page: 1, totalPages: 1, players: [] });
+            this.renderCards([]);
+            this.elements.message.textContent = 'The leaderboard needs a connection to the server.';
+        }
+    }
+
+    /**
+     * Fetch a JSON document
+     * @param {String} url - URL
+     * @returns {Promise<Object>} - Parsed response
+     */
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${ response.status } ${ response.statusText }`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Fill the filter pickers with what the server offers, keeping the selection
+     * @param {Object} data - Leaderboard response with seasons, decks and modes
+     */
+    populateFilters(data) {
+        this.fillSelect(this.elements.season, 'All seasons', data.seasons.map(season => ({ value: season, label: season })));
+        this.fillSelect(this.elements.deck, 'All decks', data.decks.map(deck => ({ value: deck.id, label: deck.name })));
+        this.fillSelect(this.elements.mode, 'All games', data.modes.map(mode => ({ value: mode.id, label: mode.label })));
+
+        // Later decks win when several name the same category, so the selected one goes last
+        const selected = data.decks.filter(deck => deck.id === data.filters.deckId);
+        const decks = data.decks.filter(deck => deck.id !== data.filters.deckId).concat(selected);
+        this.categoryNames.setCategories([].concat(...decks.map(deck => deck.categories)));
+    }
+
+    /**
+     * Replace the options of a picker
+     * @param {HTMLSelectElement} select - Picker
+     * @param {String} allLabel - Label of the option without a filter
+     * @param {Array} options - [{ value, label }]
+     */
+    fillSelect(select, allLabel, options) {
+        const selected = select.value;
+        select.innerHTML = '';
+
+        [{ value: LeaderboardView.ALL, label: allLabel }, ...options].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Show a page of standings
+     * @param {Object} data - { page, totalPages, players }
+     */
+    renderPlayers(data) {
+        this.page = data.page;
+        this.totalPages = data.totalPages;
+        this.elements.players.innerHTML = '';
+
+        data.players.forEach(player => {
+            const rating = player.rating ? `${ player.rating.value }${ player.rating.provisional ? '?' : '' }` : '';
+            this.appendRow(this.elements.players, [
+                player.rank,
+                player.name,
+                rating,
+                `${ player.wins }-${ player.losses }-${ player.draws }`,
+                this.formatRate(player.winRate),
+                player.roundsWon
+            ]);
+        });
+
+        this.elements.page.textContent = `${ data.page } / ${ data.totalPages }`;
+        this.elements.previous.disabled = data.page <= 1;
+        this.elements.next.disabled = data.page >= data.totalPages;
+    }
+
+    /**
+     * Show how often each card wins
+     * @param {Array} cards - [{ id, name, played, winRate, categories: [{ key, played, winRate }] }]
+     */
+    renderCards(cards) {
+        this.elements.cards.innerHTML = '';
+
+        cards.forEach(card => {
+            const categories = card.categories
+                .slice(0, LeaderboardView.CATEGORIES_SHOWN)
+                .map(category => `${ this.categoryNames.formatCategoryName(category.key) } ${ this.formatRate(category.winRate) } (${ category.played })`)
+                .join(', ');
+
+            this.appendRow(this.elements.cards, [card.name || card.id, card.played, this.formatRate(card.winRate), categories]);
+        });
+    }
+
+    /**
+     * Add a table row
+     * @param {HTMLElement} body - Table body
+     * @param {Array} values - Cell texts
+     */
+    appendRow(body, values) {
+        const row = document.createElement('tr');
+        values.forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        body.appendChild(row);
+    }
+
+    /**
+     * Format a rate between 0 and 1 as a percentage
+     * @param {Number} rate - Rate
+     * @returns {String} - e.g. "62%"
+     */
+    formatRate(rate) {
+        return `${ Math.round(rate * 100) }%`;
+    }
+}
+
+// Classic scripts (js/main.js) look the class up on window
+if (typeof window !== 'undefined') {
+    window.LeaderboardView = LeaderboardView;
+}
+
+export { LeaderboardView };
+export default LeaderboardView;
@@ -1,4 +1,7 @@
 // Lobby and matchmaking system
+import Protocol from '../core/Protocol.js';
+
+const { CLIENT, SERVER } = Protocol;
 
 let socket;
 let currentLobbyId = null;
@@ -6,7 +9,7 @@ let isLobbyCreator = false;
 let players = [];
 
 function initializeLobbySystem() {
-    socket = io();
+    socket = io({ auth: { protocolVersion: Protocol.VERSION } });
 
     // Socket event listeners
     socket.on('connect', () => {
@@ -14,38 +17,45 @@ function initializeLobbySystem() {
         showLobbyBrowser();
     });
 
-    socket.on('lobbies', (lobbies) => {
-        displayLobbies(lobbies);
+    socket.on(SERVER.LOBBY_LIST, (data) => {
+        displayLobbies(data.lobbies);
     });
 
-    socket.on('lobbyCreated', (lobbyData) => {
-        handleLobbyCreated(lobbyData);
+    socket.on(SERVER.LOBBY_CREATED, (data) => {
+        handleLobbyCreated(data.lobby);
     });
 
-    socket.on('playerJoined', (playerData) => {
-        players.push(playerData);
+    socket.on(SERVER.PLAYER_JOINED_LOBBY, (data) => {
+        players.push(data.player);
         updatePlayerList();
     });
 
-    socket.on('playerLeft', (playerId) => {
-        players = players.filter(player => player.id !== playerId);
+    socket.on(SERVER.PLAYER_LEFT_LOBBY, (data) => {
+        players = players.filter(player => player.id !== data.playerId);
         updatePlayerList();
     });
 
-    socket.on('lobbyJoined', (lobbyData) => {
-        handleLobbyJoined(lobbyData);
+    // The host moves to the longest-waiting player when the host leaves
+    socket.on(SERVER.LOBBY_UPDATED, (data) => {
+        isLobbyCreator = data.lobby.isCreator;
+        players = data.lobby.players;
+        showCurrentLobby();
+    });
+
+    socket.on(SERVER.JOINED_LOBBY, (data) => {
+        handleLobbyJoined(data.lobby);
     });
 
-    socket.on('gameStarted', () => {
+    socket.on(SERVER.GAME_STARTED, () => {
         window.location.href = '/game.html?lobby=' + currentLobbyId;
     });
 
-    socket.on('error', (errorMessage) => {
-        showError(errorMessage);
+    socket.on(SERVER.ERROR, (data) => {
+        showError(data.message);
     });
 
     // Request initial lobbies
-    socket.emit('getLobbies');
+    socket.emit(CLIENT.GET_LOBBY_LIST);
 }
 
 // UI Functions
@@ -71,7 +81,7 @@ function showMainMenu() {
 function showLobbyBrowser() {
     document.getElementById('lobby-browser').style.display = 'block';
     document.getElementById('current-lobby').style.display = 'none';
-    socket.emit('getLobbies');
+    socket.emit(CLIENT.GET_LOBBY_LIST);
 }
 
 function showCurrentLobby() {
@@ -108,7 +118,7 @@ function displayLobbies(lobbies) {
 
         const lobbyPlayers = document.createElement('div');
         lobbyPlayers.className = 'lobby-players';
-        lobbyPlayers.textContent = `${ lobby.players.length } / 4 players`;
+        lobbyPlayers.textContent = `${ lobby.players.length } / ${ lobby.maxPlayers } players`;
 
         lobbyInfo.appendChild(lobbyName);
         lobbyInfo.appendChild(lobbyPlayers);
@@ -119,7 +129,7 @@ function displayLobbies(lobbies) {
         joinButton.onclick = () => joinLobby(lobby.id);
 
         // Disable join button if lobby is full
-        if (lobby.players.length >= 4) {
+        if (lobby.players.length >= lobby.maxPlayers) {
             joinButton.disabled = true;
             joinButton.textContent = 'Full';
         }
@@ -192,11 +202,12 @@ function createLobby() {
     const lobbyName = document.getElementById('create-lobby-name').value.trim() ||
         `${ socket.id.substr(0, 6) }'s Lobby`;
 
-    socket.emit('createLobby', { name: lobbyName });
+    socket.emit(CLIENT.CREATE_LOBBY, { name: lobbyName });
 }
 
+// Lobbies are known by their invite code
 function joinLobby(lobbyId) {
-    socket.emit('joinLobby', { lobbyId });
+    socket.emit(CLIENT.JOIN_LOBBY_BY_CODE, { inviteCode: lobbyId });
 }
 
 function joinLobbyByCode() {
@@ -206,12 +217,12 @@ function joinLobbyByCode() {
         return;
     }
 
-    socket.emit('joinLobby', { lobbyId: code });
+    socket.emit(CLIENT.JOIN_LOBBY_BY_CODE, { inviteCode: code });
 }
 
 function leaveLobby() {
     if (currentLobbyId) {
-        socket.emit('leaveLobby', { lobbyId: currentLobbyId });
+        socket.emit(CLIENT.LEAVE_LOBBY);
         currentLobbyId = null;
         isLobbyCreator = false;
         players = [];
@@ -221,7 +232,7 @@ function leaveLobby() {
 
 function startGame() {
     if (currentLobbyId && isLobbyCreator) {
-        socket.emit('startGame', { lobbyId: currentLobbyId });
+        socket.emit(CLIENT.START_GAME_FROM_LOBBY, { lobbyId: currentLobbyId });
     }
 }
 
@@ -257,7 +268,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Refresh lobby list periodically
     setInterval(() => {
         if (!currentLobbyId) {
-            socket.emit('getLobbies');
+            socket.emit(CLIENT.GET_LOBBY_LIST);
         }
     }, 5000);
 });
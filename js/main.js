@@ -39,10 +39,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.log('Running in offline mode');
     }
 
+    // Offer every deck pack that loaded and validated
+    ui.populateDeckSelect(await Game.loadDeckPacks());
+    ui.populateAILevelSelect(Game.getAILevels());
+    ui.populateWinConditionSelect(Game.getWinConditions());
+    ui.populateTiePolicySelect(Game.getTiePolicies());
+    ui.populateSeriesSelect(Game.getSeriesLengths());
+    ui.populateQueueSelect(Game.getQueues());
+
     // Set up UI event listeners
     document.addEventListener('ui:playOnline', async (event) => {
         if (onlineMode && network && network.connected) {
-            network.createGame();
+            network.createGame(2, ui.getSelectedDeck()?.id, {
+                winCondition: ui.getSelectedWinCondition(),
+                tiePolicy: ui.getSelectedTiePolicy(),
+                bestOf: ui.getSelectedSeriesLength(),
+                queue: ui.getSelectedQueue()
+            });
+            openChat();
         } else {
             // Fallback to AI
             ui.updateLoadingMessage("Online mode not available, playing against AI");
@@ -51,19 +65,140 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Series against the AI; the daily challenge is always a single game
+    let localSeries = null;
+
     document.addEventListener('ui:playAI', (event) => {
-        startAIGame();
+        localSeries = Game.createSeries(ui.getSelectedSeriesLength());
+        startAIGame(null, localSeries);
+    });
+
+    // Everyone gets the same deal on the same day
+    document.addEventListener('ui:playDaily', (event) => {
+        localSeries = null;
+        startAIGame(Game.getDailySeed());
+    });
+
+    // Replays: the last local game plus the server's recent games
+    const replayViewer = new ReplayViewer();
+    let lastGame = game;
+
+    document.addEventListener('ui:openReplays', (event) => {
+        replayViewer.loadList();
+    });
+
+    document.addEventListener('ui:watchReplay', (event) => {
+        replayViewer.open(lastGame.getReplay());
+    });
+
+    // Leaderboard: standings and card statistics of the server's online games
+    const leaderboardView = new LeaderboardView();
+
+    document.addEventListener('ui:openLeaderboard', (event) => {
+        leaderboardView.load(1);
+    });
+
+    // Watch Live: running online games, shown to spectators without any hands
+    const spectatorView = new SpectatorView();
+
+    document.addEventListener('ui:openLiveGames', (event) => {
+        if (onlineMode && network && network.connected) {
+            network.requestLiveGames();
+        } else {
+            spectatorView.showOffline();
+        }
+    });
+
+    document.addEventListener('ui:refreshLiveGames', (event) => {
+        if (onlineMode && network && network.connected) {
+            network.requestLiveGames();
+        }
+    });
+
+    document.addEventListener('ui:spectateGame', (event) => {
+        if (onlineMode && network && network.connected) {
+            network.spectateGame(event.detail.gameId);
+        }
     });
 
-    // Function to start a game against AI
-    function startAIGame() {
+    document.addEventListener('ui:stopSpectating', (event) => {
+        spectatorView.close();
+        if (network && network.connected) {
+            network.stopSpectating();
+        }
+    });
+
+    // Chat of online games
+    const chatView = new ChatView();
+
+    // A new online game starts with an empty chat
+    function openChat() {
+        chatView.clear();
+        chatView.selfId = network.playerId;
+        chatView.setVisible(true);
+    }
+
+    document.addEventListener('ui:sendChat', (event) => {
+        if (network && network.connected) {
+            network.sendChatMessage(event.detail.text);
+        }
+    });
+
+    document.addEventListener('ui:sendEmote', (event) => {
+        if (network && network.connected) {
+            network.sendEmote(event.detail.emote);
+        }
+    });
+
+    document.addEventListener('ui:mutePlayer', (event) => {
+        if (network && network.connected) {
+            network.mutePlayer(event.detail);
+        }
+    });
+
+    document.addEventListener('ui:blockPlayer', (event) => {
+        if (network && network.connected) {
+            network.blockPlayer(event.detail);
+        }
+    });
+
+    // Function to start a game against AI, optionally from a seed and as part of a series
+    function startAIGame(seed = null, series = null) {
         const aiGame = new Game(true);
+        lastGame = aiGame;
+        aiGame.setSeries(series);
+        const deck = ui.getSelectedDeck();
+        if (deck) {
+            aiGame.setDeck(deck);
+        }
+
+        const winCondition = ui.getSelectedWinCondition();
+        if (winCondition) {
+            aiGame.setWinCondition(winCondition);
+        }
+
+        const tiePolicy = ui.getSelectedTiePolicy();
+        if (tiePolicy) {
+            aiGame.setTiePolicy(tiePolicy);
+        }
+
+        const aiLevel = ui.getSelectedAILevel();
+        if (aiLevel) {
+            aiGame.setAILevel(aiLevel);
+        }
 
         // Re-setup handlers with AI game
         ui.setupGameHandlers(aiGame);
 
+        // Keep the finished game for the replay menu
+        aiGame.on('roundPlayed', (data) => {
+            if (data.gameOver) {
+                ReplayViewer.saveLocal(aiGame.getReplay());
+            }
+        });
+
         // Initialize the game
-        aiGame.init();
+        aiGame.init(seed);
     }
 
     document.addEventListener('ui:categorySelected', (event) => {
@@ -115,12 +250,33 @@ document.addEventListener('DOMContentLoaded', async () => {
         ui.showScreen('mainMenu');
     });
 
+    // Both online players have to ask before the next game is dealt; without
+    // an opponent to ask, matchmaking finds a new one
+    let rematchDeclined = false;
+
     document.addEventListener('ui:playAgain', (event) => {
         if (onlineMode && network && network.connected) {
+            if (ui.series && !rematchDeclined) {
+                network.requestRematch();
+                ui.showRematchStatus('Waiting for your opponent...');
+                return;
+            }
+
+            rematchDeclined = false;
             ui.showScreen('matchmaking');
-            network.createGame();
+            network.createGame(2, ui.getSelectedDeck()?.id, {
+                winCondition: ui.getSelectedWinCondition(),
+                tiePolicy: ui.getSelectedTiePolicy(),
+                bestOf: ui.getSelectedSeriesLength(),
+                queue: ui.getSelectedQueue()
+            });
+            openChat();
         } else {
-            startAIGame();
+            // Next game of the series, or a rematch of the same length once it is decided
+            if (localSeries && localSeries.isOver()) {
+                localSeries = localSeries.createRematch(`local-${ Date.now() }`);
+            }
+            startAIGame(null, localSeries);
         }
     });
 
@@ -128,11 +284,80 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (network && network.connected) {
             network.leaveGame();
         }
+        chatView.setVisible(false);
+        chatView.clear();
     });
 
     // Network event listeners
-    document.addEventListener('network:playersCount', (event) => {
-        ui.updatePlayersCount(event.detail);
+    document.addEventListener('network:queueStatus', (event) => {
+        ui.updateQueueStatus(event.detail);
+    });
+
+    document.addEventListener('network:ratingUpdated', (event) => {
+        ui.showRatingChange(event.detail);
+    });
+
+    document.addEventListener('network:rematchRequested', (event) => {
+        const data = event.detail;
+        if (data.series && data.seat !== data.series.seat) {
+            ui.showRematchStatus(`${ data.name } wants to play again`);
+        }
+    });
+
+    document.addEventListener('network:rematchStarted', (event) => {
+        ui.series = event.detail.series;
+        ui.showRematchStatus('');
+    });
+
+    document.addEventListener('network:rematchDeclined', (event) => {
+        rematchDeclined = true;
+        ui.showRematchStatus(`${ event.detail.name } has left`);
+        ui.buttons.playAgain.textContent = 'Play Again';
+    });
+
+    document.addEventListener('network:liveGames', (event) => {
+        spectatorView.showLiveGames(event.detail.games);
+    });
+
+    document.addEventListener('network:spectateStarted', (event) => {
+        spectatorView.start(event.detail);
+    });
+
+    document.addEventListener('network:spectatorState', (event) => {
+        spectatorView.showState(event.detail);
+    });
+
+    document.addEventListener('network:spectatorRound', (event) => {
+        spectatorView.showRound(event.detail);
+    });
+
+    document.addEventListener('network:spectateEnded', (event) => {
+        spectatorView.end(event.detail);
+    });
+
+    document.addEventListener('network:spectatorsUpdated', (event) => {
+        const { gameId, count } = event.detail;
+        if (gameId === spectatorView.gameId) {
+            spectatorView.updateStatus(count);
+        } else {
+            ui.updateSpectatorCount(count);
+        }
+    });
+
+    document.addEventListener('network:turnTimeout', (event) => {
+        ui.showTurnTimeout(event.detail);
+    });
+
+    document.addEventListener('network:playerForfeited', (event) => {
+        ui.showForfeit(event.detail);
+    });
+
+    document.addEventListener('network:chatMessage', (event) => {
+        chatView.addMessage(event.detail);
+    });
+
+    document.addEventListener('network:chatError', (event) => {
+        chatView.showError(event.detail.error);
     });
 
     document.addEventListener('network:nextCards', (event) => {
@@ -144,9 +369,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         if (data && data.opponentCard) {
             ui.displayCard(data.opponentCard, ui.elements.opponentCard, false);
+        } else if (data && data.opponentCards && data.opponentCards.length > 0) {
+            // The server keeps other seats' cards face down until they are played
+            ui.displayCardBack(ui.elements.opponentCard);
         }
     });
 
+    // Online play needs a client that speaks the server's protocol version
+    document.addEventListener('network:protocolMismatch', () => {
+        ui.updateLoadingMessage("The game has been updated, reload the page to play online");
+    });
+
     document.addEventListener('network:error', (event) => {
         const error = event.detail;
         console.error('Game error:', error);
@@ -166,6 +399,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         ui.showScreen('matchmaking');
     }
 
+    // Deal a specific game again for debugging, e.g. ?seed=daily-2024-05-01
+    const seedParam = urlParams.get('seed');
+    if (seedParam && !joinGameId) {
+        startAIGame(seedParam);
+    }
+
     // Handle browser navigation and tab closing
     window.addEventListener('beforeunload', () => {
         if (network && network.connected) {
@@ -1,6 +1,10 @@
 /**
  * Network Handler for Political Quartett
  */
+import Protocol from '../core/Protocol.js';
+
+const { CLIENT, SERVER } = Protocol;
+
 class Network {
     constructor(game) {
         this.game = game;
@@ -21,7 +25,9 @@ class Network {
         return new Promise((resolve, reject) => {
             try {
                 console.log(`Connecting to server at ${ this.serverUrl }`);
-                this.socket = io(this.serverUrl);
+                this.socket = io(this.serverUrl, {
+                    auth: { protocolVersion: Protocol.VERSION }
+                });
 
                 this.socket.on('connect', () => {
                     console.log('Connected to server');
@@ -33,6 +39,13 @@ class Network {
                 this.socket.on('connect_error', (error) => {
                     console.error('Connection error:', error);
                     this.connected = false;
+
+                    // The server runs another version of the game; reloading the page fetches it
+                    if (error.data && error.data.code === 'PROTOCOL_MISMATCH') {
+                        document.dispatchEvent(new CustomEvent('network:protocolMismatch', {
+                            detail: error.data
+                        }));
+                    }
                     reject(error);
                 });
 
@@ -53,38 +66,123 @@ class Network {
         if (!this.socket) return;
 
         // Game creation and matchmaking
-        this.socket.on('game_created', (data) => {
+        this.socket.on(SERVER.GAME_CREATED, (data) => {
             this.gameId = data.gameId;
             this.game.createOrJoinOnlineGame(data.gameId);
         });
 
-        this.socket.on('player_joined', (data) => {
+        this.socket.on(SERVER.PLAYER_JOINED, (data) => {
+            this.game.opponentJoined(data.gameId);
+        });
+
+        this.socket.on(SERVER.WAITING_FOR_PLAYERS, (data) => {
+            document.dispatchEvent(new CustomEvent('network:waitingForPlayers', {
+                detail: data
+            }));
+        });
+
+        this.socket.on(SERVER.PLAYER_ELIMINATED, (data) => {
+            document.dispatchEvent(new CustomEvent('network:playerEliminated', {
+                detail: data
+            }));
+        });
+
+        this.socket.on(SERVER.PLAYER_LEFT_GAME, (data) => {
+            document.dispatchEvent(new CustomEvent('network:playerLeftGame', {
+                detail: data
+            }));
+        });
+
+        // Next game of a series, or a rematch, between the same players
+        this.socket.on(SERVER.REMATCH_REQUESTED, (data) => {
+            document.dispatchEvent(new CustomEvent('network:rematchRequested', {
+                detail: data
+            }));
+        });
+
+        this.socket.on(SERVER.REMATCH_STARTED, (data) => {
+            this.gameId = data.gameId;
             this.game.opponentJoined(data.gameId);
+            document.dispatchEvent(new CustomEvent('network:rematchStarted', {
+                detail: data
+            }));
         });
 
-        this.socket.on('players_count', (data) => {
-            document.dispatchEvent(new CustomEvent('network:playersCount', {
-                detail: data.count
+        this.socket.on(SERVER.REMATCH_DECLINED, (data) => {
+            document.dispatchEvent(new CustomEvent('network:rematchDeclined', {
+                detail: data
+            }));
+        });
+
+        // Where we stand in the matchmaking queue, and the rating a ranked game moved
+        this.socket.on(SERVER.QUEUE_STATUS, (data) => {
+            document.dispatchEvent(new CustomEvent('network:queueStatus', {
+                detail: data
+            }));
+        });
+
+        this.socket.on(SERVER.RATING_UPDATED, (data) => {
+            document.dispatchEvent(new CustomEvent('network:ratingUpdated', {
+                detail: data
+            }));
+        });
+
+        // Spectating: the live games list and the neutral view of a watched game
+        [
+            [SERVER.LIVE_GAMES, 'network:liveGames'],
+            [SERVER.SPECTATE_STARTED, 'network:spectateStarted'],
+            [SERVER.SPECTATOR_STATE, 'network:spectatorState'],
+            [SERVER.SPECTATOR_ROUND, 'network:spectatorRound'],
+            [SERVER.SPECTATE_ENDED, 'network:spectateEnded'],
+            [SERVER.SPECTATORS_UPDATED, 'network:spectatorsUpdated']
+        ].forEach(([serverEvent, event]) => {
+            this.socket.on(serverEvent, (data) => {
+                document.dispatchEvent(new CustomEvent(event, {
+                    detail: data
+                }));
+            });
+        });
+
+        // The server chose for a seat that ran out of time; for our own seat the round goes on as after a pick
+        this.socket.on(SERVER.TURN_TIMEOUT, (data) => {
+            if (data.isSelf) {
+                this.game.handleAutoPick(data);
+            }
+            document.dispatchEvent(new CustomEvent('network:turnTimeout', {
+                detail: data
+            }));
+        });
+
+        this.socket.on(SERVER.PLAYER_FORFEITED, (data) => {
+            document.dispatchEvent(new CustomEvent('network:playerForfeited', {
+                detail: data
+            }));
+        });
+
+        // Chat messages and emotes of the current game or lobby
+        this.socket.on(SERVER.CHAT_MESSAGE, (data) => {
+            document.dispatchEvent(new CustomEvent('network:chatMessage', {
+                detail: data
             }));
         });
 
         // Game state and moves
-        this.socket.on('opponent_move', (data) => {
+        this.socket.on(SERVER.OPPONENT_MOVE, (data) => {
             this.game.handleOpponentMove(data);
         });
 
-        this.socket.on('game_state', (data) => {
+        this.socket.on(SERVER.GAME_STATE, (data) => {
             this.game.syncGameState(data.gameState);
         });
 
-        this.socket.on('next_cards', (data) => {
+        this.socket.on(SERVER.NEXT_CARDS, (data) => {
             document.dispatchEvent(new CustomEvent('network:nextCards', {
                 detail: data
             }));
         });
 
         // Error handling
-        this.socket.on('error', (data) => {
+        this.socket.on(SERVER.ERROR, (data) => {
             console.error('Server error:', data.message);
 
             document.dispatchEvent(new CustomEvent('network:error', {
@@ -95,14 +193,17 @@ class Network {
 
     /**
      * Create a new game
+     * @param {Number} maxPlayers - Seats to fill before the game starts, 2-6
+     * @param {String} deckId - Deck pack to play with (optional, server default if omitted)
+     * @param {Object} options - { seed } to deal from a seed or { daily: true } for the daily challenge, plus rules such as { winCondition, maxRounds, tiePolicy }, { bestOf } for a series and { queue: 'ranked' } (optional)
      */
-    createGame() {
+    createGame(maxPlayers = 2, deckId = null, options = {}) {
         if (!this.connected) {
             console.warn('Not connected to server');
             return false;
         }
 
-        this.socket.emit('create_game');
+        this.socket.emit(CLIENT.CREATE_GAME, { maxPlayers, deckId, ...options });
         return true;
     }
 
@@ -116,7 +217,7 @@ class Network {
         }
 
         this.gameId = gameId;
-        this.socket.emit('join_game', { gameId });
+        this.socket.emit(CLIENT.JOIN_GAME, { gameId });
         return true;
     }
 
@@ -129,7 +230,7 @@ class Network {
             return false;
         }
 
-        this.socket.emit('select_category', {
+        this.socket.emit(CLIENT.SELECT_CATEGORY, {
             gameId: this.gameId,
             category: category
         });
@@ -146,20 +247,128 @@ class Network {
             return false;
         }
 
-        this.socket.emit('get_next_cards', {
+        this.socket.emit(CLIENT.GET_NEXT_CARDS, {
             gameId: this.gameId
         });
 
         return true;
     }
 
+    /**
+     * Ask for the next game after the current one has finished
+     * The server deals it once the opponent has asked too.
+     */
+    requestRematch() {
+        if (!this.connected || !this.gameId) {
+            console.warn('Not connected or no active game');
+            return false;
+        }
+
+        this.socket.emit(CLIENT.REQUEST_REMATCH, {
+            gameId: this.gameId
+        });
+
+        return true;
+    }
+
+    /**
+     * Ask for the running games that can be watched
+     */
+    requestLiveGames() {
+        if (!this.connected) {
+            console.warn('Not connected to server');
+            return false;
+        }
+
+        this.socket.emit(CLIENT.GET_LIVE_GAMES);
+        return true;
+    }
+
+    /**
+     * Watch a running game
+     * @param {String} gameId - Game to watch
+     */
+    spectateGame(gameId) {
+        if (!this.connected) {
+            console.warn('Not connected to server');
+            return false;
+        }
+
+        this.socket.emit(CLIENT.SPECTATE_GAME, { gameId });
+        return true;
+    }
+
+    /**
+     * Stop watching the current game
+     */
+    stopSpectating() {
+        if (!this.connected) return;
+
+        this.socket.emit(CLIENT.STOP_SPECTATING);
+    }
+
+    /**
+     * Send a chat message to the current game or lobby
+     * @param {String} text - Message text
+     */
+    sendChatMessage(text) {
+        this.sendChat(CLIENT.CHAT_MESSAGE, { text });
+    }
+
+    /**
+     * Send a quick emote to the current game or lobby
+     * @param {String} emote - Emote ID (see core/Chat.js)
+     */
+    sendEmote(emote) {
+        this.sendChat(CLIENT.SEND_EMOTE, { emote });
+    }
+
+    /**
+     * Hide or show another player's messages
+     * @param {Object} target - { playerId } or { seat }
+     * @param {Boolean} muted - Mute or unmute
+     */
+    mutePlayer(target, muted = true) {
+        this.sendChat(muted ? CLIENT.MUTE_PLAYER : CLIENT.UNMUTE_PLAYER, target);
+    }
+
+    /**
+     * Block or unblock another player; a block hides messages both ways
+     * @param {Object} target - { playerId } or { seat }
+     * @param {Boolean} blocked - Block or unblock
+     */
+    blockPlayer(target, blocked = true) {
+        this.sendChat(blocked ? CLIENT.BLOCK_PLAYER : CLIENT.UNBLOCK_PLAYER, target);
+    }
+
+    /**
+     * Emit a chat event, reporting a refusal as network:chatError
+     * @param {String} event - Socket event
+     * @param {Object} data - Payload
+     */
+    sendChat(event, data) {
+        if (!this.connected) {
+            console.warn('Not connected to server');
+            return false;
+        }
+
+        this.socket.emit(event, data, (response) => {
+            if (response && !response.success) {
+                document.dispatchEvent(new CustomEvent('network:chatError', {
+                    detail: response
+                }));
+            }
+        });
+        return true;
+    }
+
     /**
      * Leave the current game
      */
     leaveGame() {
         if (!this.connected || !this.gameId) return;
 
-        this.socket.emit('leave_game', {
+        this.socket.emit(CLIENT.LEAVE_GAME, {
             gameId: this.gameId
         });
 
@@ -191,7 +400,8 @@ class Network {
     }
 }
 
-// If Node.js environment, export the class
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Network };
-}
\ No newline at end of file
+// main.js is a classic script and finds the class on window
+window.Network = Network;
+
+export { Network };
+export default Network;
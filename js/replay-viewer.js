@@ -0,0 +1,294 @@
+/**
+ * Replay Viewer for Political Quartett
+ *
+ * Steps forward and backward through a recorded game (see
+ * core/ReplayRecorder.js), rendering the played cards with the same
+ * markup as the game itself (GameUI.generateCardHTML).
+ */
+import GameUI from '../core/GameUI.js';
+import ReplayRecorder from '../core/ReplayRecorder.js';
+
+class ReplayViewer {
+    static STORAGE_KEY = 'politicalQuartett.lastReplay';
+    static LOCAL_REPLAY = 'local';
+
+    constructor() {
+        this.elements = {
+            screen: document.getElementById('replay-screen'),
+            select: document.getElementById('replay-select'),
+            title: document.getElementById('replay-step-title'),
+            details: document.getElementById('replay-step-details'),
+            cards: document.getElementById('replay-cards'),
+            position: document.getElementById('replay-position'),
+            first: document.getElementById('replay-first'),
+            previous: document.getElementById('replay-previous'),
+            next: document.getElementById('replay-next'),
+            last: document.getElementById('replay-last')
+        };
+
+        // Only used for its card rendering, so it listens to nothing
+        this.cardRenderer = new GameUI(null);
+
+        this.replay = null;
+        this.steps = [];
+        this.stepIndex = 0;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Keep the replay of a finished local game for the replay menu
+     * @param {Object} replay - Replay
+     */
+    static saveLocal(replay) {
+        if (!replay) return;
+
+        try {
+            localStorage.setItem(ReplayViewer.STORAGE_KEY, JSON.stringify(replay));
+        } catch (error) {
+            console.warn(`Could not store replay: ${ error.message }`);
+        }
+    }
+
+    /**
+     * The replay stored by saveLocal()
+     * @returns {Object|null} - Replay or null if there is none
+     */
+    static loadLocal() {
+        try {
+            const data = localStorage.getItem(ReplayViewer.STORAGE_KEY);
+            return data ? ReplayRecorder.load(JSON.parse(data)) : null;
+        } catch (error) {
+            console.warn(`Ignoring stored replay: ${ error.message }`);
+            return null;
+        }
+    }
+
+    /**
+     * Set up the step buttons, arrow keys and the game picker
+     */
+    setupListeners() {
+        this.elements.first.addEventListener('click', () => this.showStep(0));
+        this.elements.previous.addEventListener('click', () => this.showStep(this.stepIndex - 1));
+        this.elements.next.addEventListener('click', () => this.showStep(this.stepIndex + 1));
+        this.elements.last.addEventListener('click', () => this.showStep(this.steps.length - 1));
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.elements.screen.classList.contains('active') || !this.replay) return;
+
+            if (event.key === 'ArrowLeft') {
+                this.showStep(this.stepIndex - 1);
+            } else if (event.key === 'ArrowRight') {
+                this.showStep(this.stepIndex + 1);
+            }
+        });
+
+        this.elements.select.addEventListener('change', () => this.openSelected());
+    }
+
+    /**
+     * Fill the game picker with the last local game and the server's recent games
+     * @param {String} replaysUrl - Server replay list
+     */
+    async loadList(replaysUrl = 'api/replays') {
+        const options = [];
+
+        if (ReplayViewer.loadLocal()) {
+            options.push({ value: ReplayViewer.LOCAL_REPLAY, label: 'Your last game' });
+        }
+
+        try {
+            const response = await fetch(replaysUrl);
+            if (response.ok) {
+                const { replays } = await response.json();
+                (replays || []).forEach(summary => {
+                    const winner = summary.winner ? `, ${ summary.winner } won` : '';
+                    options.push({
+                        value: summary.gameId,
+                        label: `${ summary.players.join(' vs ') } (${ summary.rounds } rounds${ winner })`
+                    });
+                });
+            }
+        } catch (error) {
+            // Offline: only the local game can be watched
+        }
+
+        this.elements.select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.select.appendChild(option);
+        });
+
+        if (options.length > 0) {
+            await this.openSelected();
+        } else {
+            this.open(null);
+        }
+    }
+
+    /**
+     * Open the replay chosen in the game picker
+     */
+    async openSelected() {
+        const value = this.elements.select.value;
+
+        if (value === ReplayViewer.LOCAL_REPLAY) {
+            this.open(ReplayViewer.loadLocal());
+            return;
+        }
+
+        try {
+            const response = await fetch(`api/replays/${ encodeURIComponent(value) }`);
+            if (!response.ok) {
+                throw new Error(`${ response.status } ${ response.statusText }`);
+            }
+            this.open(await response.json());
+        } catch (error) {
+            console.warn(`Could not load replay ${ value }: ${ error.message }`);
+            this.open(null);
+        }
+    }
+
+    /**
+     * Show a replay from its first step
+     * @param {Object|null} replay - Replay, null to clear the viewer
+     */
+    open(replay) {
+        try {
+            this.replay = replay ? ReplayRecorder.load(replay) : null;
+        } catch (error) {
+            console.warn(error.message);
+            this.replay = null;
+        }
+
+        this.steps = this.replay ? ReplayRecorder.getSteps(this.replay) : [];
+        this.cardRenderer.setCategories(this.replay ? this.replay.categories : []);
+        this.showStep(0);
+    }
+
+    /**
+     * Show one step: 0 is the deal, then one step per round
+     * @param {Number} index - Step index, clamped to the replay
+     */
+    showStep(index) {
+        if (this.steps.length === 0) {
+            this.elements.title.textContent = 'No replay loaded';
+            this.elements.details.textContent = 'Finish a game to watch it here.';
+            this.elements.cards.innerHTML = '';
+            this.elements.position.textContent = '0 / 0';
+            this.updateButtons();
+            return;
+        }
+
+        this.stepIndex = Math.max(0, Math.min(index, this.steps.length - 1));
+        const step = this.steps[this.stepIndex];
+
+        this.elements.title.textContent = step.round === null ? 'The deal' : `Round ${ step.round }`;
+        this.elements.details.textContent = this.describeStep(step);
+        this.elements.position.textContent = `${ this.stepIndex } / ${ this.steps.length - 1 }`;
+        this.renderCards(step);
+        this.updateButtons();
+    }
+
+    /**
+     * Text describing what happened in a step
+     * @param {Object} step - Step from ReplayRecorder.getSteps()
+     * @returns {String} - Description
+     */
+    describeStep(step) {
+        const name = seat => this.replay.players[seat] || `Player ${ seat + 1 }`;
+
+        if (step.round === null) {
+            const seed = this.replay.seed ? ` Seed: ${ this.replay.seed }.` : '';
+            return `${ step.cardCounts.join(' / ') } cards dealt, ${ name(step.nextSeat) } starts.${ seed }`;
+        }
+
+        const parts = [`${ name(step.chooser) } chose ${ this.cardRenderer.formatCategoryName(step.category) }.`];
+
+        step.effects.forEach(effect => parts.push(effect.description));
+
+        if (step.cancelled) {
+            parts.push('The round is cancelled.');
+        } else if (step.winnerSeat !== null) {
+            parts.push(`${ name(step.winnerSeat) } wins the round.`);
+        } else {
+            parts.push(`Tie between ${ step.tiedSeats.map(name).join(' and ') }, ${ step.tieCardCount } cards in the tie pile.`);
+        }
+
+        if (step.tieBreak && step.tieBreak.policy !== 'tiePile') {
+            parts.push(step.tieBreak.description);
+        }
+
+        step.eliminated.forEach(seat => parts.push(`${ name(seat) } is out of cards.`));
+
+        if (step.gameOver) {
+            const { winnerSeat, reason, endReason } = this.replay.result;
+            if (endReason === 'roundLimit') {
+                parts.push('Round limit reached.');
+            }
+            parts.push(winnerSeat !== null ? `${ name(winnerSeat) } wins the game!` : `Game ${ reason }.`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Render the cards of a step, one per seat
+     * @param {Object} step - Step from ReplayRecorder.getSteps()
+     */
+    renderCards(step) {
+        // generateCardHTML highlights the category of the round
+        this.cardRenderer.state.currentCategory = step.category;
+        this.elements.cards.innerHTML = '';
+
+        step.plays.forEach(play => {
+            const seat = document.createElement('div');
+            seat.className = 'replay-seat';
+            if (play.seat === step.winnerSeat) {
+                seat.classList.add('winner');
+            } else if (step.tiedSeats.includes(play.seat)) {
+                seat.classList.add('tied');
+            }
+
+            const label = document.createElement('div');
+            label.className = 'replay-seat-name';
+            label.textContent = `${ this.replay.players[play.seat] } · ${ step.cardCounts[play.seat] } cards`;
+            seat.appendChild(label);
+
+            const card = document.createElement('div');
+            card.className = 'card';
+            if (play.card) {
+                card.innerHTML = this.cardRenderer.generateCardHTML(play.card, 'replay');
+            } else {
+                card.innerHTML = '<div class="card-content">No Cards</div>';
+                card.classList.add('empty-card');
+            }
+            seat.appendChild(card);
+
+            this.elements.cards.appendChild(seat);
+        });
+    }
+
+    /**
+     * Enable the step buttons that lead somewhere
+     */
+    updateButtons() {
+        const atStart = this.stepIndex <= 0 || this.steps.length === 0;
+        const atEnd = this.stepIndex >= this.steps.length - 1;
+
+        this.elements.first.disabled = atStart;
+        this.elements.previous.disabled = atStart;
+        this.elements.next.disabled = atEnd;
+        this.elements.last.disabled = atEnd;
+    }
+}
+
+// Classic scripts (js/main.js) look the class up on window
+if (typeof window !== 'undefined') {
+    window.ReplayViewer = ReplayViewer;
+}
+
+export { ReplayViewer };
+export default ReplayViewer;
@@ -0,0 +1,293 @@
+/**
+ * Spectator view for Political Quartett
+ *
+ * Lists the server's running games and shows the one being watched: every
+ * seat with its card count and, once a round has been resolved, the cards
+ * played in it. The server never sends hands to spectators, possibly with a
+ * delay, so this view has nothing to hide. It talks to the network through
+ * ui:spectateGame and ui:refreshLiveGames events, like the UI does.
+ */
+import GameUI from '../core/GameUI.js';
+
+class SpectatorView {
+    constructor() {
+        this.elements = {
+            list: document.getElementById('live-games-list'),
+            gameId: document.getElementById('spectate-game-id'),
+            watchById: document.getElementById('spectate-by-id'),
+            refresh: document.getElementById('refresh-live-games'),
+            view: document.getElementById('spectate-view'),
+            title: document.getElementById('spectate-title'),
+            details: document.getElementById('spectate-details'),
+            status: document.getElementById('spectate-status'),
+            cards: document.getElementById('spectate-cards'),
+            message: document.getElementById('spectate-message')
+        };
+
+        // Only used for its card rendering, so it listens to nothing
+        this.cardRenderer = new GameUI(null);
+
+        this.gameId = null;
+        this.delayMs = 0;
+        this.state = null;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Set up the watch and refresh buttons
+     */
+    setupListeners() {
+        this.elements.watchById.addEventListener('click', () => {
+            const gameId = this.elements.gameId.value.trim();
+            if (gameId) {
+                this.requestGame(gameId);
+            }
+        });
+
+        this.elements.refresh.addEventListener('click', () => this.emitEvent('refreshLiveGames'));
+    }
+
+    /**
+     * Ask to watch a game
+     * @param {String} gameId - Game ID
+     */
+    requestGame(gameId) {
+        this.elements.message.textContent = 'Joining the game...';
+        this.emitEvent('spectateGame', { gameId });
+    }
+
+    /**
+     * Show the running games
+     * @param {Array} games - Live games from the server: [{ gameId, players, deck, ranked, roundsPlayed, maxRounds, spectatorCount }]
+     */
+    showLiveGames(games) {
+        this.elements.list.innerHTML = '';
+        this.elements.message.textContent = games.length === 0 ? 'Nobody is playing right now.' : '';
+
+        games.forEach(game => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            const rounds = game.maxRounds > 0 ? `round ${ game.roundsPlayed + 1 } / ${ game.maxRounds }` : `round ${ game.roundsPlayed + 1 }`;
+            const mode = game.ranked ? 'Ranked, ' : '';
+            label.textContent = `${ game.players.join(' vs ') } (${ mode }${ game.deck.name }, ${ rounds }, ${ game.spectatorCount } watching)`;
+            item.appendChild(label);
+
+            const button = document.createElement('button');
+            button.className = 'secondary-button';
+            button.textContent = 'Watch';
+            button.addEventListener('click', () => this.requestGame(game.gameId));
+            item.appendChild(button);
+
+            this.elements.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show that watching needs the server
+     */
+    showOffline() {
+        this.showLiveGames([]);
+        this.elements.message.textContent = 'Watching games needs a connection to the server.';
+    }
+
+    /**
+     * The server accepted us as a spectator; the first view follows after the delay
+     * @param {Object} data - { gameId, delayMs }
+     */
+    start(data) {
+        this.gameId = data.gameId;
+        this.delayMs = data.delayMs;
+        this.state = null;
+
+        this.elements.view.hidden = false;
+        this.elements.message.textContent = '';
+        this.elements.title.textContent = 'Waiting for the broadcast...';
+        this.elements.details.textContent = '';
+        this.elements.cards.innerHTML = '';
+        this.updateStatus(null);
+    }
+
+    /**
+     * Show the state of the watched game
+     * @param {Object} state - Spectator state from the server
+     */
+    showState(state) {
+        if (state.gameId !== this.gameId) return;
+
+        this.state = state;
+        this.cardRenderer.setCategories(state.categories);
+        this.elements.title.textContent = state.seats.map(seat => seat.name).join(' vs ');
+        this.updateStatus(state.spectatorCount);
+
+        // The last round stays described until the next one; once the game is over it says who won
+        const parts = [];
+        if (state.lastRound) {
+            parts.push(this.describeRound(state.lastRound));
+        }
+        if (!state.lastRound || !state.gameOver) {
+            parts.push(this.describeState(state));
+        }
+        this.elements.details.textContent = parts.join(' ');
+
+        this.renderCards(state.lastRound);
+    }
+
+    /**
+     * Show a resolved round of the watched game
+     * @param {Object} round - Spectator round from the server
+     */
+    showRound(round) {
+        if (round.gameId !== this.gameId || !this.state) return;
+
+        this.renderCards(round);
+        this.elements.details.textContent = this.describeRound(round);
+    }
+
+    /**
+     * Text describing the state between rounds
+     * @param {Object} state - Spectator state
+     * @returns {String} - Description
+     */
+    describeState(state) {
+        const name = seat => state.seats[seat].name;
+        const round = state.maxRounds > 0 ? `Round ${ state.roundsPlayed + 1 } of ${ state.maxRounds }.` : `Round ${ state.roundsPlayed + 1 }.`;
+
+        if (state.gameOver) {
+            return state.winnerIndex !== null ? `${ name(state.winnerIndex) } wins the game!` : 'The game ends in a draw.';
+        }
+
+        const counts = state.seats.map(seat => `${ seat.name } ${ seat.eliminated ? 'is out' : `${ seat.cardCount } cards` }`).join(', ');
+        return `${ round } ${ name(state.currentPlayerIndex) } chooses next. ${ counts }.`;
+    }
+
+    /**
+     * Text describing a resolved round
+     * @param {Object} round - Spectator round
+     * @returns {String} - Description
+     */
+    describeRound(round) {
+        const name = seat => this.state.seats[seat] ? this.state.seats[seat].name : `Player ${ seat + 1 }`;
+        const parts = [`${ this.cardRenderer.formatCategoryName(round.category) }:`];
+
+        round.effects.forEach(effect => parts.push(effect.description));
+
+        if (round.cancelled) {
+            parts.push('The round is cancelled.');
+        } else if (round.roundWinnerIndex !== null) {
+            parts.push(`${ name(round.roundWinnerIndex) } wins the round.`);
+        } else {
+            parts.push(`Tie between ${ round.tiedSeats.map(name).join(' and ') }, ${ round.tieCardCount } cards in the tie pile.`);
+        }
+
+        round.eliminated.forEach(seat => parts.push(`${ name(seat) } is out of cards.`));
+
+        if (round.gameOver) {
+            parts.push(round.winnerIndex !== null ? `${ name(round.winnerIndex) } wins the game!` : 'The game ends in a draw.');
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Render every seat, with its card if it played one in the round
+     * @param {Object|null} round - Spectator round, null before the first round
+     */
+    renderCards(round) {
+        const plays = round ? round.plays : [];
+
+        // generateCardHTML highlights the category of the round
+        this.cardRenderer.state.currentCategory = round ? round.category : null;
+        this.elements.cards.innerHTML = '';
+
+        this.state.seats.forEach(seatInfo => {
+            const play = plays.find(entry => entry.seat === seatInfo.seat);
+            const cardCount = round ? round.cardCounts[seatInfo.seat] : seatInfo.cardCount;
+
+            const seat = document.createElement('div');
+            seat.className = 'replay-seat';
+            if (round && seatInfo.seat === round.roundWinnerIndex) {
+                seat.classList.add('winner');
+            } else if (!round || round.tiedSeats.includes(seatInfo.seat)) {
+                // Seats are only dimmed for losing a round
+                seat.classList.add('tied');
+            }
+
+            const label = document.createElement('div');
+            label.className = 'replay-seat-name';
+            label.textContent = `${ seatInfo.name } · ${ cardCount } cards`;
+            seat.appendChild(label);
+
+            const card = document.createElement('div');
+            card.className = 'card';
+            if (play) {
+                card.innerHTML = this.cardRenderer.generateCardHTML(play.card, 'spectator');
+            } else {
+                card.innerHTML = '<div class="card-content">?</div>';
+                card.classList.add('empty-card');
+            }
+            seat.appendChild(card);
+
+            this.elements.cards.appendChild(seat);
+        });
+    }
+
+    /**
+     * Show how many people watch and how far behind live we are
+     * @param {Number|null} count - Spectator count, null if unknown
+     */
+    updateStatus(count) {
+        const parts = [];
+        if (count !== null) {
+            parts.push(`${ count } watching`);
+        }
+        if (this.delayMs > 0) {
+            parts.push(`${ Math.round(this.delayMs / 1000) }s behind live`);
+        }
+        this.elements.status.textContent = parts.join(' · ');
+    }
+
+    /**
+     * The watched game is over for spectators; follow its players if they play on
+     * @param {Object} data - { gameId, nextGameId }
+     */
+    end(data) {
+        if (data.gameId !== this.gameId) return;
+
+        this.gameId = null;
+        if (data.nextGameId) {
+            this.requestGame(data.nextGameId);
+            return;
+        }
+
+        this.elements.message.textContent = 'The game is over. Pick another one to watch.';
+        this.emitEvent('refreshLiveGames');
+    }
+
+    /**
+     * Stop showing a game, e.g. when leaving the screen
+     */
+    close() {
+        this.gameId = null;
+        this.state = null;
+        this.elements.view.hidden = true;
+    }
+
+    /**
+     * Emit a UI event
+     * @param {String} event - Event name, without the ui: prefix
+     * @param {Object} data - Event data
+     */
+    emitEvent(event, data = {}) {
+        document.dispatchEvent(new CustomEvent(`ui:${ event }`, { detail: data }));
+    }
+}
+
+// Classic scripts (js/main.js) look the class up on window
+if (typeof window !== 'undefined') {
+    window.SpectatorView = SpectatorView;
+}
+
+export { SpectatorView };
+export default SpectatorView;
@@ -2,6 +2,9 @@
  * UI Handler for Political Quartett
  */
 class UI {
+    // How the final standings are described on the game over screen
+    static STANDING_LABELS = { cards: 'cards', points: 'points', roundsWon: 'rounds won' };
+
     constructor() {
         // Screen elements
         this.screens = {
@@ -10,7 +13,10 @@ class UI {
             matchmaking: document.getElementById('matchmaking-screen'),
             game: document.getElementById('game-screen'),
             rules: document.getElementById('rules-screen'),
-            gameOver: document.getElementById('game-over-screen')
+            gameOver: document.getElementById('game-over-screen'),
+            replay: document.getElementById('replay-screen'),
+            leaderboard: document.getElementById('leaderboard-screen'),
+            spectate: document.getElementById('spectate-screen')
         };
 
         // Game elements
@@ -23,29 +29,63 @@ class UI {
             playerCardsCount: document.getElementById('player-cards-count'),
             opponentCardsCount: document.getElementById('opponent-cards-count'),
             opponentName: document.getElementById('opponent-name'),
-            playersCount: document.getElementById('players-count'),
+            opponents: document.querySelector('.opponents'),
+            opponentsList: document.getElementById('opponents-list'),
+            queueStatus: document.getElementById('queue-status'),
+            queueEta: document.getElementById('queue-eta'),
             resultMessage: document.getElementById('result-message'),
-            resultDetails: document.getElementById('result-details')
+            resultDetails: document.getElementById('result-details'),
+            dealCheck: document.getElementById('deal-check'),
+            deckSelect: document.getElementById('deck-select'),
+            deckDescription: document.getElementById('deck-description'),
+            aiLevelSelect: document.getElementById('ai-level-select'),
+            winConditionSelect: document.getElementById('win-condition-select'),
+            tiePolicySelect: document.getElementById('tie-policy-select'),
+            seriesSelect: document.getElementById('series-select'),
+            queueSelect: document.getElementById('queue-select'),
+            seriesScoreboard: document.getElementById('series-scoreboard'),
+            rematchStatus: document.getElementById('rematch-status'),
+            roundInfo: document.getElementById('round-info'),
+            spectatorCount: document.getElementById('spectator-count')
         };
 
         // Buttons
         this.buttons = {
             playButton: document.getElementById('play-button'),
             playAIButton: document.getElementById('play-ai-button'),
+            dailyButton: document.getElementById('daily-button'),
+            replaysButton: document.getElementById('replays-button'),
+            leaderboardButton: document.getElementById('leaderboard-button'),
+            watchLiveButton: document.getElementById('watch-live-button'),
             rulesButton: document.getElementById('rules-button'),
             backToMenu: document.getElementById('back-to-menu'),
             cancelMatchmaking: document.getElementById('cancel-matchmaking'),
             playAgain: document.getElementById('play-again'),
-            backToMenuEnd: document.getElementById('back-to-menu-end')
+            watchReplay: document.getElementById('watch-replay'),
+            backToMenuEnd: document.getElementById('back-to-menu-end'),
+            backToMenuReplay: document.getElementById('back-to-menu-replay'),
+            backToMenuLeaderboard: document.getElementById('back-to-menu-leaderboard'),
+            backToMenuSpectate: document.getElementById('back-to-menu-spectate')
         };
 
         // Category buttons (will be created dynamically)
         this.categoryButtons = {};
 
+        // Category metadata by key: { key, label, direction, unit }
+        this.categories = {};
+
         // UI state
         this.currentScreen = 'loading';
         this.selectedCategory = null;
         this.roundInProgress = false;
+        this.seatNames = {}; // seat index -> name, for games with several opponents
+        this.winCondition = 'allCards';
+        this.maxRounds = 0;
+        this.series = null; // scoreboard of the series in play, see core/MatchSeries.js
+        this.ratingChange = null; // { rating, change } of a ranked game, until the game over screen shows it
+        this.turnLabel = '';
+        this.turnDeadline = null; // local time the chooser's clock runs out, null without a running clock
+        this.turnTimer = null;
     }
 
     /**
@@ -66,6 +106,19 @@ class UI {
         // Main menu buttons
         this.buttons.playButton.addEventListener('click', () => this.handlePlayOnline());
         this.buttons.playAIButton.addEventListener('click', () => this.handlePlayAI());
+        this.buttons.dailyButton.addEventListener('click', () => this.handlePlayDaily());
+        this.buttons.replaysButton.addEventListener('click', () => {
+            this.showScreen('replay');
+            this.emitEvent('openReplays');
+        });
+        this.buttons.leaderboardButton.addEventListener('click', () => {
+            this.showScreen('leaderboard');
+            this.emitEvent('openLeaderboard');
+        });
+        this.buttons.watchLiveButton.addEventListener('click', () => {
+            this.showScreen('spectate');
+            this.emitEvent('openLiveGames');
+        });
         this.buttons.rulesButton.addEventListener('click', () => this.showScreen('rules'));
 
         // Rules screen
@@ -81,10 +134,26 @@ class UI {
         this.buttons.playAgain.addEventListener('click', () => {
             this.emitEvent('playAgain');
         });
+        this.buttons.watchReplay.addEventListener('click', () => {
+            this.showScreen('replay');
+            this.emitEvent('watchReplay');
+        });
         this.buttons.backToMenuEnd.addEventListener('click', () => {
             this.emitEvent('backToMenu');
             this.showScreen('mainMenu');
         });
+
+        // Replay screen
+        this.buttons.backToMenuReplay.addEventListener('click', () => this.showScreen('mainMenu'));
+
+        // Leaderboard screen
+        this.buttons.backToMenuLeaderboard.addEventListener('click', () => this.showScreen('mainMenu'));
+
+        // Spectate screen
+        this.buttons.backToMenuSpectate.addEventListener('click', () => {
+            this.emitEvent('stopSpectating');
+            this.showScreen('mainMenu');
+        });
     }
 
     /**
@@ -93,6 +162,7 @@ class UI {
      */
     setupGameHandlers(game) {
         // Set up category selection
+        this.setCategories(game.getCategories());
         this.createCategoryButtons();
 
         // Game event listeners
@@ -102,6 +172,249 @@ class UI {
         game.on('waitingForOpponent', (data) => this.handleWaitingForOpponent(data));
         game.on('opponentJoined', (data) => this.handleOpponentJoined(data));
         game.on('gameStateUpdated', (data) => this.updateGameUI(data));
+        game.on('dealVerified', (data) => this.showDealCheck(data));
+    }
+
+    /**
+     * Store the deck's category metadata
+     */
+    setCategories(categories) {
+        this.categories = {};
+        (categories || []).forEach(category => {
+            this.categories[category.key] = category;
+        });
+    }
+
+    /**
+     * Fill the main menu's deck picker
+     * @param {Array} packs - Parsed deck packs
+     */
+    populateDeckSelect(packs) {
+        const select = this.elements.deckSelect;
+        if (!select) return;
+
+        this.deckPacks = packs;
+        select.innerHTML = packs
+            .map(pack => `<option value="${ pack.id }">${ pack.manifest.name } (${ pack.cards.length } cards)</option>`)
+            .join('');
+
+        const showDescription = () => {
+            const pack = this.getSelectedDeck();
+            this.elements.deckDescription.textContent = pack ? pack.manifest.description || '' : '';
+        };
+        select.onchange = showDescription;
+        showDescription();
+    }
+
+    /**
+     * Get the deck pack chosen in the main menu
+     * @returns {Object|null} - Parsed deck pack
+     */
+    getSelectedDeck() {
+        const select = this.elements.deckSelect;
+        if (!select || !this.deckPacks) return null;
+        return this.deckPacks.find(pack => pack.id === select.value) || null;
+    }
+
+    /**
+     * Fill the AI level picker next to "Play vs AI"
+     * @param {Array} levels - [{ id, label, description }] from Game.getAILevels()
+     * @param {String} selected - Level to preselect
+     */
+    populateAILevelSelect(levels, selected = 'greedy') {
+        const select = this.elements.aiLevelSelect;
+        if (!select) return;
+
+        select.innerHTML = levels
+            .map(level => `<option value="${ level.id }" title="${ level.description }">${ level.label }</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    /**
+     * Get the AI level chosen in the main menu
+     * @returns {String|null} - Strategy name
+     */
+    getSelectedAILevel() {
+        return this.elements.aiLevelSelect ? this.elements.aiLevelSelect.value || null : null;
+    }
+
+    /**
+     * Fill the win condition picker of the main menu
+     * @param {Array} conditions - [{ id, label, description, maxRounds }] from Game.getWinConditions()
+     * @param {String} selected - Win condition to preselect
+     */
+    populateWinConditionSelect(conditions, selected = 'allCards') {
+        const select = this.elements.winConditionSelect;
+        if (!select) return;
+
+        select.innerHTML = conditions
+            .map(condition => `<option value="${ condition.id }" title="${ condition.description }">${ condition.label } (${ condition.maxRounds } rounds)</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    /**
+     * Get the win condition chosen in the main menu
+     * @returns {String|null} - Win condition
+     */
+    getSelectedWinCondition() {
+        return this.elements.winConditionSelect ? this.elements.winConditionSelect.value || null : null;
+    }
+
+    /**
+     * Fill the tie rule picker of the main menu
+     * @param {Array} policies - [{ id, label, description }] from Game.getTiePolicies()
+     * @param {String} selected - Tie policy to preselect
+     */
+    populateTiePolicySelect(policies, selected = 'tiePile') {
+        const select = this.elements.tiePolicySelect;
+        if (!select) return;
+
+        select.innerHTML = policies
+            .map(policy => `<option value="${ policy.id }" title="${ policy.description }">${ policy.label }</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    /**
+     * Get the tie rule chosen in the main menu
+     * @returns {String|null} - Tie policy
+     */
+    getSelectedTiePolicy() {
+        return this.elements.tiePolicySelect ? this.elements.tiePolicySelect.value || null : null;
+    }
+
+    /**
+     * Fill the series length picker of the main menu
+     * @param {Array} lengths - [{ bestOf, label }] from Game.getSeriesLengths()
+     * @param {Number} selected - Length to preselect
+     */
+    populateSeriesSelect(lengths, selected = 1) {
+        const select = this.elements.seriesSelect;
+        if (!select) return;
+
+        select.innerHTML = lengths
+            .map(length => `<option value="${ length.bestOf }">${ length.label }</option>`)
+            .join('');
+        select.value = String(selected);
+    }
+
+    /**
+     * Get the series length chosen in the main menu
+     * @returns {Number} - Best of this many games, 1 for a single game
+     */
+    getSelectedSeriesLength() {
+        const bestOf = this.elements.seriesSelect ? parseInt(this.elements.seriesSelect.value, 10) : 1;
+        return Number.isFinite(bestOf) ? bestOf : 1;
+    }
+
+    /**
+     * Fill the matchmaking queue picker next to "Play Online"
+     * @param {Array} queues - [{ id, label, description }] from Game.getQueues()
+     * @param {String} selected - Queue to preselect
+     */
+    populateQueueSelect(queues, selected = 'casual') {
+        const select = this.elements.queueSelect;
+        if (!select) return;
+
+        select.innerHTML = queues
+            .map(queue => `<option value="${ queue.id }" title="${ queue.description }">${ queue.label }</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    /**
+     * Get the matchmaking queue chosen in the main menu
+     * @returns {String} - Queue name
+     */
+    getSelectedQueue() {
+        return this.elements.queueSelect ? this.elements.queueSelect.value || 'casual' : 'casual';
+    }
+
+    /**
+     * Show the round counter, and the score when playing for points
+     * @param {Object} data - Game state or round result with roundsPlayed, maxRounds, winCondition, points
+     */
+    updateRoundInfo(data) {
+        if (!this.elements.roundInfo || data.roundsPlayed === undefined) return;
+
+        if (data.winCondition) this.winCondition = data.winCondition;
+        if (data.maxRounds !== undefined) this.maxRounds = data.maxRounds;
+
+        // Rounds are counted from 1; once the game is over the last round played is shown
+        const round = data.gameOver ? data.roundsPlayed : data.roundsPlayed + 1;
+        let text = this.maxRounds > 0 ? `Round ${ Math.min(round, this.maxRounds) } / ${ this.maxRounds }` : `Round ${ round }`;
+
+        if (this.winCondition === 'points' && data.points) {
+            const { own, opponent } = this.getPoints(data);
+            text += ` · Points: You ${ own } - Opponent ${ opponent }`;
+        }
+
+        this.elements.roundInfo.textContent = text;
+        this.elements.roundInfo.classList.toggle('final-rounds', this.maxRounds > 0 && this.maxRounds - round < 3 && !data.gameOver);
+    }
+
+    /**
+     * Show how many people watch the game
+     * @param {Number} count - Spectator count
+     */
+    updateSpectatorCount(count) {
+        if (!this.elements.spectatorCount) return;
+
+        this.elements.spectatorCount.textContent = count > 0 ? `${ count } watching` : '';
+    }
+
+    /**
+     * Own points and the best opponent's points
+     * @param {Object} data - Game state or round result with seat-indexed points
+     * @returns {Object} - { own, opponent }
+     */
+    getPoints(data) {
+        const seat = data.seat || 0;
+        return {
+            own: data.points[seat] || 0,
+            opponent: Math.max(0, ...data.points.filter((points, index) => index !== seat))
+        };
+    }
+
+    /**
+     * Explain how a finished game was decided
+     * @param {Object} data - Final round result or game state with endReason and decidedBy
+     * @returns {String} - Explanation, empty if the last player standing won
+     */
+    describeGameEnd(data) {
+        if (data.endReason === 'forfeit') return 'Decided by forfeit after running out of time.';
+        if (data.endReason !== 'roundLimit' && data.decidedBy !== 'draw') return '';
+
+        const primary = this.winCondition === 'points' ? 'points' : 'cards';
+        const parts = data.endReason === 'roundLimit' ? [`Round limit of ${ data.maxRounds || this.maxRounds } reached.`] : [];
+
+        if (data.decidedBy === 'draw') {
+            parts.push('Still level after every tiebreak.');
+        } else if (data.decidedBy && data.decidedBy !== primary) {
+            parts.push(`Level on ${ UI.STANDING_LABELS[primary] }, decided by ${ UI.STANDING_LABELS[data.decidedBy] }.`);
+        } else {
+            parts.push(`Most ${ UI.STANDING_LABELS[primary] } wins.`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Get the display label of a category
+     */
+    getCategoryLabel(category) {
+        const metadata = this.categories[category];
+        return metadata ? metadata.label : category.charAt(0).toUpperCase() + category.slice(1);
+    }
+
+    /**
+     * Format a category value with its unit
+     */
+    formatCategoryValue(category, value) {
+        const metadata = this.categories[category];
+        return metadata && metadata.unit ? `${ value } ${ metadata.unit }` : `${ value }`;
     }
 
     /**
@@ -112,18 +425,18 @@ class UI {
         this.elements.categorySelection.innerHTML = '';
         this.categoryButtons = {};
 
-        // Category names
-        const categories = ['charisma', 'leadership', 'influence', 'integrity', 'trickery', 'wealth'];
-
         // Create a button for each category
-        categories.forEach(category => {
+        Object.values(this.categories).forEach(({ key: category, label, direction }) => {
             const button = document.createElement('button');
             button.classList.add('category-button');
             button.dataset.category = category;
+            button.textContent = label;
 
-            // Capitalize first letter for display
-            const displayName = category.charAt(0).toUpperCase() + category.slice(1);
-            button.textContent = displayName;
+            // Lower-is-better categories say so on the button
+            if (direction === 'lower') {
+                button.classList.add('lower-wins');
+                button.title = 'Lowest value wins';
+            }
 
             // Add click handler
             button.addEventListener('click', () => {
@@ -147,32 +460,49 @@ class UI {
             return;
         }
 
-        // Use the pre-rendered card image with values already displayed on it
+        // Use the pre-rendered card image with values already displayed on it; packs may leave out images and quotes
+        const image = card.image
+            ? `<div class="card-image" style="background-image: url('${ card.image }'); background-size: contain; background-repeat: no-repeat;"></div>`
+            : '<div class="card-image no-image"></div>';
+
         cardElement.innerHTML = `
             <div class="card-header">${ card.name }</div>
-            <div class="card-image" style="background-image: url('${ card.image }'); background-size: contain; background-repeat: no-repeat;"></div>
+            ${ image }
             <div class="card-controls">
                 ${ showStats ? this.renderCategoryButtons(card) : '<div class="hidden-stats">?</div>' }
             </div>
-            <div class="card-quote">"${ card.quote }"</div>
+            ${ card.quote ? `<div class="card-quote">"${ card.quote }"</div>` : '' }
+        `;
+    }
+
+    /**
+     * Show a card face down, e.g. the opponent's next card in an online game
+     * @param {HTMLElement} cardElement - Card element
+     */
+    displayCardBack(cardElement) {
+        cardElement.innerHTML = `
+            <div class="card-header">?</div>
+            <div class="card-image no-image"></div>
+            <div class="card-controls"><div class="hidden-stats">?</div></div>
         `;
     }
 
     /**
      * Render category buttons for the player's card
+     * Cards may come in any shape PoliticalCard reads (js/game.js puts it on window).
      */
     renderCategoryButtons(card) {
-        if (!card || !card.stats) return '';
+        if (!card) return '';
 
         let buttonsHTML = '';
-        const categories = Object.keys(card.stats);
+        const categories = window.PoliticalCard.readCategories(card);
 
         for (const category of categories) {
             const isSelected = this.selectedCategory === category;
 
             buttonsHTML += `
                 <button class="category-button ${isSelected ? 'selected' : ''}" data-category="${category}">
-                    ${category.charAt(0).toUpperCase() + category.slice(1)}
+                    ${ this.getCategoryLabel(category) }
                 </button>
             `;
         }
@@ -211,6 +541,14 @@ class UI {
         this.emitEvent('playAI');
     }
 
+    /**
+     * Handle "Daily Challenge" button click
+     */
+    handlePlayDaily() {
+        this.showScreen('game');
+        this.emitEvent('playDaily');
+    }
+
     /**
      * Handle game initialization
      */
@@ -218,6 +556,7 @@ class UI {
         this.showScreen('game');
         this.roundInProgress = false;
         this.selectedCategory = null;
+        this.seed = data.seed || null;
 
         // Update card counts
         this.elements.playerCardsCount.textContent = data.playerCards.length;
@@ -226,8 +565,13 @@ class UI {
         // Display player's top card
         this.displayCard(data.playerCards[0], this.elements.playerCard, true);
 
-        // Display opponent's card (hidden stats)
-        this.displayCard(data.opponentCards[0], this.elements.opponentCard, false);
+        // Display opponent's card (hidden stats); online it stays face down
+        if (data.opponentCards[0]) {
+            this.displayCard(data.opponentCards[0], this.elements.opponentCard, false);
+        } else {
+            this.displayCardBack(this.elements.opponentCard);
+        }
+        this.showDealCheck(null);
 
         // Update turn indicator
         this.updateTurnIndicator(data.isPlayerTurn);
@@ -235,6 +579,14 @@ class UI {
         // Enable/disable category buttons based on turn
         this.updateCategoryButtons(data.isPlayerTurn);
 
+        const rules = data.rules || {};
+        this.updateRoundInfo({
+            roundsPlayed: 0,
+            maxRounds: rules.maxRounds,
+            winCondition: rules.winCondition,
+            points: [0, 0]
+        });
+
         // Clear battle result
         this.elements.battleResult.innerHTML = '';
     }
@@ -249,6 +601,7 @@ class UI {
         // Disable all category buttons during the round
         this.roundInProgress = true;
         this.updateCategoryButtons(false);
+        this.updateTurnClock(null);
     }
 
     /**
@@ -261,6 +614,7 @@ class UI {
         // Update counts
         this.elements.playerCardsCount.textContent = data.playerCardCount;
         this.elements.opponentCardsCount.textContent = data.opponentCardCount;
+        this.updateRoundInfo(data);
 
         // Display result
         let resultText;
@@ -272,6 +626,9 @@ class UI {
         } else if (data.result === 'opponent') {
             resultText = 'Opponent Wins!';
             resultClass = 'lose';
+        } else if (data.result === 'cancelled') {
+            resultText = 'Vetoed!';
+            resultClass = 'cancelled';
         } else {
             resultText = 'Tie!';
             resultClass = 'tie';
@@ -281,8 +638,14 @@ class UI {
             <div class="result ${ resultClass }">
                 ${ resultText }<br>
                 <span class="result-details">
-                    ${ data.category }: ${ data.playerValue } vs ${ data.opponentValue }
+                    ${ this.getCategoryLabel(data.category) }: ${ this.formatCategoryValue(data.category, data.playerValue) }
+                    vs ${ this.formatCategoryValue(data.category, data.opponentValue) }
+                    ${ this.categories[data.category] && this.categories[data.category].direction === 'lower' ? '(lowest wins)' : '' }
                 </span>
+                ${ data.tieBreak ? `<span class="tie-break">${ data.tieBreak.description }</span>` : '' }
+                ${ this.renderCardEffects(data) }
+                ${ this.renderRoundPoints(data) }
+                ${ this.renderRoundPlays(data) }
             </div>
         `;
 
@@ -300,6 +663,75 @@ class UI {
         }, 2000);
     }
 
+    /**
+     * List the card effects of a round, one after the other
+     */
+    renderCardEffects(data) {
+        if (!data.effects || data.effects.length === 0) return '';
+
+        return data.effects.map((effect, index) => `
+            <span class="card-effect effect-${ effect.type }" style="animation-delay: ${ index * 0.4 }s">
+                <strong>${ effect.label }</strong> ${ effect.description }
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Show the points of a round won when playing for points
+     */
+    renderRoundPoints(data) {
+        if (this.winCondition !== 'points' || !data.roundPoints) return '';
+        return `<span class="round-points">+${ data.roundPoints } ${ data.roundPoints === 1 ? 'point' : 'points' }</span>`;
+    }
+
+    /**
+     * List every card of a round with more than two players
+     */
+    renderRoundPlays(data) {
+        if (!data.plays || data.plays.length <= 2) return '';
+
+        const items = data.plays.map(play => {
+            const name = play.seat === data.seat ? 'You' : (this.seatNames[play.seat] || `Player ${ play.seat + 1 }`);
+            return `<li>${ name }: ${ this.formatCategoryValue(data.category, play.value) }</li>`;
+        });
+
+        return `<ul class="round-plays">${ items.join('') }</ul>`;
+    }
+
+    /**
+     * Show one entry per opponent when there is more than one
+     */
+    renderOpponents(opponents) {
+        if (!opponents) return;
+
+        opponents.forEach(opponent => {
+            this.seatNames[opponent.seat] = opponent.name;
+        });
+
+        if (opponents.length <= 1) {
+            this.elements.opponents.classList.remove('multi');
+            if (opponents.length === 1 && opponents[0].name) {
+                this.elements.opponentName.textContent = opponents[0].name;
+            }
+            return;
+        }
+
+        this.elements.opponents.classList.add('multi');
+        this.elements.opponentsList.innerHTML = opponents.map(opponent => {
+            const classes = ['player-info', 'opponent-seat'];
+            if (opponent.isCurrentTurn) classes.push('current-turn');
+            if (opponent.eliminated) classes.push('eliminated');
+            if (!opponent.connected) classes.push('disconnected');
+
+            return `
+                <div class="${ classes.join(' ') }" data-seat="${ opponent.seat }">
+                    <span class="player-name">${ opponent.name }</span>
+                    <span class="card-count">Cards: ${ opponent.cardCount }</span>
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Prepare UI for next round
      */
@@ -329,9 +761,68 @@ class UI {
     /**
      * Update turn indicator
      */
-    updateTurnIndicator(isPlayerTurn) {
-        this.elements.turnIndicator.textContent = isPlayerTurn ? 'Your Turn' : 'Opponent\'s Turn';
+    updateTurnIndicator(isPlayerTurn, opponentName = null) {
+        this.turnLabel = isPlayerTurn ? 'Your Turn' : `${ opponentName || 'Opponent' }'s Turn`;
         this.elements.turnIndicator.className = isPlayerTurn ? 'player-turn' : 'opponent-turn';
+        this.renderTurnIndicator();
+    }
+
+    /**
+     * Count down the chooser's time in the turn indicator
+     * @param {Object|null} turnClock - Clock from the game state (see core/TurnClock.js), null to stop counting
+     */
+    updateTurnClock(turnClock) {
+        const remainingMs = turnClock ? turnClock.remainingMs : null;
+        this.turnDeadline = remainingMs === null ? null : Date.now() + remainingMs;
+
+        if (this.turnDeadline === null) {
+            clearInterval(this.turnTimer);
+            this.turnTimer = null;
+        } else if (!this.turnTimer) {
+            this.turnTimer = setInterval(() => this.renderTurnIndicator(), 250);
+        }
+
+        this.renderTurnIndicator();
+    }
+
+    /**
+     * Show whose turn it is and, with a running clock, the seconds left
+     */
+    renderTurnIndicator() {
+        if (!this.turnLabel) return;
+
+        const seconds = this.turnDeadline === null ? null : Math.max(0, Math.ceil((this.turnDeadline - Date.now()) / 1000));
+        this.elements.turnIndicator.textContent = seconds === null ? this.turnLabel : `${ this.turnLabel } · ${ seconds }s`;
+        this.elements.turnIndicator.classList.toggle('time-running-out', seconds !== null && seconds <= 5);
+    }
+
+    /**
+     * Tell everyone that the server chose for a seat that ran out of time
+     * @param {Object} data - { name, category, isSelf, timeouts, timeoutsToForfeit }
+     */
+    showTurnTimeout(data) {
+        const who = data.isSelf ? 'You ran' : `${ data.name } ran`;
+        const left = data.timeoutsToForfeit - data.timeouts;
+        const warning = data.isSelf && left > 0 ? ` Run out ${ left === 1 ? 'once more' : `${ left } more times` } in a row and you forfeit.` : '';
+
+        this.updateTurnClock(null);
+        this.elements.battleResult.innerHTML = `<div class="result timeout">${ who } out of time; ${ this.getCategoryLabel(data.category) } was picked.${ warning }</div>`;
+    }
+
+    /**
+     * Tell everyone that a seat forfeited
+     * @param {Object} data - { name, isSelf, reason, gameOver, gameState }
+     */
+    showForfeit(data) {
+        this.updateTurnClock(null);
+
+        if (data.gameOver) {
+            this.showGameOverScreen(data.gameState);
+            return;
+        }
+
+        const cause = data.reason === 'left' ? 'by leaving the game' : 'after running out of time too often';
+        this.elements.battleResult.innerHTML = `<div class="result timeout">${ data.isSelf ? 'You' : data.name } forfeited ${ cause }.</div>`;
     }
 
     /**
@@ -375,6 +866,16 @@ class UI {
             this.elements.opponentCardsCount.textContent = data.opponentCardCount;
         }
 
+        // A game still running has no deal to check yet
+        if (!data.gameOver) {
+            this.showDealCheck(null);
+        }
+
+        // Only online games are watched
+        if (data.spectatorCount !== undefined) {
+            this.updateSpectatorCount(data.spectatorCount);
+        }
+
         // Update cards if provided
         if (data.playerTopCard) {
             this.displayCard(data.playerTopCard, this.elements.playerCard, true);
@@ -385,9 +886,40 @@ class UI {
                 data.revealOpponentCard || false);
         }
 
+        this.renderOpponents(data.opponents);
+        this.updateRoundInfo(data);
+
+        if (data.series !== undefined) {
+            this.series = data.series;
+        }
+
+        if (data.seed) {
+            this.seed = data.seed;
+        }
+
+        if (data.categories) {
+            this.setCategories(data.categories);
+        }
+
+        // Eliminated players keep watching the remaining seats
+        if (data.isSpectator) {
+            this.updateTurnClock(null);
+            this.turnLabel = '';
+            this.elements.turnIndicator.textContent = 'Spectating';
+            this.elements.turnIndicator.className = 'opponent-turn';
+            this.updateCategoryButtons(false);
+            return;
+        }
+
+        // Online games time each turn
+        if (data.turnClock !== undefined) {
+            this.updateTurnClock(data.turnClock);
+        }
+
         // Update turn indicator
         if (data.isPlayerTurn !== undefined) {
-            this.updateTurnIndicator(data.isPlayerTurn);
+            const currentOpponent = (data.opponents || []).find(opponent => opponent.isCurrentTurn);
+            this.updateTurnIndicator(data.isPlayerTurn, currentOpponent && data.opponents.length > 1 ? currentOpponent.name : null);
             this.updateCategoryButtons(data.isPlayerTurn && !this.roundInProgress);
         }
     }
@@ -396,17 +928,151 @@ class UI {
      * Show game over screen
      */
     showGameOverScreen(data) {
-        this.elements.resultMessage.textContent = data.winner === 'player' ? 'You Win!' : 'You Lose!';
+        if (data.winner === 'player') {
+            this.elements.resultMessage.textContent = 'You Win!';
+        } else {
+            this.elements.resultMessage.textContent = data.winner ? 'You Lose!' : 'Draw!';
+        }
         this.elements.resultDetails.textContent = `Final score: You ${ data.playerCardCount } - Opponent ${ data.opponentCardCount }`;
 
+        if (this.winCondition === 'points' && data.points) {
+            const { own, opponent } = this.getPoints(data);
+            this.elements.resultDetails.textContent = `Final score: You ${ own } - Opponent ${ opponent } points`;
+        }
+
+        const ending = this.describeGameEnd(data);
+        if (ending) {
+            this.elements.resultDetails.textContent += ` · ${ ending }`;
+        }
+
+        // The seed lets a game be dealt again (add ?seed=... to the URL)
+        if (this.seed) {
+            this.elements.resultDetails.textContent += ` · Seed: ${ this.seed }`;
+        }
+
+        this.renderRatingChange();
+        this.renderSeries(data.series !== undefined ? data.series : this.series);
+        this.showRematchStatus('');
         this.showScreen('gameOver');
     }
 
     /**
-     * Update players in queue count
+     * Show the series scoreboard and name the play again button after it
+     * @param {Object|null} series - Scoreboard with the viewer's seat (see core/MatchSeries.js)
      */
-    updatePlayersCount(count) {
-        this.elements.playersCount.textContent = count;
+    renderSeries(series) {
+        this.series = series || null;
+        const board = this.elements.seriesScoreboard;
+
+        if (!series || series.bestOf === 1) {
+            this.buttons.playAgain.textContent = series ? 'Rematch' : 'Play Again';
+            if (board) board.innerHTML = '';
+            return;
+        }
+
+        this.buttons.playAgain.textContent = series.over ? 'Rematch' : 'Next Game';
+        if (!board) return;
+
+        const own = series.players[series.seat];
+        const opponent = series.players[1 - series.seat];
+        let status = `First to ${ series.winsNeeded } wins`;
+        if (series.over) {
+            status = series.winnerSeat === null ? 'Series drawn' : (series.winnerSeat === series.seat ? 'You win the series!' : `${ opponent.name } wins the series`);
+        }
+
+        board.innerHTML = `
+            <h3>Best of ${ series.bestOf } · Game ${ series.gamesPlayed }</h3>
+            <div class="series-score">
+                <span class="series-player">You</span>
+                <span class="series-wins">${ own.wins } - ${ opponent.wins }</span>
+                <span class="series-player">${ opponent.name }</span>
+            </div>
+            <ol class="series-games">
+                ${ series.games.map(game => `<li class="${ this.getSeriesGameClass(game, series.seat) }">Game ${ game.number }</li>`).join('') }
+            </ol>
+            <p class="series-status">${ status }</p>
+        `;
+    }
+
+    /**
+     * Class of a finished game on the series scoreboard
+     */
+    getSeriesGameClass(game, seat) {
+        if (game.winnerSeat === null) return 'draw';
+        return game.winnerSeat === seat ? 'win' : 'lose';
+    }
+
+    /**
+     * Tell the player where the rematch handshake stands
+     * @param {String} message - Status, empty to clear it
+     */
+    showRematchStatus(message) {
+        if (this.elements.rematchStatus) {
+            this.elements.rematchStatus.textContent = message;
+        }
+    }
+
+    /**
+     * Show where the player stands in the matchmaking queue
+     * @param {Object} status - { queue, position, size, waitedMs, ratingWindow, etaMs, rating } from the server
+     */
+    updateQueueStatus(status) {
+        const queueName = status.queue === 'ranked' ? 'ranked' : 'casual';
+        let text = `Position ${ status.position } of ${ status.size } in the ${ queueName } queue`;
+        if (status.ratingWindow !== null && status.ratingWindow !== undefined) {
+            text += ` · Rating ${ status.rating }, opponents within ${ status.ratingWindow }`;
+        }
+        this.elements.queueStatus.textContent = text;
+
+        const waited = Math.round(status.waitedMs / 1000);
+        this.elements.queueEta.textContent = status.etaMs === null || status.etaMs === undefined
+            ? `Waiting ${ waited }s · no estimate yet`
+            : `Waiting ${ waited }s · about ${ Math.max(1, Math.round(status.etaMs / 1000)) }s left`;
+    }
+
+    /**
+     * Add the rating change of a ranked game to the game over screen
+     * The change arrives with the last round, before the screen is shown.
+     * @param {Object} data - { rating, change } from the server
+     */
+    showRatingChange(data) {
+        this.ratingChange = data;
+        if (this.currentScreen === 'gameOver') {
+            this.renderRatingChange();
+        }
+    }
+
+    /**
+     * Show whether the deal of the finished game matches what the server committed to
+     * @param {Object|null} check - DealCommitment.verify() result, null to clear
+     */
+    showDealCheck(check) {
+        const element = this.elements.dealCheck;
+        if (!check) {
+            element.textContent = '';
+            element.className = 'deal-check';
+            return;
+        }
+
+        if (!check.valid) {
+            element.textContent = 'The deal does not match what the server committed to at the start!';
+        } else if (check.dealMatches) {
+            element.textContent = 'Fair deal: the cards match the commitment and the seed.';
+        } else {
+            element.textContent = 'Fair deal: the cards match the commitment.';
+        }
+        element.className = check.valid ? 'deal-check valid' : 'deal-check invalid';
+    }
+
+    /**
+     * Append a pending rating change to the result details
+     */
+    renderRatingChange() {
+        if (!this.ratingChange) return;
+
+        const { rating, change } = this.ratingChange;
+        this.elements.resultDetails.textContent += ` · Rating ${ rating } (${ change >= 0 ? '+' : '' }${ change })`;
+        this.ratingChange = null;
     }
 
     /**
@@ -1,18 +1,87 @@
-const express = require('express');
-const http = require('http');
-const { Server } = require('socket.io');
-const cors = require('cors');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+import express from 'express';
+import http from 'http';
+import { Server } from 'socket.io';
+import cors from 'cors';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+
+// Shared game logic - the same engine the client runs
+import GameEngine from './core/GameEngine.js';
+import GameRules from './core/GameRules.js';
+import ServerValidator from './core/ServerValidator.js';
+import CategoryRules from './core/CategoryRules.js';
+import DeckPack from './core/DeckPack.js';
+import SeededRandom from './core/SeededRandom.js';
+import GameEvents from './core/GameEvents.js';
+import ReplayRecorder from './core/ReplayRecorder.js';
+import MatchSeries from './core/MatchSeries.js';
+import PlayerStore from './core/PlayerStore.js';
+import MatchmakingQueue from './core/MatchmakingQueue.js';
+import Leaderboard from './core/Leaderboard.js';
+import Chat from './core/Chat.js';
+import TurnClock from './core/TurnClock.js';
+import SpectatorFeed from './core/SpectatorFeed.js';
+import CardEffects from './core/CardEffects.js';
+import AIStrategy from './core/AIStrategy.js';
+import DealCommitment from './core/DealCommitment.js';
+import Protocol from './core/Protocol.js';
+import MemoryGameStore from './core/MemoryGameStore.js';
+import RedisGameStore from './core/RedisGameStore.js';
+import GameLog from './core/GameLog.js';
+import { CLASSIC_PACK } from './js/card-data.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Deck packs: the built-in classic pack plus the JSON packs listed in decks/index.json
+const DECKS_DIR = path.join(__dirname, 'decks');
+const DEFAULT_DECK_ID = CLASSIC_PACK.manifest.id;
+const deckPacks = loadDeckPacks();
+
+// Replays of finished games, one JSON file per game; the oldest are pruned
+const REPLAYS_DIR = process.env.REPLAYS_DIR || path.join(__dirname, 'replays');
+const MAX_REPLAYS = parseInt(process.env.MAX_REPLAYS, 10) || 200;
+const RECENT_REPLAYS_LISTED = 20;
+const replayIndex = loadReplayIndex(); // summaries, newest first
+
+// Several server processes share games, sessions and queues through Redis; each runs the games created on it
+const REDIS_URL = process.env.REDIS_URL || null;
+if (REDIS_URL && !process.env.NODE_ID) {
+    // Each process keeps files of its own under its ID, so the ID has to survive a restart
+    throw new Error('Set NODE_ID to name this server process when REDIS_URL is set');
+}
+const NODE_ID = process.env.NODE_ID || uuidv4();
+const FORWARD_EVENT = 'node:forward';
+const FORWARD_TIMEOUT_MS = 5000;
+
+// Accounts and the leaderboard are rewritten whole and game logs are restored on boot, so processes sharing Redis each keep their own
+const DATA_DIR = REDIS_URL ? path.join(__dirname, 'data', NODE_ID) : path.join(__dirname, 'data');
+
+// Player accounts (profiles and lifetime stats) in one JSON file, keyed by the session token
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(DATA_DIR, 'players.json');
+const playerStore = loadPlayerStore();
+
+// Leaderboard standings and card statistics, added up per season, deck pack and mode
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(DATA_DIR, 'leaderboard.json');
+const leaderboard = loadLeaderboard();
 
-// Import game logic from client-side
-const { Game } = require('./js/game');
-const { CARD_DATA } = require('./js/card-data');
+// Lobby and game chat; blocked words come from a file with one word per line
+const CHAT_BLOCKED_WORDS_FILE = process.env.CHAT_BLOCKED_WORDS_FILE || null;
+const chat = new Chat({ blockedWords: loadBlockedWords() });
+
+// Every running game appends its state changes to a log of its own; games still running are restored from them on boot
+const GAME_LOGS_DIR = process.env.GAME_LOGS_DIR || path.join(DATA_DIR, 'games');
+
+// Only the client is served; accounts, leaderboard, game logs and replays under the repo stay private
+const CLIENT_DIRS = ['cards', 'core', 'decks', 'game_information_for_ai', 'js', 'styles'];
+const CLIENT_PAGES = ['index.html', 'political-game.html', 'test.html'];
 
 // Setup express app
 const app = express();
 app.use(cors());
-app.use(express.static(path.join(__dirname, '/')));
+CLIENT_DIRS.forEach(dir => app.use(`/${ dir }`, express.static(path.join(__dirname, dir))));
 
 // Create HTTP server
 const server = http.createServer(app);
@@ -25,380 +94,3268 @@ const io = new Server(server, {
     }
 });
 
+// Socket event names, see core/Protocol.js
+const { CLIENT, SERVER } = Protocol;
+
+// Which process runs which game, the games sessions are seated in and the matchmaking queues
+const gameStore = await createGameStore();
+
+// Refuse clients that speak another protocol version before they are tracked
+io.use((socket, next) => {
+    const reason = Protocol.checkVersion(socket.handshake.auth && socket.handshake.auth.protocolVersion);
+    if (!reason) return next();
+
+    const error = new Error(reason);
+    error.data = { code: 'PROTOCOL_MISMATCH', serverVersion: Protocol.VERSION };
+    next(error);
+});
+
+// A player may come back through another process; bring along what the store knows of their session
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.playerToken;
+    if (!REDIS_URL || typeof token !== 'string' || sessions.has(token)) return next();
+
+    loadStoredSession(token).then((stored) => {
+        socket.data.storedSession = stored;
+        next();
+    }, (error) => {
+        console.error('Could not load stored session:', error);
+        next();
+    });
+});
+
+// Players connected to other processes hand over their events for the games running here
+io.on(FORWARD_EVENT, (message, reply) => {
+    if (message.node !== NODE_ID) {
+        reply(null);
+        return;
+    }
+    handleForwardedEvent(message, reply);
+});
+
 // Game state storage
 const games = new Map();
 const players = new Map();
-const waitingPlayers = [];
+const queues = { // two-player games waiting for an opponent, by queue name
+    casual: new MatchmakingQueue(),
+    ranked: new MatchmakingQueue({ ranked: true })
+};
+const lobbies = new Map(); // keyed by invite code
+const sessions = new Map(); // keyed by persistent player token
+const series = new Map(); // MatchSeries of two-player games, keyed by series ID
+
+// Reconnect configuration
+const RECONNECT_GRACE_PERIOD_MS = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS, 10) || 30000;
+
+// Seats per game; quick matches are always two-player
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+
+// Online games always end: a round limit is required and capped
+const MAX_ROUND_LIMIT = 200;
+
+// Delay between a category selection and the round being resolved (lets clients animate)
+const ROUND_DELAY_MS = 1000;
+
+// Finished games (and their series) wait this long for both players to ask for the next game
+const REMATCH_WINDOW_MS = parseInt(process.env.REMATCH_WINDOW_MS, 10) || 60000;
+
+// Ranked rating windows widen while players wait, so the queues are matched regularly
+const QUEUE_TICK_MS = 2000;
+
+// Spectators see every update this much later than the players, unless a game asks for its own delay
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS, 10) || 0;
+const MAX_SPECTATOR_DELAY_S = 120;
+const LIVE_GAMES_LISTED = 20;
+
+// Time to choose a category unless a game asks for its own (0 turns the clock off); the server picks for a seat that runs out
+const TURN_TIME_MS = process.env.TURN_TIME_MS !== undefined ? parseInt(process.env.TURN_TIME_MS, 10) : TurnClock.DEFAULT_TURN_TIME_MS;
+const TURN_TIMEOUT_STRATEGY = 'greedy';
+
+// Lobby configuration
+const LOBBY_SYSTEM_ROOM = 'lobby-system';
+const LOBBY_MAX_PLAYERS = 2;
+const INVITE_CODE_LENGTH = 6;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 // Routes
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+CLIENT_PAGES.forEach(page => app.get(`/${ page }`, (req, res) => {
+    res.sendFile(path.join(__dirname, page));
+}));
+
 app.get('/health', (req, res) => {
     res.status(200).json({ status: 'ok' });
 });
 
+app.get('/api/decks', (req, res) => {
+    res.status(200).json({
+        defaultDeckId: DEFAULT_DECK_ID,
+        decks: Array.from(deckPacks.values()).map(pack => DeckPack.summarize(pack))
+    });
+});
+
+app.get('/api/replays', (req, res) => {
+    res.status(200).json({ replays: replayIndex.slice(0, RECENT_REPLAYS_LISTED) });
+});
+
+app.get('/api/replays/:gameId', (req, res) => {
+    const file = getReplayPath(req.params.gameId);
+    if (!file || !fs.existsSync(file)) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+    }
+    res.sendFile(file);
+});
+
+app.get('/api/leaderboard', (req, res) => {
+    const query = parseLeaderboardQuery(req, res);
+    if (!query) return;
+
+    const standings = leaderboard.getStandings(query);
+    res.status(200).json({
+        ...getLeaderboardFilters(query),
+        ...standings,
+        players: standings.players.map(entry => {
+            const profile = playerStore.getProfile(entry.id);
+            return { ...entry, name: profile ? profile.name : 'Unknown player', avatar: profile ? profile.avatar : null, rating: profile ? profile.rating : null };
+        })
+    });
+});
+
+app.get('/api/leaderboard/cards', (req, res) => {
+    const query = parseLeaderboardQuery(req, res);
+    if (!query) return;
+
+    res.status(200).json({
+        ...getLeaderboardFilters(query),
+        cards: leaderboard.getCardStats(query).map(card => ({ ...card, name: findCardName(card.id, query.deckId) }))
+    });
+});
+
+app.get('/api/players/:id', (req, res) => {
+    const profile = getPublicProfile(req.params.id);
+    if (!profile) {
+        res.status(404).json({ error: 'Player not found' });
+        return;
+    }
+    res.status(200).json(profile);
+});
+
 // Socket.io handling
 io.on('connection', (socket) => {
     console.log(`Player connected: ${ socket.id }`);
 
-    // Track connected players
-    players.set(socket.id, { id: socket.id, gameId: null });
+    // Resolve the persistent session before tracking the socket
+    const session = resolveSession(socket);
+
+    // Track connected players; a known account brings its display name
+    const account = playerStore.findByToken(session.token);
+    players.set(socket.id, { id: socket.id, token: session.token, gameId: null, lobbyId: null, spectatingGameId: null, username: account ? account.name : null });
+
+    if (account) {
+        playerStore.touch(account.id);
+        savePlayerStore();
+    }
 
-    // Update player count
-    updatePlayerCount();
+    // Tell the client its token, its profile and whether a match is waiting for it
+    socket.emit(SERVER.SESSION, {
+        playerToken: session.token,
+        accountId: account ? account.id : null,
+        profile: account ? getPublicProfile(account.id) : null,
+        activeGameId: getRejoinableGameId(session) || getStoredRejoinableGameId(socket, session)
+    });
 
     // Handle disconnections
     socket.on('disconnect', () => {
         console.log(`Player disconnected: ${ socket.id }`);
         handlePlayerDisconnect(socket.id);
-        updatePlayerCount();
+        sendQueueStatus();
+    });
+
+    // Set display name, and optionally the avatar, of the player's account
+    onClientEvent(socket, CLIENT.SET_USERNAME, (data) => {
+        const username = typeof data?.username === 'string' ? data.username.trim().slice(0, PlayerStore.MAX_NAME_LENGTH) : '';
+        if (!username) return;
+
+        const playerData = players.get(socket.id);
+        let account;
+        try {
+            // Check the avatar before a first name change creates the account
+            if (data.avatar !== undefined) {
+                PlayerStore.validateAvatar(data.avatar);
+            }
+            account = playerStore.update(ensureAccount(playerData.token, username).id, { name: username, avatar: data.avatar });
+        } catch (error) {
+            socket.emit(SERVER.ERROR, { message: error.message });
+            return;
+        }
+        savePlayerStore();
+
+        playerData.username = username;
+        socket.emit(SERVER.PROFILE_UPDATED, { profile: getPublicProfile(account.id) });
+
+        // Keep lobby player lists in sync with the new name
+        if (playerData.lobbyId && lobbies.has(playerData.lobbyId)) {
+            broadcastLobbyUpdate(playerData.lobbyId);
+        }
     });
 
     // Create a new game
-    socket.on('create_game', () => {
-        // Remove from waiting queue if already there
-        const waitingIndex = waitingPlayers.findIndex(id => id === socket.id);
-        if (waitingIndex !== -1) {
-            waitingPlayers.splice(waitingIndex, 1);
+    onClientEvent(socket, CLIENT.CREATE_GAME, (data) => {
+        const maxPlayers = clampPlayerCount(data?.maxPlayers);
+        const deckId = resolveDeckId(data?.deckId);
+        const rules = resolveRules(data);
+        const seriesLength = resolveSeriesLength(data, maxPlayers);
+        const { seed, seedSource } = resolveSeed(data);
+        const queue = resolveQueue(data, maxPlayers, seedSource);
+        const spectatorDelay = resolveSpectatorDelay(data);
+        const turnTime = resolveTurnTime(data);
+
+        if (!deckId) {
+            socket.emit(SERVER.ERROR, { message: `Unknown deck pack "${ data.deckId }"` });
+            return;
+        }
+        if (rules.error || seriesLength.error || queue.error || spectatorDelay.error || turnTime.error) {
+            socket.emit(SERVER.ERROR, { message: rules.error || seriesLength.error || queue.error || spectatorDelay.error || turnTime.error });
+            return;
         }
+        if (rejectIfSeated(socket)) return;
+
+        leaveCurrentLobby(socket);
+        stopSpectating(socket.id);
 
-        // Create new game ID and add to waiting queue
+        // Remove from waiting queue if already there
+        removeFromWaitingQueue(socket.id);
+
+        // Create new game ID
         const gameId = uuidv4();
-        waitingPlayers.push(socket.id);
 
         // Update player data
         const playerData = players.get(socket.id);
         playerData.gameId = gameId;
         players.set(socket.id, playerData);
+        sessions.get(playerData.token).gameId = gameId;
 
-        // Create new game instance
-        const game = new Game();
-        games.set(gameId, {
-            id: gameId,
-            players: [socket.id],
-            game: game,
-            state: 'waiting' // waiting, active, completed
+        // Create new game instance; two-player games also enter a matchmaking queue
+        const gameData = createGameEntry(gameId, [socket.id], maxPlayers, {
+            deckId, seed, seedSource, rules: rules.settings, bestOf: seriesLength.bestOf, ranked: queue.name === 'ranked',
+            spectatorDelayMs: spectatorDelay.delayMs, turnTimeMs: turnTime.turnTimeMs
         });
+        games.set(gameId, gameData);
+        publishGame(gameData);
 
         // Notify player
-        socket.emit('game_created', { gameId });
+        socket.emit(SERVER.GAME_CREATED, {
+            gameId,
+            maxPlayers,
+            deckId,
+            seedSource,
+            rules: rules.settings,
+            bestOf: seriesLength.bestOf,
+            queue: queue.name,
+            turnTimeMs: turnTime.turnTimeMs,
+            seed: seedSource === 'random' ? null : seed
+        });
 
         // Try to match with another player
-        matchPlayers();
+        if (queue.name) {
+            enqueuePlayer(socket.id, queue.name, gameData).then(runMatchmaking, (error) => {
+                console.error('Could not queue player:', error);
+            });
+        }
     });
 
     // Join an existing game
-    socket.on('join_game', (data) => {
-        const { gameId } = data;
+    onClientEvent(socket, CLIENT.JOIN_GAME, (data) => {
+        routeGameEvent(describePlayer(socket.id), data.gameId, 'join', data, () => joinGame(socket, data));
+    });
+
+    // In-game events all go through the move pipeline
+    onClientEvent(socket, CLIENT.SELECT_CATEGORY, (data, callback) => {
+        routeMove(socket, 'category_selection', data, callback);
+    });
+
+    onClientEvent(socket, CLIENT.GET_NEXT_CARDS, (data, callback) => {
+        routeMove(socket, 'next_cards_request', data, callback);
+    });
+
+    // Rejoin a game after losing the connection
+    onClientEvent(socket, CLIENT.REJOIN_GAME, (data) => {
+        routeGameEvent(describePlayer(socket.id), data.gameId, 'rejoin', data, () => rejoinGame(socket, data));
+    });
+
+    // Leave game
+    onClientEvent(socket, CLIENT.LEAVE_GAME, (data, callback) => {
+        routeMove(socket, 'leave_game', data, callback);
+    });
 
-        if (!gameId || !games.has(gameId)) {
-            socket.emit('error', { message: 'Game not found', critical: true });
+    // Ask for the next game of the series, or a rematch once it is decided
+    onClientEvent(socket, CLIENT.REQUEST_REMATCH, (data, callback) => {
+        routeMove(socket, 'rematch_request', data, callback);
+    });
+
+    // List running games that can be watched
+    onClientEvent(socket, CLIENT.GET_LIVE_GAMES, () => {
+        socket.emit(SERVER.LIVE_GAMES, { games: getLiveGames() });
+    });
+
+    // Watch a running game by its ID, on whichever process runs it
+    onClientEvent(socket, CLIENT.SPECTATE_GAME, (data) => {
+        // Players may only watch once their own game is over
+        const playerData = players.get(socket.id);
+        const ownGame = playerData.gameId ? games.get(playerData.gameId) : null;
+        if (ownGame && ownGame.state !== 'completed' && ownGame.players.includes(socket.id)) {
+            socket.emit(SERVER.ERROR, { message: 'Leave your game before watching another one' });
             return;
         }
 
-        const gameData = games.get(gameId);
+        const gameId = data?.gameId;
+        routeGameEvent(describePlayer(socket.id), gameId, 'spectate', data, () => {
+            if (spectateGame(socket, data)) {
+                leaveCurrentLobby(socket);
+            }
+        }, (reply) => {
+            // The process running the game tells the player why it turned them down; no answer at all is told here
+            if (!reply.success) {
+                if (reply.code === 'GAME_UNAVAILABLE') {
+                    socket.emit(SERVER.ERROR, { message: reply.reason, code: reply.code });
+                }
+                return;
+            }
 
-        // Check if game is joinable
-        if (gameData.state !== 'waiting' || gameData.players.length >= 2) {
-            socket.emit('error', { message: 'Game is not joinable', critical: true });
-            return;
+            // The process running the game sends the views; this one only remembers what is watched
+            if (playerData.spectatingGameId !== gameId) {
+                stopSpectating(socket.id);
+            }
+            playerData.spectatingGameId = gameId;
+            leaveCurrentLobby(socket);
+        });
+    });
+
+    // Stop watching
+    onClientEvent(socket, CLIENT.STOP_SPECTATING, (data, callback) => {
+        const ack = typeof data === 'function' ? data : callback;
+
+        stopSpectating(socket.id);
+
+        if (typeof ack === 'function') {
+            ack({ success: true });
         }
+    });
 
-        // Join the game
-        gameData.players.push(socket.id);
-        games.set(gameId, gameData);
+    // Send a chat message to the current game or lobby
+    onClientEvent(socket, CLIENT.CHAT_MESSAGE, (data, callback) => {
+        postChat(socket, { text: data?.text }, callback);
+    });
 
-        // Update player data
-        const playerData = players.get(socket.id);
-        playerData.gameId = gameId;
-        players.set(socket.id, playerData);
+    // Send a quick emote to the current game or lobby
+    onClientEvent(socket, CLIENT.SEND_EMOTE, (data, callback) => {
+        postChat(socket, { emote: data?.emote }, callback);
+    });
 
-        // Initialize the game
-        gameData.game.init();
-        gameData.state = 'active';
+    // Hide or show a player's messages: { playerId } or { seat } of the current game
+    onClientEvent(socket, CLIENT.MUTE_PLAYER, (data, callback) => {
+        updateChatList(socket, data, callback, (key, otherKey) => chat.mute(key, otherKey));
+    });
 
-        // Notify both players
-        io.to(gameData.players[0]).emit('player_joined', { gameId });
-        socket.emit('player_joined', { gameId });
+    onClientEvent(socket, CLIENT.UNMUTE_PLAYER, (data, callback) => {
+        updateChatList(socket, data, callback, (key, otherKey) => chat.unmute(key, otherKey));
+    });
 
-        // Send initial game state to both players
-        sendGameState(gameId);
+    // A block also hides one's own messages from the blocked player
+    onClientEvent(socket, CLIENT.BLOCK_PLAYER, (data, callback) => {
+        updateChatList(socket, data, callback, (key, otherKey) => chat.block(key, otherKey));
     });
 
-    // Handle category selection
-    socket.on('select_category', (data) => {
-        const { gameId, category } = data;
+    onClientEvent(socket, CLIENT.UNBLOCK_PLAYER, (data, callback) => {
+        updateChatList(socket, data, callback, (key, otherKey) => chat.unblock(key, otherKey));
+    });
 
-        if (!gameId || !games.has(gameId)) {
-            socket.emit('error', { message: 'Game not found' });
-            return;
-        }
+    // Enter the lobby browser
+    onClientEvent(socket, CLIENT.ACCESS_LOBBY_SYSTEM, () => {
+        socket.join(LOBBY_SYSTEM_ROOM);
+        socket.emit(SERVER.LOBBY_LIST, { lobbies: getLobbyList() });
+    });
 
-        const gameData = games.get(gameId);
+    // Request the current lobby list
+    onClientEvent(socket, CLIENT.GET_LOBBY_LIST, () => {
+        socket.emit(SERVER.LOBBY_LIST, { lobbies: getLobbyList() });
+    });
 
-        // Verify it's the player's turn
-        const playerIndex = gameData.players.indexOf(socket.id);
-        if (playerIndex === -1) {
-            socket.emit('error', { message: 'You are not in this game' });
+    // Create a named lobby
+    onClientEvent(socket, CLIENT.CREATE_LOBBY, (data) => {
+        const name = typeof data?.name === 'string' ? data.name.trim().slice(0, 48) : '';
+        const maxPlayers = data?.maxPlayers === undefined ? LOBBY_MAX_PLAYERS : clampPlayerCount(data.maxPlayers);
+        const password = typeof data?.password === 'string' && data.password ? data.password : null;
+        const deckId = resolveDeckId(data?.deckId);
+        const rules = resolveRules(data);
+        const seriesLength = resolveSeriesLength(data, maxPlayers);
+        const spectatorDelay = resolveSpectatorDelay(data);
+        const turnTime = resolveTurnTime(data);
+
+        if (!deckId) {
+            socket.emit(SERVER.ERROR, { message: `Unknown deck pack "${ data.deckId }"` });
             return;
         }
-
-        const isPlayerTurn = (playerIndex === 0 && gameData.game.isPlayerTurn) ||
-            (playerIndex === 1 && !gameData.game.isPlayerTurn);
-
-        if (!isPlayerTurn) {
-            socket.emit('error', { message: 'Not your turn' });
+        if (rules.error || seriesLength.error || spectatorDelay.error || turnTime.error) {
+            socket.emit(SERVER.ERROR, { message: rules.error || seriesLength.error || spectatorDelay.error || turnTime.error });
             return;
         }
+        if (rejectIfSeated(socket)) return;
 
-        // Apply the move
-        gameData.game.selectCategory(category);
+        leaveCurrentLobby(socket);
+        removeFromWaitingQueue(socket.id);
+        stopSpectating(socket.id);
 
-        // Notify the other player
-        const otherPlayerIndex = playerIndex === 0 ? 1 : 0;
-        if (gameData.players[otherPlayerIndex]) {
-            io.to(gameData.players[otherPlayerIndex]).emit('opponent_move', { category });
-        }
+        const playerData = players.get(socket.id);
+        const inviteCode = generateInviteCode();
+        const { seed, seedSource } = resolveSeed(data);
+        const lobby = {
+            id: inviteCode,
+            inviteCode,
+            gameId: uuidv4(),
+            name: name || `${ getDisplayName(socket.id) }'s Game`,
+            passwordHash: password ? hashPassword(password) : null,
+            hostId: socket.id,
+            players: [socket.id],
+            maxPlayers,
+            deckId,
+            seed,
+            seedSource,
+            rules: rules.settings,
+            bestOf: seriesLength.bestOf,
+            spectatorDelayMs: spectatorDelay.delayMs,
+            turnTimeMs: turnTime.turnTimeMs,
+            createdAt: Date.now()
+        };
 
-        // Play the round after a short delay
-        setTimeout(() => {
-            playRound(gameId);
-        }, 1000);
+        lobbies.set(inviteCode, lobby);
+        playerData.lobbyId = inviteCode;
+        socket.join(`lobby:${ inviteCode }`);
+
+        socket.emit(SERVER.LOBBY_CREATED, {
+            gameId: lobby.gameId,
+            inviteCode,
+            lobby: serializeLobby(lobby, socket.id)
+        });
+
+        broadcastLobbyList();
     });
 
-    // Get next cards
-    socket.on('get_next_cards', (data) => {
-        const { gameId } = data;
+    // Join a lobby by its invite code
+    onClientEvent(socket, CLIENT.JOIN_LOBBY_BY_CODE, (data) => {
+        const inviteCode = typeof data?.inviteCode === 'string' ? data.inviteCode.trim().toUpperCase() : '';
+        const lobby = lobbies.get(inviteCode);
+
+        if (!lobby) {
+            socket.emit(SERVER.ERROR, { message: 'Lobby not found' });
+            return;
+        }
 
-        if (!gameId || !games.has(gameId)) {
-            socket.emit('error', { message: 'Game not found' });
+        if (lobby.players.includes(socket.id)) {
+            socket.emit(SERVER.JOINED_LOBBY, {
+                lobbyId: lobby.id,
+                gameId: lobby.gameId,
+                lobby: serializeLobby(lobby, socket.id)
+            });
             return;
         }
 
-        const gameData = games.get(gameId);
-        const playerIndex = gameData.players.indexOf(socket.id);
+        if (lobby.players.length >= lobby.maxPlayers) {
+            socket.emit(SERVER.ERROR, { message: 'Lobby is full' });
+            return;
+        }
 
-        if (playerIndex === -1) {
-            socket.emit('error', { message: 'You are not in this game' });
+        if (lobby.passwordHash && !checkPassword(data.password, lobby.passwordHash)) {
+            socket.emit(SERVER.ERROR, { message: 'Incorrect lobby password' });
             return;
         }
+        if (rejectIfSeated(socket)) return;
 
-        // Get the top cards
-        const isPlayer1 = playerIndex === 0;
-        const playerCard = isPlayer1 ? gameData.game.playerCards[0] : gameData.game.opponentCards[0];
-        const opponentCard = isPlayer1 ? gameData.game.opponentCards[0] : gameData.game.playerCards[0];
+        leaveCurrentLobby(socket);
+        removeFromWaitingQueue(socket.id);
+        stopSpectating(socket.id);
+
+        const playerData = players.get(socket.id);
+        lobby.players.push(socket.id);
+        playerData.lobbyId = lobby.id;
+        socket.join(`lobby:${ lobby.id }`);
+
+        socket.emit(SERVER.JOINED_LOBBY, {
+            lobbyId: lobby.id,
+            gameId: lobby.gameId,
+            lobby: serializeLobby(lobby, socket.id)
+        });
 
-        // Send cards to the requesting player
-        socket.emit('next_cards', {
-            playerCard,
-            opponentCard: { ...opponentCard, stats: null } // Hide opponent stats
+        socket.to(`lobby:${ lobby.id }`).emit(SERVER.PLAYER_JOINED_LOBBY, {
+            lobbyId: lobby.id,
+            player: serializeLobbyPlayer(lobby, socket.id)
         });
+
+        broadcastLobbyUpdate(lobby.id);
+        broadcastLobbyList();
     });
 
-    // Leave game
-    socket.on('leave_game', (data) => {
-        const { gameId } = data;
+    // Leave the current lobby
+    onClientEvent(socket, CLIENT.LEAVE_LOBBY, (data, callback) => {
+        // NetworkManager emits the acknowledgement as the only argument
+        const ack = typeof data === 'function' ? data : callback;
 
-        if (gameId && games.has(gameId)) {
-            handlePlayerLeaveGame(socket.id, gameId);
+        leaveCurrentLobby(socket);
+
+        if (typeof ack === 'function') {
+            ack({ success: true });
         }
     });
-});
 
-/**
- * Play a round in the game
- */
-function playRound(gameId) {
-    if (!games.has(gameId)) return;
+    // Host starts the game for everybody in the lobby
+    onClientEvent(socket, CLIENT.START_GAME_FROM_LOBBY, (data) => {
+        const playerData = players.get(socket.id);
+        const lobbyId = data?.lobbyId || playerData.lobbyId;
+        const lobby = lobbies.get(lobbyId);
 
-    const gameData = games.get(gameId);
+        if (!lobby || !lobby.players.includes(socket.id)) {
+            socket.emit(SERVER.ERROR, { message: 'You are not in this lobby' });
+            return;
+        }
 
-    // Play the round
-    const roundResult = gameData.game.playRound();
+        if (lobby.hostId !== socket.id) {
+            socket.emit(SERVER.ERROR, { message: 'Only the host can start the game' });
+            return;
+        }
 
-    // Update players
-    sendRoundResult(gameId, roundResult);
+        if (lobby.players.length < MIN_PLAYERS) {
+            socket.emit(SERVER.ERROR, { message: 'Not enough players to start' });
+            return;
+        }
 
-    // Check if game is over
-    if (roundResult.gameOver) {
-        gameData.state = 'completed';
-        games.set(gameId, gameData);
+        startGameFromLobby(lobby);
+    });
+});
 
-        // Schedule game cleanup
-        setTimeout(() => {
-            if (games.has(gameId)) {
-                games.delete(gameId);
+/**
+ * Handle a client event once its payload has been checked against the protocol
+ * A payload that does not fit is answered through the acknowledgement, or
+ * with an error event when there is none, and never reaches the handler.
+ * @param {Object} socket - Player socket
+ * @param {String} event - Client event, see Protocol.CLIENT
+ * @param {Function} handler - Called with the payload and acknowledgement as sent
+ */
+function onClientEvent(socket, event, handler) {
+    socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+        const errors = Protocol.validate(event, typeof args[0] === 'function' ? undefined : args[0]);
+
+        if (errors.length > 0) {
+            const message = `Invalid payload: ${ errors.join('; ') }`;
+            if (ack) {
+                ack({ success: false, code: 'INVALID_PAYLOAD', error: message });
+            } else {
+                socket.emit(SERVER.ERROR, { message, code: 'INVALID_PAYLOAD' });
             }
-        }, 60000); // Clean up after 1 minute
-    }
+            return;
+        }
+
+        handler(...args);
+    });
 }
 
 /**
- * Send round result to players
+ * Start a game with every player currently in the lobby
+ * @param {Object} lobby - Lobby to start
  */
-function sendRoundResult(gameId, roundResult) {
-    if (!games.has(gameId)) return;
+function startGameFromLobby(lobby) {
+    const gameId = lobby.gameId;
+    const gameData = createGameEntry(gameId, [...lobby.players], lobby.players.length, {
+        deckId: lobby.deckId,
+        seed: lobby.seed,
+        seedSource: lobby.seedSource,
+        rules: lobby.rules,
+        bestOf: lobby.bestOf,
+        spectatorDelayMs: lobby.spectatorDelayMs,
+        turnTimeMs: lobby.turnTimeMs
+    });
+    games.set(gameId, gameData);
 
-    const gameData = games.get(gameId);
+    // Move everyone out of the lobby and into the game
+    lobby.players.forEach(playerId => {
+        const playerData = players.get(playerId);
+        if (playerData) {
+            playerData.gameId = gameId;
+            playerData.lobbyId = null;
+            sessions.get(playerData.token).gameId = gameId;
+        }
 
-    // Adjust result data for each player
-    gameData.players.forEach((playerId, index) => {
-        const isPlayer1 = index === 0;
-        const adjustedResult = {
-            ...roundResult,
-            // Swap perspective for player 2
-            result: isPlayer1 ? roundResult.result : (roundResult.result === 'player' ? 'opponent' :
-                (roundResult.result === 'opponent' ? 'player' : roundResult.result)),
-            playerValue: isPlayer1 ? roundResult.playerValue : roundResult.opponentValue,
-            opponentValue: isPlayer1 ? roundResult.opponentValue : roundResult.playerValue,
-            playerCardCount: isPlayer1 ? roundResult.playerCardCount : roundResult.opponentCardCount,
-            opponentCardCount: isPlayer1 ? roundResult.opponentCardCount : roundResult.playerCardCount,
-            winner: roundResult.winner === 'player' ? (isPlayer1 ? 'player' : 'opponent') :
-                (isPlayer1 ? 'opponent' : 'player')
-        };
+        const playerSocket = io.sockets.sockets.get(playerId);
+        if (playerSocket) {
+            playerSocket.leave(`lobby:${ lobby.id }`);
+        }
+    });
+
+    lobbies.delete(lobby.id);
+    chat.moveChannel(getLobbyChannel(lobby.id), getGameChannel(gameId));
 
-        io.to(playerId).emit('roundPlayed', adjustedResult);
+    startGame(gameData);
+
+    lobby.players.forEach(playerId => {
+        io.to(playerId).emit(SERVER.GAME_STARTED, { gameId, lobbyId: lobby.id });
     });
+
+    sendGameState(gameId);
+    broadcastLobbyList();
 }
 
 /**
- * Send current game state to both players
+ * Remove a player from whatever lobby they are in
+ * @param {Object} socket - Player socket
  */
-function sendGameState(gameId) {
-    if (!games.has(gameId)) return;
-
-    const gameData = games.get(gameId);
+function leaveCurrentLobby(socket) {
+    const playerData = players.get(socket.id);
+    if (!playerData || !playerData.lobbyId) return;
 
-    gameData.players.forEach((playerId, index) => {
-        const isPlayer1 = index === 0;
-        const gameState = {
-            playerCards: isPlayer1 ? gameData.game.playerCards : gameData.game.opponentCards,
-            opponentCards: isPlayer1 ? gameData.game.opponentCards.map(card => ({ ...card, stats: null })) :
-                gameData.game.playerCards.map(card => ({ ...card, stats: null })),
-            currentPlayer: gameData.game.currentPlayer,
-            isPlayerTurn: isPlayer1 ? gameData.game.isPlayerTurn : !gameData.game.isPlayerTurn,
-            gameOver: gameData.game.gameOver,
-            winner: gameData.game.winner === 'player' ? (isPlayer1 ? 'player' : 'opponent') :
-                (isPlayer1 ? 'opponent' : 'player'),
-            playerCardCount: isPlayer1 ? gameData.game.playerCards.length : gameData.game.opponentCards.length,
-            opponentCardCount: isPlayer1 ? gameData.game.opponentCards.length : gameData.game.playerCards.length,
-            revealOpponentCard: false
-        };
-
-        io.to(playerId).emit('game_state', { gameState });
-    });
+    socket.leave(`lobby:${ playerData.lobbyId }`);
+    handlePlayerLeaveLobby(socket.id, playerData.lobbyId);
 }
 
 /**
- * Match waiting players
+ * Handle player leaving a lobby
+ * @param {String} playerId - Player socket ID
+ * @param {String} lobbyId - Lobby ID
  */
-function matchPlayers() {
-    while (waitingPlayers.length >= 2) {
-        const player1 = waitingPlayers.shift();
-        const player2 = waitingPlayers.shift();
+function handlePlayerLeaveLobby(playerId, lobbyId) {
+    const playerData = players.get(playerId);
+    if (playerData) {
+        playerData.lobbyId = null;
+    }
 
-        const player1Data = players.get(player1);
-        const player2Data = players.get(player2);
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) return;
 
-        if (!player1Data || !player2Data) {
-            continue;
-        }
+    const playerIndex = lobby.players.indexOf(playerId);
+    if (playerIndex === -1) return;
 
-        // Use the game ID from player 1
-        const gameId = player1Data.gameId;
+    lobby.players.splice(playerIndex, 1);
 
-        if (!gameId || !games.has(gameId)) {
-            continue;
-        }
+    if (lobby.players.length === 0) {
+        lobbies.delete(lobbyId);
+        chat.deleteChannel(getLobbyChannel(lobbyId));
+        broadcastLobbyList();
+        return;
+    }
+
+    // Hand the lobby over to the longest-waiting player
+    if (lobby.hostId === playerId) {
+        lobby.hostId = lobby.players[0];
+    }
 
-        const gameData = games.get(gameId);
+    io.to(`lobby:${ lobbyId }`).emit(SERVER.PLAYER_LEFT_LOBBY, { lobbyId, playerId });
 
-        // Add player 2 to the game
-        gameData.players.push(player2);
-        player2Data.gameId = gameId;
-        players.set(player2, player2Data);
+    broadcastLobbyUpdate(lobbyId);
+    broadcastLobbyList();
+}
 
-        // Initialize the game
-        gameData.game.init();
-        gameData.state = 'active';
+/**
+ * Send the full lobby to each of its members
+ * @param {String} lobbyId - Lobby ID
+ */
+function broadcastLobbyUpdate(lobbyId) {
+    const lobby = lobbies.get(lobbyId);
+    if (!lobby) return;
 
-        // Notify both players
-        io.to(player1).emit('player_joined', { gameId });
-        io.to(player2).emit('player_joined', { gameId });
+    lobby.players.forEach(playerId => {
+        io.to(playerId).emit(SERVER.LOBBY_UPDATED, { lobby: serializeLobby(lobby, playerId) });
+    });
+}
 
-        // Send initial game state
-        sendGameState(gameId);
-    }
+/**
+ * Send the lobby list to everybody browsing lobbies
+ */
+function broadcastLobbyList() {
+    io.to(LOBBY_SYSTEM_ROOM).emit(SERVER.LOBBY_LIST, { lobbies: getLobbyList() });
 }
 
 /**
- * Handle player disconnect
+ * Get the public list of open lobbies
+ * @returns {Array} - Serialized lobbies
  */
-function handlePlayerDisconnect(playerId) {
-    // Remove from players map
-    if (players.has(playerId)) {
-        const playerData = players.get(playerId);
-        const gameId = playerData.gameId;
+function getLobbyList() {
+    return Array.from(lobbies.values()).map(lobby => serializeLobby(lobby));
+}
 
-        players.delete(playerId);
+/**
+ * Convert a lobby to its client representation
+ * @param {Object} lobby - Lobby
+ * @param {String} viewerId - Socket ID of the receiving player (optional)
+ * @returns {Object} - Serialized lobby
+ */
+function serializeLobby(lobby, viewerId = null) {
+    return {
+        id: lobby.id,
+        inviteCode: lobby.inviteCode,
+        name: lobby.name,
+        hasPassword: !!lobby.passwordHash,
+        maxPlayers: lobby.maxPlayers,
+        deck: getDeckInfo(lobby.deckId),
+        daily: lobby.seedSource === 'daily',
+        rules: lobby.rules,
+        bestOf: lobby.bestOf,
+        spectatorDelayMs: lobby.spectatorDelayMs,
+        turnTimeMs: lobby.turnTimeMs,
+        hostId: lobby.hostId,
+        isCreator: viewerId !== null && lobby.hostId === viewerId,
+        players: lobby.players.map(playerId => serializeLobbyPlayer(lobby, playerId)),
+        createdAt: lobby.createdAt
+    };
+}
 
-        // Remove from waiting players
-        const waitingIndex = waitingPlayers.indexOf(playerId);
-        if (waitingIndex !== -1) {
-            waitingPlayers.splice(waitingIndex, 1);
-        }
+/**
+ * Convert a lobby member to its client representation
+ * @param {Object} lobby - Lobby
+ * @param {String} playerId - Player socket ID
+ * @returns {Object} - Serialized player
+ */
+function serializeLobbyPlayer(lobby, playerId) {
+    return {
+        id: playerId,
+        name: getDisplayName(playerId),
+        isCreator: lobby.hostId === playerId
+    };
+}
 
-        // Handle active game
-        if (gameId && games.has(gameId)) {
-            handlePlayerLeaveGame(playerId, gameId);
+/**
+ * Get a player's display name
+ * @param {String} playerId - Player socket ID
+ * @returns {String} - Display name
+ */
+function getDisplayName(playerId) {
+    const playerData = players.get(playerId);
+    return (playerData && playerData.username) || `Player-${ playerId.slice(0, 5) }`;
+}
+
+/**
+ * Generate an unused invite code
+ * @returns {String} - Invite code
+ */
+function generateInviteCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+            code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
         }
-    }
+    } while (lobbies.has(code));
+    return code;
 }
 
 /**
- * Handle player leaving a game
+ * Hash a lobby password
+ * @param {String} password - Plain text password
+ * @returns {String} - Salted hash in the form salt:hash
  */
-function handlePlayerLeaveGame(playerId, gameId) {
-    if (!games.has(gameId)) return;
+function hashPassword(password) {
+    const salt = crypto.randomBytes(8).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `${ salt }:${ hash }`;
+}
 
-    const gameData = games.get(gameId);
-    const playerIndex = gameData.players.indexOf(playerId);
+/**
+ * Check a password against a stored hash
+ * @param {String} password - Plain text password
+ * @param {String} storedHash - Hash created by hashPassword()
+ * @returns {Boolean} - True if the password matches
+ */
+function checkPassword(password, storedHash) {
+    if (typeof password !== 'string' || !password) return false;
 
-    if (playerIndex === -1) return;
+    const [salt, hash] = storedHash.split(':');
+    const candidate = crypto.scryptSync(password, salt, 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
 
-    // Remove player from game
-    gameData.players.splice(playerIndex, 1);
+/**
+ * Remove a player from the matchmaking queue
+ * @param {String} playerId - Player socket ID
+ */
+function removeFromWaitingQueue(playerId) {
+    Object.entries(queues).forEach(([name, queue]) => {
+        queue.remove(playerId);
+        storeWrite(gameStore.dequeue(name, playerId));
+    });
+}
 
-    // If there's still one player, notify them
-    if (gameData.players.length > 0) {
-        io.to(gameData.players[0]).emit('error', {
-            message: 'Opponent has left the game',
-            critical: true
-        });
+/**
+ * Put a player's waiting game in a matchmaking queue
+ * @param {String} playerId - Socket ID
+ * @param {String} queueName - 'casual' or 'ranked'
+ * @param {Object} gameData - The player's game, waiting for an opponent
+ * @returns {Promise} - Resolves once every process can see the entry
+ */
+function enqueuePlayer(playerId, queueName, gameData) {
+    const playerData = players.get(playerId);
+    const entry = { id: playerId, key: getQueueKey(gameData) };
+
+    // Ranked players are matched by the rating of their account
+    if (queueName === 'ranked') {
+        entry.rating = playerStore.getRating(ensureAccount(playerData.token, getDisplayName(playerId)).id).value;
+        savePlayerStore();
     }
 
-    // If no players left, delete the game
-    if (gameData.players.length === 0) {
-        games.delete(gameId);
-    } else {
-        // Otherwise update game state
-        gameData.state = 'completed';
-        games.set(gameId, gameData);
-    }
+    // The shared entry also says where the player and their waiting game are
+    const queued = queues[queueName].add(entry);
+    return gameStore.enqueue(queueName, { ...queued, ...describePlayer(playerId), gameId: gameData.id });
 }
 
 /**
- * Update player count for all clients
+ * Players are only paired for the same deck pack, rules, series length, turn time and, if one was chosen, the same seed
+ * @param {Object} gameData - Waiting game
+ * @returns {String} - Queue key
  */
-function updatePlayerCount() {
-    const count = players.size;
-    io.emit('players_count', { count });
+function getQueueKey(gameData) {
+    const rules = JSON.stringify(gameData.engine.rules.getSettings());
+    return `${ gameData.deckId }|${ rules }|${ gameData.bestOf }|${ gameData.turnClock.turnTimeMs }|${ gameData.seedSource === 'random' ? '' : gameData.seed }`;
 }
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
+/**
+ * Tell every queued player of this process where they stand
+ */
+function sendQueueStatus() {
+    Object.entries(queues).forEach(([name, queue]) => {
+        queue.entries.filter(entry => !entry.node || entry.node === NODE_ID).forEach(entry => {
+            io.to(entry.id).emit(SERVER.QUEUE_STATUS, {
+                queue: name,
+                rating: queue.ranked ? entry.rating : null,
+                ...queue.getStatus(entry.id)
+            });
+        });
+    });
+}
+
+/**
+ * Seat a player in a waiting game, and start it once every seat is taken
+ * @param {Object} socket - Player socket
+ * @param {Object} data - { gameId }
+ * @returns {Boolean} - True if the player was seated
+ */
+function joinGame(socket, data) {
+    const { gameId } = data;
+
+    if (!gameId || !games.has(gameId)) {
+        socket.emit(SERVER.ERROR, { message: 'Game not found', critical: true });
+        return false;
+    }
+
+    const gameData = games.get(gameId);
+
+    // Check if game is joinable
+    if (gameData.state !== 'waiting' || gameData.players.length >= gameData.maxPlayers ||
+        gameData.players.includes(socket.id)) {
+        socket.emit(SERVER.ERROR, { message: 'Game is not joinable', critical: true });
+        return false;
+    }
+
+    // Join the game
+    removeFromWaitingQueue(socket.id);
+    stopSpectating(socket.id);
+    seatPlayer(gameData, socket.id);
+
+    // Wait until every seat is taken
+    if (gameData.players.length < gameData.maxPlayers) {
+        forEachSeat(gameData, (playerId) => {
+            io.to(playerId).emit(SERVER.WAITING_FOR_PLAYERS, {
+                gameId,
+                playerCount: gameData.players.length,
+                maxPlayers: gameData.maxPlayers
+            });
+        });
+        return true;
+    }
+
+    // Initialize the game
+    startGame(gameData);
+
+    // Notify every player
+    forEachSeat(gameData, (playerId) => {
+        io.to(playerId).emit(SERVER.PLAYER_JOINED, { gameId, playerCount: gameData.players.length });
+    });
+
+    // Send initial game state to every player
+    sendGameState(gameId);
+    return true;
+}
+
+/**
+ * Put a returning player back into their seat
+ * @param {Object} socket - Player socket
+ * @param {Object} data - { gameId }
+ * @returns {Boolean} - True if the seat was reclaimed
+ */
+function rejoinGame(socket, data) {
+    const { gameId } = data || {};
+    const playerData = players.get(socket.id);
+
+    if (!gameId || !games.has(gameId)) {
+        socket.emit(SERVER.ERROR, { message: 'Game not found', critical: true });
+        return false;
+    }
+
+    const gameData = games.get(gameId);
+    const seatIndex = gameData.playerTokens.indexOf(playerData.token);
+
+    if (seatIndex === -1) {
+        socket.emit(SERVER.ERROR, { message: 'You are not in this game', critical: true });
+        return false;
+    }
+
+    reclaimSeat(gameData, seatIndex, socket.id);
+
+    socket.emit(SERVER.RECONNECT_STATE, buildReconnectState(gameData, seatIndex));
+    return true;
+}
+
+/**
+ * Route a move to the process running its game, see handleMove()
+ * @param {Object} socket - Socket that sent the move
+ * @param {String} type - Move type
+ * @param {Object} data - Raw event payload
+ * @param {Function} callback - Optional acknowledgement callback
+ */
+function routeMove(socket, type, data, callback) {
+    routeGameEvent(describePlayer(socket.id), data.gameId, 'move', { type, payload: data },
+        () => handleMove(socket, type, data, callback), callback);
+}
+
+/**
+ * Validate and apply an inbound move
+ * @param {Object} socket - Socket that sent the move
+ * @param {String} type - Move type
+ * @param {Object} data - Raw event payload
+ * @param {Function} callback - Optional acknowledgement callback
+ */
+function handleMove(socket, type, data, callback) {
+    const move = ServerValidator.createMove(type, socket.id, data);
+    const gameData = move.gameId ? games.get(move.gameId) : null;
+    const ack = typeof callback === 'function' ? callback : () => {};
+
+    const validation = ServerValidator.validateMove(gameData ? getValidatorState(gameData) : null, socket.id, move);
+    if (!validation.valid) {
+        socket.emit(SERVER.MOVE_REJECTED, {
+            gameId: move.gameId,
+            moveType: move.type,
+            moveId: move.moveId,
+            code: validation.code,
+            reason: validation.reason
+        });
+        ack({ success: false, code: validation.code, reason: validation.reason });
+        return;
+    }
+
+    if (move.moveId !== null) {
+        gameData.processedMoveIds.add(move.moveId);
+    }
+
+    applyMove(gameData, socket, move);
+    ack({ success: true });
+}
+
+/**
+ * Apply a validated move to its game
+ * @param {Object} gameData - Game entry
+ * @param {Object} socket - Socket that sent the move
+ * @param {Object} move - Validated move
+ */
+function applyMove(gameData, socket, move) {
+    const playerIndex = gameData.players.indexOf(socket.id);
+
+    switch (move.type) {
+        case 'category_selection':
+            // Choosing in time clears the seat's run of timeouts
+            gameData.turnClock.recordMove(playerIndex);
+            selectCategory(gameData, playerIndex, move.category, { moveId: move.moveId });
+            break;
+
+        case 'next_cards_request': {
+            const view = gameData.engine.getSeatView(playerIndex);
+
+            // Other seats' top cards stay face down until they are played
+            const opponentCards = getOtherSeats(gameData, playerIndex)
+                .filter(seat => view.cardCounts[seat] > 0)
+                .map(seat => ({ seat, cardCount: view.cardCounts[seat] }));
+
+            socket.emit(SERVER.NEXT_CARDS, {
+                playerCard: view.hands[playerIndex][0] || null,
+                opponentCard: null,
+                opponentCards
+            });
+            break;
+        }
+
+        case 'leave_game':
+            handlePlayerLeaveGame(socket.id, gameData.id);
+            break;
+
+        case 'rematch_request':
+            requestRematch(gameData, playerIndex);
+            break;
+    }
+}
+
+/**
+ * Play a category for the seat whose turn it is
+ * @param {Object} gameData - Game entry
+ * @param {Number} seat - Choosing seat
+ * @param {String} category - Category key
+ * @param {Object} options - { moveId, timedOut }: the player's move ID, or true if the clock chose (optional)
+ */
+function selectCategory(gameData, seat, category, options = {}) {
+    gameData.log.append('category', { seat, category, timedOut: Boolean(options.timedOut), moveId: options.moveId || null });
+    gameData.selectedCategory = category;
+    gameData.events.emit('categorySelected', { category, seat });
+
+    // Notify the other seats
+    forEachSeat(gameData, (playerId, index) => {
+        if (index !== seat) {
+            io.to(playerId).emit(SERVER.OPPONENT_MOVE, {
+                moveType: 'category_selection',
+                category,
+                seat,
+                round: gameData.engine.roundsPlayed
+            });
+        }
+    });
+
+    // Play the round after a short delay
+    setTimeout(() => {
+        playRound(gameData.id);
+    }, ROUND_DELAY_MS);
+}
+
+/**
+ * Start the clock of the seat whose turn it is, unless it is already running
+ * @param {Object} gameData - Game entry
+ */
+function startTurnClock(gameData) {
+    const { engine, turnClock } = gameData;
+    if (gameData.state !== 'in_progress' || engine.gameOver || gameData.selectedCategory !== null) {
+        turnClock.stop();
+        return;
+    }
+    if (turnClock.seat === engine.currentPlayerIndex) return;
+
+    turnClock.start(engine.currentPlayerIndex, seat => handleTurnTimeout(gameData.id, seat));
+}
+
+/**
+ * A seat ran out of time: pick its category with the AI, or forfeit it after too many timeouts in a row
+ * @param {String} gameId - Game ID
+ * @param {Number} seat - Seat whose time ran out
+ */
+function handleTurnTimeout(gameId, seat) {
+    const gameData = games.get(gameId);
+    if (!gameData || gameData.state !== 'in_progress' || gameData.selectedCategory !== null) return;
+
+    const engine = gameData.engine;
+    if (engine.gameOver || engine.currentPlayerIndex !== seat) return;
+
+    const { timeouts, forfeit } = gameData.turnClock.recordTimeout(seat);
+    if (forfeit) {
+        forfeitSeat(gameData, seat);
+        return;
+    }
+
+    const context = AIStrategy.buildContext(engine, seat, deckPacks.get(gameData.deckId).cards);
+    const category = context ? AIStrategy.create(TURN_TIMEOUT_STRATEGY).chooseCategory(context) : engine.categoryRules.getKeys()[0];
+
+    forEachSeat(gameData, (playerId, index) => {
+        io.to(playerId).emit(SERVER.TURN_TIMEOUT, {
+            gameId,
+            seat,
+            name: gameData.playerNames[seat],
+            category,
+            timeouts,
+            timeoutsToForfeit: gameData.turnClock.timeoutsToForfeit,
+            isSelf: index === seat
+        });
+    });
+
+    selectCategory(gameData, seat, category, { timedOut: true });
+}
+
+/**
+ * Take a seat out of the game for running out of time too often, or for leaving a ranked game
+ * @param {Object} gameData - Game entry
+ * @param {Number} seat - Forfeiting seat
+ * @param {String} reason - 'timeout' or 'left'
+ */
+function forfeitSeat(gameData, seat, reason = 'timeout') {
+    const engine = gameData.engine;
+    gameData.log.append('forfeit', { seat });
+    gameData.turnClock.stop();
+    engine.forfeit(seat);
+
+    if (engine.gameOver) {
+        gameData.state = 'completed';
+        recordSeriesGame(gameData);
+    }
+
+    forEachSeat(gameData, (playerId, index) => {
+        io.to(playerId).emit(SERVER.PLAYER_FORFEITED, {
+            gameId: gameData.id,
+            seat,
+            name: gameData.playerNames[seat],
+            reason,
+            isSelf: index === seat,
+            gameOver: engine.gameOver,
+            gameState: buildPlayerGameState(gameData, index)
+        });
+    });
+
+    sendGameState(gameData.id);
+
+    if (engine.gameOver) {
+        closeFinishedGame(gameData, 'forfeit');
+    } else {
+        startTurnClock(gameData);
+    }
+}
+
+/**
+ * Load the built-in deck pack and every pack listed in decks/index.json
+ * Invalid packs are reported and skipped so one bad file can't stop the server.
+ * @returns {Map} - Parsed packs with their CategoryRules, keyed by pack ID
+ */
+function loadDeckPacks() {
+    const packs = new Map();
+    const addPack = (data, source) => {
+        try {
+            const pack = DeckPack.parse(data, source);
+
+            if (packs.has(pack.id)) {
+                throw new Error(`Duplicate deck pack id "${ pack.id }" (${ source })`);
+            }
+
+            packs.set(pack.id, { ...pack, categoryRules: new CategoryRules(pack.categories) });
+        } catch (error) {
+            console.error(`Skipping deck pack: ${ error.message }`);
+        }
+    };
+
+    addPack(CLASSIC_PACK, 'js/card-data.js');
+
+    const indexPath = path.join(DECKS_DIR, 'index.json');
+    if (fs.existsSync(indexPath)) {
+        let files = [];
+        try {
+            files = JSON.parse(fs.readFileSync(indexPath, 'utf8')).packs || [];
+        } catch (error) {
+            console.error(`Could not read decks/index.json: ${ error.message }`);
+        }
+
+        files.forEach(file => {
+            const source = `decks/${ file }`;
+            try {
+                addPack(JSON.parse(fs.readFileSync(path.join(DECKS_DIR, file), 'utf8')), source);
+            } catch (error) {
+                console.error(`Skipping deck pack: could not read ${ source }: ${ error.message }`);
+            }
+        });
+    }
+
+    console.log(`Deck packs loaded: ${ Array.from(packs.keys()).join(', ') }`);
+    return packs;
+}
+
+/**
+ * Read the summaries of the stored replays
+ * @returns {Array} - Replay summaries, newest first
+ */
+function loadReplayIndex() {
+    if (!fs.existsSync(REPLAYS_DIR)) return [];
+
+    const summaries = [];
+    fs.readdirSync(REPLAYS_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+        try {
+            const replay = ReplayRecorder.load(JSON.parse(fs.readFileSync(path.join(REPLAYS_DIR, file), 'utf8')));
+            summaries.push(ReplayRecorder.summarize(replay));
+        } catch (error) {
+            console.error(`Skipping replay ${ file }: ${ error.message }`);
+        }
+    });
+
+    return summaries.sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+}
+
+/**
+ * Path of a game's replay file
+ * @param {String} gameId - Game ID
+ * @returns {String|null} - File path, null if the ID can't be a game ID
+ */
+function getReplayPath(gameId) {
+    if (typeof gameId !== 'string' || !/^[A-Za-z0-9-]{1,64}$/.test(gameId)) return null;
+    return path.join(REPLAYS_DIR, `${ gameId }.json`);
+}
+
+/**
+ * Close a game's replay and write it to disk
+ * @param {Object} gameData - Game entry
+ * @param {String} reason - Why the game ended: 'finished' or 'abandoned'
+ */
+function saveReplay(gameData, reason) {
+    const recorder = gameData.recorder;
+    if (!recorder.getReplay() || gameData.replaySaved) return;
+
+    gameData.replaySaved = true;
+    recorder.finish(gameData.engine.gameOver ? gameData.engine.winnerIndex : null, reason);
+
+    const replay = recorder.getReplay();
+    const summary = ReplayRecorder.summarize(replay);
+
+    try {
+        fs.mkdirSync(REPLAYS_DIR, { recursive: true });
+        fs.writeFileSync(getReplayPath(gameData.id), JSON.stringify(replay));
+    } catch (error) {
+        console.error(`Could not save replay of game ${ gameData.id }: ${ error.message }`);
+        return;
+    }
+
+    replayIndex.unshift(summary);
+
+    // Keep the newest replays only
+    replayIndex.splice(MAX_REPLAYS).forEach(old => {
+        fs.rm(getReplayPath(old.gameId), { force: true }, () => {});
+    });
+}
+
+/**
+ * Load the player accounts, starting empty if there are none yet
+ * @returns {PlayerStore} - Accounts
+ */
+function loadPlayerStore() {
+    if (!fs.existsSync(ACCOUNTS_FILE)) return new PlayerStore();
+
+    try {
+        return PlayerStore.fromJSON(JSON.parse(fs.readFileSync(ACCOUNTS_FILE, 'utf8')));
+    } catch (error) {
+        // Refuse to start over a file we cannot read; it would be overwritten on the next save
+        throw new Error(`Could not load player accounts from ${ ACCOUNTS_FILE }: ${ error.message }`);
+    }
+}
+
+/**
+ * Write the player accounts back to disk
+ */
+function savePlayerStore() {
+    writeDataFile(ACCOUNTS_FILE, playerStore, 'player accounts');
+}
+
+/**
+ * Load the leaderboard, starting empty if there is none yet
+ * @returns {Leaderboard} - Leaderboard
+ */
+function loadLeaderboard() {
+    if (!fs.existsSync(LEADERBOARD_FILE)) return new Leaderboard();
+
+    try {
+        return Leaderboard.fromJSON(JSON.parse(fs.readFileSync(LEADERBOARD_FILE, 'utf8')));
+    } catch (error) {
+        throw new Error(`Could not load the leaderboard from ${ LEADERBOARD_FILE }: ${ error.message }`);
+    }
+}
+
+/**
+ * Read the chat's blocked words, one per line; blank lines and lines starting with # are skipped
+ * @returns {Array|undefined} - Words, or undefined for the built-in list
+ */
+function loadBlockedWords() {
+    if (!CHAT_BLOCKED_WORDS_FILE) return undefined;
+
+    try {
+        return fs.readFileSync(CHAT_BLOCKED_WORDS_FILE, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+    } catch (error) {
+        throw new Error(`Could not load blocked chat words from ${ CHAT_BLOCKED_WORDS_FILE }: ${ error.message }`);
+    }
+}
+
+/**
+ * Write the leaderboard back to disk
+ */
+function saveLeaderboard() {
+    writeDataFile(LEADERBOARD_FILE, leaderboard, 'the leaderboard');
+}
+
+/**
+ * Replace a JSON data file in one step, so a crash never leaves half of it behind
+ * @param {String} file - File path
+ * @param {Object} data - Anything JSON.stringify accepts
+ * @param {String} description - What the file holds, for the error message
+ */
+function writeDataFile(file, data, description) {
+    const tempFile = `${ file }.tmp`;
+
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(tempFile, JSON.stringify(data));
+        fs.renameSync(tempFile, file);
+    } catch (error) {
+        console.error(`Could not save ${ description }: ${ error.message }`);
+    }
+}
+
+/**
+ * Path of a game's log file
+ * @param {String} gameId - Game ID
+ * @returns {String} - File path
+ */
+function getGameLogPath(gameId) {
+    return path.join(GAME_LOGS_DIR, `${ gameId }.jsonl`);
+}
+
+/**
+ * Append a line to a game's log and flush it to disk before the game goes on
+ * @param {String} gameId - Game ID
+ * @param {String} line - Encoded entry (see GameLog.encode())
+ */
+function appendGameLog(gameId, line) {
+    try {
+        fs.mkdirSync(GAME_LOGS_DIR, { recursive: true });
+        const fd = fs.openSync(getGameLogPath(gameId), 'a');
+        try {
+            fs.writeSync(fd, line);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch (error) {
+        console.error(`Could not write the log of game ${ gameId }: ${ error.message }`);
+    }
+}
+
+/**
+ * Remove the log of a game that is gone
+ * @param {String} gameId - Game ID
+ */
+function deleteGameLog(gameId) {
+    fs.rm(getGameLogPath(gameId), { force: true }, () => {});
+}
+
+/**
+ * Restore every game that was still running when the server stopped
+ * Logs of games that had ended or not started yet are removed; a log that
+ * cannot be read is reported and left alone. Each process has a log
+ * directory of its own; should several share one, logs of games the store
+ * says another process runs are left to it.
+ */
+async function restoreGames() {
+    if (!fs.existsSync(GAME_LOGS_DIR)) return;
+
+    let restored = 0;
+    for (const file of fs.readdirSync(GAME_LOGS_DIR).filter(name => name.endsWith('.jsonl'))) {
+        const gameId = path.basename(file, '.jsonl');
+        try {
+            const record = await gameStore.getGame(gameId);
+            if (record && record.node !== NODE_ID) continue;
+
+            const entries = GameLog.parse(fs.readFileSync(path.join(GAME_LOGS_DIR, file), 'utf8'));
+            if (restoreGame(entries)) {
+                restored++;
+            } else {
+                deleteGameLog(gameId);
+            }
+        } catch (error) {
+            console.error(`Skipping game log ${ file }: ${ error.message }`);
+        }
+    }
+
+    if (restored > 0) {
+        console.log(`Restored ${ restored } running game(s) from ${ GAME_LOGS_DIR }`);
+    }
+}
+
+/**
+ * Rebuild a running game from its log and hold every seat for its player to reconnect
+ * @param {Array} entries - Log entries (see core/GameLog.js)
+ * @returns {Boolean} - True if the game was running and has been restored
+ */
+function restoreGame(entries) {
+    const created = entries[0];
+    if (!created || !deckPacks.has(created.deckId)) {
+        throw new Error(`Unknown deck pack "${ created && created.deckId }"`);
+    }
+
+    const gameId = created.gameId;
+    const gameData = createGameEntry(gameId, [], created.maxPlayers, { ...created, logEntries: entries });
+    const game = GameLog.restore(entries, { engine: gameData.engine, cards: deckPacks.get(gameData.deckId).cards, events: gameData.events });
+    if (game.state !== 'in_progress') return false;
+
+    // Nobody is connected yet; each seat waits for its account's token under a placeholder socket ID
+    const accounts = game.seats.map(seat => (seat.accountId ? playerStore.get(seat.accountId) : null));
+    gameData.players = accounts.map(account => (account ? `restored-${ uuidv4() }` : null));
+    gameData.playerTokens = accounts.map(account => (account ? account.metadata.token : null));
+    gameData.playerNames = game.seats.map(seat => seat.name);
+    gameData.state = 'in_progress';
+    gameData.startingSeat = game.startingSeat;
+    gameData.engine.gameId = gameId;
+    gameData.selectedCategory = game.selectedCategory;
+    gameData.lastRoundResult = game.lastRoundResult;
+    game.moveIds.forEach(moveId => gameData.processedMoveIds.add(moveId));
+    Object.assign(gameData.turnClock.timeouts, game.timeouts);
+    commitToDeal(gameData, game.dealtHands);
+
+    if (game.series) {
+        const matchSeries = MatchSeries.fromJSON(game.series);
+        series.set(matchSeries.id, matchSeries);
+        gameData.seriesId = matchSeries.id;
+    }
+
+    games.set(gameId, gameData);
+    forEachSeat(gameData, (playerId, index) => {
+        sessions.set(gameData.playerTokens[index], { token: gameData.playerTokens[index], socketId: playerId, gameId });
+        holdSeatForReconnect(gameData, playerId);
+    });
+    publishGame(gameData);
+
+    // A category chosen just before the server stopped is still played
+    if (gameData.selectedCategory !== null) {
+        setTimeout(() => {
+            playRound(gameId);
+        }, ROUND_DELAY_MS);
+    } else {
+        startTurnClock(gameData);
+    }
+    return true;
+}
+
+/**
+ * Get the account of a session token, creating it on first use
+ * @param {String} token - Session token
+ * @param {String} name - Display name for a new account
+ * @returns {Player} - Account
+ */
+function ensureAccount(token, name) {
+    return playerStore.findByToken(token) || playerStore.create({ id: uuidv4(), token, name });
+}
+
+/**
+ * Add a finished game to the lifetime stats of everyone still seated and to the leaderboard
+ * @param {Object} gameData - Game entry with its replay saved
+ */
+function recordAccountStats(gameData) {
+    const replay = gameData.recorder.getReplay();
+    if (!replay) return;
+
+    const accountIds = gameData.playerTokens.map((token, seat) => (token ? ensureAccount(token, gameData.playerNames[seat]).id : null));
+    playerStore.recordGame(replay, accountIds);
+
+    // Ranked games move both ratings; leaving one forfeits it, see handlePlayerLeaveGame()
+    if (gameData.ranked && accountIds.length === MIN_PLAYERS && accountIds.every(Boolean)) {
+        const { ratings, changes } = playerStore.recordRatedGame(accountIds, gameData.engine.winnerIndex);
+        forEachSeat(gameData, (playerId, index) => {
+            io.to(playerId).emit(SERVER.RATING_UPDATED, {
+                gameId: gameData.id,
+                rating: ratings[index],
+                change: changes[index],
+                opponentRating: ratings[1 - index]
+            });
+        });
+    }
+
+    leaderboard.recordGame(replay, { accountIds, mode: gameData.ranked ? 'ranked' : 'casual' });
+
+    savePlayerStore();
+    saveLeaderboard();
+}
+
+/**
+ * Public profile of an account, with its most played card named
+ * @param {String} id - Account ID
+ * @returns {Object|null} - Profile (see PlayerStore.getProfile())
+ */
+function getPublicProfile(id) {
+    const profile = typeof id === 'string' ? playerStore.getProfile(id) : null;
+    if (!profile || !profile.stats.mostPlayedCard) return profile;
+
+    profile.stats.mostPlayedCard.name = findCardName(profile.stats.mostPlayedCard.id);
+    return profile;
+}
+
+/**
+ * Name of a card by its ID
+ * The card is looked up in the given pack first, then in every pack in load order.
+ * @param {String} cardId - Card ID
+ * @param {String|null} deckId - Pack to look in first (optional)
+ * @returns {String|null} - Card name, null if no pack has the card
+ */
+function findCardName(cardId, deckId = null) {
+    const packs = Array.from(deckPacks.values());
+    if (deckPacks.has(deckId)) {
+        packs.unshift(deckPacks.get(deckId));
+    }
+
+    for (const pack of packs) {
+        const card = pack.cards.find(entry => entry.id === cardId);
+        if (card) return card.name;
+    }
+    return null;
+}
+
+/**
+ * Read the filters and paging of a leaderboard request
+ * Answers bad requests with 400 itself.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Query (see Leaderboard.parseQuery()), null if the request was rejected
+ */
+function parseLeaderboardQuery(req, res) {
+    try {
+        const query = Leaderboard.parseQuery(req.query);
+        if (query.deckId && !deckPacks.has(query.deckId)) {
+            throw new Error(`Unknown deck pack "${ query.deckId }"`);
+        }
+        return query;
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Filters of a leaderboard response, with the values each of them accepts
+ * @param {Object} query - Query (see Leaderboard.parseQuery())
+ * @returns {Object} - { filters: { season, deckId, mode }, seasons, decks, modes }
+ */
+function getLeaderboardFilters(query) {
+    const seasons = leaderboard.listSeasons();
+    const currentSeason = Leaderboard.getSeason();
+
+    return {
+        filters: { season: query.season, deckId: query.deckId, mode: query.mode },
+        seasons: seasons.includes(currentSeason) ? seasons : [currentSeason, ...seasons],
+        decks: Array.from(deckPacks.values()).map(pack => DeckPack.summarize(pack)),
+        modes: Leaderboard.listModes()
+    };
+}
+
+/**
+ * Resolve the deck pack a client asked for
+ * @param {String} deckId - Requested pack ID, the default pack if empty
+ * @returns {String|null} - Pack ID or null if there is no such pack
+ */
+function resolveDeckId(deckId) {
+    if (deckId === undefined || deckId === null || deckId === '') return DEFAULT_DECK_ID;
+    return deckPacks.has(deckId) ? deckId : null;
+}
+
+/**
+ * Work out the seed a new game deals from
+ * @param {Object} data - Client request: { seed } for a chosen seed, { daily: true } for the daily challenge
+ * @returns {Object} - { seed, seedSource }
+ */
+function resolveSeed(data) {
+    if (data?.daily) {
+        return { seed: SeededRandom.dailySeed(), seedSource: 'daily' };
+    }
+
+    const seed = typeof data?.seed === 'number' ? String(data.seed) : data?.seed;
+    if (typeof seed === 'string' && seed.trim()) {
+        return { seed: seed.trim().slice(0, 64), seedSource: 'custom' };
+    }
+
+    return { seed: SeededRandom.generateSeed(), seedSource: 'random' };
+}
+
+/**
+ * Work out the rules of a new game
+ * @param {Object} data - Client request: { winCondition, maxRounds, tiePolicy, blindDrawCount, tieCategory }, all optional
+ * @returns {Object} - { settings } (see GameRules.getSettings()), or { error } if they are not valid
+ */
+function resolveRules(data) {
+    const toNumber = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+    const maxRounds = toNumber(data?.maxRounds);
+
+    if (maxRounds !== undefined && !(maxRounds >= 1 && maxRounds <= MAX_ROUND_LIMIT)) {
+        return { error: `Round limit must be between 1 and ${ MAX_ROUND_LIMIT }` };
+    }
+
+    try {
+        const rules = new GameRules({
+            winCondition: data?.winCondition || undefined,
+            maxRounds,
+            tiePolicy: data?.tiePolicy || undefined,
+            blindDrawCount: toNumber(data?.blindDrawCount),
+            tieCategory: typeof data?.tieCategory === 'string' ? data.tieCategory : undefined
+        });
+        return { settings: rules.getSettings() };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Work out the series length of a new game
+ * @param {Object} data - Client request: { bestOf }, optional
+ * @param {Number} maxPlayers - Seats of the game
+ * @returns {Object} - { bestOf }, or { error } if the length is not offered
+ */
+function resolveSeriesLength(data, maxPlayers) {
+    const bestOf = data?.bestOf === undefined || data?.bestOf === null ? 1 : Number(data.bestOf);
+
+    if (!MatchSeries.LENGTHS.includes(bestOf)) {
+        return { error: `A series is best of ${ MatchSeries.LENGTHS.join(', ') } games` };
+    }
+    if (bestOf > 1 && maxPlayers !== MIN_PLAYERS) {
+        return { error: 'Match series are for two players' };
+    }
+
+    return { bestOf };
+}
+
+/**
+ * Work out how far the spectators of a new game lag behind its players
+ * @param {Object} data - Client request with an optional spectatorDelay in seconds
+ * @returns {Object} - { delayMs } or { error }
+ */
+function resolveSpectatorDelay(data) {
+    if (data?.spectatorDelay === undefined || data?.spectatorDelay === null) {
+        return { delayMs: SPECTATOR_DELAY_MS };
+    }
+
+    const seconds = Number(data.spectatorDelay);
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SPECTATOR_DELAY_S) {
+        return { error: `The spectator delay is a whole number of seconds from 0 to ${ MAX_SPECTATOR_DELAY_S }` };
+    }
+
+    return { delayMs: seconds * 1000 };
+}
+
+/**
+ * Work out how long each player of a new game has to choose a category
+ * @param {Object} data - Client request with an optional turnTime in seconds, 0 for no clock
+ * @returns {Object} - { turnTimeMs } or { error }
+ */
+function resolveTurnTime(data) {
+    if (data?.turnTime === undefined || data?.turnTime === null) {
+        return { turnTimeMs: TURN_TIME_MS };
+    }
+
+    try {
+        return { turnTimeMs: TurnClock.parseTurnTime(data.turnTime) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Work out which matchmaking queue a new game enters
+ * Ranked games are rated, so they are always dealt from a random seed.
+ * @param {Object} data - Client request: { queue }, 'casual' by default
+ * @param {Number} maxPlayers - Seats of the game
+ * @param {String} seedSource - random, custom or daily
+ * @returns {Object} - { name } (null for games of more than two players, which are joined by ID), or { error }
+ */
+function resolveQueue(data, maxPlayers, seedSource) {
+    const name = data?.queue || 'casual';
+
+    if (!queues[name]) {
+        return { error: `Unknown queue "${ name }"` };
+    }
+    if (maxPlayers !== MIN_PLAYERS) {
+        return name === 'ranked' ? { error: 'Ranked games are for two players' } : { name: null };
+    }
+    if (name === 'ranked' && seedSource !== 'random') {
+        return { error: 'Ranked games are always dealt at random' };
+    }
+
+    // Accounts and ratings are kept by each process, so several processes cannot rate games fairly
+    if (name === 'ranked' && REDIS_URL) {
+        return { error: 'Ranked games are not available on this server' };
+    }
+
+    return { name };
+}
+
+/**
+ * Short deck description for lobbies and game state
+ * @param {String} deckId - Pack ID
+ * @returns {Object} - { id, name }
+ */
+function getDeckInfo(deckId) {
+    const pack = deckPacks.get(deckId);
+    return { id: deckId, name: pack ? pack.manifest.name : deckId };
+}
+
+/**
+ * Create a new game entry
+ * @param {String} gameId - Game ID
+ * @param {Array} playerIds - Socket IDs of the seated players
+ * @param {Number} maxPlayers - Seats to fill before the game starts
+ * @param {Object} options - { deckId, seed, salt, seedSource, rules, bestOf, seriesId, ranked, logEntries } (optional, rules as from
+ *                           resolveRules(), salt and logEntries those of a game being restored)
+ * @returns {Object} - Game entry
+ */
+function createGameEntry(gameId, playerIds, maxPlayers = MIN_PLAYERS, options = {}) {
+    const deckId = options.deckId || DEFAULT_DECK_ID;
+    const seed = options.seed || SeededRandom.generateSeed();
+
+    // The deal comes from the seed mixed with a secret salt, so a known seed does not give it away
+    const salt = options.salt || crypto.randomBytes(16).toString('hex');
+    const random = new SeededRandom(DealCommitment.shuffleSeed(seed, salt));
+    const events = new GameEvents();
+    const categoryRules = deckPacks.get(deckId).categoryRules;
+    const rules = new GameRules({ ...options.rules, categories: categoryRules, random });
+    const spectatorDelayMs = options.spectatorDelayMs === undefined ? SPECTATOR_DELAY_MS : options.spectatorDelayMs;
+
+    const gameData = {
+        id: gameId,
+        maxPlayers,
+        deckId,
+        seed,
+        seedSource: options.seedSource || 'random', // random, custom or daily
+        salt, // secret until the game is over, see commitToDeal()
+        bestOf: options.bestOf || 1,
+        ranked: Boolean(options.ranked), // ratings change when it is over
+        spectators: new Set(), // socket IDs watching the game
+        spectatorDelayMs,
+        spectatorFeed: new SpectatorFeed({ delayMs: spectatorDelayMs }), // holds spectator updates back by the delay
+        turnClock: new TurnClock({ turnTimeMs: options.turnTimeMs === undefined ? TURN_TIME_MS : options.turnTimeMs }),
+        seriesId: options.seriesId || null, // set when two players are seated
+        startingSeat: null, // seat that chose the first category
+        dealCommitment: null, // hash of the deal, see commitToDeal()
+        dealReveal: null, // what the hash was made of; only sent once the game is over
+        players: playerIds, // socket ID per seat, null once a seat is vacated
+        playerTokens: playerIds.map(playerId => players.get(playerId).token),
+        playerNames: playerIds.map(playerId => getDisplayName(playerId)),
+        disconnectTimers: {},
+        lastRoundResult: null,
+        selectedCategory: null,
+        processedMoveIds: new Set(),
+        engine: new GameEngine(categoryRules, random, rules),
+        events, // gameInitialized, categorySelected, roundPlayed
+        recorder: new ReplayRecorder({ gameId, deckId }).attach(events),
+        replaySaved: false,
+        log: new GameLog({ entries: options.logEntries, write: line => appendGameLog(gameId, line) }),
+        state: 'waiting' // waiting, in_progress, completed
+    };
+
+    // A restored game already has its log
+    if (!options.logEntries) {
+        gameData.log.append('created', {
+            version: GameLog.VERSION,
+            gameId,
+            maxPlayers,
+            deckId,
+            seed: gameData.seed,
+            salt: gameData.salt,
+            seedSource: gameData.seedSource,
+            rules: gameData.engine.rules.getSettings(),
+            bestOf: gameData.bestOf,
+            ranked: gameData.ranked,
+            spectatorDelayMs: gameData.spectatorDelayMs,
+            turnTimeMs: gameData.turnClock.turnTimeMs,
+            seriesId: gameData.seriesId
+        });
+        gameData.playerTokens.forEach((token, seat) => logSeat(gameData, seat));
+    }
+
+    return gameData;
+}
+
+/**
+ * Log who took a seat by their account, never by their session token
+ * A new account is saved at once, so a restored game can find the token again.
+ * @param {Object} gameData - Game entry
+ * @param {Number} seat - Seat index
+ */
+function logSeat(gameData, seat) {
+    const token = gameData.playerTokens[seat];
+    const known = playerStore.findByToken(token);
+    const account = known || ensureAccount(token, gameData.playerNames[seat]);
+    if (!known) {
+        savePlayerStore();
+    }
+
+    gameData.log.append('seated', { accountId: account.id, name: gameData.playerNames[seat] });
+}
+
+/**
+ * Add a player to a waiting game
+ * @param {Object} gameData - Game entry
+ * @param {String} playerId - Socket ID of the joining player
+ */
+function seatPlayer(gameData, playerId) {
+    const playerData = players.get(playerId);
+
+    gameData.players.push(playerId);
+    gameData.playerTokens.push(playerData.token);
+    gameData.playerNames.push(getDisplayName(playerId));
+    logSeat(gameData, gameData.playerTokens.length - 1);
+
+    playerData.gameId = gameData.id;
+    sessions.get(playerData.token).gameId = gameData.id;
+    publishGame(gameData);
+}
+
+/**
+ * Clamp a requested seat count to the supported range
+ * @param {*} value - Requested number of players
+ * @returns {Number} - Seat count between MIN_PLAYERS and MAX_PLAYERS
+ */
+function clampPlayerCount(value) {
+    const count = parseInt(value, 10);
+    if (!Number.isFinite(count)) return MIN_PLAYERS;
+    return Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, count));
+}
+
+/**
+ * Call a function for every occupied seat of a game
+ * @param {Object} gameData - Game entry
+ * @param {Function} callback - Called with (socketId, seatIndex)
+ */
+function forEachSeat(gameData, callback) {
+    gameData.players.forEach((playerId, index) => {
+        if (playerId) {
+            callback(playerId, index);
+        }
+    });
+}
+
+/**
+ * Get every other seat of a game, starting with the one to the player's left
+ * @param {Object} gameData - Game entry
+ * @param {Number} index - Seat index of the viewing player
+ * @returns {Array} - Seat indices in turn order
+ */
+function getOtherSeats(gameData, index) {
+    const seatCount = gameData.engine.playerCount;
+    const seats = [];
+
+    for (let offset = 1; offset < seatCount; offset++) {
+        seats.push((index + offset) % seatCount);
+    }
+    return seats;
+}
+
+/**
+ * Shuffle, deal and start a game
+ * @param {Object} gameData - Game entry with all players seated
+ */
+function startGame(gameData) {
+    const engine = gameData.engine;
+    const deck = engine.shuffleDeck([...deckPacks.get(gameData.deckId).cards]);
+
+    // Every two-player game is part of a series, a single game by default; players go by account, as the series is logged
+    if (!gameData.seriesId && gameData.players.length === MIN_PLAYERS) {
+        const matchSeries = new MatchSeries({
+            id: uuidv4(),
+            bestOf: gameData.bestOf,
+            players: gameData.players.map((playerId, index) => ({
+                id: ensureAccount(gameData.playerTokens[index], gameData.playerNames[index]).id,
+                name: gameData.playerNames[index]
+            }))
+        });
+        series.set(matchSeries.id, matchSeries);
+        gameData.seriesId = matchSeries.id;
+    }
+    const matchSeries = getSeries(gameData);
+    const requestedSeat = matchSeries ? matchSeries.getStartingSeat() : null;
+
+    engine.gameId = gameData.id;
+    engine.initializePlayers(engine.dealHands(deck, gameData.players.length), requestedSeat);
+    gameData.state = 'in_progress';
+    gameData.startingSeat = engine.currentPlayerIndex;
+    commitToDeal(gameData);
+
+    if (matchSeries) {
+        matchSeries.recordStart(engine.currentPlayerIndex);
+    }
+    gameData.log.append('started', {
+        requestedSeat,
+        series: matchSeries ? matchSeries.toJSON() : null
+    });
+
+    gameData.events.emit('gameInitialized', {
+        gameId: gameData.id,
+        seed: gameData.seed,
+        deckId: gameData.deckId,
+        rules: engine.rules.getSettings(),
+        players: [...gameData.playerNames],
+        hands: engine.hands,
+        currentPlayerIndex: engine.currentPlayerIndex,
+        categories: engine.categoryRules.describe()
+    });
+
+    console.log(`Game ${ gameData.id } started with a ${ gameData.seedSource } seed`);
+    publishGame(gameData);
+
+    startTurnClock(gameData);
+}
+
+/**
+ * Commit to the deal of a game that has just been dealt
+ * Players get the commitment with the game state and the reveal once the
+ * game is over, so they can check the deal was not changed (see
+ * core/DealCommitment.js). The reveal holds the game's secret salt, which
+ * the deal was shuffled with.
+ * @param {Object} gameData - Game entry
+ * @param {Array} hands - Hands as dealt, the engine's by default
+ */
+function commitToDeal(gameData, hands = gameData.engine.hands) {
+    gameData.dealReveal = DealCommitment.createReveal({
+        gameId: gameData.id,
+        deckId: gameData.deckId,
+        seed: gameData.seed,
+        salt: gameData.salt,
+        hands
+    });
+
+    // The same hash as DealCommitment.digest(), without waiting for Web Crypto
+    gameData.dealCommitment = crypto.createHash('sha256').update(DealCommitment.encode(gameData.dealReveal)).digest('hex');
+}
+
+/**
+ * Series a game belongs to
+ * @param {Object} gameData - Game entry
+ * @returns {MatchSeries|null} - Series, null for games of more than two players
+ */
+function getSeries(gameData) {
+    return gameData.seriesId ? series.get(gameData.seriesId) || null : null;
+}
+
+/**
+ * Series scoreboard as seen from a seat
+ * @param {Object} gameData - Game entry
+ * @param {Number} index - Seat index of the viewing player
+ * @returns {Object|null} - MatchSeries.getScoreboard() plus the viewer's seat
+ */
+function getSeriesView(gameData, index) {
+    const matchSeries = getSeries(gameData);
+    return matchSeries ? { ...matchSeries.getScoreboard(), seat: index } : null;
+}
+
+/**
+ * Count a finished game for its series
+ * @param {Object} gameData - Game entry
+ */
+function recordSeriesGame(gameData) {
+    const matchSeries = getSeries(gameData);
+    if (!matchSeries || matchSeries.isOver()) return;
+
+    matchSeries.recordGame(gameData.id, gameData.engine.winnerIndex, gameData.startingSeat);
+}
+
+/**
+ * Handle a player asking for the next game after a finished one
+ * Once both players have asked, the next game of the series (or a rematch
+ * series of the same length) is dealt straight away, without matchmaking.
+ * @param {Object} gameData - Finished game entry
+ * @param {Number} seat - Seat of the asking player
+ */
+function requestRematch(gameData, seat) {
+    const matchSeries = getSeries(gameData);
+    if (!matchSeries) return;
+
+    if (!matchSeries.requestRematch(seat)) {
+        forEachSeat(gameData, (playerId, index) => {
+            io.to(playerId).emit(SERVER.REMATCH_REQUESTED, {
+                gameId: gameData.id,
+                seat,
+                name: gameData.playerNames[seat],
+                series: getSeriesView(gameData, index)
+            });
+        });
+        return;
+    }
+
+    // A decided series is followed by a new one between the same players
+    let nextSeries = matchSeries;
+    if (matchSeries.isOver()) {
+        nextSeries = matchSeries.createRematch(uuidv4());
+        series.delete(matchSeries.id);
+        series.set(nextSeries.id, nextSeries);
+    }
+
+    const gameId = uuidv4();
+    const nextGame = createGameEntry(gameId, [...gameData.players], MIN_PLAYERS, {
+        deckId: gameData.deckId,
+        rules: gameData.engine.rules.getSettings(),
+        bestOf: nextSeries.bestOf,
+        seriesId: nextSeries.id,
+        ranked: gameData.ranked,
+        spectatorDelayMs: gameData.spectatorDelayMs,
+        turnTimeMs: gameData.turnClock.turnTimeMs
+    });
+    games.set(gameId, nextGame);
+
+    nextGame.players.forEach(playerId => {
+        const playerData = players.get(playerId);
+        playerData.gameId = gameId;
+        sessions.get(playerData.token).gameId = gameId;
+    });
+
+    // The finished game has been saved as a replay already; its spectators may follow to the next one
+    gameData.seriesId = null;
+    endSpectating(gameData, gameId);
+    chat.moveChannel(getGameChannel(gameData.id), getGameChannel(gameId));
+    games.delete(gameData.id);
+    unpublishGame(gameData.id);
+    deleteGameLog(gameData.id);
+
+    startGame(nextGame);
+
+    forEachSeat(nextGame, (playerId, index) => {
+        io.to(playerId).emit(SERVER.REMATCH_STARTED, {
+            gameId,
+            previousGameId: gameData.id,
+            series: getSeriesView(nextGame, index)
+        });
+    });
+
+    sendGameState(gameId);
+}
+
+/**
+ * Express a game entry in the shape ServerValidator works with
+ * @param {Object} gameData - Game entry
+ * @returns {Object} - Validator game state
+ */
+function getValidatorState(gameData) {
+    const engine = gameData.engine;
+    return {
+        state: gameData.state,
+        players: gameData.players,
+        currentPlayerIndex: engine.currentPlayerIndex,
+        playerHands: engine.hands,
+        roundsPlayed: engine.roundsPlayed,
+        pendingCategory: gameData.selectedCategory,
+        processedMoveIds: gameData.processedMoveIds
+    };
+}
+
+/**
+ * Play a round in the game
+ */
+function playRound(gameId) {
+    if (!games.has(gameId)) return;
+
+    const gameData = games.get(gameId);
+    if (gameData.state !== 'in_progress') return;
+
+    // Play the round
+    const category = gameData.selectedCategory;
+    const roundResult = gameData.engine.compareCards(category);
+    gameData.selectedCategory = null;
+
+    // The engine turned the round down; the seat to choose gets its turn and clock back
+    if (!roundResult) {
+        console.error(`Game ${ gameId } could not play a round for "${ category }"`);
+        startTurnClock(gameData);
+        sendGameState(gameId);
+        return;
+    }
+
+    gameData.log.append('round');
+    gameData.lastRoundResult = roundResult;
+    gameData.events.emit('roundPlayed', roundResult);
+
+    // Eliminated players stay seated and keep watching as spectators
+    roundResult.eliminated.forEach(seat => {
+        forEachSeat(gameData, (playerId, index) => {
+            io.to(playerId).emit(SERVER.PLAYER_ELIMINATED, {
+                gameId,
+                seat,
+                name: gameData.playerNames[seat],
+                isSelf: index === seat
+            });
+        });
+    });
+
+    // The engine should never produce an inconsistent state; log loudly if it does
+    const consistency = ServerValidator.validateGameState(getValidatorState(gameData));
+    if (!consistency.valid) {
+        console.error(`Game ${ gameId } state inconsistent:`, consistency.issues);
+    }
+
+    // A finished game counts for its series before anyone sees the result
+    if (roundResult.gameOver) {
+        gameData.state = 'completed';
+        recordSeriesGame(gameData);
+    }
+
+    // Update players, then refresh every seat's view (card counts, eliminations)
+    sendRoundResult(gameId, roundResult);
+    sendGameState(gameId);
+
+    if (roundResult.gameOver) {
+        closeFinishedGame(gameData, 'finished');
+    } else {
+        startTurnClock(gameData);
+    }
+}
+
+/**
+ * Save and count a game that has just ended, and clean it up after the rematch window
+ * @param {Object} gameData - Finished game entry
+ * @param {String} reason - Replay result reason: 'finished' or 'forfeit'
+ */
+function closeFinishedGame(gameData, reason) {
+    const gameId = gameData.id;
+    saveReplay(gameData, reason);
+    recordAccountStats(gameData);
+    publishGame(gameData);
+
+    // Give both players a while to ask for the next game, then clean up
+    setTimeout(() => {
+        if (games.has(gameId)) {
+            endSpectating(gameData);
+            chat.deleteChannel(getGameChannel(gameId));
+            games.delete(gameId);
+            unpublishGame(gameId, gameData.playerTokens);
+            deleteGameLog(gameId);
+            if (gameData.seriesId) {
+                series.delete(gameData.seriesId);
+            }
+        }
+    }, REMATCH_WINDOW_MS);
+}
+
+/**
+ * Send round result to players
+ */
+function sendRoundResult(gameId, roundResult) {
+    if (!games.has(gameId)) return;
+
+    const gameData = games.get(gameId);
+
+    forEachSeat(gameData, (playerId, index) => {
+        io.to(playerId).emit(SERVER.ROUND_PLAYED, {
+            ...adjustRoundResult(roundResult, index, gameData.engine.categoryRules),
+            series: getSeriesView(gameData, index)
+        });
+    });
+
+    emitToSpectators(gameData, SERVER.SPECTATOR_ROUND, buildSpectatorRound(gameData, roundResult));
+}
+
+/**
+ * Label a seat relative to the viewing seat
+ * @param {Number|null} seat - Seat to label
+ * @param {Number} index - Seat index of the viewing player
+ * @returns {String|null} - 'player', 'opponent' or null
+ */
+function getRelativeLabel(seat, index) {
+    if (seat === null || seat === undefined) return null;
+    return seat === index ? 'player' : 'opponent';
+}
+
+/**
+ * Adjust a round result to a seat's perspective
+ * With more than one opponent the "opponent" fields describe the strongest other card.
+ * @param {Object} roundResult - Round result from the game
+ * @param {Number} index - Seat index of the receiving player
+ * @param {CategoryRules} categoryRules - Rules of the game's deck
+ * @returns {Object} - Round result as seen by that player
+ */
+function adjustRoundResult(roundResult, index, categoryRules) {
+    const category = roundResult.category;
+    const ownPlay = roundResult.plays.find(play => play.seat === index) || {};
+    const bestOtherPlay = roundResult.plays
+        .filter(play => play.seat !== index)
+        .reduce((best, play) => (!best || categoryRules.compareValues(category, play.value, best.value) > 0 ? play : best), null) || {};
+
+    return {
+        ...roundResult,
+        seat: index,
+        result: roundResult.cancelled || roundResult.roundWinnerIndex === null ? roundResult.result : getRelativeLabel(roundResult.roundWinnerIndex, index),
+        effects: CardEffects.redact(roundResult.effects),
+        playerCard: ownPlay.card || null,
+        opponentCard: bestOtherPlay.card || null,
+        playerValue: ownPlay.value,
+        opponentValue: bestOtherPlay.value,
+        nextTurn: getRelativeLabel(roundResult.nextPlayerIndex, index),
+        playerCardCount: roundResult.cardCounts[index],
+        opponentCardCount: roundResult.cardCounts.reduce((sum, count, seat) => (seat === index ? sum : sum + count), 0),
+        winner: roundResult.gameOver ? getRelativeLabel(roundResult.winnerIndex, index) : null
+    };
+}
+
+/**
+ * Send current game state to every seat
+ */
+function sendGameState(gameId) {
+    if (!games.has(gameId)) return;
+
+    const gameData = games.get(gameId);
+
+    forEachSeat(gameData, (playerId, index) => {
+        io.to(playerId).emit(SERVER.GAME_STATE, { gameState: buildPlayerGameState(gameData, index) });
+    });
+
+    emitToSpectators(gameData, SERVER.SPECTATOR_STATE, buildSpectatorState(gameData));
+}
+
+/**
+ * Build the game state as seen from one seat
+ * @param {Object} gameData - Game entry
+ * @param {Number} index - Seat index of the receiving player
+ * @returns {Object} - Game state for that player
+ */
+function buildPlayerGameState(gameData, index) {
+    const engine = gameData.engine;
+    const view = engine.getSeatView(index);
+    const playerHand = view.hands[index];
+
+    const opponents = getOtherSeats(gameData, index).map(seat => ({
+        seat,
+        name: gameData.playerNames[seat],
+        cardCount: view.cardCounts[seat],
+        eliminated: engine.isEliminated(seat),
+        connected: Boolean(gameData.players[seat]) && !gameData.disconnectTimers[seat],
+        isCurrentTurn: !engine.gameOver && seat === engine.currentPlayerIndex
+    }));
+
+    // Two-player clients only know one opponent: the next one still in the game
+    const mainOpponent = opponents.find(opponent => !opponent.eliminated) || opponents[0];
+    const opponentHand = mainOpponent ? view.hands[mainOpponent.seat] : [];
+
+    return {
+        gameId: gameData.id,
+        seat: index,
+        playerCount: engine.playerCount,
+        playerName: gameData.playerNames[index],
+        playerCards: playerHand,
+        // Hidden cards are null: only our own top card is shown
+        opponentCards: opponentHand,
+        opponents,
+        currentPlayer: getRelativeLabel(engine.currentPlayerIndex, index),
+        currentPlayerIndex: engine.currentPlayerIndex,
+        isPlayerTurn: !engine.gameOver && engine.currentPlayerIndex === index,
+        isSpectator: engine.isEliminated(index),
+        gameOver: engine.gameOver,
+        winner: engine.gameOver ? getRelativeLabel(engine.winnerIndex, index) : null,
+        winnerIndex: engine.winnerIndex,
+        playerCardCount: playerHand.length,
+        opponentCardCount: opponentHand.length,
+        roundsPlayed: engine.roundsPlayed,
+        maxRounds: engine.maxRounds,
+        winCondition: engine.winCondition,
+        tiePolicy: engine.rules.tiePolicy,
+        points: engine.points,
+        roundsWon: engine.roundsWon,
+        endReason: engine.endReason,
+        decidedBy: engine.decidedBy,
+        categories: engine.categoryRules.describe(),
+        deck: getDeckInfo(gameData.deckId),
+        seedSource: gameData.seedSource,
+        // A known seed reveals every hand, so random and custom seeds are only shown once the game is over
+        seed: engine.gameOver || gameData.seedSource === 'daily' ? gameData.seed : null,
+        series: getSeriesView(gameData, index),
+        ranked: gameData.ranked,
+        spectatorCount: gameData.spectators.size,
+        turnClock: gameData.turnClock.describe(),
+        dealCommitment: gameData.dealCommitment || null,
+        dealReveal: engine.gameOver ? gameData.dealReveal || null : null,
+        revealOpponentCard: false
+    };
+}
+
+/**
+ * Build the full state a returning player needs to resume
+ * @param {Object} gameData - Game entry
+ * @param {Number} index - Seat index of the returning player
+ * @returns {Object} - Reconnect payload
+ */
+function buildReconnectState(gameData, index) {
+    const tieCards = gameData.engine.getSeatView(index).tieCards;
+
+    return {
+        gameId: gameData.id,
+        state: gameData.state,
+        gameState: {
+            ...buildPlayerGameState(gameData, index),
+            tieCards,
+            tieCardCount: tieCards.length
+        },
+        lastRoundResult: gameData.lastRoundResult ? adjustRoundResult(gameData.lastRoundResult, index, gameData.engine.categoryRules) : null,
+        disconnectedOpponents: Object.keys(gameData.disconnectTimers).length,
+        chat: chat.getHistory(getGameChannel(gameData.id), gameData.playerTokens[index]).map(serializeChatMessage)
+    };
+}
+
+/**
+ * Running games for the live games list, newest first
+ * @returns {Array} - [{ gameId, players, deck, ranked, roundsPlayed, maxRounds, spectatorCount, delayMs }]
+ */
+function getLiveGames() {
+    return Array.from(games.values())
+        .filter(gameData => gameData.state === 'in_progress')
+        .slice(-LIVE_GAMES_LISTED)
+        .reverse()
+        .map(gameData => ({
+            gameId: gameData.id,
+            players: gameData.playerNames,
+            deck: getDeckInfo(gameData.deckId),
+            ranked: gameData.ranked,
+            roundsPlayed: gameData.engine.roundsPlayed,
+            maxRounds: gameData.engine.maxRounds,
+            spectatorCount: gameData.spectators.size,
+            delayMs: gameData.spectatorDelayMs
+        }));
+}
+
+/**
+ * Socket.io room of a game's spectators
+ * @param {String} gameId - Game ID
+ * @returns {String} - Room name
+ */
+function getSpectatorRoom(gameId) {
+    return `spectate:${ gameId }`;
+}
+
+/**
+ * Start watching a game run by this process
+ * @param {Object} socket - Socket of the spectator, or a stand-in (see createRemoteSocket())
+ * @param {Object} data - { gameId }
+ * @returns {Boolean} - True if the player now watches the game
+ */
+function spectateGame(socket, data) {
+    const gameData = data?.gameId ? games.get(data.gameId) : null;
+
+    if (!gameData || gameData.state !== 'in_progress') {
+        socket.emit(SERVER.ERROR, { message: 'There is no running game with this ID' });
+        return false;
+    }
+    if (gameData.players.includes(socket.id)) {
+        socket.emit(SERVER.ERROR, { message: 'You are playing in this game' });
+        return false;
+    }
+
+    addSpectator(gameData, socket);
+    return true;
+}
+
+/**
+ * Start watching a game
+ * Watching another game ends first; the first view arrives as late as every later one.
+ * @param {Object} gameData - Game entry
+ * @param {Object} socket - Socket of the spectator
+ */
+function addSpectator(gameData, socket) {
+    stopSpectating(socket.id);
+
+    gameData.spectators.add(socket.id);
+    players.get(socket.id).spectatingGameId = gameData.id;
+    socket.join(getSpectatorRoom(gameData.id));
+
+    socket.emit(SERVER.SPECTATE_STARTED, { gameId: gameData.id, delayMs: gameData.spectatorDelayMs });
+
+    const state = buildSpectatorState(gameData);
+    gameData.spectatorFeed.send(() => {
+        if (gameData.spectators.has(socket.id)) {
+            socket.emit(SERVER.SPECTATOR_STATE, state);
+        }
+    });
+
+    broadcastSpectatorCount(gameData);
+}
+
+/**
+ * Stop watching whatever game a player watches
+ * A game run by another process is told so through routeGameEvent().
+ * @param {String} playerId - Socket ID of the spectator
+ */
+function stopSpectating(playerId) {
+    const playerData = players.get(playerId);
+    const gameId = playerData ? playerData.spectatingGameId : null;
+    if (!gameId) return;
+
+    playerData.spectatingGameId = null;
+
+    // The spectator may be connected to another process
+    io.in(playerId).socketsLeave(getSpectatorRoom(gameId));
+
+    const gameData = games.get(gameId);
+    if (gameData && gameData.spectators.delete(playerId)) {
+        broadcastSpectatorCount(gameData);
+    } else if (!gameData && !playerData.node) {
+        routeGameEvent(describePlayer(playerId), gameId, 'stop_spectating', { gameId }, () => {});
+    }
+}
+
+/**
+ * Tell everyone in a game how many people are watching
+ * The count reveals nothing about the cards, so it is never delayed.
+ * @param {Object} gameData - Game entry
+ */
+function broadcastSpectatorCount(gameData) {
+    const update = { gameId: gameData.id, count: gameData.spectators.size };
+
+    forEachSeat(gameData, (playerId) => {
+        io.to(playerId).emit(SERVER.SPECTATORS_UPDATED, update);
+    });
+    io.to(getSpectatorRoom(gameData.id)).emit(SERVER.SPECTATORS_UPDATED, update);
+}
+
+/**
+ * Send an update to a game's spectators once the game's spectator delay has passed
+ * The payload is built by the caller, so spectators see the game as it was at that moment.
+ * @param {Object} gameData - Game entry
+ * @param {String} event - Event name
+ * @param {Object} payload - Event data
+ */
+function emitToSpectators(gameData, event, payload) {
+    if (gameData.spectators.size === 0) return;
+
+    const room = getSpectatorRoom(gameData.id);
+    gameData.spectatorFeed.send(() => io.to(room).emit(event, payload));
+}
+
+/**
+ * Send every spectator of a game away, e.g. because it is over
+ * @param {Object} gameData - Game entry
+ * @param {String|null} nextGameId - Game the players went on to, if any
+ */
+function endSpectating(gameData, nextGameId = null) {
+    if (gameData.spectators.size === 0) return;
+
+    const room = getSpectatorRoom(gameData.id);
+    gameData.spectators.forEach(playerId => {
+        const playerData = players.get(playerId);
+        if (playerData && playerData.spectatingGameId === gameData.id) {
+            playerData.spectatingGameId = null;
+        }
+    });
+    gameData.spectators.clear();
+
+    // After the delay, so the last updates arrive first
+    gameData.spectatorFeed.send(() => {
+        io.to(room).emit(SERVER.SPECTATE_ENDED, { gameId: gameData.id, nextGameId });
+        io.in(room).socketsLeave(room);
+    });
+}
+
+/**
+ * Build the neutral view of a game spectators get
+ * No hand is shown; cards only become visible in the round they are played (see core/SpectatorFeed.js).
+ * @param {Object} gameData - Game entry
+ * @returns {Object} - Spectator state
+ */
+function buildSpectatorState(gameData) {
+    const view = SpectatorFeed.buildState(gameData.engine);
+    const matchSeries = getSeries(gameData);
+
+    return {
+        ...view,
+        gameId: gameData.id,
+        state: gameData.state,
+        playerCount: gameData.engine.playerCount,
+        seats: view.seats.map(seat => ({
+            ...seat,
+            name: gameData.playerNames[seat.seat],
+            connected: Boolean(gameData.players[seat.seat]) && !gameData.disconnectTimers[seat.seat]
+        })),
+        deck: getDeckInfo(gameData.deckId),
+        ranked: gameData.ranked,
+        series: matchSeries ? matchSeries.getScoreboard() : null,
+        spectatorCount: gameData.spectators.size,
+        delayMs: gameData.spectatorDelayMs,
+        lastRound: gameData.lastRoundResult ? buildSpectatorRound(gameData, gameData.lastRoundResult) : null
+    };
+}
+
+/**
+ * Build the neutral view of a resolved round
+ * @param {Object} gameData - Game entry
+ * @param {Object} roundResult - Round result from the game
+ * @returns {Object} - Round as spectators see it, every played card revealed
+ */
+function buildSpectatorRound(gameData, roundResult) {
+    return { gameId: gameData.id, ...SpectatorFeed.buildRound(roundResult) };
+}
+
+/**
+ * Chat channel of a game
+ * @param {String} gameId - Game ID
+ * @returns {String} - Channel
+ */
+function getGameChannel(gameId) {
+    return `game:${ gameId }`;
+}
+
+/**
+ * Chat channel of a lobby
+ * @param {String} lobbyId - Lobby ID
+ * @returns {String} - Channel
+ */
+function getLobbyChannel(lobbyId) {
+    return `lobby:${ lobbyId }`;
+}
+
+/**
+ * Where a player chats: the game they are seated in, otherwise their lobby
+ * @param {String} playerId - Player socket ID
+ * @returns {Object|null} - { channel, recipients, seat }; recipients are socket IDs
+ */
+function getChatContext(playerId) {
+    const playerData = players.get(playerId);
+    if (!playerData) return null;
+
+    const gameData = playerData.gameId ? games.get(playerData.gameId) : null;
+    if (gameData && gameData.players.includes(playerId)) {
+        return { channel: getGameChannel(gameData.id), recipients: gameData.players.filter(Boolean), seat: gameData.players.indexOf(playerId) };
+    }
+
+    const lobby = playerData.lobbyId ? lobbies.get(playerData.lobbyId) : null;
+    if (lobby) {
+        return { channel: getLobbyChannel(lobby.id), recipients: lobby.players, seat: null };
+    }
+
+    return null;
+}
+
+/**
+ * Post a chat message or emote and deliver it to everyone who may hear it
+ * @param {Object} socket - Sending socket
+ * @param {Object} content - { text } or { emote }
+ * @param {Function} callback - Acknowledgement (optional)
+ */
+function postChat(socket, content, callback) {
+    const context = getChatContext(socket.id);
+    const playerData = players.get(socket.id);
+
+    let message;
+    try {
+        if (!context) {
+            throw new Error('Join a game or lobby to chat');
+        }
+        message = chat.post(context.channel, { key: playerData.token, id: socket.id, name: getDisplayName(socket.id), seat: context.seat }, content);
+    } catch (error) {
+        if (typeof callback === 'function') {
+            callback({ success: false, error: error.message });
+        } else {
+            socket.emit(SERVER.ERROR, { message: error.message });
+        }
+        return;
+    }
+
+    const payload = serializeChatMessage(message);
+    context.recipients.forEach(playerId => {
+        const recipient = players.get(playerId);
+        if (recipient && chat.canHear(recipient.token, message.from.key)) {
+            io.to(playerId).emit(SERVER.CHAT_MESSAGE, payload);
+        }
+    });
+
+    if (typeof callback === 'function') {
+        callback({ success: true, message: payload });
+    }
+}
+
+/**
+ * Mute, unmute, block or unblock another player
+ * @param {Object} socket - Requesting socket
+ * @param {Object} data - { playerId } or { seat } of the current game
+ * @param {Function} callback - Acknowledgement (optional)
+ * @param {Function} change - Called with the requester's and the other player's keys
+ */
+function updateChatList(socket, data, callback, change) {
+    const ack = typeof callback === 'function' ? callback : () => {};
+    const playerData = players.get(socket.id);
+
+    let otherKey = null;
+    if (Number.isInteger(data?.seat)) {
+        const gameData = playerData.gameId ? games.get(playerData.gameId) : null;
+        otherKey = gameData ? gameData.playerTokens[data.seat] || null : null;
+    } else if (typeof data?.playerId === 'string' && players.has(data.playerId)) {
+        otherKey = players.get(data.playerId).token;
+    }
+
+    if (!otherKey) {
+        ack({ success: false, error: 'Player not found' });
+        return;
+    }
+
+    try {
+        change(playerData.token, otherKey);
+    } catch (error) {
+        ack({ success: false, error: error.message });
+        return;
+    }
+    ack({ success: true });
+}
+
+/**
+ * Chat message as clients see it, without the sender's token
+ * @param {Object} message - Message from Chat
+ * @returns {Object} - { id, type, from: { id, name, seat }, text, emote, sentAt }
+ */
+function serializeChatMessage(message) {
+    return {
+        id: message.id,
+        type: message.type,
+        from: { id: message.from.id, name: message.from.name, seat: message.from.seat },
+        text: message.text,
+        emote: message.emote,
+        sentAt: message.sentAt
+    };
+}
+
+/**
+ * Match waiting players
+ * Every process matches the shared queues, but only seats the pairs whose
+ * longer waiting player has their game here. Both entries are taken out of
+ * the store first, so no player is seated by two processes.
+ */
+async function matchPlayers() {
+    for (const [name, queue] of Object.entries(queues)) {
+        queue.load(await gameStore.getQueue(name));
+
+        // Drop our entries whose player has gone away or whose game has started without the queue
+        const stale = queue.entries.filter(entry => entry.node === NODE_ID && !isWaitingInQueue(entry));
+        for (const entry of stale) {
+            queue.remove(entry.id);
+            await gameStore.dequeue(name, entry.id);
+        }
+
+        for (const [entry1, entry2] of queue.findMatches()) {
+            if (entry1.node !== NODE_ID) continue;
+
+            const claimed = await Promise.all([gameStore.dequeue(name, entry1.id), gameStore.dequeue(name, entry2.id)]);
+            if (claimed.includes(false)) {
+                // Another process got to one of them first; put back whoever we took
+                [entry1, entry2].forEach((entry, index) => {
+                    if (claimed[index]) {
+                        storeWrite(gameStore.enqueue(name, entry));
+                    }
+                });
+                continue;
+            }
+
+            seatMatch(name, entry1, entry2);
+        }
+    }
+
+    sendQueueStatus();
+}
+
+/**
+ * Match waiting players, logging rather than throwing when the store fails
+ */
+function runMatchmaking() {
+    matchPlayers().catch((error) => {
+        console.error('Matchmaking failed:', error);
+    });
+}
+
+/**
+ * Check if a queue entry of this process still waits for an opponent
+ * @param {Object} entry - Queue entry
+ * @returns {Boolean} - True if the player is here and their game is waiting
+ */
+function isWaitingInQueue(entry) {
+    const playerData = players.get(entry.id);
+    const gameData = playerData && playerData.gameId ? games.get(playerData.gameId) : null;
+    return Boolean(gameData) && gameData.state === 'waiting';
+}
+
+/**
+ * Start the game of two matched players in the game of the one who waited longer
+ * @param {String} queueName - Queue they were matched in
+ * @param {Object} entry1 - Entry of the longer waiting player, whose game runs here
+ * @param {Object} entry2 - Entry of the opponent, who may be connected to another process
+ */
+function seatMatch(queueName, entry1, entry2) {
+    const player1 = entry1.id;
+    const player2 = entry2.id;
+    const gameData = isWaitingInQueue(entry1) ? games.get(entry1.gameId) : null;
+
+    // The player left after the queue was read
+    if (!gameData) {
+        storeWrite(gameStore.enqueue(queueName, entry2));
+        return;
+    }
+
+    // The opponent left here while the store was read; player 1 keeps waiting
+    if (entry2.node === NODE_ID && !isWaitingInQueue(entry2)) {
+        storeWrite(gameStore.enqueue(queueName, entry1));
+        return;
+    }
+
+    // The opponent's own waiting game is no longer needed
+    if (entry2.node === NODE_ID) {
+        discardWaitingGame(players.get(player2).gameId);
+    } else {
+        adoptRemotePlayer(entry2);
+        forwardToNode(entry2.node, entry2, 'matched', { gameId: gameData.id, releaseGameId: entry2.gameId });
+    }
+
+    // Add player 2 to the game
+    seatPlayer(gameData, player2);
+
+    // Initialize the game
+    startGame(gameData);
+
+    // Notify both players
+    io.to(player1).emit(SERVER.PLAYER_JOINED, { gameId: gameData.id });
+    io.to(player2).emit(SERVER.PLAYER_JOINED, { gameId: gameData.id });
+
+    // Send initial game state
+    sendGameState(gameData.id);
+}
+
+/**
+ * Remove a game nobody has joined yet
+ * @param {String} gameId - Game ID
+ */
+function discardWaitingGame(gameId) {
+    chat.deleteChannel(getGameChannel(gameId));
+    games.delete(gameId);
+    unpublishGame(gameId);
+    deleteGameLog(gameId);
+}
+
+/**
+ * Handle player disconnect
+ */
+function handlePlayerDisconnect(playerId) {
+    // Remove from players map
+    if (players.has(playerId)) {
+        const playerData = players.get(playerId);
+        const gameId = playerData.gameId;
+        const player = describePlayer(playerId);
+
+        // Leave any lobby before the player record disappears
+        if (playerData.lobbyId) {
+            handlePlayerLeaveLobby(playerId, playerData.lobbyId);
+        }
+
+        stopSpectating(playerId);
+        players.delete(playerId);
+
+        // Remove from waiting players
+        removeFromWaitingQueue(playerId);
+
+        // Running games keep the seat open for a while, anything else is abandoned
+        if (gameId && games.has(gameId)) {
+            const gameData = games.get(gameId);
+
+            if (gameData.state === 'in_progress' && gameData.players.includes(playerId)) {
+                holdSeatForReconnect(gameData, playerId);
+            } else {
+                handlePlayerLeaveGame(playerId, gameId);
+            }
+        } else if (gameId) {
+            // The process running the game holds the seat
+            routeGameEvent(player, gameId, 'disconnect', {}, () => {});
+        }
+
+        // Forget sessions that no longer hold a seat anywhere
+        const session = sessions.get(playerData.token);
+        if (session && session.socketId === playerId && !getRejoinableGameId(session)) {
+            sessions.delete(playerData.token);
+        }
+    }
+}
+
+/**
+ * Keep a disconnected player's seat until the grace period runs out
+ * @param {Object} gameData - Game entry
+ * @param {String} playerId - Socket ID of the disconnected player
+ */
+function holdSeatForReconnect(gameData, playerId) {
+    const seatIndex = gameData.players.indexOf(playerId);
+    const gameId = gameData.id;
+
+    gameData.disconnectTimers[seatIndex] = setTimeout(() => {
+        delete gameData.disconnectTimers[seatIndex];
+
+        const session = sessions.get(gameData.playerTokens[seatIndex]);
+        if (session && session.socketId === playerId) {
+            sessions.delete(session.token);
+        }
+
+        handlePlayerLeaveGame(playerId, gameId);
+    }, RECONNECT_GRACE_PERIOD_MS);
+
+    forEachSeat(gameData, (otherId, index) => {
+        if (index !== seatIndex) {
+            io.to(otherId).emit(SERVER.OPPONENT_DISCONNECTED, {
+                gameId,
+                seat: seatIndex,
+                gracePeriod: RECONNECT_GRACE_PERIOD_MS
+            });
+        }
+    });
+}
+
+/**
+ * Put a returning socket back into its seat
+ * @param {Object} gameData - Game entry
+ * @param {Number} seatIndex - Seat index of the returning player
+ * @param {String} socketId - New socket ID for the seat
+ */
+function reclaimSeat(gameData, seatIndex, socketId) {
+    if (gameData.disconnectTimers[seatIndex]) {
+        clearTimeout(gameData.disconnectTimers[seatIndex]);
+        delete gameData.disconnectTimers[seatIndex];
+    }
+
+    // Another tab may still be attached to the seat
+    const previousId = gameData.players[seatIndex];
+    if (previousId !== socketId && players.has(previousId)) {
+        players.get(previousId).gameId = null;
+    }
+
+    gameData.players[seatIndex] = socketId;
+
+    const playerData = players.get(socketId);
+    playerData.gameId = gameData.id;
+    sessions.get(playerData.token).gameId = gameData.id;
+
+    forEachSeat(gameData, (otherId, index) => {
+        if (index !== seatIndex) {
+            io.to(otherId).emit(SERVER.OPPONENT_RECONNECTED, { gameId: gameData.id, seat: seatIndex });
+        }
+    });
+}
+
+/**
+ * Find or create the session for a connecting socket
+ * @param {Object} socket - Connecting socket
+ * @returns {Object} - Session { token, socketId, gameId }
+ */
+function resolveSession(socket) {
+    const requestedToken = socket.handshake.auth && socket.handshake.auth.playerToken;
+
+    let session = typeof requestedToken === 'string' ? sessions.get(requestedToken) : null;
+
+    // The session may have been seated by another process
+    if (!session && socket.data.storedSession) {
+        session = { token: requestedToken, socketId: null, gameId: socket.data.storedSession.gameId };
+        sessions.set(requestedToken, session);
+    }
+
+    // Accounts outlive sessions: a returning player keeps their token
+    if (!session && typeof requestedToken === 'string' && playerStore.findByToken(requestedToken)) {
+        session = { token: requestedToken, socketId: null, gameId: null };
+        sessions.set(requestedToken, session);
+    }
+
+    if (!session) {
+        const token = uuidv4();
+        session = { token, socketId: null, gameId: null };
+        sessions.set(token, session);
+    }
+
+    session.socketId = socket.id;
+    return session;
+}
+
+/**
+ * Get the game a session still holds a seat in
+ * @param {Object} session - Player session
+ * @returns {String|null} - Game ID or null
+ */
+function getRejoinableGameId(session) {
+    if (!session.gameId || !games.has(session.gameId)) return null;
+
+    const gameData = games.get(session.gameId);
+    if (gameData.state !== 'in_progress' || !gameData.playerTokens.includes(session.token)) return null;
+
+    return session.gameId;
+}
+
+/**
+ * Create the store shared by every server process
+ * Without REDIS_URL there is one process and the store lives in memory.
+ * Otherwise the store and the socket.io adapter both use Redis, so emits
+ * reach players connected to any process; ioredis and
+ * @socket.io/redis-adapter are only loaded then.
+ * @returns {Promise<Object>} - MemoryGameStore or RedisGameStore
+ */
+async function createGameStore() {
+    if (!REDIS_URL) {
+        return new MemoryGameStore();
+    }
+
+    const [{ default: Redis }, { createAdapter }] = await Promise.all([
+        import('ioredis'),
+        import('@socket.io/redis-adapter')
+    ]);
+    const pubClient = new Redis(REDIS_URL);
+    const subClient = pubClient.duplicate();
+    io.adapter(createAdapter(pubClient, subClient));
+
+    console.log(`Server process ${ NODE_ID } shares its games through Redis`);
+    return new RedisGameStore(pubClient);
+}
+
+/**
+ * Wait for a store write in the background, logging if it fails
+ * @param {Promise} write - Pending write
+ */
+function storeWrite(write) {
+    write.catch((error) => {
+        console.error('Game store write failed:', error);
+    });
+}
+
+/**
+ * Tell every process where a game runs and who holds its seats
+ * @param {Object} gameData - Game entry
+ */
+function publishGame(gameData) {
+    storeWrite(gameStore.saveGame({
+        id: gameData.id,
+        node: NODE_ID,
+        state: gameData.state,
+        maxPlayers: gameData.maxPlayers,
+        playerTokens: [...gameData.playerTokens],
+        updatedAt: Date.now()
+    }));
+
+    gameData.playerTokens.filter(Boolean).forEach(token => {
+        storeWrite(gameStore.saveSession({ token, gameId: gameData.id }));
+    });
+}
+
+/**
+ * Remove a game from the store, with the sessions still seated in it
+ * @param {String} gameId - Game ID
+ * @param {Array} playerTokens - Session tokens of its seats (optional)
+ */
+function unpublishGame(gameId, playerTokens = []) {
+    storeWrite(gameStore.deleteGame(gameId));
+    playerTokens.filter(Boolean).forEach(token => forgetStoredSession(token, gameId));
+}
+
+/**
+ * Remove a stored session if it still points at a game
+ * @param {String} token - Session token
+ * @param {String} gameId - Game the session was seated in
+ */
+function forgetStoredSession(token, gameId) {
+    storeWrite(gameStore.getSession(token).then(session => (
+        session && session.gameId === gameId ? gameStore.deleteSession(token) : false
+    )));
+}
+
+/**
+ * Get a stored session and the game it is seated in
+ * @param {String} token - Session token
+ * @returns {Promise<Object|null>} - { gameId, game }, game being the stored record; null without a session
+ */
+async function loadStoredSession(token) {
+    const session = await gameStore.getSession(token);
+    if (!session) return null;
+
+    return { gameId: session.gameId, game: session.gameId ? await gameStore.getGame(session.gameId) : null };
+}
+
+/**
+ * Get the game another process runs that a connecting session still holds a seat in
+ * @param {Object} socket - Connecting socket, see the session middleware
+ * @param {Object} session - Player session
+ * @returns {String|null} - Game ID or null
+ */
+function getStoredRejoinableGameId(socket, session) {
+    const stored = socket.data.storedSession;
+    if (!stored || !stored.game || stored.game.node === NODE_ID) return null;
+    if (stored.game.state !== 'in_progress' || !stored.game.playerTokens.includes(session.token)) return null;
+
+    return stored.game.id;
+}
+
+/**
+ * Turn down a new game or lobby while the player still holds a seat in a running game
+ * @param {Object} socket - Player socket
+ * @returns {Boolean} - True if the player was turned down
+ */
+function rejectIfSeated(socket) {
+    const session = sessions.get(players.get(socket.id).token);
+    const gameId = session && (getRejoinableGameId(session) || getStoredRejoinableGameId(socket, session));
+    if (!gameId) return false;
+
+    socket.emit(SERVER.ERROR, { message: 'Finish or leave your running game first', code: 'ALREADY_IN_GAME', gameId });
+    return true;
+}
+
+/**
+ * What another process needs to know of a player connected here
+ * @param {String} playerId - Socket ID
+ * @returns {Object} - { id, token, username, node }
+ */
+function describePlayer(playerId) {
+    const playerData = players.get(playerId);
+    return { id: playerId, token: playerData.token, username: playerData.username, node: NODE_ID };
+}
+
+/**
+ * Handle a player's game event here, or hand it to the process running the game
+ * @param {Object} player - Player, see describePlayer()
+ * @param {String} gameId - Game the event is for
+ * @param {String} action - join, rejoin, move, disconnect, spectate or stop_spectating, see handleForwardedEvent()
+ * @param {Object} data - Event data
+ * @param {Function} handleHere - Handles the event in this process
+ * @param {Function} ack - Acknowledgement for the player (optional)
+ */
+function routeGameEvent(player, gameId, action, data, handleHere, ack) {
+    if (!REDIS_URL || !gameId || games.has(gameId)) {
+        handleHere();
+        return;
+    }
+
+    gameStore.getGame(gameId).then((record) => {
+        if (!record || record.node === NODE_ID || games.has(gameId)) {
+            handleHere();
+            return;
+        }
+
+        forwardToNode(record.node, player, action, data, (reply) => {
+            // Later events of the player go straight to the game's process
+            const playerData = players.get(player.id);
+            if (reply && reply.success && (action === 'join' || action === 'rejoin') && playerData) {
+                playerData.gameId = gameId;
+                sessions.get(playerData.token).gameId = gameId;
+            }
+
+            if (typeof ack === 'function') {
+                ack(reply || { success: false, code: 'GAME_UNAVAILABLE', reason: 'The server running this game did not answer' });
+            }
+        });
+    }, (error) => {
+        console.error(`Could not look up game ${ gameId }:`, error);
+        handleHere();
+    });
+}
+
+/**
+ * Send a player's event to another process
+ * @param {String} node - Process to send it to
+ * @param {Object} player - Player, see describePlayer()
+ * @param {String} action - join, rejoin, move, disconnect, spectate, stop_spectating or matched
+ * @param {Object} data - Event data
+ * @param {Function} callback - Called with the answer of the process, null if none came (optional)
+ */
+function forwardToNode(node, player, action, data, callback = () => {}) {
+    io.timeout(FORWARD_TIMEOUT_MS).serverSideEmit(FORWARD_EVENT, { node, player, action, data }, (error, replies) => {
+        callback((replies || []).find(Boolean) || null);
+    });
+}
+
+/**
+ * Handle an event another process has handed over
+ * @param {Object} message - { player, action, data }
+ * @param {Function} reply - Answer for the sending process
+ */
+function handleForwardedEvent({ player, action, data }, reply) {
+    switch (action) {
+        case 'join':
+            reply({ success: joinGame(adoptRemotePlayer(player), data) });
+            break;
+
+        case 'rejoin':
+            reply({ success: rejoinGame(adoptRemotePlayer(player), data) });
+            break;
+
+        case 'move':
+            handleMove(adoptRemotePlayer(player), data.type, data.payload, reply);
+            break;
+
+        case 'disconnect':
+            handlePlayerDisconnect(player.id);
+            reply({ success: true });
+            break;
+
+        case 'spectate':
+            reply({ success: spectateGame(adoptRemotePlayer(player), data) });
+            break;
+
+        // Only if still watching that game; the player may have gone on to watch another one here
+        case 'stop_spectating': {
+            const playerData = players.get(player.id);
+            if (playerData && playerData.spectatingGameId === data.gameId) {
+                stopSpectating(player.id);
+            }
+            reply({ success: true });
+            break;
+        }
+
+        // Our player was matched into a game of the sending process
+        case 'matched': {
+            const playerData = players.get(player.id);
+            if (playerData) {
+                playerData.gameId = data.gameId;
+                sessions.get(playerData.token).gameId = data.gameId;
+            }
+            discardWaitingGame(data.releaseGameId);
+            reply({ success: true });
+            break;
+        }
+
+        default:
+            reply(null);
+    }
+}
+
+/**
+ * Track a player connected to another process as if they were connected here
+ * @param {Object} player - Player, see describePlayer()
+ * @returns {Object} - Stand-in for their socket
+ */
+function adoptRemotePlayer(player) {
+    if (!players.has(player.id)) {
+        players.set(player.id, { id: player.id, token: player.token, gameId: null, lobbyId: null, spectatingGameId: null, username: player.username, node: player.node });
+    }
+
+    if (!sessions.has(player.token)) {
+        sessions.set(player.token, { token: player.token, socketId: null, gameId: null });
+    }
+    sessions.get(player.token).socketId = player.id;
+
+    return createRemoteSocket(player.id);
+}
+
+/**
+ * Stand-in for the socket of a player connected to another process
+ * Whatever is sent reaches the player through the socket.io adapter.
+ * @param {String} socketId - Socket ID
+ * @returns {Object} - { id, emit, join, leave, to } like a socket
+ */
+function createRemoteSocket(socketId) {
+    return {
+        id: socketId,
+        emit: (event, data) => io.to(socketId).emit(event, data),
+        join: (room) => io.in(socketId).socketsJoin(room),
+        leave: (room) => io.in(socketId).socketsLeave(room),
+        to: (room) => io.to(room).except(socketId)
+    };
+}
+
+/**
+ * Handle player leaving a game
+ */
+function handlePlayerLeaveGame(playerId, gameId) {
+    if (!games.has(gameId)) return;
+
+    const gameData = games.get(gameId);
+    const playerIndex = gameData.players.indexOf(playerId);
+
+    if (playerIndex === -1) return;
+
+    // With at least two players still competing the game goes on without this seat
+    const remainingActive = gameData.engine.getActiveSeats().filter(seat => seat !== playerIndex);
+    if (gameData.state === 'in_progress' && remainingActive.length >= MIN_PLAYERS) {
+        vacateSeat(gameData, playerIndex);
+        return;
+    }
+
+    // Leaving a running ranked game forfeits it, so it is rated like a timeout forfeit
+    if (gameData.state === 'in_progress' && gameData.ranked && !gameData.engine.isEliminated(playerIndex)) {
+        forfeitSeat(gameData, playerIndex, 'left');
+    }
+
+    // The game ends here; keep the replay of what was played
+    const wasCompleted = gameData.state === 'completed';
+    const leavingName = gameData.playerNames[playerIndex];
+    if (gameData.state === 'in_progress') {
+        saveReplay(gameData, 'abandoned');
+    }
+
+    // Without both players there is no next game in the series
+    if (gameData.seriesId) {
+        series.delete(gameData.seriesId);
+        gameData.seriesId = null;
+    }
+
+    // Remove player from game
+    gameData.log.append('left', { seat: playerIndex });
+    forgetStoredSession(gameData.playerTokens[playerIndex], gameId);
+    gameData.players.splice(playerIndex, 1);
+    gameData.playerTokens.splice(playerIndex, 1);
+    gameData.playerNames.splice(playerIndex, 1);
+
+    // Drop any pending reconnect timers, the game is over for the remaining seats
+    Object.values(gameData.disconnectTimers).forEach(timer => clearTimeout(timer));
+    gameData.disconnectTimers = {};
+    gameData.turnClock.stop();
+
+    // Notify whoever is still seated; after the game that only rules out a rematch
+    forEachSeat(gameData, (otherId) => {
+        if (wasCompleted) {
+            io.to(otherId).emit(SERVER.REMATCH_DECLINED, { gameId, name: leavingName });
+            return;
+        }
+        io.to(otherId).emit(SERVER.ERROR, {
+            message: 'Opponent has left the game',
+            critical: true
+        });
+    });
+
+    // There is nothing left to watch
+    endSpectating(gameData);
+
+    // If no players left, delete the game
+    if (!gameData.players.some(Boolean)) {
+        chat.deleteChannel(getGameChannel(gameId));
+        games.delete(gameId);
+        unpublishGame(gameId, gameData.playerTokens);
+        deleteGameLog(gameId);
+    } else {
+        // Otherwise update game state
+        gameData.state = 'completed';
+        games.set(gameId, gameData);
+        publishGame(gameData);
+    }
+}
+
+/**
+ * Give up a seat in a running game that continues without it
+ * An active seat forfeits its cards to the tie pile; a spectator seat is simply emptied.
+ * @param {Object} gameData - Game entry
+ * @param {Number} seatIndex - Seat to vacate
+ */
+function vacateSeat(gameData, seatIndex) {
+    const playerId = gameData.players[seatIndex];
+
+    if (gameData.disconnectTimers[seatIndex]) {
+        clearTimeout(gameData.disconnectTimers[seatIndex]);
+        delete gameData.disconnectTimers[seatIndex];
+    }
+
+    gameData.log.append('vacated', { seat: seatIndex });
+    gameData.engine.eliminatePlayer(seatIndex);
+    gameData.players[seatIndex] = null;
+    gameData.playerTokens[seatIndex] = null;
+
+    if (players.has(playerId)) {
+        players.get(playerId).gameId = null;
+    }
+
+    forEachSeat(gameData, (otherId) => {
+        io.to(otherId).emit(SERVER.PLAYER_LEFT_GAME, {
+            gameId: gameData.id,
+            seat: seatIndex,
+            name: gameData.playerNames[seatIndex]
+        });
+    });
+
+    // The turn may have passed on
+    startTurnClock(gameData);
+    sendGameState(gameData.id);
+}
+
+// Pick up the games that were running when the server stopped
+await restoreGames();
+
+// Start the server
+const PORT = process.env.PORT || 3000;
+server.listen(PORT, () => {
     console.log(`Server running on port ${ PORT }`);
-});
\ No newline at end of file
+});
+
+setInterval(runMatchmaking, QUEUE_TICK_MS);
\ No newline at end of file
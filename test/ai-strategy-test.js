@@ -0,0 +1,255 @@
+/**
+ * AI Strategy Test Suite
+ *
+ * Tests the AI level registry and the random, greedy, card-counting and lookahead strategies
+ */
+import AIStrategy from '../core/AIStrategy.js';
+import CategoryRules from '../core/CategoryRules.js';
+import GameRules from '../core/GameRules.js';
+import GameEngine from '../core/GameEngine.js';
+import SeededRandom from '../core/SeededRandom.js';
+import { CARD_DATA, CARD_CATEGORIES } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create a card with the given stats
+ * @param {String} id - Card ID
+ * @param {Object} stats - Category values
+ * @returns {Object} - Card
+ */
+function card(id, stats) {
+    return { id, name: id, stats };
+}
+
+/**
+ * Build a strategy context by hand
+ * @param {Array} hand - AI hand, top card first
+ * @param {Array} tieCards - Tie pile
+ * @param {Array} others - Cards the AI can't see
+ * @param {Object} rules - GameRules options, e.g. { tiePolicy }
+ * @returns {Object} - Strategy context
+ */
+function createContext(hand, tieCards, others, rules = {}) {
+    const categoryRules = new CategoryRules({ a: { label: 'A' }, b: { label: 'B' } });
+    return {
+        card: hand[0],
+        hand,
+        tieCards,
+        deck: [...hand, ...tieCards, ...others],
+        categories: categoryRules.getKeys(),
+        categoryRules,
+        rules: new GameRules({ ...rules, categories: categoryRules })
+    };
+}
+
+/**
+ * Run all AIStrategy tests
+ */
+function runAIStrategyTests() {
+    console.log("🤖 Starting AIStrategy Tests");
+
+    testRegistry();
+    testRandomStrategy();
+    testGreedyAndCardCounting();
+    testLookaheadPlaysForTiePile();
+    testLookaheadFollowsTiePolicy();
+    testBuildContext();
+    testStrongerLevelsBeatRandom();
+
+    console.log("✅ AIStrategy Tests Completed");
+}
+
+/**
+ * Test listing, creating and registering levels
+ */
+function testRegistry() {
+    console.log("  Testing registry...");
+
+    const ids = AIStrategy.list().map(level => level.id);
+    assert(ids.join(',') === 'random,greedy,card-counting,lookahead', 'Built-in levels should be listed in order');
+    assert(AIStrategy.list().every(level => level.label && level.description), 'Levels should have menu labels');
+
+    let threw = false;
+    try {
+        AIStrategy.create('grandmaster');
+    } catch (error) {
+        threw = error.message.includes('grandmaster');
+    }
+    assert(threw, 'Unknown levels should be rejected by name');
+
+    class FirstCategory extends AIStrategy {
+        chooseCategory(context) { return context.categories[0]; }
+    }
+    AIStrategy.register('first-category', FirstCategory, { label: 'Test' });
+    assert(AIStrategy.create('first-category').chooseCategory({ categories: ['x', 'y'] }) === 'x', 'Registered levels should be creatable');
+    delete AIStrategy.strategies['first-category'];
+
+    console.log("  ✓ Registry tests passed");
+}
+
+/**
+ * Test that the random level uses the injected random source
+ */
+function testRandomStrategy() {
+    console.log("  Testing random strategy...");
+
+    const context = createContext([card('ai', { a: 1, b: 1 })], [], [card('o', { a: 2, b: 2 })]);
+
+    assert(AIStrategy.create('random', { random: () => 0 }).chooseCategory(context) === 'a', 'Low roll should pick the first category');
+    assert(AIStrategy.create('random', { random: () => 0.99 }).chooseCategory(context) === 'b', 'High roll should pick the last category');
+
+    console.log("  ✓ Random strategy tests passed");
+}
+
+/**
+ * Test that card counting ignores cards that can't come up
+ */
+function testGreedyAndCardCounting() {
+    console.log("  Testing greedy and card-counting strategies...");
+
+    // The AI card is strongest in "a" across the deck, but every card it beats in "a" is out of play
+    const hand = [card('ai', { a: 8, b: 5 }), card('h1', { a: 1, b: 9 })];
+    const tieCards = [card('t1', { a: 2, b: 9 }), card('t2', { a: 3, b: 9 })];
+    const others = [card('o1', { a: 9, b: 4 }), card('o2', { a: 9, b: 3 })];
+    const context = createContext(hand, tieCards, others);
+
+    assert(AIStrategy.create('greedy').chooseCategory(context) === 'a', 'Greedy should play the strongest category over the deck');
+    assert(AIStrategy.create('card-counting').chooseCategory(context) === 'b', 'Card counting should play the odds against the unseen cards');
+
+    console.log("  ✓ Greedy and card-counting tests passed");
+}
+
+/**
+ * Test that lookahead steers into a tie when the next card wins the pile
+ */
+function testLookaheadPlaysForTiePile() {
+    console.log("  Testing lookahead strategy...");
+
+    // "a" is a coin flip, "b" is a sure tie broken by a card that beats everything
+    const hand = [card('ai', { a: 5, b: 5 }), card('next', { a: 9, b: 9 })];
+    const tieCards = [card('t1', { a: 1, b: 1 })];
+    const others = [card('o1', { a: 6, b: 5 }), card('o2', { a: 4, b: 5 })];
+    const context = createContext(hand, tieCards, others, { tiePolicy: 'sameCategory' });
+
+    assert(AIStrategy.create('card-counting').chooseCategory(context) === 'a', 'Card counting should see equal odds');
+    assert(AIStrategy.create('lookahead').chooseCategory(context) === 'b', 'Lookahead should play for the growing tie pile');
+
+    console.log("  ✓ Lookahead tests passed");
+}
+
+/**
+ * Test that lookahead plays ties out under the game's tie policy
+ */
+function testLookaheadFollowsTiePolicy() {
+    console.log("  Testing lookahead tie policies...");
+
+    // "b" is a sure tie; the next card only wins in "a"
+    const hand = [card('ai', { a: 5, b: 5 }), card('next', { a: 9, b: 0 })];
+    const tieCards = [card('t1', { a: 1, b: 1 })];
+    const others = [card('o1', { a: 6, b: 5 }), card('o2', { a: 4, b: 5 })];
+    const lookahead = AIStrategy.create('lookahead');
+
+    // A tie pile hands the choice to the opponent, who plays "b" against the next card
+    assert(lookahead.chooseCategory(createContext(hand, tieCards, others)) === 'a', 'Games default to a tie pile');
+    assert(lookahead.chooseCategory(createContext(hand, tieCards, others, { tiePolicy: 'tiePile' })) === 'a', 'Tie pile should pass the choice on');
+
+    // Sudden death plays the next card in "b", where it loses
+    assert(lookahead.chooseCategory(createContext(hand, tieCards, others, { tiePolicy: 'sameCategory' })) === 'a', 'Sudden death should stay in the tied category');
+
+    // A second category breaks the tie with o1 in "b" by comparing "a", where the AI card is higher
+    const secondCategory = createContext([card('ai', { a: 7, b: 5 }), card('next', { a: 0, b: 0 })], [],
+        [card('o1', { a: 6, b: 5 }), card('o2', { a: 8, b: 6 })], { tiePolicy: 'secondaryCategory' });
+    assert(lookahead.expectedValue(secondCategory, 'b', secondCategory.hand, [secondCategory.deck[2]], 0, 1, true) === 1,
+        'A second category should decide the tie');
+
+    console.log("  ✓ Lookahead tie policy tests passed");
+}
+
+/**
+ * Test the context built from a running engine
+ */
+function testBuildContext() {
+    console.log("  Testing buildContext...");
+
+    const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES));
+    engine.initializeState(CARD_DATA.slice(0, 5), CARD_DATA.slice(5, 10), true);
+    const context = AIStrategy.buildContext(engine, 1, CARD_DATA);
+
+    assert(context.card === CARD_DATA[5] && context.hand.length === 5, 'Context should describe the seat\'s hand');
+    assert(context.categories.join(',') === Object.keys(CARD_CATEGORIES).join(','), 'Categories should come from the deck');
+    assert(AIStrategy.create('lookahead').chooseCategory(context) in CARD_CATEGORIES, 'Strategies should pick a deck category');
+
+    engine.hands[1] = [];
+    assert(AIStrategy.buildContext(engine, 1, CARD_DATA) === null, 'Empty hands should have no context');
+
+    console.log("  ✓ buildContext tests passed");
+}
+
+/**
+ * Play whole games between two levels
+ * @param {String} level - Level of seat 0
+ * @param {String} opponentLevel - Level of seat 1
+ * @param {Number} games - Number of games
+ * @returns {Number} - Games won by seat 0
+ */
+function playMatches(level, opponentLevel, games) {
+    let wins = 0;
+
+    for (let game = 0; game < games; game++) {
+        // Seeded so the same games are played on every run
+        const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES), new SeededRandom(`${ level }-${ game }`));
+        const deck = engine.shuffleDeck(CARD_DATA);
+        engine.initializeState(deck.slice(0, 5), deck.slice(5, 10));
+
+        const strategies = [level, opponentLevel].map(name => AIStrategy.create(name, { random: engine.random.next }));
+        for (let round = 0; round < 500 && !engine.gameOver; round++) {
+            const seat = engine.currentPlayerIndex;
+            engine.compareCards(strategies[seat].chooseCategory(AIStrategy.buildContext(engine, seat, CARD_DATA)));
+        }
+
+        if (engine.winnerIndex === 0) wins++;
+    }
+
+    return wins;
+}
+
+/**
+ * Test that every level above random wins most games against it
+ */
+function testStrongerLevelsBeatRandom() {
+    console.log("  Testing levels against random...");
+
+    ['greedy', 'card-counting', 'lookahead'].forEach(level => {
+        const wins = playMatches(level, 'random', 100);
+        assert(wins >= 65, `${ level } should beat random most of the time (won ${ wins }/100)`);
+    });
+
+    console.log("  ✓ Level strength tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runAIStrategyTests);
+} else {
+    // In Node.js, run the tests directly
+    runAIStrategyTests();
+}
+
+export default runAIStrategyTests;
@@ -1,6 +1,7 @@
-const http = require('http');
-const fs = require('fs');
-const path = require('path');
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Test configuration
 const BASE_URL = 'http://localhost:3000';
@@ -297,8 +298,8 @@ async function runTests() {
 }
 
 // Run tests if this file is executed directly
-if (require.main === module) {
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
     runTests();
 }
 
-module.exports = { runTests };
\ No newline at end of file
+export { runTests };
@@ -0,0 +1,291 @@
+/**
+ * Card Effects Test Suite
+ *
+ * Tests the Veto, Scandal and Coalition abilities, the round phases they
+ * trigger in and how deck packs and replays carry them
+ */
+import CardEffects from '../core/CardEffects.js';
+import CardManager from '../core/CardManager.js';
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import SeededRandom from '../core/SeededRandom.js';
+import DeckPack from '../core/DeckPack.js';
+import GameEvents from '../core/GameEvents.js';
+import ReplayRecorder from '../core/ReplayRecorder.js';
+import { CLASSIC_PACK } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+// "scandals" is a category where fewer wins
+const CATEGORIES = { integrity: { label: 'Integrity' }, power: { label: 'Power' }, scandals: { label: 'Scandals', direction: 'lower' } };
+
+/**
+ * Create a card
+ * @param {String} id - Card ID
+ * @param {Object} stats - Values by category
+ * @param {Array} effects - Card effects
+ * @returns {Object} - Card
+ */
+function card(id, stats, effects = []) {
+    return { id, name: id, stats: { integrity: 5, power: 5, scandals: 5, ...stats }, effects };
+}
+
+/**
+ * Create an engine and deal fixed hands; seat 0 chooses first
+ * @param {Array} hands - Cards per seat
+ * @param {CardEffects} effects - Effect registry (optional)
+ * @returns {GameEngine} - Engine
+ */
+function createEngine(hands, effects = null) {
+    const engine = new GameEngine(new CategoryRules(CATEGORIES), new SeededRandom('effects'), null, effects);
+    engine.initializePlayers(hands, 0);
+    return engine;
+}
+
+/**
+ * Run all card effect tests
+ */
+function runCardEffectsTests() {
+    console.log("✨ Starting Card Effects Tests");
+
+    testRegistry();
+    testScandal();
+    testCoalition();
+    testVeto();
+    testWinAndLossPhases();
+    testDeckPacks();
+    testReplayRecordsEffects();
+
+    console.log("✅ Card Effects Tests Completed");
+}
+
+/**
+ * Test registering effects through CardManager
+ */
+function testRegistry() {
+    console.log("  Testing the effect registry...");
+
+    const cardManager = new CardManager(null);
+    const effects = new CardEffects(cardManager);
+
+    assert(effects.list().map(effect => effect.type).join() === 'veto,scandal,coalition', 'The built-in effects should be registered');
+    assert(['veto', 'scandal', 'coalition'].every(type => cardManager.effectHandlers.has(type)), 'Handlers should live in the CardManager');
+    assert(effects.getDefinition('veto').phase === 'afterCompare' && effects.getDefinition('unknown') === null, 'Definitions should be looked up by type');
+
+    let threw = false;
+    try {
+        effects.register('bribe', { phase: 'duringLunch' }, () => null);
+    } catch (error) {
+        threw = error.message.includes('duringLunch');
+    }
+    assert(threw, 'Unknown phases should be rejected');
+
+    assert(CardEffects.getEffects({ effect: { type: 'veto' } })[0].type === 'veto', 'A single legacy effect should be read');
+    assert(CardEffects.getEffects({ id: 'x' }).length === 0, 'Cards without effects should have none');
+
+    console.log("  ✓ Registry tests passed");
+}
+
+/**
+ * Test Scandal lowering the other cards' values
+ */
+function testScandal() {
+    console.log("  Testing Scandal...");
+
+    let engine = createEngine([[card('a', { integrity: 5 }, [{ type: 'scandal' }])], [card('b', { integrity: 7 })]]);
+    let result = engine.compareCards('integrity');
+
+    assert(result.roundWinnerIndex === 0 && result.opponentValue === 4, 'Scandal should cost the other card 3 integrity');
+    assert(result.plays[1].baseValue === 7, 'The printed value should be kept');
+    assert(result.effects.length === 1 && result.effects[0].phase === 'beforeReveal' && result.effects[0].seat === 0,
+        'The effect should be described in the round result');
+    assert(result.effects[0].changes.length === 1 && result.effects[0].changes[0].from === 7 && result.effects[0].changes[0].to === 4,
+        'The value change should be listed');
+
+    engine = createEngine([[card('a', { power: 5 }, [{ type: 'scandal' }])], [card('b', { power: 7 })]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 1 && result.effects.length === 0, 'Scandal should only trigger in its category');
+
+    // Where fewer wins, a scandal adds to the other cards
+    engine = createEngine([[card('a', { scandals: 4 }, [{ type: 'scandal', stat: 'scandals', amount: 2 }])], [card('b', { scandals: 3 })]]);
+    result = engine.compareCards('scandals');
+    assert(result.roundWinnerIndex === 0 && result.opponentValue === 5, 'Scandal should worsen values where lower wins');
+
+    console.log("  ✓ Scandal tests passed");
+}
+
+/**
+ * Test Coalition adding the teammate's value
+ */
+function testCoalition() {
+    console.log("  Testing Coalition...");
+
+    let engine = createEngine([
+        [card('a', { power: 4 }, [{ type: 'coalition' }]), card('teammate', { power: 5 })],
+        [card('b', { power: 8 }), card('c', { power: 1 })]
+    ]);
+    let result = engine.compareCards('power');
+
+    assert(result.roundWinnerIndex === 0 && result.playerValue === 9, 'The teammate should add its value');
+    assert(result.effects[0].description.includes('backs a') && !result.effects[0].description.includes('5'), 'The description should not give the teammate\'s bonus');
+    assert(result.effects[0].secret && result.effects[0].changes[0].to === 9, 'The effect should be secret but keep its changes');
+    assert(CardEffects.redact(result.effects)[0].changes === null && result.effects[0].changes !== null, 'Redacting should leave out the changes of a copy');
+    assert(engine.hands[0][0].id === 'teammate', 'The teammate should stay in hand');
+
+    engine = createEngine([[card('a', { power: 4 }, [{ type: 'coalition' }])], [card('b', { power: 8 })]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 1 && result.effects.length === 0, 'Coalition needs a teammate');
+
+    console.log("  ✓ Coalition tests passed");
+}
+
+/**
+ * Test Veto cancelling a round
+ */
+function testVeto() {
+    console.log("  Testing Veto...");
+
+    const engine = createEngine([
+        [card('veto', { power: 2 }, [{ type: 'veto' }]), card('a2', { power: 1 })],
+        [card('b1', { power: 8 }), card('b2', { power: 9 })]
+    ]);
+    let result = engine.compareCards('power');
+
+    assert(result.cancelled && result.result === 'cancelled' && result.roundWinnerIndex === null, 'The round should be cancelled');
+    assert(result.effects[0].type === 'veto' && result.effects[0].phase === 'afterCompare', 'The veto should be described');
+    assert(engine.hands[0].map(entry => entry.id).join() === 'a2,veto' && engine.hands[1].map(entry => entry.id).join() === 'b2,b1',
+        'Every card should go back under its owner\'s hand');
+    assert(engine.currentPlayerIndex === 0 && engine.roundsPlayed === 1 && engine.tieCards.length === 0,
+        'The same player should choose again and the round should count');
+
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 1 && !result.cancelled, 'Rounds without a veto should be played normally');
+
+    // A veto only cancels rounds its card would not win outright
+    const winning = createEngine([[card('veto', { power: 9 }, [{ type: 'veto' }])], [card('b1', { power: 8 })]]);
+    assert(winning.compareCards('power').roundWinnerIndex === 0, 'A winning veto card should not cancel');
+
+    const tied = createEngine([[card('veto', { power: 8 }, [{ type: 'veto' }])], [card('b1', { power: 8 })]]);
+    assert(tied.compareCards('power').cancelled, 'A tied veto card should cancel');
+
+    console.log("  ✓ Veto tests passed");
+}
+
+/**
+ * Test effects registered for the win and loss phases
+ */
+function testWinAndLossPhases() {
+    console.log("  Testing win and loss phases...");
+
+    const effects = new CardEffects();
+    const seen = [];
+    effects.register('mandate', { label: 'Mandate', phase: 'onWin' }, (played, seat, round) => {
+        seen.push(`win:${ seat }:${ round.winnerSeat }`);
+        return `${ played.name } gains a mandate.`;
+    });
+    effects.register('recount', { label: 'Recount', phase: 'onLoss' }, (played, seat, round) => {
+        seen.push(`loss:${ seat }:${ round.winnerSeat }`);
+        return null;
+    });
+
+    const engine = createEngine([
+        [card('a', { power: 9 }, [{ type: 'mandate' }]), card('a2', { power: 1 })],
+        [card('b', { power: 1 }, [{ type: 'mandate' }, { type: 'recount' }]), card('b2', { power: 2 })]
+    ], effects);
+    const result = engine.compareCards('power');
+
+    assert(seen.join() === 'win:0:0,loss:1:0', 'Win and loss effects should trigger for their seats only');
+    assert(result.effects.length === 1 && result.effects[0].phase === 'onWin', 'Effects returning nothing should not be listed');
+    assert(engine.hands[0].length === 3, 'Win effects should trigger after the cards were taken');
+
+    console.log("  ✓ Win and loss phase tests passed");
+}
+
+/**
+ * Test validating effects in deck packs
+ */
+function testDeckPacks() {
+    console.log("  Testing deck packs...");
+
+    assert(DeckPack.validate(CLASSIC_PACK).valid, 'The classic pack should be valid');
+    assert(CLASSIC_PACK.cards.filter(entry => entry.effects).length === 3, 'The classic pack should have three effect cards');
+
+    const withEffect = effect => ({
+        ...CLASSIC_PACK,
+        cards: [{ ...CLASSIC_PACK.cards[1], effects: [effect] }, CLASSIC_PACK.cards[2]]
+    });
+
+    let result = DeckPack.validate(withEffect({ type: 'filibuster' }));
+    assert(!result.valid && result.errors[0].includes('unknown effect "filibuster"'), 'Unknown effects should be rejected');
+
+    result = DeckPack.validate(withEffect({ type: 'scandal', stat: 'approval' }));
+    assert(!result.valid && result.errors[0].includes('"approval"'), 'Scandals should target a declared category');
+
+    result = DeckPack.validate(withEffect({ type: 'scandal', amount: -1 }));
+    assert(!result.valid && result.errors[0].includes('amount'), 'Scandal amounts should be positive');
+
+    result = DeckPack.validate(withEffect({ type: 'veto', when: 'always' }));
+    assert(!result.valid, 'Unknown effect fields should be rejected');
+
+    const pack = DeckPack.parse(withEffect({ type: 'coalition' }));
+    assert(pack.cards[0].effects[0].type === 'coalition' && pack.cards[1].effects.length === 0, 'Parsed cards should list their effects');
+
+    console.log("  ✓ Deck pack tests passed");
+}
+
+/**
+ * Test that replays keep the effects of each round
+ */
+function testReplayRecordsEffects() {
+    console.log("  Testing replays...");
+
+    const events = new GameEvents();
+    const recorder = new ReplayRecorder({ gameId: 'effects' }).attach(events);
+    const engine = createEngine([
+        [card('veto', { power: 2 }, [{ type: 'veto' }]), card('a2', { integrity: 6 }, [{ type: 'scandal' }])],
+        [card('b1', { power: 8 }), card('b2', { integrity: 8 })]
+    ]);
+
+    events.emit('gameInitialized', { hands: engine.hands, currentPlayerIndex: 0, categories: engine.categoryRules.describe() });
+    ['power', 'integrity'].forEach(category => {
+        events.emit('categorySelected', { category, seat: engine.currentPlayerIndex });
+        events.emit('roundPlayed', engine.compareCards(category));
+    });
+
+    const replay = JSON.parse(JSON.stringify(recorder.getReplay()));
+    assert(replay.cards.veto.effects[0].type === 'veto' && replay.cards.b1.effects.length === 0, 'Replay cards should keep their effects');
+    assert(replay.rounds[0].cancelled && replay.rounds[0].effects[0].type === 'veto', 'The vetoed round should be recorded');
+    assert(!replay.rounds[1].cancelled && replay.rounds[1].effects[0].type === 'scandal', 'Scandals should be recorded');
+
+    const steps = ReplayRecorder.getSteps(ReplayRecorder.load(replay));
+    assert(steps[0].effects.length === 0 && steps[1].cancelled && steps[2].effects[0].description.includes('Scandal'),
+        'Replay steps should carry the effects');
+
+    console.log("  ✓ Replay tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runCardEffectsTests);
+} else {
+    // In Node.js, run the tests directly
+    runCardEffectsTests();
+}
+
+export default runCardEffectsTests;
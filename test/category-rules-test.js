@@ -0,0 +1,186 @@
+/**
+ * Category Rules Test Suite
+ *
+ * Tests per-category metadata and how GameEngine and GameRules honour it
+ */
+import CategoryRules from '../core/CategoryRules.js';
+import GameEngine from '../core/GameEngine.js';
+import GameRules from '../core/GameRules.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+const TEST_CATEGORIES = {
+    charisma: { label: 'Charisma', direction: 'higher' },
+    scandals: { label: 'Scandals', direction: 'lower', unit: 'scandals' },
+    age: { label: 'Age', direction: 'higher', unit: 'years', comparator: (a, b) => Math.abs(b - 50) - Math.abs(a - 50) }
+};
+
+/**
+ * Run all CategoryRules tests
+ */
+function runCategoryRulesTests() {
+    console.log("📏 Starting CategoryRules Tests");
+
+    testMetadata();
+    testCompareValues();
+    testComparators();
+    testDescription();
+    testEngineHonoursDirection();
+    testGameRulesHonoursDirection();
+
+    console.log("✅ CategoryRules Tests Completed");
+}
+
+/**
+ * Test labels, units and defaults
+ */
+function testMetadata() {
+    console.log("  Testing metadata...");
+
+    const rules = new CategoryRules(TEST_CATEGORIES);
+
+    assert(rules.getLabel('scandals') === 'Scandals', 'Declared label should be used');
+    assert(rules.getLabel('party_size') === 'Party size', 'Undeclared categories should get a readable label');
+    assert(!rules.isHigherBetter('scandals') && rules.isHigherBetter('charisma'), 'Direction should be declared per category');
+    assert(rules.isHigherBetter('unknown'), 'Undeclared categories should be higher-is-better');
+    assert(rules.formatValue('scandals', 3) === '3 scandals', 'Unit should be appended');
+    assert(rules.formatValue('charisma', 7) === '7', 'Values without a unit should stay plain');
+    assert(rules.getKeys().join(',') === 'charisma,scandals,age', 'Keys should keep deck order');
+
+    console.log("  ✓ Metadata tests passed");
+}
+
+/**
+ * Test value comparison in both directions
+ */
+function testCompareValues() {
+    console.log("  Testing compareValues...");
+
+    const rules = new CategoryRules(TEST_CATEGORIES);
+
+    assert(rules.compareValues('charisma', 8, 5) > 0, 'Higher value should win a higher-is-better category');
+    assert(rules.compareValues('scandals', 1, 4) > 0, 'Lower value should win a lower-is-better category');
+    assert(rules.compareValues('scandals', 4, 4) === 0, 'Equal values should tie');
+    assert(rules.compareValues('scandals', undefined, 9) < 0, 'Missing values should lose even when lower wins');
+    assert(rules.compareValues('charisma', NaN, NaN) === 0, 'Two missing values should tie');
+
+    console.log("  ✓ compareValues tests passed");
+}
+
+/**
+ * Test custom and named comparators
+ */
+function testComparators() {
+    console.log("  Testing comparators...");
+
+    const rules = new CategoryRules(TEST_CATEGORIES);
+    assert(rules.compareValues('age', 48, 70) > 0, 'Custom comparator should decide the winner');
+
+    CategoryRules.registerComparator('closestToTen', (a, b) => Math.abs(b - 10) - Math.abs(a - 10));
+    const named = new CategoryRules({ temperature: { comparator: 'closestToTen' } });
+    assert(named.compareValues('temperature', 9, 15) > 0, 'Named comparator should be looked up');
+
+    let threw = false;
+    try {
+        new CategoryRules({ broken: { comparator: 'doesNotExist' } });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown comparator names should be rejected');
+
+    console.log("  ✓ Comparator tests passed");
+}
+
+/**
+ * Test the client-facing description round trip
+ */
+function testDescription() {
+    console.log("  Testing describe/fromDescription...");
+
+    const list = new CategoryRules(TEST_CATEGORIES).describe();
+
+    assert(list.length === 3, 'Every category should be described');
+    assert(list[1].direction === 'lower' && list[1].unit === 'scandals', 'Description should keep direction and unit');
+    assert(list.every(category => category.comparator === undefined), 'Comparators should not be serialized');
+    assert(JSON.parse(JSON.stringify(list)).length === 3, 'Description should be JSON-safe');
+
+    const rebuilt = CategoryRules.fromDescription(list);
+    assert(rebuilt.compareValues('scandals', 2, 3) > 0, 'Rebuilt rules should keep the direction');
+
+    console.log("  ✓ Description tests passed");
+}
+
+/**
+ * Test that GameEngine resolves rounds with the category's direction
+ */
+function testEngineHonoursDirection() {
+    console.log("  Testing GameEngine with lower-is-better categories...");
+
+    const engine = new GameEngine(new CategoryRules(TEST_CATEGORIES));
+    engine.initializePlayers([
+        [{ id: 'a', stats: { scandals: 5 } }],
+        [{ id: 'b', stats: { scandals: 1 } }],
+        [{ id: 'c', stats: { scandals: 3 } }]
+    ], 0);
+
+    const result = engine.compareCards('scandals');
+    assert(result.roundWinnerIndex === 1, 'Fewest scandals should win');
+
+    const twoPlayer = new GameEngine(new CategoryRules(TEST_CATEGORIES));
+    twoPlayer.initializeState(
+        [{ id: 'p', stats: { scandals: 2 } }, { id: 'p2', stats: { scandals: 2 } }],
+        [{ id: 'o', stats: { scandals: 2 } }, { id: 'o2', stats: { scandals: 2 } }],
+        true
+    );
+    assert(twoPlayer.compareCards('scandals').result === 'tie', 'Equal values should still tie');
+
+    const defaults = new GameEngine();
+    defaults.initializeState([{ id: 'p', stats: { x: 2 } }], [{ id: 'o', stats: { x: 1 } }], true);
+    assert(defaults.compareCards('x').result === 'player', 'Engine without metadata should keep higher-is-better');
+
+    console.log("  ✓ GameEngine direction tests passed");
+}
+
+/**
+ * Test that GameRules uses deck metadata instead of a fixed list
+ */
+function testGameRulesHonoursDirection() {
+    console.log("  Testing GameRules with deck metadata...");
+
+    const rules = new GameRules({ categories: TEST_CATEGORIES });
+
+    assert(!rules.isHigherBetter('scandals'), 'Metadata should mark scandals lower-is-better');
+    assert(rules.isHigherBetter('alter'), 'No category should be lower-is-better unless the deck says so');
+    assert(rules.compareCards({ data: { scandals: '1' } }, { data: { scandals: '6' } }, 'scandals') === 1,
+        'Fewer scandals should win');
+    assert(rules.compareCards({ data: { charisma: 'n/a' } }, { data: { charisma: 2 } }, 'charisma') === -1,
+        'Non-numeric values should lose');
+
+    console.log("  ✓ GameRules direction tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runCategoryRulesTests);
+} else {
+    // In Node.js, run the tests directly
+    runCategoryRulesTests();
+}
+
+export default runCategoryRulesTests;
@@ -0,0 +1,207 @@
+/**
+ * Chat Test Suite
+ *
+ * Tests chat messages and emotes, the word filter, the rate limit, mutes
+ * and blocks, and channel history
+ */
+import Chat from '../core/Chat.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Whether a call throws an error mentioning some text
+ * @param {Function} fn - Call
+ * @param {String} text - Expected part of the message
+ * @returns {Boolean} - Thrown with the text
+ */
+function throwsWith(fn, text) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * A sender
+ * @param {String} key - Sender key
+ * @param {Number|null} seat - Seat
+ * @returns {Object} - { key, id, name, seat }
+ */
+function sender(key, seat = null) {
+    return { key, id: `socket-${ key }`, name: key.toUpperCase(), seat };
+}
+
+/**
+ * Run all chat tests
+ */
+function runChatTests() {
+    console.log("💬 Starting Chat Tests");
+
+    testMessages();
+    testEmotes();
+    testFilter();
+    testRateLimit();
+    testMutesAndBlocks();
+    testChannels();
+
+    console.log("✅ Chat Tests Completed");
+}
+
+/**
+ * Test posting messages
+ */
+function testMessages() {
+    console.log("  Testing messages...");
+
+    const chat = new Chat({ now: () => 1000 });
+    const message = chat.post('game:1', sender('a', 0), { text: '  Good   luck\n all ' });
+
+    assert(message.type === 'message' && message.text === 'Good luck all', 'Whitespace should be collapsed');
+    assert(message.from.seat === 0 && message.from.name === 'A' && message.sentAt === 1000, 'The sender and time should be kept');
+    assert(throwsWith(() => chat.post('game:1', sender('a'), { text: '   ' }), 'needs some text'), 'Empty messages should be rejected');
+    assert(throwsWith(() => chat.post('game:1', sender('a'), { text: 'x'.repeat(Chat.MAX_LENGTH + 1) }), 'at most'), 'Long messages should be rejected');
+
+    console.log("  ✓ Message tests passed");
+}
+
+/**
+ * Test emotes
+ */
+function testEmotes() {
+    console.log("  Testing emotes...");
+
+    const chat = new Chat();
+    const emote = chat.post('game:1', sender('a'), { emote: 'well_played' });
+
+    assert(emote.type === 'emote' && emote.emote === 'well_played' && emote.text === Chat.EMOTES.well_played, 'Emotes should carry their text');
+    assert(throwsWith(() => chat.post('game:1', sender('a'), { emote: 'rude' }), 'Unknown emote'), 'Unknown emotes should be rejected');
+    assert(Chat.listEmotes().some(entry => entry.id === 'ouch'), 'Emotes should be listed');
+
+    console.log("  ✓ Emote tests passed");
+}
+
+/**
+ * Test the word filter
+ */
+function testFilter() {
+    console.log("  Testing word filter...");
+
+    const chat = new Chat({ blockedWords: ['darn', 'c++'] });
+    assert(chat.filter('Darn it, DARN!') === 'D*** it, D***!', 'Blocked words should be starred out ignoring case');
+    assert(chat.filter('darning socks') === 'darning socks', 'Only whole words should be matched');
+    assert(chat.post('lobby:X', sender('a'), { text: 'oh darn' }).text === 'oh d***', 'Posted messages should be filtered');
+
+    chat.setBlockedWords([]);
+    assert(chat.filter('darn') === 'darn', 'An empty list should filter nothing');
+
+    const defaults = new Chat();
+    assert(defaults.filter('what the shit') === 'what the s***', 'The built-in list should apply by default');
+
+    console.log("  ✓ Word filter tests passed");
+}
+
+/**
+ * Test the rate limit shared by messages and emotes
+ */
+function testRateLimit() {
+    console.log("  Testing rate limit...");
+
+    let now = 0;
+    const chat = new Chat({ maxMessages: 3, rateWindowMs: 10000, now: () => now });
+
+    chat.post('game:1', sender('a'), { text: 'one' });
+    now = 2000;
+    chat.post('game:1', sender('a'), { emote: 'ouch' });
+    chat.post('game:1', sender('a'), { text: 'three' });
+    assert(throwsWith(() => chat.post('game:1', sender('a'), { text: 'four' }), 'wait 8s'), 'The fourth message within the window should be refused');
+    assert(chat.post('game:1', sender('b'), { text: 'hi' }), 'Other senders should have their own limit');
+
+    now = 10000;
+    assert(chat.post('game:1', sender('a'), { text: 'again' }), 'The oldest message should leave the window');
+    assert(chat.getHistory('game:1').length === 5, 'Refused messages should not be kept');
+
+    // Invalid messages do not use up the limit
+    const fresh = new Chat({ maxMessages: 1, now: () => 0 });
+    throwsWith(() => fresh.post('game:1', sender('a'), { text: '' }), 'text');
+    assert(fresh.post('game:1', sender('a'), { text: 'ok' }), 'A rejected message should not count');
+
+    console.log("  ✓ Rate limit tests passed");
+}
+
+/**
+ * Test mutes and blocks
+ */
+function testMutesAndBlocks() {
+    console.log("  Testing mutes and blocks...");
+
+    const chat = new Chat();
+    chat.post('game:1', sender('a'), { text: 'from a' });
+    chat.post('game:1', sender('b'), { text: 'from b' });
+
+    chat.mute('a', 'b');
+    assert(!chat.canHear('a', 'b') && chat.canHear('b', 'a'), 'A mute should only work one way');
+    assert(chat.getHistory('game:1', 'a').map(message => message.text).join() === 'from a', 'History should leave out muted senders');
+    chat.unmute('a', 'b');
+    assert(chat.canHear('a', 'b'), 'Unmuting should restore messages');
+
+    chat.block('a', 'b');
+    assert(!chat.canHear('a', 'b') && !chat.canHear('b', 'a'), 'A block should work both ways');
+    assert(chat.isBlocked('a', 'b') && !chat.isBlocked('b', 'a'), 'Only the blocking player should hold the block');
+    chat.unblock('a', 'b');
+    assert(chat.canHear('b', 'a'), 'Unblocking should restore messages');
+
+    assert(chat.canHear('a', 'a'), 'Players should always see their own messages');
+    assert(throwsWith(() => chat.mute('a', 'a'), 'yourself'), 'Muting oneself should be rejected');
+
+    console.log("  ✓ Mute and block tests passed");
+}
+
+/**
+ * Test channel history
+ */
+function testChannels() {
+    console.log("  Testing channels...");
+
+    const chat = new Chat({ historySize: 3, maxMessages: 10 });
+    ['one', 'two', 'three', 'four'].forEach(text => chat.post('lobby:X', sender('a'), { text }));
+    assert(chat.getHistory('lobby:X').map(message => message.text).join() === 'two,three,four', 'History should keep the latest messages');
+    assert(chat.getHistory('game:9').length === 0, 'Unknown channels should be empty');
+
+    chat.moveChannel('lobby:X', 'game:1');
+    const moved = chat.getHistory('game:1');
+    assert(moved.length === 3 && moved.every(message => message.channel === 'game:1'), 'Lobby chat should carry over to its game');
+    assert(chat.getHistory('lobby:X').length === 0, 'The old channel should be gone');
+
+    chat.deleteChannel('game:1');
+    assert(chat.getHistory('game:1').length === 0, 'Deleted channels should be empty');
+
+    console.log("  ✓ Channel tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runChatTests);
+} else {
+    // In Node.js, run the tests directly
+    runChatTests();
+}
+
+export default runChatTests;
@@ -0,0 +1,209 @@
+/**
+ * Deck Pack Test Suite
+ *
+ * Tests the deck pack schema, validation messages and loading packs through CardManager
+ */
+import DeckPack from '../core/DeckPack.js';
+import CardManager from '../core/CardManager.js';
+import { CLASSIC_PACK } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create a small valid pack
+ * @returns {Object} - Pack data
+ */
+function createPack() {
+    return {
+        manifest: { id: 'test-pack', name: 'Test Pack', version: '1.0.0', imageBase: 'cards/test/' },
+        categories: {
+            charisma: { label: 'Charisma', direction: 'higher' },
+            scandals: { label: 'Scandals', direction: 'lower' }
+        },
+        cards: [
+            { id: 'a', name: 'Card A', image: 'a.png', stats: { charisma: 7, scandals: 2 } },
+            { id: 'b', name: 'Card B', image: '/shared/b.png', quote: 'Hi', stats: { charisma: 4, scandals: 0 } },
+            { id: 'c', name: 'Card C', stats: { charisma: 5, scandals: 1 } }
+        ]
+    };
+}
+
+/**
+ * Run all DeckPack tests
+ */
+async function runDeckPackTests() {
+    console.log("🃏 Starting DeckPack Tests");
+
+    testValidPacks();
+    testSchemaErrors();
+    testConsistencyErrors();
+    testParse();
+    await testLoadCardsFromUrl();
+
+    console.log("✅ DeckPack Tests Completed");
+}
+
+/**
+ * Test that valid packs, including the built-in one, pass
+ */
+function testValidPacks() {
+    console.log("  Testing valid packs...");
+
+    assert(DeckPack.validate(createPack()).valid, 'Test pack should be valid');
+    assert(DeckPack.validate(CLASSIC_PACK).valid, 'Built-in classic pack should be valid');
+
+    console.log("  ✓ Valid pack tests passed");
+}
+
+/**
+ * Test that schema violations are reported with their path
+ */
+function testSchemaErrors() {
+    console.log("  Testing schema errors...");
+
+    const pack = createPack();
+    pack.manifest.version = 'one';
+    pack.cards[1].stats.charisma = 'high';
+    pack.cards[2].colour = 'red';
+    delete pack.cards[0].name;
+
+    const { valid, errors } = DeckPack.validate(pack);
+
+    assert(!valid, 'Broken pack should be invalid');
+    assert(errors.some(error => error.startsWith('pack.manifest.version:')), 'Version error should name its path');
+    assert(errors.includes('pack.cards[1].stats.charisma: must be of type number, got string'), 'Type error should be readable');
+    assert(errors.includes('pack.cards[2]: unknown property "colour"'), 'Unknown properties should be reported');
+    assert(errors.includes('pack.cards[0]: missing required property "name"'), 'Missing properties should be reported');
+
+    const empty = DeckPack.validate({ manifest: createPack().manifest, categories: {}, cards: [] });
+    assert(empty.errors.includes('pack.categories: must have at least 1 entry'), 'Packs need categories');
+    assert(empty.errors.includes('pack.cards: must contain at least 2 items'), 'Packs need cards');
+
+    assert(DeckPack.validate(null).errors[0] === 'pack: must be of type object, got null', 'Non-objects should be rejected');
+
+    console.log("  ✓ Schema error tests passed");
+}
+
+/**
+ * Test the checks the schema can't express
+ */
+function testConsistencyErrors() {
+    console.log("  Testing consistency errors...");
+
+    const pack = createPack();
+    pack.cards[2].id = 'a';
+    delete pack.cards[1].stats.scandals;
+    pack.cards[0].stats.wealth = 3;
+    pack.categories.charisma.comparator = 'doesNotExist';
+
+    const { errors } = DeckPack.validate(pack);
+
+    assert(errors.includes('pack.cards[2].id: duplicate card id "a"'), 'Duplicate IDs should be reported');
+    assert(errors.includes('pack.cards[1].stats: missing value for category "scandals" (Card B)'), 'Missing stats should be reported');
+    assert(errors.includes('pack.cards[0].stats.wealth: not a declared category'), 'Undeclared stats should be reported');
+    assert(errors.includes('pack.categories.charisma.comparator: unknown comparator "doesNotExist"'), 'Unknown comparators should be reported');
+
+    console.log("  ✓ Consistency error tests passed");
+}
+
+/**
+ * Test normalization of a valid pack and the error of an invalid one
+ */
+function testParse() {
+    console.log("  Testing parse...");
+
+    const pack = DeckPack.parse(createPack());
+
+    assert(pack.id === 'test-pack' && pack.cards.length === 3, 'Parsed pack should keep its cards');
+    assert(pack.cards[0].image === 'cards/test/a.png', 'Relative images should use imageBase');
+    assert(pack.cards[1].image === '/shared/b.png', 'Absolute images should be kept');
+    assert(pack.cards[2].image === null, 'Cards may leave out the image');
+
+    const summary = DeckPack.summarize(pack);
+    assert(summary.cardCount === 3 && summary.categories[1].direction === 'lower', 'Summary should describe the pack');
+
+    let message = '';
+    try {
+        DeckPack.parse({ ...createPack(), cards: [] }, 'decks/empty.json');
+    } catch (error) {
+        message = error.message;
+    }
+    assert(message.startsWith('Invalid deck pack (decks/empty.json):'), 'Error should name the source');
+    assert(message.includes('pack.cards: must contain at least 2 items'), 'Error should list the problems');
+
+    console.log("  ✓ Parse tests passed");
+}
+
+/**
+ * Test CardManager.loadCardsFromUrl with packs and plain card lists
+ */
+async function testLoadCardsFromUrl() {
+    console.log("  Testing CardManager.loadCardsFromUrl...");
+
+    const responses = {
+        'decks/test.json': { ok: true, status: 200, body: createPack() },
+        'decks/legacy.json': { ok: true, status: 200, body: { cards: [{ id: 'x' }] } },
+        'decks/broken.json': { ok: true, status: 200, body: { ...createPack(), categories: {} } },
+        'decks/missing.json': { ok: false, status: 404, statusText: 'Not Found' }
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async url => {
+        const response = responses[url];
+        return { ...response, json: async () => response.body };
+    };
+
+    try {
+        const loaded = [];
+        const manager = new CardManager({ emit: (event, id) => loaded.push(`${ event }:${ id }`) });
+
+        const pack = await manager.loadCardsFromUrl('decks/test.json');
+        assert(pack.id === 'test-pack' && manager.getAllCards().length === 3, 'Pack cards should be loaded');
+        assert(!manager.categoryRules.isHigherBetter('scandals'), 'Pack categories should be applied');
+        assert(loaded.join(',') === 'deck:loaded:test-pack', 'Loading a pack should be announced');
+
+        const legacy = new CardManager(null);
+        assert(await legacy.loadCardsFromUrl('decks/legacy.json') === null, 'Plain card lists should still load');
+        assert(legacy.getAllCards().length === 1, 'Plain card lists should add their cards');
+
+        for (const [url, expected] of [['decks/broken.json', 'pack.categories'], ['decks/missing.json', '404 Not Found']]) {
+            let message = '';
+            try {
+                await manager.loadCardsFromUrl(url);
+            } catch (error) {
+                message = error.message;
+            }
+            assert(message.includes(url) && message.includes(expected), `Loading ${ url } should fail clearly`);
+        }
+        assert(manager.pack.id === 'test-pack', 'A failed load should keep the current pack');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    console.log("  ✓ CardManager.loadCardsFromUrl tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runDeckPackTests);
+} else {
+    // In Node.js, run the tests directly
+    runDeckPackTests();
+}
+
+export default runDeckPackTests;
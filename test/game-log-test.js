@@ -0,0 +1,285 @@
+/**
+ * Game Log Test Suite
+ *
+ * Tests the append-only log of core/GameLog: writing and reading entries,
+ * a log cut short by a crash, and rebuilding games through GameEngine
+ */
+import GameLog from '../core/GameLog.js';
+import GameEngine from '../core/GameEngine.js';
+import GameEvents from '../core/GameEvents.js';
+import SeededRandom from '../core/SeededRandom.js';
+import ReplayRecorder from '../core/ReplayRecorder.js';
+import DeckPack from '../core/DeckPack.js';
+import CategoryRules from '../core/CategoryRules.js';
+import DealCommitment from '../core/DealCommitment.js';
+import { CLASSIC_PACK } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+const PACK = DeckPack.parse(CLASSIC_PACK, 'js/card-data.js');
+
+/**
+ * Engine for the classic pack, as the server creates it
+ * @param {String} seed - Seed
+ * @param {String} salt - Secret salt mixed into the seed (optional)
+ * @returns {GameEngine} - Engine
+ */
+function createEngine(seed, salt = null) {
+    return new GameEngine(new CategoryRules(PACK.categories), new SeededRandom(DealCommitment.shuffleSeed(seed, salt)));
+}
+
+/**
+ * Deal a game the way the server does and log it
+ * @param {String} seed - Seed
+ * @param {Number} seats - Number of players
+ * @returns {Object} - { engine, log, lines, startingSeat }, lines being what was written
+ */
+function startLoggedGame(seed, seats = 2) {
+    const lines = [];
+    const log = new GameLog({ write: line => lines.push(line) });
+    const engine = createEngine(seed, 'salt');
+
+    log.append('created', { version: GameLog.VERSION, gameId: `game-${ seed }`, maxPlayers: seats, deckId: 'classic', seed, salt: 'salt' });
+    for (let seat = 0; seat < seats; seat++) {
+        log.append('seated', { accountId: `account-${ seat }`, name: `Player ${ seat + 1 }` });
+    }
+
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...PACK.cards]), seats), null);
+    log.append('started', { requestedSeat: null, series: null });
+
+    return { engine, log, lines, startingSeat: engine.currentPlayerIndex };
+}
+
+/**
+ * Choose a category for the seat whose turn it is and play the round, logging both
+ * @param {Object} game - From startLoggedGame()
+ * @param {Object} options - { timedOut, moveId } (optional)
+ * @returns {Object} - Round result
+ */
+function playLoggedRound({ engine, log }, options = {}) {
+    const seat = engine.currentPlayerIndex;
+    const category = engine.categoryRules.getKeys()[engine.roundsPlayed % engine.categoryRules.getKeys().length];
+
+    log.append('category', { seat, category, timedOut: Boolean(options.timedOut), moveId: options.moveId || null });
+    log.append('round');
+    return engine.compareCards(category);
+}
+
+/**
+ * Restore a logged game into a fresh engine
+ * @param {Object} game - From startLoggedGame()
+ * @param {String} seed - Seed it was dealt from
+ * @param {Object} events - Emitter for the replayed events (optional)
+ * @returns {Object} - { engine, restored }
+ */
+function restoreLoggedGame({ lines }, seed, events = null) {
+    const engine = createEngine(seed, 'salt');
+    const restored = GameLog.restore(GameLog.parse(lines.join('')), { engine, cards: PACK.cards, events });
+    return { engine, restored };
+}
+
+/**
+ * Run all game log tests
+ */
+function runGameLogTests() {
+    console.log("📜 Starting Game Log Tests");
+
+    testAppendAndParse();
+    testTornLog();
+    testRestoreRounds();
+    testRestoreRecorder();
+    testRestoreSeatChanges();
+    testRestoreErrors();
+
+    console.log("✅ Game Log Tests Completed");
+}
+
+/**
+ * Test that entries are numbered, written as lines and read back
+ */
+function testAppendAndParse() {
+    console.log("  Testing append and parse...");
+
+    const lines = [];
+    const log = new GameLog({ write: line => lines.push(line) });
+    const first = log.append('created', { version: GameLog.VERSION, gameId: 'g1' });
+    log.append('round');
+
+    assert(first.seq === 1 && first.type === 'created' && Number.isFinite(first.at), 'Entries should be numbered and timed');
+    assert(lines.length === 2 && lines.every(line => line.endsWith('\n')), 'Every entry should be written as one line');
+
+    const entries = GameLog.parse(lines.join(''));
+    assert(entries.length === 2 && entries[0].gameId === 'g1' && entries[1].seq === 2, 'Written entries should be read back');
+
+    const resumed = new GameLog({ entries });
+    assert(resumed.append('round').seq === 3, 'A log read back should continue its numbering');
+    assert(GameLog.parse('').length === 0, 'An empty file should have no entries');
+
+    console.log("  ✓ Append and parse tests passed");
+}
+
+/**
+ * Test logs a crash left behind
+ */
+function testTornLog() {
+    console.log("  Testing torn logs...");
+
+    const text = `${ GameLog.encode({ seq: 1, type: 'created' }) }${ GameLog.encode({ seq: 2, type: 'round' }) }{"seq":3,"ty`;
+    assert(GameLog.parse(text).length === 2, 'A last line cut short should be dropped');
+
+    let error = null;
+    try {
+        GameLog.parse(`{"seq":1,"ty\n${ GameLog.encode({ seq: 2, type: 'round' }) }`);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('Line 1'), 'A broken line before the end should be refused');
+
+    error = null;
+    try {
+        GameLog.parse(`${ GameLog.encode({ seq: 1, type: 'created' }) }${ GameLog.encode({ seq: 3, type: 'round' }) }`);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('numbered 3'), 'A log with missing entries should be refused');
+
+    console.log("  ✓ Torn log tests passed");
+}
+
+/**
+ * Test that replaying the log through a new engine gives the same game
+ */
+function testRestoreRounds() {
+    console.log("  Testing restored rounds...");
+
+    const game = startLoggedGame('restore');
+    const dealt = game.engine.hands.map(hand => hand.map(card => card.id));
+    let last = null;
+    for (let round = 0; round < 5; round++) {
+        last = playLoggedRound(game, { moveId: `move-${ round }` });
+    }
+    const pending = game.engine.categoryRules.getKeys()[0];
+    game.log.append('category', { seat: game.engine.currentPlayerIndex, category: pending, timedOut: true, moveId: null });
+
+    const { engine, restored } = restoreLoggedGame(game, 'restore');
+
+    assert(restored.state === 'in_progress', 'A game with rounds left should still be running');
+    assert(JSON.stringify(engine.hands) === JSON.stringify(game.engine.hands), 'Hands should be the same as in the live game');
+    assert(engine.roundsPlayed === 5 && engine.currentPlayerIndex === game.engine.currentPlayerIndex, 'Rounds and turn should be the same');
+    assert(engine.points.join() === game.engine.points.join() && engine.tieCards.length === game.engine.tieCards.length, 'Points and tie pile should be the same');
+    assert(JSON.stringify(restored.dealtHands.map(hand => hand.map(card => card.id))) === JSON.stringify(dealt), 'The hands as dealt should be kept for the commitment');
+    assert(restored.seats.map(seat => seat.accountId).join() === 'account-0,account-1', 'Seats should be taken in order');
+    assert(restored.lastRoundResult.category === last.category, 'The last round result should be known');
+    assert(restored.selectedCategory === pending, 'A category chosen but not yet played should still be pending');
+    assert(restored.timeouts[game.engine.currentPlayerIndex] === 1, 'Timeouts in a row should be counted');
+    assert(restored.moveIds.length === 5 && restored.moveIds[0] === 'move-0', 'Processed move IDs should be kept');
+    assert(restored.salt === 'salt' && restored.startingSeat === game.startingSeat, 'The salt and starting seat should be kept');
+
+    console.log("  ✓ Restored round tests passed");
+}
+
+/**
+ * Test that a replay recorder following the restore records the same rounds
+ */
+function testRestoreRecorder() {
+    console.log("  Testing restored replays...");
+
+    const game = startLoggedGame('recorder');
+    for (let round = 0; round < 4; round++) {
+        playLoggedRound(game);
+    }
+
+    const events = new GameEvents();
+    const recorder = new ReplayRecorder({ gameId: 'game-recorder' }).attach(events);
+    restoreLoggedGame(game, 'recorder', events);
+
+    const replay = recorder.getReplay();
+    assert(replay && replay.rounds.length === 4, 'Every restored round should be recorded');
+    assert(replay.players.join() === 'Player 1,Player 2' && replay.seed === 'recorder', 'The deal should be recorded with its players and seed');
+    assert(replay.initialHands[0].length === PACK.cards.length / 2, 'The initial hands should be recorded');
+
+    console.log("  ✓ Restored replay tests passed");
+}
+
+/**
+ * Test forfeits, vacated seats and players leaving
+ */
+function testRestoreSeatChanges() {
+    console.log("  Testing restored seat changes...");
+
+    const forfeited = startLoggedGame('forfeit');
+    playLoggedRound(forfeited);
+    forfeited.log.append('forfeit', { seat: 1 });
+    const afterForfeit = restoreLoggedGame(forfeited, 'forfeit');
+    assert(afterForfeit.restored.state === 'completed' && afterForfeit.engine.endReason === 'forfeit', 'A forfeited two-player game should be over');
+
+    const vacated = startLoggedGame('vacated', 3);
+    playLoggedRound(vacated);
+    vacated.log.append('vacated', { seat: 2 });
+    const afterVacate = restoreLoggedGame(vacated, 'vacated');
+    assert(afterVacate.restored.state === 'in_progress', 'A game with two seats left should go on');
+    assert(afterVacate.engine.isEliminated(2) && afterVacate.restored.seats[2].accountId === null, 'A vacated seat should be empty');
+    assert(afterVacate.restored.seats[2].name === 'Player 3', 'A vacated seat should keep its name');
+
+    const left = startLoggedGame('left');
+    left.log.append('left', { seat: 0 });
+    const afterLeave = restoreLoggedGame(left, 'left');
+    assert(afterLeave.restored.state === 'completed' && afterLeave.restored.seats.length === 1, 'A game someone left should be over');
+
+    const waiting = new GameLog();
+    waiting.append('created', { version: GameLog.VERSION, gameId: 'waiting', seed: 'w' });
+    waiting.append('seated', { accountId: 'a1', name: 'Ada' });
+    const restoredWaiting = GameLog.restore(waiting.entries, { engine: createEngine('w'), cards: PACK.cards });
+    assert(restoredWaiting.state === 'waiting' && restoredWaiting.seats.length === 1, 'A game that was not dealt should still be waiting');
+
+    console.log("  ✓ Restored seat change tests passed");
+}
+
+/**
+ * Test logs that cannot be restored
+ */
+function testRestoreErrors() {
+    console.log("  Testing restore errors...");
+
+    const restore = entries => {
+        try {
+            GameLog.restore(entries, { engine: createEngine('x'), cards: PACK.cards });
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    assert(restore([{ seq: 1, type: 'round' }]).includes('created'), 'A log should start with its created entry');
+    assert(restore([{ seq: 1, type: 'created', version: GameLog.VERSION + 1 }]).includes('version'), 'Other versions should be refused');
+    assert(restore([{ seq: 1, type: 'created', version: GameLog.VERSION }, { seq: 2, type: 'shuffled' }]).includes('Unknown'), 'Unknown entries should be refused');
+    assert(restore([{ seq: 1, type: 'created', version: GameLog.VERSION }, { seq: 2, type: 'round' }]).includes('could not be played'), 'A round without a deal should be refused');
+
+    console.log("  ✓ Restore error tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runGameLogTests);
+} else {
+    // In Node.js, run the tests directly
+    runGameLogTests();
+}
+
+export default runGameLogTests;
@@ -0,0 +1,183 @@
+/**
+ * Game Store Test Suite
+ *
+ * Tests core/MemoryGameStore and core/RedisGameStore against the same
+ * expectations, the Redis one with a stand-in client that keeps its hashes
+ * in memory, and loading a shared queue into core/MatchmakingQueue
+ */
+import MemoryGameStore from '../core/MemoryGameStore.js';
+import RedisGameStore from '../core/RedisGameStore.js';
+import MatchmakingQueue from '../core/MatchmakingQueue.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Stand-in for a Redis client with the hash commands the store uses
+ * Values are stored as strings and HDEL answers a count, like Redis does.
+ * @returns {Object} - Client with hget, hset, hdel and hgetall
+ */
+function createRedisStandIn() {
+    const hashes = new Map();
+    const hash = key => {
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        return hashes.get(key);
+    };
+
+    return {
+        hashes,
+        hget: async (key, field) => (hash(key).has(field) ? hash(key).get(field) : null),
+        hset: async (key, field, value) => {
+            const isNew = !hash(key).has(field);
+            hash(key).set(field, String(value));
+            return isNew ? 1 : 0;
+        },
+        hdel: async (key, field) => (hash(key).delete(field) ? 1 : 0),
+        hgetall: async key => Object.fromEntries(hash(key))
+    };
+}
+
+/**
+ * Run all game store tests
+ */
+async function runGameStoreTests() {
+    console.log("🗄️ Starting Game Store Tests");
+
+    await testStore('memory', new MemoryGameStore());
+    await testStore('Redis', new RedisGameStore(createRedisStandIn()));
+    await testRedisKeys();
+    testQueueLoad();
+
+    console.log("✅ Game Store Tests Completed");
+}
+
+/**
+ * Test the methods both stores share
+ * @param {String} name - Store name for the messages
+ * @param {Object} store - Empty store
+ */
+async function testStore(name, store) {
+    console.log(`  Testing the ${ name } store...`);
+
+    // Games
+    const record = { id: 'g1', node: 'node-a', state: 'waiting', maxPlayers: 2, playerTokens: ['t1'], updatedAt: 1 };
+    await store.saveGame(record);
+    record.state = 'changed';
+    assert((await store.getGame('g1')).state === 'waiting', 'Saved games should not change with the caller\'s object');
+
+    const loaded = await store.getGame('g1');
+    loaded.playerTokens.push('t2');
+    assert((await store.getGame('g1')).playerTokens.length === 1, 'Loaded games should be copies');
+
+    await store.saveGame({ ...loaded, state: 'active' });
+    await store.saveGame({ id: 'g2', node: 'node-b', state: 'waiting', playerTokens: [] });
+    assert((await store.getGame('g1')).state === 'active', 'Saving a game again should replace it');
+    assert((await store.listGames()).map(game => game.id).sort().join() === 'g1,g2', 'Every game should be listed');
+    assert(await store.getGame('missing') === null, 'Unknown games should be null');
+    assert(await store.deleteGame('g2') === true, 'Deleting a stored game should report it');
+    assert(await store.deleteGame('g2') === false, 'Deleting it again should not');
+
+    // Sessions
+    await store.saveSession({ token: 't1', gameId: 'g1' });
+    assert((await store.getSession('t1')).gameId === 'g1', 'Sessions should be stored by token');
+    await store.saveSession({ token: 't1', gameId: 'g3' });
+    assert((await store.getSession('t1')).gameId === 'g3', 'Saving a session again should replace it');
+    assert(await store.deleteSession('t1') === true && await store.getSession('t1') === null, 'Sessions should be deletable');
+
+    // Queues
+    await store.enqueue('casual', { id: 'p2', key: '', joinedAt: 20, node: 'node-b', gameId: 'g2' });
+    await store.enqueue('casual', { id: 'p1', key: '', joinedAt: 10, node: 'node-a', gameId: 'g1' });
+    await store.enqueue('ranked', { id: 'p3', key: '', rating: 1200, joinedAt: 5 });
+    assert((await store.getQueue('casual')).map(entry => entry.id).join() === 'p1,p2', 'Queues should be served oldest first');
+    assert((await store.getQueue('casual'))[1].node === 'node-b', 'Queue entries should keep their fields');
+    assert((await store.getQueue('unknown')).length === 0, 'Unknown queues should be empty');
+
+    await store.enqueue('casual', { id: 'p1', key: '', joinedAt: 30 });
+    assert((await store.getQueue('casual')).map(entry => entry.id).join() === 'p2,p1', 'Queueing again should replace the entry');
+
+    // Two processes claiming the same player: only one of them gets it
+    const claims = await Promise.all([store.dequeue('casual', 'p2'), store.dequeue('casual', 'p2')]);
+    assert(claims.filter(Boolean).length === 1, 'Only one claim of an entry should succeed');
+    assert(await store.dequeue('unknown', 'p2') === false, 'Claims on unknown queues should fail');
+    assert((await store.getQueue('ranked')).length === 1, 'Queues should be kept apart');
+
+    console.log(`  ✓ ${ name } store tests passed`);
+}
+
+/**
+ * Test how the Redis store lays out its keys
+ */
+async function testRedisKeys() {
+    console.log("  Testing Redis keys...");
+
+    let failed = false;
+    try {
+        new RedisGameStore({});
+    } catch (error) {
+        failed = true;
+    }
+    assert(failed, 'A client without hash commands should be refused');
+
+    const client = createRedisStandIn();
+    const store = new RedisGameStore(client, { prefix: 'test' });
+    await store.saveGame({ id: 'g1', state: 'waiting' });
+    await store.saveSession({ token: 't1', gameId: 'g1' });
+    await store.enqueue('ranked', { id: 'p1', rating: 1000, joinedAt: 1 });
+
+    assert([...client.hashes.keys()].sort().join() === 'test:games,test:queue:ranked,test:sessions', 'Records should live in prefixed hashes');
+    assert(JSON.parse(client.hashes.get('test:games').get('g1')).state === 'waiting', 'Records should be stored as JSON');
+    assert(new RedisGameStore(client).key('games') === `${ RedisGameStore.DEFAULT_PREFIX }:games`, 'The prefix should have a default');
+
+    console.log("  ✓ Redis key tests passed");
+}
+
+/**
+ * Test loading the entries of a shared queue
+ */
+function testQueueLoad() {
+    console.log("  Testing queue loading...");
+
+    const queue = new MatchmakingQueue({ ranked: true, now: () => 10000 });
+    queue.add({ id: 'local', rating: 1000 });
+    queue.load([
+        { id: 'p2', rating: 1050, joinedAt: 9000, node: 'node-b' },
+        { id: 'p1', key: 'deck', rating: 1000, joinedAt: 1000, node: 'node-a' },
+        { id: 'p3', key: 'deck', rating: 1020, joinedAt: 5000, node: 'node-b' }
+    ]);
+
+    assert(!queue.has('local'), 'Loading should replace the waiting entries');
+    assert(queue.entries.map(entry => entry.id).join() === 'p1,p3,p2', 'Loaded entries should be served oldest first');
+    assert(queue.entries[2].key === '', 'Loaded entries should get the default key');
+    assert(queue.getStatus('p1').waitedMs === 9000, 'Loaded entries should keep when they joined');
+
+    const matches = queue.findMatches();
+    assert(matches.length === 1 && matches[0][0].id === 'p1' && matches[0][1].id === 'p3', 'Loaded entries should be matched by key and rating');
+    assert(matches[0][1].node === 'node-b', 'Matched entries should keep their own fields');
+
+    console.log("  ✓ Queue loading tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runGameStoreTests);
+} else {
+    // In Node.js, run the tests directly
+    runGameStoreTests();
+}
+
+export default runGameStoreTests;
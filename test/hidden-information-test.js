@@ -0,0 +1,199 @@
+/**
+ * Hidden Information Test Suite
+ *
+ * Tests the per-seat views of core/GameEngine, which only show a seat its
+ * own top card, and the commit-reveal proof of the deal in
+ * core/DealCommitment
+ */
+import GameEngine from '../core/GameEngine.js';
+import SeededRandom from '../core/SeededRandom.js';
+import DealCommitment from '../core/DealCommitment.js';
+import SpectatorFeed from '../core/SpectatorFeed.js';
+import CardEffects from '../core/CardEffects.js';
+import { CARD_DATA } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Deal the classic deck from a seed and salt the way the server does
+ * @param {String} seed - Seed
+ * @param {Number} seats - Number of players
+ * @param {String} salt - Secret salt (optional)
+ * @returns {GameEngine} - Engine with the hands dealt
+ */
+function dealGame(seed, seats = 2, salt = null) {
+    const engine = new GameEngine(null, new SeededRandom(DealCommitment.shuffleSeed(seed, salt)));
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), seats), 0);
+    return engine;
+}
+
+/**
+ * Run all hidden information tests
+ */
+async function runHiddenInformationTests() {
+    console.log("🙈 Starting Hidden Information Tests");
+
+    testSeatView();
+    testRoundEffects();
+    await testCommitment();
+    await testVerify();
+    testKnownSeed();
+
+    console.log("✅ Hidden Information Tests Completed");
+}
+
+/**
+ * Test that a seat only sees its own top card
+ */
+function testSeatView() {
+    console.log("  Testing seat views...");
+
+    const engine = dealGame('hidden', 3);
+    engine.tieCards.push(engine.hands[2].pop());
+    const view = engine.getSeatView(1);
+
+    assert(view.hands[1][0] === engine.hands[1][0], 'The seat should see its own top card');
+    assert(view.hands[1].slice(1).every(card => card === null), 'The rest of its hand should be hidden');
+    assert(view.hands[0].every(card => card === null) && view.hands[2].every(card => card === null), 'Other hands should be hidden');
+    assert(view.hands.every((hand, seat) => hand.length === engine.hands[seat].length), 'Hand sizes should stay readable');
+    assert(view.cardCounts.join() === engine.hands.map(hand => hand.length).join(), 'Card counts should be given');
+    assert(view.tieCards.length === 1 && view.tieCards[0] === null, 'The tie pile should be face down');
+    assert(view.seed === null && view.seat === 1, 'The seed should be left out');
+    assert(engine.getState().hands[0][0] !== null, 'The full state should be left alone');
+
+    engine.hands[1] = [];
+    assert(engine.getSeatView(1).hands[1].length === 0, 'An empty hand should stay empty');
+
+    console.log("  ✓ Seat view tests passed");
+}
+
+/**
+ * Test that card effects in a round result do not give away the next cards
+ */
+function testRoundEffects() {
+    console.log("  Testing round effects...");
+
+    // Coalition borrows the value of the seat's next card, which nobody else may see yet
+    const [leader, teammate, other, otherNext] = CARD_DATA;
+    const engine = new GameEngine();
+    engine.initializePlayers([[{ ...leader, effects: [{ type: 'coalition' }] }, teammate], [other, otherNext]], 0);
+    const result = engine.compareCards('charisma');
+
+    assert(result.effects.length === 1 && result.effects[0].type === 'coalition', 'Coalition should trigger');
+
+    // Neither the bonus nor the total it makes may show, in seat views (see adjustRoundResult() in server.js) or spectator views
+    const bonus = String(teammate.stats.charisma);
+    const total = String(leader.stats.charisma + teammate.stats.charisma);
+    assert(!result.effects[0].description.includes(bonus), 'The description should not give the bonus');
+    [CardEffects.redact(result.effects), SpectatorFeed.buildRound(result).effects].forEach((effects) => {
+        const text = JSON.stringify(effects);
+        assert(!text.includes(teammate.name) && !text.includes(teammate.id), 'The teammate should not be named');
+        assert(effects[0].changes === null && !text.includes(bonus) && !text.includes(total), 'The bonus should not be given away');
+    });
+    assert(engine.hands[0][0] === teammate, 'The teammate should stay hidden in hand');
+
+    console.log("  ✓ Round effect tests passed");
+}
+
+/**
+ * Test making a commitment
+ */
+async function testCommitment() {
+    console.log("  Testing commitments...");
+
+    const engine = dealGame('commit');
+    const reveal = DealCommitment.createReveal({ gameId: 'g1', deckId: 'classic', seed: engine.seed, salt: 'abc', hands: engine.hands });
+
+    assert(reveal.hands[0][0] === engine.hands[0][0].id, 'The reveal should list card IDs');
+    assert(reveal.hands.flat().length === CARD_DATA.length, 'The reveal should hold the whole deal');
+
+    // The server hashes with Node's crypto module, so the digest must be plain SHA-256
+    assert(await DealCommitment.digest('abc') === 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+        'The digest should be SHA-256 in lowercase hex');
+
+    const commitment = await DealCommitment.digest(DealCommitment.encode(reveal));
+    assert(commitment === await DealCommitment.digest(DealCommitment.encode({ ...reveal })), 'The commitment should only depend on the reveal');
+
+    const salted = await DealCommitment.digest(DealCommitment.encode({ ...reveal, salt: 'abd' }));
+    assert(salted !== commitment, 'The salt should change the commitment');
+
+    console.log("  ✓ Commitment tests passed");
+}
+
+/**
+ * Test checking a revealed deal
+ */
+async function testVerify() {
+    console.log("  Testing verification...");
+
+    const engine = dealGame('verify', 2, 'xyz');
+    const reveal = DealCommitment.createReveal({ gameId: 'g2', deckId: 'classic', seed: 'verify', salt: 'xyz', hands: engine.hands });
+    const commitment = await DealCommitment.digest(DealCommitment.encode(reveal));
+
+    const basic = await DealCommitment.verify(commitment, reveal);
+    assert(basic.valid && basic.hashMatches && basic.dealMatches === null && basic.firstCardMatches === null,
+        'Only the hash should be checked without a deck or a seen card');
+
+    const full = await DealCommitment.verify(commitment, reveal, { deck: CARD_DATA, seat: 1, firstCardId: engine.hands[1][0].id });
+    assert(full.valid && full.dealMatches && full.firstCardMatches, 'A fair deal should pass every check');
+
+    const swapped = { ...reveal, hands: [reveal.hands[1], reveal.hands[0]] };
+    assert(!(await DealCommitment.verify(commitment, swapped)).hashMatches, 'A changed deal should not match the commitment');
+
+    // A consistent reveal the seed does not produce is caught with the deck
+    const forged = { ...reveal, hands: [[...reveal.hands[0]].reverse(), reveal.hands[1]] };
+    const forgedCheck = await DealCommitment.verify(await DealCommitment.digest(DealCommitment.encode(forged)), forged, { deck: CARD_DATA });
+    assert(forgedCheck.hashMatches && forgedCheck.dealMatches === false && !forgedCheck.valid, 'A deal the seed does not produce should fail');
+
+    const wrongCard = await DealCommitment.verify(commitment, reveal, { seat: 0, firstCardId: 'someone-else' });
+    assert(!wrongCard.valid && wrongCard.firstCardMatches === false, 'A first card that was not dealt should fail');
+
+    const resalted = { ...reveal, salt: 'abc' };
+    const resaltedCheck = await DealCommitment.verify(await DealCommitment.digest(DealCommitment.encode(resalted)), resalted, { deck: CARD_DATA });
+    assert(resaltedCheck.dealMatches === false, 'The deal should only come from the seed with its own salt');
+
+    console.log("  ✓ Verification tests passed");
+}
+
+/**
+ * Test that a seed known in advance does not give the deal away
+ */
+function testKnownSeed() {
+    console.log("  Testing known seeds...");
+
+    const seed = SeededRandom.dailySeed(new Date('2024-05-01'));
+    const ids = engine => JSON.stringify(engine.hands.map(hand => hand.map(card => card.id)));
+    const dealt = dealGame(seed, 2, 'secret');
+
+    assert(ids(dealt) !== ids(dealGame(seed)), 'The seed alone should not deal the same hands');
+    assert(ids(dealt) !== ids(dealGame(seed, 2, 'other')), 'Another salt should deal other hands');
+    assert(ids(dealt) === ids(dealGame(seed, 2, 'secret')), 'The seed and salt should deal the same hands again');
+
+    console.log("  ✓ Known seed tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runHiddenInformationTests);
+} else {
+    // In Node.js, run the tests directly
+    runHiddenInformationTests();
+}
+
+export default runHiddenInformationTests;
@@ -0,0 +1,249 @@
+/**
+ * Leaderboard Test Suite
+ *
+ * Tests standings and card statistics of finished games, their filters by
+ * season, deck pack and mode, paging and the leaderboard file
+ */
+import Leaderboard from '../core/Leaderboard.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * A finished two-player replay
+ * @param {Object} options - { deckId, finishedAt, winnerSeat, rounds: [[category, cardId0, cardId1, winnerSeat]] }
+ * @returns {Object} - Replay
+ */
+function createReplay(options = {}) {
+    return {
+        deckId: options.deckId || 'classic',
+        finishedAt: options.finishedAt || '2024-05-10T12:00:00.000Z',
+        result: { winnerSeat: options.winnerSeat === undefined ? 0 : options.winnerSeat },
+        rounds: (options.rounds || [['economy', 'c1', 'c2', 0]]).map(([category, card0, card1, winnerSeat, cancelled]) => ({
+            category,
+            winnerSeat,
+            cancelled: Boolean(cancelled),
+            plays: [{ seat: 0, cardId: card0 }, { seat: 1, cardId: card1 }]
+        }))
+    };
+}
+
+/**
+ * Run all leaderboard tests
+ */
+function runLeaderboardTests() {
+    console.log("🏆 Starting Leaderboard Tests");
+
+    testSeasons();
+    testStandings();
+    testFilters();
+    testPaging();
+    testCardStats();
+    testQueryValidation();
+    testSerialization();
+
+    console.log("✅ Leaderboard Tests Completed");
+}
+
+/**
+ * Test that seasons are calendar months
+ */
+function testSeasons() {
+    console.log("  Testing seasons...");
+
+    assert(Leaderboard.getSeason('2024-05-31T23:59:59.000Z') === '2024-05', 'The end of May should be in May');
+    assert(Leaderboard.getSeason('2024-06-01T00:00:00.000Z') === '2024-06', 'June should start a new season');
+
+    const leaderboard = new Leaderboard();
+    leaderboard.recordGame(createReplay({ finishedAt: '2024-04-02T10:00:00.000Z' }), { accountIds: ['a', 'b'] });
+    leaderboard.recordGame(createReplay({ finishedAt: '2024-05-02T10:00:00.000Z' }), { accountIds: ['a', 'b'] });
+    assert(leaderboard.listSeasons().join() === '2024-05,2024-04', 'Seasons should be listed newest first');
+
+    console.log("  ✓ Season tests passed");
+}
+
+/**
+ * Test the order of the standings
+ */
+function testStandings() {
+    console.log("  Testing standings...");
+
+    const leaderboard = new Leaderboard();
+    leaderboard.recordGame(createReplay({ winnerSeat: 0 }), { accountIds: ['a', 'b'] });
+    leaderboard.recordGame(createReplay({ winnerSeat: 0 }), { accountIds: ['b', 'c'] });
+    leaderboard.recordGame(createReplay({ winnerSeat: 1 }), { accountIds: ['c', 'b'] });
+    leaderboard.recordGame(createReplay({ winnerSeat: null }), { accountIds: ['a', null] });
+
+    const { players, total } = leaderboard.getStandings();
+    assert(total === 3, 'Guests should not be ranked');
+    assert(players.map(player => player.id).join() === 'b,a,c', 'Most wins first, then the better win rate');
+    assert(players[0].rank === 1 && players[0].wins === 2 && players[0].losses === 1 && players[0].winRate === 0.667, 'Win rate should be rounded');
+    assert(players[1].draws === 1 && players[1].gamesPlayed === 2, 'Draws should count as games');
+    assert(players[0].roundsPlayed === 3 && players[0].roundsWon === 1, 'Rounds should be counted per seat played');
+
+    console.log("  ✓ Standings tests passed");
+}
+
+/**
+ * Test filtering by season, deck pack and mode
+ */
+function testFilters() {
+    console.log("  Testing filters...");
+
+    const leaderboard = new Leaderboard();
+    leaderboard.recordGame(createReplay(), { accountIds: ['a', 'b'], mode: 'ranked' });
+    leaderboard.recordGame(createReplay({ deckId: 'campaign' }), { accountIds: ['a', 'b'] });
+    leaderboard.recordGame(createReplay({ finishedAt: '2024-06-01T08:00:00.000Z', winnerSeat: 1 }), { accountIds: ['a', 'b'] });
+
+    const wins = query => {
+        const player = leaderboard.getStandings(Leaderboard.parseQuery(query)).players.find(entry => entry.id === 'a');
+        return player ? player.wins : 0;
+    };
+
+    assert(wins({}) === 2, 'No filter should count every game');
+    assert(wins({ mode: 'ranked' }) === 1, 'Mode should filter');
+    assert(wins({ deckId: 'campaign' }) === 1, 'Deck pack should filter');
+    assert(wins({ season: '2024-06' }) === 0, 'Season should filter');
+    assert(wins({ season: '2024-05', deckId: 'classic', mode: 'casual' }) === 0, 'Filters should combine');
+
+    let error = null;
+    try {
+        leaderboard.recordGame(createReplay(), { accountIds: ['a', 'b'], mode: 'practice' });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('Unknown mode'), 'Unknown modes should be rejected');
+
+    console.log("  ✓ Filter tests passed");
+}
+
+/**
+ * Test that standings come in pages
+ */
+function testPaging() {
+    console.log("  Testing paging...");
+
+    const leaderboard = new Leaderboard();
+    for (let i = 0; i < 5; i++) {
+        leaderboard.recordGame(createReplay(), { accountIds: [`p${ i }`, 'loser'] });
+    }
+
+    const first = leaderboard.getStandings(Leaderboard.parseQuery({ pageSize: '2' }));
+    assert(first.total === 6 && first.totalPages === 3 && first.players.length === 2, 'Six players should fill three pages of two');
+
+    const last = leaderboard.getStandings(Leaderboard.parseQuery({ page: '3', pageSize: '2' }));
+    assert(last.players[1].id === 'loser' && last.players[1].rank === 6, 'Ranks should continue across pages');
+
+    const beyond = leaderboard.getStandings(Leaderboard.parseQuery({ page: '9', pageSize: '2' }));
+    assert(beyond.players.length === 0 && beyond.page === 9, 'A page past the end should be empty');
+
+    console.log("  ✓ Paging tests passed");
+}
+
+/**
+ * Test card win rates by category
+ */
+function testCardStats() {
+    console.log("  Testing card statistics...");
+
+    const leaderboard = new Leaderboard();
+    leaderboard.recordGame(createReplay({
+        rounds: [
+            ['economy', 'c1', 'c2', 0],
+            ['economy', 'c1', 'c2', 1],
+            ['charisma', 'c1', 'c3', 0],
+            ['charisma', 'c1', 'c3', null],
+            ['economy', 'c1', 'c3', null, true]
+        ]
+    }), { accountIds: [null, null] });
+
+    const cards = leaderboard.getCardStats();
+    const c1 = cards[0];
+    assert(c1.id === 'c1' && c1.played === 4 && c1.won === 2 && c1.winRate === 0.5, 'Cancelled rounds should not count');
+
+    const economy = c1.categories.find(category => category.key === 'economy');
+    const charisma = c1.categories.find(category => category.key === 'charisma');
+    assert(economy.played === 2 && economy.winRate === 0.5, 'Win rate should be kept per category');
+    assert(charisma.won === 1 && charisma.winRate === 0.5, 'Ties should count as played, not won');
+    assert(cards.find(card => card.id === 'c3').winRate === 0, 'Cards of guests should count');
+
+    console.log("  ✓ Card statistics tests passed");
+}
+
+/**
+ * Test checking of query strings
+ */
+function testQueryValidation() {
+    console.log("  Testing query validation...");
+
+    const query = Leaderboard.parseQuery({});
+    assert(query.page === 1 && query.pageSize === Leaderboard.DEFAULT_PAGE_SIZE && query.season === null, 'Defaults should apply');
+
+    const rejects = raw => {
+        try {
+            Leaderboard.parseQuery(raw);
+            return false;
+        } catch (error) {
+            return true;
+        }
+    };
+
+    assert(rejects({ season: '2024-13' }), 'Months past 12 should be rejected');
+    assert(rejects({ mode: 'practice' }), 'Unknown modes should be rejected');
+    assert(rejects({ page: '0' }) && rejects({ page: 'two' }) && rejects({ page: '1.5' }), 'Pages should be whole numbers from 1');
+    assert(rejects({ pageSize: String(Leaderboard.MAX_PAGE_SIZE + 1) }), 'Pages should have a maximum size');
+
+    console.log("  ✓ Query validation tests passed");
+}
+
+/**
+ * Test saving and loading the leaderboard file
+ */
+function testSerialization() {
+    console.log("  Testing serialization...");
+
+    const leaderboard = new Leaderboard();
+    leaderboard.recordGame(createReplay(), { accountIds: ['a', 'b'], mode: 'ranked' });
+
+    const loaded = Leaderboard.fromJSON(JSON.parse(JSON.stringify(leaderboard)));
+    assert(loaded.getStandings().players[0].id === 'a', 'Standings should survive a round trip');
+    assert(loaded.getCardStats()[0].played === 1, 'Card statistics should survive a round trip');
+
+    loaded.recordGame(createReplay(), { accountIds: ['a', 'b'], mode: 'ranked' });
+    assert(loaded.getStandings().players[0].wins === 2, 'A loaded bucket should keep counting');
+
+    let error = null;
+    try {
+        Leaderboard.fromJSON({ version: 99, buckets: [] });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('version'), 'Unknown versions should be rejected');
+
+    console.log("  ✓ Serialization tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runLeaderboardTests);
+} else {
+    // In Node.js, run the tests directly
+    runLeaderboardTests();
+}
+
+export default runLeaderboardTests;
@@ -0,0 +1,265 @@
+/**
+ * Match Series Test Suite
+ *
+ * Tests best-of-N series between two players: the wins needed, who chooses
+ * first in each game, the rematch handshake and the scoreboard
+ */
+import MatchSeries from '../core/MatchSeries.js';
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import SeededRandom from '../core/SeededRandom.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+const PLAYERS = [{ id: 'alice', name: 'Alice' }, { id: 'bob', name: 'Bob' }];
+
+/**
+ * Run all match series tests
+ */
+function runMatchSeriesTests() {
+    console.log("🏆 Starting Match Series Tests");
+
+    testLengths();
+    testWinningASeries();
+    testStartingSeatAlternates();
+    testDrawnGames();
+    testRematchHandshake();
+    testScoreboard();
+    testSerialization();
+    testEngineStartingSeat();
+
+    console.log("✅ Match Series Tests Completed");
+}
+
+/**
+ * Test the supported series lengths
+ */
+function testLengths() {
+    console.log("  Testing series lengths...");
+
+    const lengths = MatchSeries.listLengths();
+    assert(lengths.map(length => length.bestOf).join(',') === '1,3,5,7', 'Series of 1, 3, 5 and 7 games should be offered');
+    assert(lengths[0].label === 'Single game' && lengths[2].label === 'Best of 5', 'Lengths should have menu labels');
+
+    assert(new MatchSeries({ bestOf: 3, players: PLAYERS }).winsNeeded === 2, 'Best of 3 needs 2 wins');
+    assert(new MatchSeries({ bestOf: 7, players: PLAYERS }).winsNeeded === 4, 'Best of 7 needs 4 wins');
+    assert(new MatchSeries({ players: PLAYERS }).bestOf === 1, 'A single game should be the default');
+
+    let error = null;
+    try {
+        new MatchSeries({ bestOf: 4, players: PLAYERS });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('best of'), 'An even series length should be rejected');
+
+    error = null;
+    try {
+        new MatchSeries({ bestOf: 3, players: [...PLAYERS, { id: 'carol', name: 'Carol' }] });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('two players'), 'A series should be for two players only');
+
+    console.log("  ✓ Series length tests passed");
+}
+
+/**
+ * Test that the series ends as soon as a player has the wins needed
+ */
+function testWinningASeries() {
+    console.log("  Testing winning a series...");
+
+    const series = new MatchSeries({ id: 's1', bestOf: 5, players: PLAYERS });
+    series.recordGame('g1', 0);
+    series.recordGame('g2', 1);
+    series.recordGame('g3', 0);
+    assert(!series.isOver() && series.getWinnerSeat() === null, 'The series should go on at 2-1');
+
+    series.recordGame('g4', 0);
+    assert(series.isOver(), 'Three wins should decide a best of 5');
+    assert(series.getWinnerSeat() === 0, 'Seat 0 should win the series');
+    assert(series.wins.join('-') === '3-1', 'Wins should be counted per seat');
+
+    // The results are kept on the players
+    assert(series.players[1].getStats().losses === 3 && series.players[1].getStats().wins === 1, 'Player records should count wins and losses');
+
+    let error = null;
+    try {
+        series.recordGame('g5', 1);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('already over'), 'No game should be recorded after the series is decided');
+
+    console.log("  ✓ Series win tests passed");
+}
+
+/**
+ * Test that the first choice of category alternates between the seats
+ */
+function testStartingSeatAlternates() {
+    console.log("  Testing alternating starting seat...");
+
+    const series = new MatchSeries({ bestOf: 7, players: PLAYERS });
+    assert(series.getStartingSeat() === null, 'The deal should decide who starts the first game');
+
+    series.recordStart(1);
+    series.recordGame('g1', 0, 1);
+    assert(series.getStartingSeat() === 0, 'Seat 0 should start game 2');
+
+    series.recordStart(0);
+    series.recordGame('g2', 0, 0);
+    assert(series.getStartingSeat() === 1, 'Seat 1 should start game 3');
+    assert(series.games[1].startingSeat === 0, 'Games should remember who chose first');
+
+    // A rematch carries on alternating
+    const rematch = series.createRematch('s2');
+    assert(rematch.id === 's2' && rematch.bestOf === 7 && rematch.gamesPlayed === 0, 'A rematch should be a new series of the same length');
+    assert(rematch.getStartingSeat() === 1, 'The rematch should continue the alternation');
+    assert(rematch.players[0].name === 'Alice', 'The rematch should keep the seats');
+
+    console.log("  ✓ Starting seat tests passed");
+}
+
+/**
+ * Test that drawn games count towards the series length
+ */
+function testDrawnGames() {
+    console.log("  Testing drawn games...");
+
+    const series = new MatchSeries({ bestOf: 3, players: PLAYERS });
+    series.recordGame('g1', null);
+    series.recordGame('g2', 0);
+    assert(!series.isOver(), 'One win should not decide a best of 3');
+
+    series.recordGame('g3', 1);
+    assert(series.isOver(), 'The series should end after 3 games');
+    assert(series.getWinnerSeat() === null, 'A level series should be drawn');
+    assert(series.players[0].getStats().draws === 1, 'Drawn games should be recorded');
+
+    console.log("  ✓ Drawn game tests passed");
+}
+
+/**
+ * Test that both players have to ask for the next game
+ */
+function testRematchHandshake() {
+    console.log("  Testing rematch handshake...");
+
+    const series = new MatchSeries({ bestOf: 3, players: PLAYERS });
+    series.recordGame('g1', 1);
+
+    assert(series.requestRematch(1) === false, 'One request should not start the next game');
+    assert(series.requestRematch(1) === false, 'Asking twice should not count for the opponent');
+    assert(series.getScoreboard().rematchRequests.join() === 'false,true', 'The scoreboard should show who has asked');
+    assert(series.requestRematch(0) === true, 'Both requests should start the next game');
+    assert(series.rematchRequests.join() === 'false,false', 'Requests should be cleared once answered');
+
+    series.requestRematch(0);
+    series.recordGame('g2', 1);
+    assert(series.rematchRequests.join() === 'false,false', 'Requests should be cleared after each game');
+
+    let error = null;
+    try {
+        series.requestRematch(2);
+    } catch (e) {
+        error = e;
+    }
+    assert(error, 'Only the two seats should be able to ask');
+
+    console.log("  ✓ Rematch handshake tests passed");
+}
+
+/**
+ * Test the scoreboard shown on the game over screen
+ */
+function testScoreboard() {
+    console.log("  Testing scoreboard...");
+
+    const series = new MatchSeries({ id: 'board', bestOf: 3, players: PLAYERS });
+    series.recordStart(0);
+    series.recordGame('g1', 0, 0);
+
+    const board = JSON.parse(JSON.stringify(series.getScoreboard()));
+    assert(board.id === 'board' && board.bestOf === 3 && board.winsNeeded === 2 && board.gamesPlayed === 1, 'The scoreboard should describe the series');
+    assert(board.players[0].name === 'Alice' && board.players[0].wins === 1 && board.players[1].losses === 1, 'The scoreboard should list each player\'s record');
+    assert(board.games[0].gameId === 'g1' && board.games[0].winnerSeat === 0, 'The scoreboard should list the games');
+    assert(!board.over && board.winnerSeat === null && board.nextStartingSeat === 1, 'The scoreboard should say who starts next');
+
+    series.recordGame('g2', 0, 1);
+    const final = series.getScoreboard();
+    assert(final.over && final.winnerSeat === 0 && final.nextStartingSeat === null, 'A decided series should have no next game');
+
+    console.log("  ✓ Scoreboard tests passed");
+}
+
+/**
+ * Test that a series survives being written out and read back
+ */
+function testSerialization() {
+    console.log("  Testing serialization...");
+
+    const series = new MatchSeries({ id: 'saved', bestOf: 5, players: PLAYERS });
+    series.recordStart(1);
+    series.recordGame('g1', 1, 1);
+    series.recordGame('g2', null, 0);
+    series.requestRematch(0);
+
+    const copy = MatchSeries.fromJSON(JSON.parse(JSON.stringify(series)));
+    assert(copy.id === 'saved' && copy.bestOf === 5 && copy.players[1].name === 'Bob', 'The series should keep its players and length');
+    assert(copy.wins.join(',') === '0,1' && copy.gamesPlayed === 2, 'Finished games should be recorded again');
+    assert(copy.getStartingSeat() === series.getStartingSeat(), 'The next starting seat should not change');
+    assert(copy.rematchRequests.join(',') === 'true,false', 'Open rematch requests should be kept');
+    assert(JSON.stringify(copy.getScoreboard()) === JSON.stringify(series.getScoreboard()), 'The scoreboard should be the same');
+
+    console.log("  ✓ Serialization tests passed");
+}
+
+/**
+ * Test that the engine deals with the series' starting seat
+ */
+function testEngineStartingSeat() {
+    console.log("  Testing engine starting seat...");
+
+    const series = new MatchSeries({ bestOf: 3, players: PLAYERS });
+    const categories = new CategoryRules({ power: { label: 'Power' } });
+    const hands = [[{ id: 'a', name: 'A', stats: { power: 5 } }], [{ id: 'b', name: 'B', stats: { power: 3 } }]];
+
+    const first = new GameEngine(categories, new SeededRandom('series'));
+    first.initializePlayers(hands.map(hand => [...hand]), series.getStartingSeat());
+    series.recordStart(first.currentPlayerIndex);
+    series.recordGame('g1', 0, first.currentPlayerIndex);
+
+    const second = new GameEngine(categories, new SeededRandom('series'));
+    second.initializePlayers(hands.map(hand => [...hand]), series.getStartingSeat());
+    assert(second.currentPlayerIndex === 1 - first.currentPlayerIndex, 'The other seat should choose first in game 2');
+
+    console.log("  ✓ Engine starting seat tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runMatchSeriesTests);
+} else {
+    // In Node.js, run the tests directly
+    runMatchSeriesTests();
+}
+
+export default runMatchSeriesTests;
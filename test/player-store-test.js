@@ -0,0 +1,222 @@
+/**
+ * Player Store Test Suite
+ *
+ * Tests player accounts: creating and finding them by session token,
+ * profile changes, lifetime stats from replays and the accounts file format
+ */
+import PlayerStore from '../core/PlayerStore.js';
+import Player from '../core/Player.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Expect a function to throw
+ * @param {Function} fn - Function to call
+ * @param {String} text - Text the error message should contain
+ * @param {String} message - Description of the expectation
+ */
+function assertThrows(fn, text, message) {
+    let error = null;
+    try {
+        fn();
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes(text), message);
+}
+
+/**
+ * A finished two-player game: seat 0 chooses power twice and wins, seat 1 chooses wealth once
+ * @returns {Object} - Replay (see core/ReplayRecorder.js)
+ */
+function createReplay() {
+    return {
+        players: ['Alice', 'Bob'],
+        rounds: [
+            { number: 1, chooser: 0, category: 'power', plays: [{ seat: 0, cardId: 'a1' }, { seat: 1, cardId: 'b1' }], winnerSeat: 0 },
+            { number: 2, chooser: 0, category: 'power', plays: [{ seat: 0, cardId: 'a1' }, { seat: 1, cardId: 'b2' }], winnerSeat: 1 },
+            { number: 3, chooser: 1, category: 'wealth', plays: [{ seat: 0, cardId: 'a2' }, { seat: 1, cardId: 'b1' }], winnerSeat: 0 }
+        ],
+        result: { winnerSeat: 0 },
+        finishedAt: '2026-01-01T12:00:00.000Z'
+    };
+}
+
+/**
+ * Run all player store tests
+ */
+function runPlayerStoreTests() {
+    console.log("👤 Starting Player Store Tests");
+
+    testAccounts();
+    testProfileChanges();
+    testLifetimeStats();
+    testDrawsAndEmptySeats();
+    testSerialization();
+    testPlayerStats();
+
+    console.log("✅ Player Store Tests Completed");
+}
+
+/**
+ * Test creating accounts and finding them by token
+ */
+function testAccounts() {
+    console.log("  Testing accounts...");
+
+    const store = new PlayerStore();
+    const alice = store.create({ id: 'alice', token: 'token-a', name: '  Alice ' });
+
+    assert(alice instanceof Player, 'Accounts should be players');
+    assert(alice.name === 'Alice' && alice.avatar === 'default_avatar.png', 'New accounts should get a trimmed name and the default avatar');
+    assert(store.get('alice') === alice && store.findByToken('token-a') === alice, 'Accounts should be found by ID and token');
+    assert(store.get('nobody') === null && store.findByToken('nope') === null, 'Unknown accounts should not be found');
+    assert(store.size === 1, 'The store should count its accounts');
+
+    assertThrows(() => store.create({ name: 'No token' }), 'session token', 'An account should need a token');
+    assertThrows(() => store.create({ token: 'token-a' }), 'already uses', 'A token should belong to one account');
+    assertThrows(() => store.create({ id: 'alice', token: 'token-x' }), 'already exists', 'Account IDs should be unique');
+
+    console.log("  ✓ Account tests passed");
+}
+
+/**
+ * Test changing display names and avatars
+ */
+function testProfileChanges() {
+    console.log("  Testing profile changes...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'bob', token: 'token-b', name: 'Bob' });
+
+    store.update('bob', { name: 'Robert', avatar: 'senator.png' });
+    assert(store.get('bob').name === 'Robert' && store.get('bob').avatar === 'senator.png', 'Name and avatar should change');
+
+    assertThrows(() => store.update('bob', { name: '   ' }), 'required', 'Empty names should be rejected');
+    assertThrows(() => store.update('bob', { name: 'x'.repeat(33) }), 'at most', 'Long names should be rejected');
+    assertThrows(() => store.update('bob', { name: 'Bobby', avatar: '../secret.png' }), 'Unknown avatar', 'Avatars should be plain image names');
+    assert(store.get('bob').name === 'Robert', 'A rejected change should change nothing');
+    assertThrows(() => store.update('carol', { name: 'Carol' }), 'Unknown account', 'Only existing accounts should change');
+
+    console.log("  ✓ Profile change tests passed");
+}
+
+/**
+ * Test the lifetime stats recorded from a replay
+ */
+function testLifetimeStats() {
+    console.log("  Testing lifetime stats...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'alice', token: 'token-a', name: 'Alice' });
+    store.create({ id: 'bob', token: 'token-b', name: 'Bob' });
+
+    store.recordGame(createReplay(), ['alice', 'bob']);
+    store.recordGame(createReplay(), ['bob', 'alice']);
+
+    const alice = store.getProfile('alice');
+    assert(alice.stats.gamesPlayed === 2 && alice.stats.wins === 1 && alice.stats.losses === 1, 'Wins and losses should be counted');
+    assert(alice.stats.roundsPlayed === 6 && alice.stats.roundsWon === 3 && alice.stats.cardsPlayed === 6, 'Rounds and cards should be counted');
+    assert(alice.stats.favouriteCategory.key === 'power' && alice.stats.favouriteCategory.count === 2, 'Only categories the player chose should count');
+    assert(alice.stats.mostPlayedCard.id === 'a1' && alice.stats.mostPlayedCard.count === 2, 'The most played card should be found');
+    assert(alice.lastSeenAt === '2026-01-01T12:00:00.000Z', 'Finishing a game should update when the player was last seen');
+
+    // Profiles are public: no token
+    assert(!JSON.stringify(alice).includes('token-a'), 'Profiles should not reveal the session token');
+    assert(store.getProfile('nobody') === null, 'Unknown accounts have no profile');
+
+    console.log("  ✓ Lifetime stats tests passed");
+}
+
+/**
+ * Test drawn games and seats without an account
+ */
+function testDrawsAndEmptySeats() {
+    console.log("  Testing draws and empty seats...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'carol', token: 'token-c', name: 'Carol' });
+
+    const replay = createReplay();
+    replay.result = { winnerSeat: null };
+    store.recordGame(replay, [null, 'carol']);
+
+    const carol = store.getProfile('carol');
+    assert(carol.stats.draws === 1 && carol.stats.wins === 0 && carol.stats.gamesPlayed === 1, 'A draw should be recorded');
+    assert(carol.stats.favouriteCategory.key === 'wealth', 'Seat 1 chose wealth');
+
+    const fresh = store.create({ id: 'dave', token: 'token-d', name: 'Dave' });
+    assert(store.getProfile(fresh.id).stats.favouriteCategory === null && store.getProfile(fresh.id).stats.mostPlayedCard === null,
+        'A new account has no favourites');
+
+    console.log("  ✓ Draw and empty seat tests passed");
+}
+
+/**
+ * Test writing and reading the accounts file
+ */
+function testSerialization() {
+    console.log("  Testing serialization...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'alice', token: 'token-a', name: 'Alice', avatar: 'senator.png' });
+    store.recordGame(createReplay(), ['alice', null]);
+
+    const data = JSON.parse(JSON.stringify(store));
+    assert(data.version === PlayerStore.VERSION && data.players[0].token === 'token-a', 'The file should keep the tokens');
+    assert(data.players[0].hand === undefined, 'The file should not store hands');
+
+    const loaded = PlayerStore.fromJSON(data);
+    assert(loaded.findByToken('token-a').avatar === 'senator.png', 'Accounts should load with their token and avatar');
+    assert(JSON.stringify(loaded.getProfile('alice')) === JSON.stringify(store.getProfile('alice')), 'Profiles should survive a reload');
+
+    assertThrows(() => PlayerStore.fromJSON({}), 'players are missing', 'Other files should be rejected');
+    assertThrows(() => PlayerStore.fromJSON({ version: 99, players: [] }), 'version 99', 'Unknown versions should be rejected');
+
+    console.log("  ✓ Serialization tests passed");
+}
+
+/**
+ * Test the stats Player keeps
+ */
+function testPlayerStats() {
+    console.log("  Testing player stats...");
+
+    const player = new Player({ name: 'Eve', stats: { wins: 4 } });
+    assert(player.getStats().wins === 4 && player.getStats().roundsPlayed === 0, 'Stored stats should be completed with defaults');
+
+    player.recordRoundPlayed('x', 'power').recordRoundPlayed('y', null).recordRoundPlayed('y', 'wealth');
+    assert(player.getMostPlayedCard() === 'y' && player.getFavouriteCategory() === 'power', 'The first of equal counts should win');
+
+    const stats = player.getStats();
+    stats.cardsUsed.y = 100;
+    assert(player.getStats().cardsUsed.y === 2, 'getStats() should return a copy');
+
+    console.log("  ✓ Player stats tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runPlayerStoreTests);
+} else {
+    // In Node.js, run the tests directly
+    runPlayerStoreTests();
+}
+
+export default runPlayerStoreTests;
@@ -0,0 +1,195 @@
+/**
+ * Political Card Test Suite
+ *
+ * Tests the PoliticalCard model, its converters from every legacy card
+ * shape and that the game modules read values through it
+ */
+import PoliticalCard from '../core/PoliticalCard.js';
+import Card from '../core/Card.js';
+import GameRules from '../core/GameRules.js';
+import GameEngine from '../core/GameEngine.js';
+import ServerValidator from '../core/ServerValidator.js';
+import PoliticalCardGame from '../core/PoliticalCardGame.js';
+import DeckPack from '../core/DeckPack.js';
+import { CARD_DATA, CLASSIC_PACK } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+// The same politician in every shape the code base has used
+const SHAPES = {
+    stats: { id: 'lee', name: 'Alex Lee', quote: 'Hello', stats: { charisma: 7, wealth: 3 } },
+    attributes: { id: 'lee', name: 'Alex Lee', quote: 'Hello', attributes: { charisma: 7, wealth: 3 } },
+    metadata: new Card({ id: 'lee', name: 'Alex Lee', description: 'Hello', metadata: { attributes: { charisma: 7, wealth: 3 } } }),
+    data: { data: { id: 'lee', name: 'Alex Lee', partei: 'Independent', farbe: 'grey', charisma: '7', wealth: '3' } }
+};
+
+/**
+ * Run all PoliticalCard tests
+ */
+function runPoliticalCardTests() {
+    console.log("🗳️ Starting PoliticalCard Tests");
+
+    testModel();
+    testConverters();
+    testReaders();
+    testSerialization();
+    testGameModulesShareTheApi();
+
+    console.log("✅ PoliticalCard Tests Completed");
+}
+
+/**
+ * Test the card's own fields and accessors
+ */
+function testModel() {
+    console.log("  Testing model...");
+
+    const card = new PoliticalCard({ id: 'x', name: 'X', image: 'x.png', quote: 'Q', rarity: 'rare', stats: { a: 1, b: '2.5', c: 'n/a' } });
+
+    assert(card instanceof Card && card.type === 'political', 'Political cards should be Cards');
+    assert(card.quote === 'Q' && card.description === 'Q' && card.image === 'x.png', 'Quote and image should be kept');
+    assert(card.rarity === 'rare' && new PoliticalCard({ name: 'Y' }).rarity === 'common', 'Rarity should default to common');
+    assert(card.getStat('b') === 2.5 && !card.hasCategory('c'), 'Values should be typed and non-numbers dropped');
+    assert(card.getCategories().join() === 'a,b', 'Categories should be listed in order');
+    assert(card.metadata.attributes === card.stats, 'Legacy metadata.attributes should be the stats');
+
+    let threw = false;
+    try {
+        new PoliticalCard({ name: 'Z', rarity: 'mythic' });
+    } catch (error) {
+        threw = error.message.includes('mythic');
+    }
+    assert(threw, 'Unknown rarities should be rejected');
+
+    console.log("  ✓ Model tests passed");
+}
+
+/**
+ * Test converting every legacy shape
+ */
+function testConverters() {
+    console.log("  Testing converters...");
+
+    Object.entries(SHAPES).forEach(([shape, source]) => {
+        const card = PoliticalCard.from(source);
+        assert(card instanceof PoliticalCard, `${ shape } cards should convert`);
+        assert(card.id === 'lee' && card.name === 'Alex Lee', `${ shape } cards should keep their identity`);
+        assert(card.getStat('charisma') === 7 && card.getStat('wealth') === 3, `${ shape } cards should keep their values`);
+        assert(card.getCategories().join() === 'charisma,wealth', `${ shape } cards should only have categories`);
+    });
+
+    assert(PoliticalCard.from(SHAPES.attributes).quote === 'Hello', 'Quotes should survive conversion');
+
+    const card = PoliticalCard.from(SHAPES.stats);
+    assert(PoliticalCard.from(card) === card, 'Political cards should not be converted again');
+
+    let threw = false;
+    try {
+        PoliticalCard.from({ name: 'Blank' });
+    } catch (error) {
+        threw = error.message.includes('Blank');
+    }
+    assert(threw, 'Cards without values should be rejected');
+
+    console.log("  ✓ Converter tests passed");
+}
+
+/**
+ * Test reading values from any shape without converting
+ */
+function testReaders() {
+    console.log("  Testing readers...");
+
+    Object.entries(SHAPES).forEach(([shape, source]) => {
+        assert(PoliticalCard.readStat(source, 'charisma') === 7, `${ shape } values should be readable`);
+        assert(PoliticalCard.readCategories(source).join() === 'charisma,wealth', `${ shape } categories should be readable`);
+        assert(PoliticalCard.hasStat(source, 'wealth') && !PoliticalCard.hasStat(source, 'partei'), `${ shape } categories should be checkable`);
+    });
+
+    assert(PoliticalCard.readStat(SHAPES.stats, 'missing') === undefined, 'Missing values should be undefined');
+    assert(Number.isNaN(PoliticalCard.readStat({ data: { charisma: 'n/a' } }, 'charisma')), 'Non-numeric values should be NaN');
+    assert(PoliticalCard.readCategories(null).length === 0 && !PoliticalCard.hasStat(null, 'a'), 'Missing cards should have no values');
+
+    console.log("  ✓ Reader tests passed");
+}
+
+/**
+ * Test round-tripping through JSON
+ */
+function testSerialization() {
+    console.log("  Testing serialization...");
+
+    const card = PoliticalCard.from({ ...CARD_DATA[0], rarity: 'legendary' });
+    const json = JSON.parse(JSON.stringify(card));
+
+    assert(json.stats.charisma === CARD_DATA[0].stats.charisma && json.rarity === 'legendary', 'JSON should carry stats and rarity');
+    assert(!json.metadata.attributes, 'JSON should not repeat the stats in metadata');
+
+    const restored = PoliticalCard.fromJSON(json);
+    assert(restored.id === card.id && restored.getStat('wealth') === card.getStat('wealth'), 'JSON should restore the card');
+    assert(card.clone().id === card.id && card.clone() !== card, 'Clones should stay the same politician');
+
+    const pack = DeckPack.parse({ ...CLASSIC_PACK, cards: CLASSIC_PACK.cards.map(data => ({ ...data, rarity: 'uncommon' })) });
+    assert(pack.cards.every(data => PoliticalCard.from(data).rarity === 'uncommon'), 'Deck packs should carry rarity');
+    assert(!DeckPack.validate({ ...CLASSIC_PACK, cards: [{ ...CLASSIC_PACK.cards[0], rarity: 'mythic' }, CLASSIC_PACK.cards[1]] }).valid,
+        'Deck packs should reject unknown rarities');
+
+    console.log("  ✓ Serialization tests passed");
+}
+
+/**
+ * Test that the game modules accept every shape
+ */
+function testGameModulesShareTheApi() {
+    console.log("  Testing game modules...");
+
+    const rules = new GameRules();
+    const weaker = { attributes: { charisma: 2, wealth: 9 } };
+    Object.entries(SHAPES).forEach(([shape, source]) => {
+        assert(rules.compareCards(source, weaker, 'charisma') === 1, `GameRules should compare ${ shape } cards`);
+    });
+    assert(rules.getAvailableCategories(SHAPES.data).join() === 'charisma,wealth', 'GameRules should list legacy categories');
+
+    const engine = new GameEngine();
+    engine.initializeState([PoliticalCard.from(SHAPES.attributes)], [SHAPES.data], true);
+    const result = engine.compareCards('wealth');
+    assert(result.playerValue === 3 && result.opponentValue === 3 && result.result === 'tie', 'GameEngine should read converted and legacy cards');
+
+    const state = { state: 'in_progress', players: ['a', 'b'], playerHands: [[SHAPES.metadata], [SHAPES.stats]], currentPlayerIndex: 0 };
+    assert(ServerValidator.validateMove(state, 'a', { type: 'category_selection', category: 'wealth' }).valid,
+        'ServerValidator should accept categories of any card shape');
+    assert(ServerValidator.validateGameState(state).valid, 'ServerValidator should accept any card shape');
+
+    const game = new PoliticalCardGame({ seed: 'cards' }).init(['A', 'B'], [SHAPES.attributes, { ...SHAPES.attributes, id: 'kim', name: 'Kim' }]);
+    assert(game.players.every(player => player.getHand().every(card => card instanceof PoliticalCard)), 'PoliticalCardGame should deal political cards');
+    assert(game.getAvailableAttributes().join() === 'charisma,wealth', 'PoliticalCardGame should list categories');
+    assert(game.playTurn('charisma').tie === true, 'TurnManager should read values through the card API');
+
+    console.log("  ✓ Game module tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runPoliticalCardTests);
+} else {
+    // In Node.js, run the tests directly
+    runPoliticalCardTests();
+}
+
+export default runPoliticalCardTests;
@@ -0,0 +1,146 @@
+/**
+ * Protocol Test Suite
+ *
+ * Tests the socket event names, the payload schemas of client events and the
+ * version check of core/Protocol
+ */
+import Protocol from '../core/Protocol.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Run all protocol tests
+ */
+function runProtocolTests() {
+    console.log("📡 Starting Protocol Tests");
+
+    testEventNames();
+    testValidPayloads();
+    testInvalidPayloads();
+    testVersion();
+
+    console.log("✅ Protocol Tests Completed");
+}
+
+/**
+ * Test that every event is named once and every client event has a schema
+ */
+function testEventNames() {
+    console.log("  Testing event names...");
+
+    const clientEvents = Object.values(Protocol.CLIENT);
+    const serverEvents = Object.values(Protocol.SERVER);
+
+    assert(new Set(clientEvents).size === clientEvents.length, 'Client events should have unique names');
+    assert(new Set(serverEvents).size === serverEvents.length, 'Server events should have unique names');
+    assert([...clientEvents, ...serverEvents].every(event => /^[a-z]+(_[a-z]+)*$/.test(event)), 'Events should be named in snake_case');
+    assert(clientEvents.every(event => Protocol.SCHEMAS[event]), 'Every client event should have a payload schema');
+    assert(Object.keys(Protocol.SCHEMAS).every(event => clientEvents.includes(event)), 'Schemas should only describe client events');
+
+    // The names that used to differ between server and clients
+    assert(Protocol.CLIENT.GET_NEXT_CARDS === 'get_next_cards', 'Next cards should be asked for with get_next_cards');
+    assert(Protocol.SERVER.ROUND_PLAYED === 'round_played', 'Round results should be sent as round_played');
+    assert(Object.isFrozen(Protocol.CLIENT) && Object.isFrozen(Protocol.SERVER), 'Event names should not be changed at runtime');
+
+    console.log("  ✓ Event name tests passed");
+}
+
+/**
+ * Test payloads the clients send
+ */
+function testValidPayloads() {
+    console.log("  Testing valid payloads...");
+
+    const valid = [
+        [Protocol.CLIENT.SELECT_CATEGORY, { gameId: 'g1', category: 'power', round: 3, moveId: 'token-1-1' }],
+        [Protocol.CLIENT.SELECT_CATEGORY, { gameId: 'g1', category: 'power' }],
+        [Protocol.CLIENT.GET_NEXT_CARDS, { gameId: 'g1' }],
+        [Protocol.CLIENT.CREATE_GAME, { maxPlayers: 2, deckId: null, winCondition: null, bestOf: 3, queue: 'ranked', turnTime: 30 }],
+        [Protocol.CLIENT.CREATE_GAME, undefined],
+        [Protocol.CLIENT.CREATE_LOBBY, { name: 'Friday', password: null, maxPlayers: 4, seed: 42 }],
+        [Protocol.CLIENT.SET_USERNAME, { username: 'Ada', avatar: undefined }],
+        [Protocol.CLIENT.MUTE_PLAYER, { seat: 1 }],
+        [Protocol.CLIENT.GET_LIVE_GAMES, undefined],
+        [Protocol.CLIENT.LEAVE_LOBBY, null]
+    ];
+
+    valid.forEach(([event, payload]) => {
+        const errors = Protocol.validate(event, payload);
+        assert(errors.length === 0, `${ event } should accept ${ JSON.stringify(payload) }: ${ errors.join('; ') }`);
+    });
+
+    // Fields the protocol does not know are left to the handlers
+    assert(Protocol.validate(Protocol.CLIENT.JOIN_GAME, { gameId: 'g1', extra: true }).length === 0, 'Unknown fields should be allowed');
+
+    console.log("  ✓ Valid payload tests passed");
+}
+
+/**
+ * Test payloads that must not reach a handler
+ */
+function testInvalidPayloads() {
+    console.log("  Testing invalid payloads...");
+
+    const invalid = [
+        [Protocol.CLIENT.JOIN_GAME, undefined, 'join_game'],
+        [Protocol.CLIENT.JOIN_GAME, { gameId: '' }, 'must not be empty'],
+        [Protocol.CLIENT.SELECT_CATEGORY, { gameId: 'g1' }, 'missing required property "category"'],
+        [Protocol.CLIENT.SELECT_CATEGORY, { gameId: 'g1', category: 'power', round: -1 }, 'round: must be at least 0'],
+        [Protocol.CLIENT.SELECT_CATEGORY, { gameId: 'g1', category: 'power', moveId: {} }, 'moveId'],
+        [Protocol.CLIENT.CREATE_GAME, { maxPlayers: 'two' }, 'maxPlayers'],
+        [Protocol.CLIENT.CHAT_MESSAGE, 'hello', 'must be of type object'],
+        [Protocol.CLIENT.JOIN_LOBBY_BY_CODE, { inviteCode: 42 }, 'inviteCode'],
+        [Protocol.CLIENT.MUTE_PLAYER, { seat: 1.5 }, 'seat']
+    ];
+
+    invalid.forEach(([event, payload, expected]) => {
+        const errors = Protocol.validate(event, payload);
+        assert(errors.some(error => error.includes(expected)), `${ event } should reject ${ JSON.stringify(payload) } with "${ expected }", got ${ errors.join('; ') }`);
+    });
+
+    assert(Protocol.validate('getLobbies', {})[0].includes('Unknown event'), 'Unknown events should be rejected');
+    assert(Protocol.validate('toString', {})[0].includes('Unknown event'), 'Inherited names should not count as events');
+
+    console.log("  ✓ Invalid payload tests passed");
+}
+
+/**
+ * Test the version check of the handshake
+ */
+function testVersion() {
+    console.log("  Testing version check...");
+
+    assert(Number.isInteger(Protocol.VERSION) && Protocol.VERSION > 0, 'The version should be a positive integer');
+    assert(Protocol.checkVersion(Protocol.VERSION) === null, 'The current version should be accepted');
+    assert(Protocol.checkVersion(undefined).includes('did not send'), 'Clients without a version should be refused');
+    assert(Protocol.checkVersion(Protocol.VERSION + 1).includes(`version ${ Protocol.VERSION + 1 }`), 'Other versions should be refused');
+    assert(Protocol.checkVersion(String(Protocol.VERSION)) !== null, 'Versions should be compared by type too');
+
+    console.log("  ✓ Version check tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runProtocolTests);
+} else {
+    // In Node.js, run the tests directly
+    runProtocolTests();
+}
+
+export default runProtocolTests;
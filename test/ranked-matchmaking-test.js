@@ -0,0 +1,285 @@
+/**
+ * Ranked Matchmaking Test Suite
+ *
+ * Tests Elo ratings, the casual and ranked matchmaking queues with their
+ * widening rating window, queue status, ratings kept on accounts and
+ * leaving a ranked game rated as a forfeit
+ */
+import Rating from '../core/Rating.js';
+import MatchmakingQueue from '../core/MatchmakingQueue.js';
+import PlayerStore from '../core/PlayerStore.js';
+import GameEngine from '../core/GameEngine.js';
+import SeededRandom from '../core/SeededRandom.js';
+import { CARD_DATA } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * A clock the tests move by hand
+ * @returns {Object} - { now, advance(ms) }
+ */
+function createClock() {
+    let time = 1000000;
+    return {
+        now: () => time,
+        advance: ms => { time += ms; }
+    };
+}
+
+/**
+ * Run all ranked matchmaking tests
+ */
+function runRankedMatchmakingTests() {
+    console.log("📈 Starting Ranked Matchmaking Tests");
+
+    testExpectedScore();
+    testRatingUpdate();
+    testCasualQueue();
+    testRankedWindow();
+    testClosestOpponent();
+    testQueueStatus();
+    testAccountRatings();
+    testLeaverForfeits();
+
+    console.log("✅ Ranked Matchmaking Tests Completed");
+}
+
+/**
+ * Test the expected score of a game
+ */
+function testExpectedScore() {
+    console.log("  Testing expected score...");
+
+    assert(Rating.expectedScore(1500, 1500) === 0.5, 'Equal ratings should be an even game');
+    assert(Math.abs(Rating.expectedScore(1900, 1500) - 10 / 11) < 1e-9, '400 points should make a 10:1 favourite');
+    assert(Math.abs(Rating.expectedScore(1500, 1700) + Rating.expectedScore(1700, 1500) - 1) < 1e-9, 'Expected scores should add up to 1');
+
+    console.log("  ✓ Expected score tests passed");
+}
+
+/**
+ * Test rating changes after a game
+ */
+function testRatingUpdate() {
+    console.log("  Testing rating updates...");
+
+    let result = Rating.update([1500, 1500], 0);
+    assert(result.ratings[0] === 1520 && result.ratings[1] === 1480, 'A provisional win between equals should be worth 20 points');
+    assert(result.changes[0] === -result.changes[1], 'Rating points should move from loser to winner');
+
+    result = Rating.update([1500, 1500], 0, [Rating.PROVISIONAL_GAMES, Rating.PROVISIONAL_GAMES]);
+    assert(result.changes[0] === 10, 'Established players should move half as fast');
+
+    result = Rating.update([1400, 1600], null);
+    assert(result.changes[0] > 0 && result.changes[1] < 0, 'A draw should favour the weaker player');
+
+    result = Rating.update([1400, 1600], 1);
+    assert(result.changes[1] > 0 && result.changes[1] < 20, 'The favourite should gain little from a win');
+
+    let error = null;
+    try {
+        Rating.update([1500], 0);
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('two players'), 'Only two-player games should be rated');
+
+    console.log("  ✓ Rating update tests passed");
+}
+
+/**
+ * Test that the casual queue pairs first come, first served within a key
+ */
+function testCasualQueue() {
+    console.log("  Testing the casual queue...");
+
+    const queue = new MatchmakingQueue();
+    queue.add({ id: 'a', key: 'classic' });
+    queue.add({ id: 'b', key: 'campaign' });
+    queue.add({ id: 'c', key: 'classic' });
+    queue.add({ id: 'd', key: 'classic' });
+
+    const matches = queue.findMatches();
+    assert(matches.length === 1 && matches[0][0].id === 'a' && matches[0][1].id === 'c', 'The first two with the same key should play');
+    assert(queue.size === 2 && queue.has('b') && queue.has('d'), 'Unmatched players should stay queued');
+
+    // Joining again refreshes the entry rather than duplicating it
+    queue.add({ id: 'd', key: 'campaign' });
+    assert(queue.size === 2, 'A player should be queued once');
+    assert(queue.findMatches()[0].map(entry => entry.id).join() === 'b,d', 'A changed key should be matched');
+
+    queue.add({ id: 'e', key: 'classic' });
+    queue.prune(entry => entry.id !== 'e');
+    assert(queue.size === 0, 'Pruned players should leave the queue');
+
+    console.log("  ✓ Casual queue tests passed");
+}
+
+/**
+ * Test that the ranked window widens while players wait
+ */
+function testRankedWindow() {
+    console.log("  Testing the ranked window...");
+
+    const clock = createClock();
+    const queue = new MatchmakingQueue({ ranked: true, now: clock.now });
+
+    queue.add({ id: 'low', key: 'k', rating: 1400 });
+    clock.advance(1000);
+    queue.add({ id: 'high', key: 'k', rating: 1600 });
+
+    assert(queue.getWindow(queue.entries[0]) === MatchmakingQueue.INITIAL_WINDOW, 'The window should start narrow');
+    assert(queue.findMatches().length === 0, '200 points apart should not be matched at once');
+
+    clock.advance(MatchmakingQueue.WIDEN_EVERY_MS);
+    assert(queue.findMatches().length === 0, 'One step wider is not enough');
+
+    clock.advance(MatchmakingQueue.WIDEN_EVERY_MS);
+    const matches = queue.findMatches();
+    assert(matches.length === 1 && matches[0][0].id === 'low', 'The window of the longer waiting player should decide');
+
+    clock.advance(MatchmakingQueue.WIDEN_EVERY_MS * 1000);
+    queue.add({ id: 'x', key: 'k', rating: 1500 });
+    clock.advance(MatchmakingQueue.WIDEN_EVERY_MS * 1000);
+    assert(queue.getWindow(queue.entries[0]) === MatchmakingQueue.MAX_WINDOW, 'The window should stop widening');
+
+    let error = null;
+    try {
+        queue.add({ id: 'unrated', key: 'k' });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('no rating'), 'Ranked entries need a rating');
+
+    console.log("  ✓ Ranked window tests passed");
+}
+
+/**
+ * Test that the closest rated opponent is chosen
+ */
+function testClosestOpponent() {
+    console.log("  Testing closest opponent...");
+
+    const clock = createClock();
+    const queue = new MatchmakingQueue({ ranked: true, now: clock.now, initialWindow: 300 });
+    queue.add({ id: 'first', key: 'k', rating: 1500 });
+    queue.add({ id: 'far', key: 'k', rating: 1750 });
+    queue.add({ id: 'near', key: 'k', rating: 1540 });
+    queue.add({ id: 'other-deck', key: 'other', rating: 1500 });
+
+    const matches = queue.findMatches();
+    assert(matches.length === 1 && matches[0][1].id === 'near', 'The closest rating should be preferred');
+    assert(queue.has('far') && queue.has('other-deck'), 'The others should keep waiting');
+
+    console.log("  ✓ Closest opponent tests passed");
+}
+
+/**
+ * Test queue position and wait estimate
+ */
+function testQueueStatus() {
+    console.log("  Testing queue status...");
+
+    const clock = createClock();
+    const queue = new MatchmakingQueue({ now: clock.now });
+    queue.add({ id: 'a', key: 'k' });
+    queue.add({ id: 'x', key: 'other' });
+    clock.advance(3000);
+    queue.add({ id: 'b', key: 'k' });
+
+    // Nobody has been matched yet, so there is nothing to estimate from
+    let status = queue.getStatus('a');
+    assert(status.position === 1 && status.size === 2 && status.waitedMs === 3000 && status.etaMs === null, 'Status should start without an estimate');
+    assert(queue.getStatus('nobody') === null, 'Unqueued players have no status');
+
+    clock.advance(1000);
+    queue.findMatches();
+    assert(queue.getAverageWait() === 2500, 'Waits of 4s and 1s should average 2.5s');
+
+    queue.add({ id: 'c', key: 'k' });
+    clock.advance(1000);
+    status = queue.getStatus('c');
+    assert(status.etaMs === 1500 && status.ratingWindow === null && !status.ranked, 'The estimate should count down from the average wait');
+
+    queue.add({ id: 'd', key: 'other' });
+    assert(queue.getStatus('d').position === 2 && queue.getStatus('d').size === 2, 'Position should count players waiting for the same game');
+
+    console.log("  ✓ Queue status tests passed");
+}
+
+/**
+ * Test ratings kept on player accounts
+ */
+function testAccountRatings() {
+    console.log("  Testing account ratings...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'a', token: 'ta', name: 'A' });
+    store.create({ id: 'b', token: 'tb', name: 'B' });
+
+    assert(store.getRating('a').value === Rating.DEFAULT && store.getRating('a').provisional, 'New accounts should start provisional at the default');
+
+    const result = store.recordRatedGame(['a', 'b'], 0);
+    assert(result.changes[0] === 20 && store.getRating('a').value === 1520 && store.getRating('b').value === 1480, 'Ratings should move');
+    assert(store.getRating('a').games === 1, 'Ranked games should be counted');
+    assert(store.getProfile('b').rating.value === 1480, 'Profiles should show the rating');
+
+    const loaded = PlayerStore.fromJSON(JSON.parse(JSON.stringify(store)));
+    assert(loaded.getRating('a').value === 1520 && loaded.getRating('a').games === 1, 'Ratings should be saved');
+
+    // Files from before ratings existed start at the default
+    const old = JSON.parse(JSON.stringify(store));
+    delete old.players[0].rating;
+    delete old.players[0].rankedGames;
+    assert(PlayerStore.fromJSON(old).getRating('a').value === Rating.DEFAULT, 'Unrated accounts should load at the default');
+
+    console.log("  ✓ Account rating tests passed");
+}
+
+/**
+ * Test that leaving a ranked game is rated as a forfeit
+ */
+function testLeaverForfeits() {
+    console.log("  Testing leaving a ranked game...");
+
+    const store = new PlayerStore();
+    store.create({ id: 'a', token: 'ta', name: 'A' });
+    store.create({ id: 'b', token: 'tb', name: 'B' });
+
+    const engine = new GameEngine(null, new SeededRandom('leave'));
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), 2), 0);
+    engine.forfeit(0);
+    assert(engine.gameOver && engine.endReason === 'forfeit' && engine.winnerIndex === 1, 'The seat left should win by forfeit');
+
+    const result = store.recordRatedGame(['a', 'b'], engine.winnerIndex);
+    assert(result.changes[0] < 0 && result.changes[1] > 0, 'The leaver should lose rating and the opponent gain it');
+    assert(store.getRating('a').value < Rating.DEFAULT && store.getRating('b').value > Rating.DEFAULT, 'The forfeit should be saved on the accounts');
+
+    console.log("  ✓ Leaving a ranked game tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runRankedMatchmakingTests);
+} else {
+    // In Node.js, run the tests directly
+    runRankedMatchmakingTests();
+}
+
+export default runRankedMatchmakingTests;
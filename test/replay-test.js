@@ -0,0 +1,225 @@
+/**
+ * Replay Test Suite
+ *
+ * Tests recording games from their events and stepping through the replay
+ */
+import ReplayRecorder from '../core/ReplayRecorder.js';
+import GameEvents from '../core/GameEvents.js';
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import SeededRandom from '../core/SeededRandom.js';
+import { CARD_DATA, CARD_CATEGORIES } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Play a seeded game the way the server does, emitting its events
+ * @param {String} seed - Seed of the deal
+ * @param {Number} seats - Number of players
+ * @returns {Object} - { engine, recorder, choices }
+ */
+function playRecordedGame(seed, seats) {
+    const events = new GameEvents();
+    const recorder = new ReplayRecorder({ gameId: `game-${ seed }`, deckId: 'classic' }).attach(events);
+    const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES), new SeededRandom(seed));
+    const categories = Object.keys(CARD_CATEGORIES);
+
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), seats));
+    events.emit('gameInitialized', {
+        seed,
+        players: Array.from({ length: seats }, (_, seat) => `P${ seat }`),
+        hands: engine.hands,
+        currentPlayerIndex: engine.currentPlayerIndex,
+        categories: engine.categoryRules.describe()
+    });
+
+    const choices = [];
+    for (let round = 0; round < 300 && !engine.gameOver; round++) {
+        const category = categories[engine.random.nextInt(categories.length)];
+        choices.push({ seat: engine.currentPlayerIndex, category });
+        events.emit('categorySelected', { category, seat: engine.currentPlayerIndex });
+        events.emit('roundPlayed', engine.compareCards(category));
+    }
+
+    return { engine, recorder, choices };
+}
+
+/**
+ * Run all Replay tests
+ */
+function runReplayTests() {
+    console.log("🎬 Starting Replay Tests");
+
+    testRecordsServerGame();
+    testReplayReproducesGame();
+    testRecordsTwoPlayerEvents();
+    testSteps();
+    testLoad();
+
+    console.log("✅ Replay Tests Completed");
+}
+
+/**
+ * Test recording the deal, choices and results of a multi-player game
+ */
+function testRecordsServerGame() {
+    console.log("  Testing recording from GameEvents...");
+
+    const { engine, recorder, choices } = playRecordedGame('replay-1', 3);
+    const replay = recorder.getReplay();
+
+    assert(replay.version === ReplayRecorder.VERSION && replay.gameId === 'game-replay-1', 'Replay should carry its metadata');
+    assert(replay.seed === 'replay-1' && replay.deckId === 'classic', 'Replay should record the seed and deck');
+    assert(replay.initialHands.length === 3 && replay.initialHands.flat().length === CARD_DATA.length, 'Replay should record the whole deal');
+    assert(Object.keys(replay.cards).length === CARD_DATA.length, 'Replay should keep every dealt card');
+    assert(replay.rounds.length === engine.roundsPlayed, 'Replay should record every round');
+    assert(replay.rounds.every((round, index) => round.chooser === choices[index].seat && round.category === choices[index].category),
+        'Replay should record who chose which category');
+    assert(replay.result && replay.result.winnerSeat === engine.winnerIndex && replay.result.reason === 'finished',
+        'Replay should be closed with the winner');
+    assert(JSON.parse(JSON.stringify(replay)).rounds.length === replay.rounds.length, 'Replay should be plain JSON');
+
+    // Later mutations of the engine must not leak into the deal
+    assert(replay.initialHands.every(hand => hand.every(id => typeof id === 'string')), 'Deal should be stored as card IDs');
+
+    console.log("  ✓ Recording tests passed");
+}
+
+/**
+ * Test that the deal and the choices are enough to play the game again
+ */
+function testReplayReproducesGame() {
+    console.log("  Testing that a replay reproduces its game...");
+
+    const replay = playRecordedGame('replay-2', 2).recorder.getReplay();
+    const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES));
+    engine.initializePlayers(replay.initialHands.map(hand => hand.map(id => replay.cards[id])), replay.startingSeat);
+
+    replay.rounds.forEach(round => {
+        assert(engine.currentPlayerIndex === round.chooser, `Round ${ round.number } should be chosen by the recorded seat`);
+        const result = engine.compareCards(round.category);
+        assert(result.roundWinnerIndex === round.winnerSeat, `Round ${ round.number } should have the recorded winner`);
+        assert(result.plays.map(play => play.card.id).join() === round.plays.map(play => play.cardId).join(),
+            `Round ${ round.number } should play the recorded cards`);
+    });
+
+    assert(engine.winnerIndex === replay.result.winnerSeat, 'Replayed game should have the recorded winner');
+
+    console.log("  ✓ Reproduction tests passed");
+}
+
+/**
+ * Test the browser Game's two-player event shape
+ */
+function testRecordsTwoPlayerEvents() {
+    console.log("  Testing two-player events...");
+
+    const events = new GameEvents();
+    const recorder = new ReplayRecorder({ players: ['You', 'AI'] }).attach(events);
+    const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES), new SeededRandom('two-player'));
+
+    // Rounds before a deal are ignored
+    events.emit('roundPlayed', { plays: [] });
+    assert(recorder.getReplay() === null, 'Nothing should be recorded before the deal');
+
+    engine.initializeState(CARD_DATA.slice(0, 5), CARD_DATA.slice(5, 10), false);
+    events.emit('gameInitialized', {
+        playerCards: engine.playerCards,
+        opponentCards: engine.opponentCards,
+        isPlayerTurn: engine.isPlayerTurn,
+        seed: 'two-player'
+    });
+
+    // No seat in the event: the recorder knows whose turn it is
+    events.emit('categorySelected', { category: 'charisma' });
+    events.emit('roundPlayed', engine.compareCards('charisma'));
+
+    const replay = recorder.getReplay();
+    assert(replay.players.join() === 'You,AI' && replay.startingSeat === 1, 'Deal should be recorded from the two-player shape');
+    assert(replay.rounds[0].chooser === 1, 'Chooser should default to the seat on turn');
+    assert(replay.rounds[0].plays.length === 2 && replay.result === null, 'Running games should have no result yet');
+
+    recorder.finish(null, 'abandoned');
+    recorder.finish(0, 'finished');
+    assert(replay.result.reason === 'abandoned', 'A replay should only be closed once');
+
+    // A new deal starts a new replay
+    events.emit('gameInitialized', { playerCards: CARD_DATA.slice(0, 5), opponentCards: CARD_DATA.slice(5, 10), isPlayerTurn: true });
+    assert(recorder.getReplay() !== replay && recorder.getReplay().rounds.length === 0, 'Each deal should start a new replay');
+
+    console.log("  ✓ Two-player event tests passed");
+}
+
+/**
+ * Test the viewer steps: the deal, then one per round
+ */
+function testSteps() {
+    console.log("  Testing steps...");
+
+    const replay = playRecordedGame('replay-3', 2).recorder.getReplay();
+    const steps = ReplayRecorder.getSteps(replay);
+
+    assert(steps.length === replay.rounds.length + 1, 'There should be a step per round plus the deal');
+    assert(steps[0].round === null && steps[0].category === null, 'First step should be the deal');
+    assert(steps[0].plays.every(play => play.card.id === replay.initialHands[play.seat][0]), 'Deal step should show each top card');
+    assert(steps[0].nextSeat === replay.startingSeat, 'Deal step should say who starts');
+    assert(steps[1].plays.every(play => play.card.name && play.card.stats), 'Round steps should resolve cards');
+    assert(steps[steps.length - 1].gameOver && steps.slice(0, -1).every(step => !step.gameOver), 'Only the last step should end the game');
+
+    const summary = ReplayRecorder.summarize(replay);
+    assert(summary.rounds === replay.rounds.length && summary.winner === replay.players[replay.result.winnerSeat],
+        'Summary should name the winner');
+
+    console.log("  ✓ Step tests passed");
+}
+
+/**
+ * Test checking stored replays
+ */
+function testLoad() {
+    console.log("  Testing load...");
+
+    const replay = JSON.parse(JSON.stringify(playRecordedGame('replay-4', 2).recorder.getReplay()));
+    assert(ReplayRecorder.load(replay) === replay, 'Valid replays should load');
+
+    const rejects = (data, fragment) => {
+        try {
+            ReplayRecorder.load(data);
+        } catch (error) {
+            return error.message.includes(fragment);
+        }
+        return false;
+    };
+
+    assert(rejects(null, 'object'), 'Non-objects should be rejected');
+    assert(rejects({ ...replay, version: 99 }, 'version "99"'), 'Unknown versions should be rejected');
+    assert(rejects({ ...replay, rounds: undefined }, 'rounds'), 'Replays without rounds should be rejected');
+
+    console.log("  ✓ Load tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runReplayTests);
+} else {
+    // In Node.js, run the tests directly
+    runReplayTests();
+}
+
+export default runReplayTests;
@@ -12,6 +12,28 @@ import runGameStateTests from './game-state-test.js';
 import runNetworkManagerTests from './network-manager-test.js';
 import runCardManagerTests from './card-manager-test.js';
 import runUIAdapterTests from './ui-adapter-test.js';
+import runServerValidatorTests from './server-validator-test.js';
+import runGameEngineMultiplayerTests from './game-engine-multiplayer-test.js';
+import runCategoryRulesTests from './category-rules-test.js';
+import runDeckPackTests from './deck-pack-test.js';
+import runAIStrategyTests from './ai-strategy-test.js';
+import runSeededRandomTests from './seeded-random-test.js';
+import runReplayTests from './replay-test.js';
+import runPoliticalCardTests from './political-card-test.js';
+import runWinConditionTests from './win-condition-test.js';
+import runTiePolicyTests from './tie-policy-test.js';
+import runCardEffectsTests from './card-effects-test.js';
+import runMatchSeriesTests from './match-series-test.js';
+import runPlayerStoreTests from './player-store-test.js';
+import runRankedMatchmakingTests from './ranked-matchmaking-test.js';
+import runLeaderboardTests from './leaderboard-test.js';
+import runSpectatorTests from './spectator-test.js';
+import runChatTests from './chat-test.js';
+import runTurnClockTests from './turn-clock-test.js';
+import runHiddenInformationTests from './hidden-information-test.js';
+import runProtocolTests from './protocol-test.js';
+import runGameStoreTests from './game-store-test.js';
+import runGameLogTests from './game-log-test.js';
 
 // Run all tests sequentially
 async function runAllTests() {
@@ -35,6 +57,46 @@ async function runAllTests() {
         // GameCommands tests
         await runTest(runGameCommandsTests, 'GameCommands');
 
+        // ServerValidator tests
+        await runTest(runServerValidatorTests, 'ServerValidator');
+
+        // GameEngine multiplayer tests
+        await runTest(runGameEngineMultiplayerTests, 'GameEngine Multiplayer');
+
+        // CategoryRules tests
+        await runTest(runCategoryRulesTests, 'CategoryRules');
+
+        // DeckPack tests
+        await runTest(runDeckPackTests, 'DeckPack');
+
+        // AIStrategy tests
+        await runTest(runAIStrategyTests, 'AIStrategy');
+
+        // SeededRandom tests
+        await runTest(runSeededRandomTests, 'SeededRandom');
+
+        // Replay tests
+        await runTest(runReplayTests, 'Replay');
+
+        // PoliticalCard tests
+        await runTest(runPoliticalCardTests, 'PoliticalCard');
+
+        // Win condition tests
+        await runTest(runWinConditionTests, 'WinCondition');
+        await runTest(runTiePolicyTests, 'TiePolicy');
+        await runTest(runCardEffectsTests, 'CardEffects');
+        await runTest(runMatchSeriesTests, 'MatchSeries');
+        await runTest(runPlayerStoreTests, 'PlayerStore');
+        await runTest(runRankedMatchmakingTests, 'RankedMatchmaking');
+        await runTest(runLeaderboardTests, 'Leaderboard');
+        await runTest(runSpectatorTests, 'Spectator');
+        await runTest(runChatTests, 'Chat');
+        await runTest(runTurnClockTests, 'Turn Clock');
+        await runTest(runHiddenInformationTests, 'Hidden Information');
+        await runTest(runProtocolTests, 'Protocol');
+        await runTest(runGameStoreTests, 'Game Store');
+        await runTest(runGameLogTests, 'Game Log');
+
         // Feature components tests
         console.log('\n📋 TESTING FEATURE COMPONENTS');
         console.log('---------------------------------');
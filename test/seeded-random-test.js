@@ -0,0 +1,188 @@
+/**
+ * Seeded Random Test Suite
+ *
+ * Tests the seeded PRNG and that every shuffle and coin flip draws from it
+ */
+import SeededRandom from '../core/SeededRandom.js';
+import GameEngine from '../core/GameEngine.js';
+import CardManager from '../core/CardManager.js';
+import Deck from '../core/Deck.js';
+import { CARD_DATA } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Run all SeededRandom tests
+ */
+function runSeededRandomTests() {
+    console.log("🎰 Starting SeededRandom Tests");
+
+    testDeterminism();
+    testRange();
+    testShuffle();
+    testSnapshots();
+    testDailySeed();
+    testEngineDeals();
+    testDeckAndCardManager();
+
+    console.log("✅ SeededRandom Tests Completed");
+}
+
+/**
+ * Test that a seed always produces the same sequence
+ */
+function testDeterminism() {
+    console.log("  Testing determinism...");
+
+    const first = new SeededRandom('abc');
+    const second = new SeededRandom('abc');
+    const sequence = Array.from({ length: 5 }, () => first.next());
+
+    assert(sequence.every(value => value === second.next()), 'Same seed should give the same sequence');
+    assert(new SeededRandom('abd').next() !== new SeededRandom('abc').next(), 'Different seeds should differ');
+    assert(new SeededRandom(42).seed === '42', 'Numeric seeds should be stored as strings');
+    assert(new SeededRandom().seed.length === 10, 'Missing seeds should be generated');
+    assert(new SeededRandom().seed !== new SeededRandom().seed, 'Generated seeds should differ');
+
+    console.log("  ✓ Determinism tests passed");
+}
+
+/**
+ * Test the range of next() and nextInt()
+ */
+function testRange() {
+    console.log("  Testing ranges...");
+
+    const random = new SeededRandom('range');
+    const counts = [0, 0, 0];
+
+    for (let i = 0; i < 3000; i++) {
+        const value = random.next();
+        assert(value >= 0 && value < 1, 'next() should stay in [0, 1)');
+        counts[random.nextInt(3)]++;
+    }
+
+    assert(counts.every(count => count > 850), 'nextInt() should spread evenly');
+
+    console.log("  ✓ Range tests passed");
+}
+
+/**
+ * Test that shuffles are permutations and reproducible
+ */
+function testShuffle() {
+    console.log("  Testing shuffle...");
+
+    const numbers = Array.from({ length: 20 }, (_, index) => index);
+    const shuffled = new SeededRandom('deck').shuffle([...numbers]);
+
+    assert([...shuffled].sort((a, b) => a - b).join() === numbers.join(), 'Shuffle should keep every element');
+    assert(shuffled.join() !== numbers.join(), 'Shuffle should change the order');
+    assert(new SeededRandom('deck').shuffle([...numbers]).join() === shuffled.join(), 'Same seed should shuffle the same way');
+
+    console.log("  ✓ Shuffle tests passed");
+}
+
+/**
+ * Test continuing from a snapshot
+ */
+function testSnapshots() {
+    console.log("  Testing snapshots...");
+
+    const random = new SeededRandom('snapshot');
+    random.next();
+    const snapshot = random.getState();
+    const expected = random.next();
+
+    const restored = SeededRandom.fromState(JSON.parse(JSON.stringify(snapshot)));
+    assert(restored.seed === 'snapshot' && restored.next() === expected, 'Restored generator should continue the sequence');
+
+    console.log("  ✓ Snapshot tests passed");
+}
+
+/**
+ * Test the daily challenge seed
+ */
+function testDailySeed() {
+    console.log("  Testing daily seed...");
+
+    assert(SeededRandom.dailySeed(new Date('2024-05-01T23:59:00Z')) === 'daily-2024-05-01', 'Daily seed should use the UTC date');
+    assert(SeededRandom.dailySeed(new Date('2024-05-01T00:00:00Z')) === SeededRandom.dailySeed(new Date('2024-05-01T12:00:00Z')),
+        'Daily seed should not change during the day');
+
+    console.log("  ✓ Daily seed tests passed");
+}
+
+/**
+ * Test that the engine deals and picks the starting player from its seed
+ */
+function testEngineDeals() {
+    console.log("  Testing GameEngine deals...");
+
+    const deal = seed => {
+        const engine = new GameEngine(null, new SeededRandom(seed));
+        const deck = engine.shuffleDeck(CARD_DATA);
+        engine.initializePlayers(engine.dealHands(deck, 3));
+        return `${ engine.hands.map(hand => hand.map(card => card.id).join()).join('|') }#${ engine.currentPlayerIndex }`;
+    };
+
+    assert(deal('game-1') === deal('game-1'), 'Same seed should deal the same hands and starting player');
+    assert(deal('game-1') !== deal('game-2'), 'Different seeds should deal differently');
+
+    const engine = new GameEngine();
+    engine.setSeed('replay');
+    assert(engine.seed === 'replay' && engine.getState().seed === 'replay', 'Seed should be part of the state');
+
+    const starters = new Set(Array.from({ length: 20 }, (_, index) => deal(`start-${ index }`).split('#')[1]));
+    assert(starters.size === 3, 'Every seat should be able to start');
+
+    console.log("  ✓ GameEngine deal tests passed");
+}
+
+/**
+ * Test Deck.shuffle() and CardManager.shuffleDeck() with injected sources
+ */
+function testDeckAndCardManager() {
+    console.log("  Testing Deck and CardManager...");
+
+    const ids = CARD_DATA.map(card => card.id);
+
+    const deckOrder = seed => new Deck({ cards: [...ids], random: new SeededRandom(seed) }).shuffle().cards.join();
+    assert(deckOrder('d') === deckOrder('d'), 'Deck.shuffle() should use the injected source');
+
+    const managerOrder = seed => {
+        const cards = [...ids];
+        new CardManager(null, new SeededRandom(seed)).shuffleDeck(cards);
+        return cards.join();
+    };
+    assert(managerOrder('m') === managerOrder('m'), 'CardManager.shuffleDeck() should use the injected source');
+    assert(managerOrder('m') === deckOrder('m'), 'All shuffles should agree for the same seed');
+
+    console.log("  ✓ Deck and CardManager tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runSeededRandomTests);
+} else {
+    // In Node.js, run the tests directly
+    runSeededRandomTests();
+}
+
+export default runSeededRandomTests;
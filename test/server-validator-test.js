@@ -0,0 +1,176 @@
+/**
+ * Server Validator Test Suite
+ *
+ * Tests the ServerValidator move pipeline used by server.js
+ */
+import ServerValidator from '../core/ServerValidator.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Create a validator-shaped game state for two players
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Game state
+ */
+function createState(overrides = {}) {
+    return {
+        state: 'in_progress',
+        players: ['p1', 'p2'],
+        currentPlayerIndex: 0,
+        playerHands: [
+            [{ id: 'trump', stats: { charisma: 9, wealth: 9 } }],
+            [{ id: 'obama', stats: { charisma: 10, wealth: 6 } }]
+        ],
+        roundsPlayed: 3,
+        pendingCategory: null,
+        processedMoveIds: new Set(),
+        ...overrides
+    };
+}
+
+/**
+ * Run all ServerValidator tests
+ */
+function runServerValidatorTests() {
+    console.log("🛡️ Starting ServerValidator Tests");
+
+    testCreateMove();
+    testValidCategorySelection();
+    testRejections();
+    testInformationalMoves();
+
+    console.log("✅ ServerValidator Tests Completed");
+}
+
+/**
+ * Test that raw payloads are reduced to typed moves
+ */
+function testCreateMove() {
+    console.log("  Testing createMove...");
+
+    const move = ServerValidator.createMove('category_selection', 'p1', {
+        gameId: 'g1',
+        category: 'charisma',
+        round: 3,
+        moveId: 'm-1',
+        extra: 'ignored'
+    });
+
+    assert(move.type === 'category_selection', 'Move type should be kept');
+    assert(move.playerId === 'p1', 'Sender should be recorded');
+    assert(move.category === 'charisma' && move.round === 3 && move.moveId === 'm-1', 'Typed fields should be copied');
+    assert(move.extra === undefined, 'Unknown fields should be dropped');
+
+    const junk = ServerValidator.createMove('category_selection', 'p1', { category: { $ne: 1 }, round: '3' });
+    assert(junk.category === null && junk.round === null, 'Fields of the wrong type should be dropped');
+
+    const empty = ServerValidator.createMove('leave_game', 'p1', null);
+    assert(empty.gameId === null, 'Missing payload should produce an empty move');
+
+    console.log("  ✓ createMove tests passed");
+}
+
+/**
+ * Test a legal category selection
+ */
+function testValidCategorySelection() {
+    console.log("  Testing valid category selection...");
+
+    const move = ServerValidator.createMove('category_selection', 'p1', { category: 'wealth', round: 3, moveId: 'm-1' });
+    const result = ServerValidator.validateMove(createState(), 'p1', move);
+
+    assert(result.valid === true, 'Move on your turn with a known category should be valid');
+
+    const withoutRound = ServerValidator.createMove('category_selection', 'p1', { category: 'wealth' });
+    assert(ServerValidator.validateMove(createState(), 'p1', withoutRound).valid, 'Round and move ID should be optional');
+
+    console.log("  ✓ Valid category selection tests passed");
+}
+
+/**
+ * Test every rejection code of the pipeline
+ */
+function testRejections() {
+    console.log("  Testing rejections...");
+
+    const select = (payload, playerId = 'p1') => ServerValidator.createMove('category_selection', playerId, payload);
+    const codeFor = (state, playerId, move) => ServerValidator.validateMove(state, playerId, move).code;
+
+    assert(codeFor(null, 'p1', select({ category: 'wealth' })) === 'GAME_NOT_FOUND', 'Missing game should be rejected');
+    assert(codeFor(createState(), 'p1', { type: 'cheat' }) === 'UNKNOWN_MOVE',
+        'Unknown move types should be rejected');
+    assert(codeFor(createState(), 'p3', select({ category: 'wealth' }, 'p3')) === 'NOT_IN_GAME',
+        'Players outside the game should be rejected');
+    assert(codeFor(createState({ state: 'completed' }), 'p1', select({ category: 'wealth' })) === 'NOT_IN_PROGRESS',
+        'Moves after the game ended should be rejected');
+    assert(codeFor(createState(), 'p2', select({ category: 'wealth' }, 'p2')) === 'NOT_YOUR_TURN',
+        'Moves out of turn should be rejected');
+    assert(codeFor(createState({ pendingCategory: 'charisma' }), 'p1', select({ category: 'wealth' })) === 'ROUND_IN_PROGRESS',
+        'Moves during the round delay should be rejected');
+    assert(codeFor(createState(), 'p1', select({ category: 'wealth', round: 2 })) === 'STALE_MOVE',
+        'Moves for an earlier round should be rejected');
+    assert(codeFor(createState(), 'p1', select({})) === 'NO_CATEGORY', 'Missing category should be rejected');
+    assert(codeFor(createState(), 'p1', select({ category: 'scandals' })) === 'INVALID_CATEGORY',
+        'Categories missing from the top card should be rejected');
+    assert(codeFor(createState(), 'p1', select({ category: 'constructor' })) === 'INVALID_CATEGORY',
+        'Inherited object keys should not count as categories');
+    assert(codeFor(createState({ playerHands: [[], []] }), 'p1', select({ category: 'wealth' })) === 'NO_CARDS',
+        'Players without cards should be rejected');
+
+    const replayed = createState({ processedMoveIds: new Set(['m-1']) });
+    assert(codeFor(replayed, 'p1', select({ category: 'wealth', moveId: 'm-1' })) === 'DUPLICATE_MOVE',
+        'Replayed moves should be rejected');
+
+    const rejection = ServerValidator.validateMove(createState(), 'p2', select({ category: 'wealth' }, 'p2'));
+    assert(rejection.valid === false && typeof rejection.reason === 'string', 'Rejections should carry a reason');
+
+    console.log("  ✓ Rejection tests passed");
+}
+
+/**
+ * Test moves that do not need the turn
+ */
+function testInformationalMoves() {
+    console.log("  Testing informational moves...");
+
+    const nextCards = ServerValidator.createMove('next_cards_request', 'p2', { gameId: 'g1' });
+    assert(ServerValidator.validateMove(createState(), 'p2', nextCards).valid, 'Next cards may be requested out of turn');
+
+    const leave = ServerValidator.createMove('leave_game', 'p2', { gameId: 'g1' });
+    assert(ServerValidator.validateMove(createState({ state: 'completed' }), 'p2', leave).valid,
+        'Leaving is allowed after the game ended');
+
+    const rematch = ServerValidator.createMove('rematch_request', 'p2', { gameId: 'g1' });
+    assert(ServerValidator.validateMove(createState({ state: 'completed' }), 'p2', rematch).valid, 'Rematches may be requested after the game');
+    assert(ServerValidator.validateMove(createState(), 'p2', rematch).code === 'GAME_NOT_OVER', 'Rematches must wait for the game to end');
+    assert(ServerValidator.validateMove(createState({ state: 'completed', players: ['p1', 'p2', null] }), 'p2', rematch).code === 'OPPONENT_GONE',
+        'Rematches need both players');
+
+    console.log("  ✓ Informational move tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runServerValidatorTests);
+} else {
+    // In Node.js, run the tests directly
+    runServerValidatorTests();
+}
+
+export default runServerValidatorTests;
@@ -0,0 +1,166 @@
+/**
+ * Spectator Test Suite
+ *
+ * Tests the neutral game and round views spectators get from
+ * core/SpectatorFeed, and holding their updates back by the spectator delay
+ */
+import SpectatorFeed from '../core/SpectatorFeed.js';
+import GameEngine from '../core/GameEngine.js';
+import SeededRandom from '../core/SeededRandom.js';
+import { CARD_DATA } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Deal the classic deck from a seed the way the server does
+ * @param {String} seed - Seed
+ * @param {Number} seats - Number of players
+ * @returns {GameEngine} - Engine with the hands dealt
+ */
+function dealGame(seed, seats = 2) {
+    const engine = new GameEngine(null, new SeededRandom(seed));
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), seats), 0);
+    return engine;
+}
+
+/**
+ * Whether a view holds any card of the deck, at any depth
+ * @param {*} value - View
+ * @returns {Boolean} - True if a card was found
+ */
+function holdsCard(value) {
+    if (!value || typeof value !== 'object') return false;
+    if (CARD_DATA.includes(value)) return true;
+    return Object.values(value).some(holdsCard);
+}
+
+/**
+ * A feed whose timers are run by hand
+ * @param {Number} delayMs - Spectator delay
+ * @returns {Object} - { feed, advance(ms) }
+ */
+function manualFeed(delayMs) {
+    let now = 0;
+    let timers = [];
+
+    const feed = new SpectatorFeed({
+        delayMs,
+        setTimer: (callback, ms) => timers.push({ at: now + ms, callback })
+    });
+
+    const advance = (ms) => {
+        now += ms;
+        const due = timers.filter(timer => timer.at <= now);
+        timers = timers.filter(timer => timer.at > now);
+        due.forEach(timer => timer.callback());
+    };
+
+    return { feed, advance };
+}
+
+/**
+ * Run all spectator tests
+ */
+function runSpectatorTests() {
+    console.log("👀 Starting Spectator Tests");
+
+    testNeutralState();
+    testRoundReveal();
+    testDelay();
+
+    console.log("✅ Spectator Tests Completed");
+}
+
+/**
+ * Test that the game view shows counts and scores but no card
+ */
+function testNeutralState() {
+    console.log("  Testing the neutral game view...");
+
+    const engine = dealGame('spectate', 3);
+    engine.tieCards.push(engine.hands[2].pop());
+    const view = SpectatorFeed.buildState(engine);
+
+    assert(!holdsCard(view), 'No hand, top card or tie pile card should be shown');
+    assert(!('seed' in view) && !('hands' in view), 'The seed and hands should be left out');
+    assert(view.seats.map(seat => seat.cardCount).join() === engine.hands.map(hand => hand.length).join(), 'Card counts should be given');
+    assert(view.tieCardCount === 1, 'The tie pile should only be counted');
+    assert(view.seats[0].isCurrentTurn && !view.seats[1].isCurrentTurn, 'The seat to choose should be marked');
+
+    console.log("  ✓ Neutral game view tests passed");
+}
+
+/**
+ * Test that cards show up only once their round is decided
+ */
+function testRoundReveal() {
+    console.log("  Testing round reveals...");
+
+    const engine = dealGame('reveal');
+    const [first, second] = [engine.hands[0][0], engine.hands[1][0]];
+    assert(!holdsCard(SpectatorFeed.buildState(engine)), 'The cards about to be played should be hidden');
+
+    const round = SpectatorFeed.buildRound(engine.compareCards('charisma'));
+    assert(round.plays.map(play => play.card).join() === [first, second].join(), 'The played cards should be revealed');
+    assert(!('playerCard' in round) && !('result' in round), 'Seat-relative fields should be left out');
+    assert(!holdsCard(SpectatorFeed.buildState(engine)), 'The next cards should stay hidden');
+
+    console.log("  ✓ Round reveal tests passed");
+}
+
+/**
+ * Test that updates are held back and show the game as it was when they were built
+ */
+function testDelay() {
+    console.log("  Testing the spectator delay...");
+
+    const engine = dealGame('delay');
+    const { feed, advance } = manualFeed(10000);
+    const received = [];
+
+    const view = SpectatorFeed.buildState(engine);
+    feed.send(() => received.push(view));
+    engine.compareCards('charisma');
+    assert(engine.roundsWon.some(won => won > 0), 'The round should have been won');
+
+    advance(9999);
+    assert(received.length === 0, 'Updates should wait for the delay');
+
+    advance(1);
+    assert(received.length === 1, 'Updates should arrive once the delay has passed');
+    assert(received[0].roundsPlayed === 0 && received[0].points.every(points => points === 0) && received[0].roundsWon.every(won => won === 0),
+        'A delayed view should show the score when it was built');
+
+    const instant = new SpectatorFeed();
+    let sent = false;
+    instant.send(() => { sent = true; });
+    assert(sent, 'Without a delay updates should go out at once');
+
+    console.log("  ✓ Spectator delay tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runSpectatorTests);
+} else {
+    // In Node.js, run the tests directly
+    runSpectatorTests();
+}
+
+export default runSpectatorTests;
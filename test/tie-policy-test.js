@@ -0,0 +1,302 @@
+/**
+ * Tie Policy Test Suite
+ *
+ * Tests resolving ties for the best card with the tie pile, sudden death,
+ * blind draw and second category policies
+ */
+import GameRules from '../core/GameRules.js';
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import SeededRandom from '../core/SeededRandom.js';
+import GameEvents from '../core/GameEvents.js';
+import ReplayRecorder from '../core/ReplayRecorder.js';
+import { CARD_DATA, CARD_CATEGORIES } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+// Two categories in deck order; "speed" is the second category of "power"
+const CATEGORIES = { power: { label: 'Power' }, speed: { label: 'Speed' }, age: { label: 'Age', direction: 'lower' } };
+
+/**
+ * Create a card
+ * @param {String} id - Card ID
+ * @param {Number} power - Value of the "power" stat
+ * @param {Number} speed - Value of the "speed" stat
+ * @param {Number} age - Value of the "age" stat
+ * @returns {Object} - Card
+ */
+function card(id, power, speed = 5, age = 50) {
+    return { id, name: id, stats: { power, speed, age } };
+}
+
+/**
+ * Create an engine with a tie policy and deal fixed hands
+ * @param {Object} options - GameRules options
+ * @param {Array} hands - Cards per seat
+ * @param {Number} startingIndex - Seat that chooses first
+ * @returns {GameEngine} - Engine
+ */
+function createEngine(options, hands, startingIndex = 0) {
+    const categoryRules = new CategoryRules(CATEGORIES);
+    const engine = new GameEngine(categoryRules, new SeededRandom('ties'), new GameRules({ ...options, categories: categoryRules }));
+    engine.initializePlayers(hands, startingIndex);
+    return engine;
+}
+
+/**
+ * Run all tie policy tests
+ */
+function runTiePolicyTests() {
+    console.log("🤝 Starting Tie Policy Tests");
+
+    testRuleOptions();
+    testTiePile();
+    testSuddenDeath();
+    testBlindDraw();
+    testSecondaryCategory();
+    testFullGames();
+    testReplayRecordsTieBreaks();
+
+    console.log("✅ Tie Policy Tests Completed");
+}
+
+/**
+ * Test the tie policy options
+ */
+function testRuleOptions() {
+    console.log("  Testing rule options...");
+
+    const rules = new GameRules();
+    assert(rules.tiePolicy === 'tiePile' && rules.blindDrawCount === GameRules.DEFAULT_BLIND_DRAW, 'The tie pile should be the default');
+    assert(GameRules.listTiePolicies().map(policy => policy.id).join() === 'tiePile,sameCategory,blindDraw,secondaryCategory',
+        'Every tie policy should be listed');
+
+    const rejects = (options, fragment) => {
+        try {
+            new GameRules(options);
+        } catch (error) {
+            return error.message.includes(fragment);
+        }
+        return false;
+    };
+    assert(rejects({ tiePolicy: 'coinFlip' }, '"coinFlip"'), 'Unknown tie policies should be rejected');
+    assert(rejects({ tiePolicy: 'blindDraw', blindDrawCount: 0 }, 'Blind draw'), 'Empty blind draws should be rejected');
+    assert(rejects({ blindDrawCount: GameRules.MAX_BLIND_DRAW + 1 }, 'Blind draw'), 'Huge blind draws should be rejected');
+
+    const keys = ['a', 'b', 'c', 'd'];
+    assert(rules.getTieCategories('b', keys).join() === 'c,d,a', 'Second categories should follow the deck order');
+    assert(new GameRules({ tieCategory: 'd' }).getTieCategories('b', keys).join() === 'd,c,a', 'The tie category should be tried first');
+    assert(new GameRules({ tieCategory: 'b' }).getTieCategories('b', keys).join() === 'c,d,a', 'The tied category should never be tried again');
+
+    const settings = new GameRules({ winCondition: 'points', tiePolicy: 'blindDraw', blindDrawCount: 2 }).getSettings();
+    assert(new GameRules(settings).getSettings().blindDrawCount === 2 && settings.tiePolicy === 'blindDraw', 'Settings should recreate the rules');
+
+    console.log("  ✓ Rule option tests passed");
+}
+
+/**
+ * Test the tie pile: nothing more is played and the next player chooses
+ */
+function testTiePile() {
+    console.log("  Testing the tie pile...");
+
+    const engine = createEngine({}, [[card('a1', 8), card('a2', 1)], [card('b1', 8), card('b2', 2)], [card('c1', 3), card('c2', 9)]], 2);
+    const result = engine.compareCards('power');
+
+    assert(result.result === 'tie' && result.tiedSeats.join() === '0,1', 'The tie should stand');
+    assert(engine.tieCards.length === 3 && engine.hands[0].length === 1, 'Only the first cards should be played');
+    assert(result.nextPlayerIndex === 0, 'The next player should choose');
+    assert(result.tieBreak.policy === 'tiePile' && result.tieBreak.steps.length === 0, 'The round should describe the tie pile');
+    assert(result.tieBreak.description.includes('tie pile'), 'The description should mention the tie pile');
+
+    const next = engine.compareCards('power');
+    assert(next.roundWinnerIndex === 2 && next.tieBreak === null, 'Rounds without a tie should have no tie break');
+    assert(engine.hands[2].length === 6, 'The next winner should take the tie pile');
+
+    console.log("  ✓ Tie pile tests passed");
+}
+
+/**
+ * Test sudden death: the tied seats play on in the same category
+ */
+function testSuddenDeath() {
+    console.log("  Testing sudden death...");
+
+    let engine = createEngine({ tiePolicy: 'sameCategory' }, [
+        [card('a1', 8), card('a2', 6), card('a3', 9)],
+        [card('b1', 8), card('b2', 6), card('b3', 2)]
+    ], 1);
+    let result = engine.compareCards('power');
+
+    assert(result.roundWinnerIndex === 0 && result.result === 'player', 'The tie should be broken in the same category');
+    assert(result.tieBreak.steps.length === 2 && result.tieBreak.potSize === 6, 'Each replay should be recorded');
+    assert(result.tieBreak.steps.every(step => step.category === 'power'), 'Replays should use the tied category');
+    assert(engine.hands[0].length === 6 && engine.hands[1].length === 0 && engine.tieCards.length === 0, 'The winner should take every card');
+    assert(result.tieBreak.description.includes('sudden death') && result.tieBreak.description.includes('Power'),
+        'The description should name the policy and category');
+    assert(result.gameOver && result.winnerIndex === 0, 'A seat emptied by sudden death should be out');
+
+    // Only the tied seats play on
+    engine = createEngine({ tiePolicy: 'sameCategory' }, [
+        [card('a1', 8), card('a2', 3)],
+        [card('b1', 8), card('b2', 4)],
+        [card('c1', 2), card('c2', 9)]
+    ]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 1 && engine.hands[2].length === 1, 'Seats outside the tie should not play on');
+
+    // A seat that runs out of cards drops out of the tie break
+    engine = createEngine({ tiePolicy: 'sameCategory' }, [[card('a1', 8), card('a2', 1)], [card('b1', 8)], [card('c1', 2), card('c2', 9)]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 0 && result.eliminated.join() === '1', 'The last tied seat with cards should win');
+
+    // Nobody has a card left: the tie stands
+    engine = createEngine({ tiePolicy: 'sameCategory' }, [[card('a1', 8)], [card('b1', 8)], [card('c1', 2), card('c2', 9)]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === null && engine.tieCards.length === 3, 'Cards should go to the tie pile when the tie stands');
+
+    console.log("  ✓ Sudden death tests passed");
+}
+
+/**
+ * Test the blind draw: face-down cards, then a card in the same category
+ */
+function testBlindDraw() {
+    console.log("  Testing the blind draw...");
+
+    let engine = createEngine({ tiePolicy: 'blindDraw', blindDrawCount: 2 }, [
+        [card('a1', 8), card('a2', 1), card('a3', 1), card('a4', 3), card('a5', 5)],
+        [card('b1', 8), card('b2', 9), card('b3', 9), card('b4', 7), card('b5', 5)]
+    ]);
+    let result = engine.compareCards('power');
+
+    assert(result.roundWinnerIndex === 1, 'The card after the face-down ones should decide');
+    assert(result.tieBreak.steps[0].faceDown.every(entry => entry.count === 2), 'Each tied seat should put two cards face down');
+    assert(result.tieBreak.steps[0].plays.map(play => play.card.id).join() === 'a4,b4', 'The next card should be played face up');
+    assert(result.tieBreak.potSize === 8 && engine.hands[1].length === 9, 'The winner should take the face-down cards too');
+    assert(result.tieBreak.description.includes('blind draw'), 'The description should name the blind draw');
+
+    // A short hand keeps one card to play
+    engine = createEngine({ tiePolicy: 'blindDraw', blindDrawCount: 3 }, [
+        [card('a1', 8), card('a2', 1), card('a3', 5)],
+        [card('b1', 8), card('b2', 3)]
+    ]);
+    result = engine.compareCards('power');
+    assert(result.tieBreak.steps[0].faceDown.map(entry => entry.count).join() === '1,0', 'Players should keep a card to play');
+    assert(result.roundWinnerIndex === 0 && result.tieBreak.potSize === 5, 'The kept cards should decide');
+
+    console.log("  ✓ Blind draw tests passed");
+}
+
+/**
+ * Test comparing the tied cards in other categories
+ */
+function testSecondaryCategory() {
+    console.log("  Testing the second category...");
+
+    let engine = createEngine({ tiePolicy: 'secondaryCategory' }, [
+        [card('a1', 8, 4), card('a2', 1)],
+        [card('b1', 8, 6), card('b2', 2)],
+        [card('c1', 3, 9), card('c2', 9)]
+    ]);
+    let result = engine.compareCards('power');
+
+    assert(result.roundWinnerIndex === 1, 'The next category should decide between the tied cards only');
+    assert(result.tieBreak.steps.length === 1 && result.tieBreak.steps[0].category === 'speed', 'Speed should be tried after power');
+    assert(result.tieBreak.potSize === 3 && engine.hands[0].length === 1, 'No further cards should be played');
+    assert(result.tieBreak.description.includes('Speed'), 'The description should name the deciding category');
+
+    // The direction of the second category applies; level categories are skipped
+    engine = createEngine({ tiePolicy: 'secondaryCategory' }, [[card('a1', 8, 5, 40)], [card('b1', 8, 5, 60)]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 0 && result.tieBreak.steps.map(step => step.category).join() === 'speed,age',
+        'Lower ages should win once speed is level');
+
+    engine = createEngine({ tiePolicy: 'secondaryCategory', tieCategory: 'age' }, [[card('a1', 8, 9, 40)], [card('b1', 8, 1, 60)]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === 0 && result.tieBreak.steps.length === 1, 'The configured tie category should decide first');
+
+    engine = createEngine({ tiePolicy: 'secondaryCategory' }, [[card('a1', 8), card('a2', 1)], [card('b1', 8), card('b2', 2)]]);
+    result = engine.compareCards('power');
+    assert(result.roundWinnerIndex === null && engine.tieCards.length === 2, 'Cards level in every category should go to the tie pile');
+
+    console.log("  ✓ Second category tests passed");
+}
+
+/**
+ * Test that every policy plays whole games without losing cards
+ */
+function testFullGames() {
+    console.log("  Testing full games...");
+
+    const categories = Object.keys(CARD_CATEGORIES);
+
+    Object.keys(GameRules.TIE_POLICIES).forEach(tiePolicy => {
+        [2, 3].forEach(seats => {
+            const categoryRules = new CategoryRules(CARD_CATEGORIES);
+            const engine = new GameEngine(categoryRules, new SeededRandom(`${ tiePolicy }-${ seats }`),
+                new GameRules({ tiePolicy, maxRounds: 0, categories: categoryRules }));
+            engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), seats));
+
+            for (let round = 0; round < 2000 && !engine.gameOver; round++) {
+                const result = engine.compareCards(categories[engine.random.nextInt(categories.length)]);
+                const total = engine.hands.reduce((sum, hand) => sum + hand.length, 0) + engine.tieCards.length;
+                assert(total === CARD_DATA.length, `${ tiePolicy } should never lose a card`);
+                assert(!result.tieBreak || result.tieBreak.potSize >= result.plays.length, `${ tiePolicy } should count the pot`);
+            }
+        });
+    });
+
+    console.log("  ✓ Full game tests passed");
+}
+
+/**
+ * Test that replays keep the rules and how ties were broken
+ */
+function testReplayRecordsTieBreaks() {
+    console.log("  Testing replays...");
+
+    const events = new GameEvents();
+    const recorder = new ReplayRecorder().attach(events);
+    const engine = createEngine({ tiePolicy: 'sameCategory' }, [
+        [card('a1', 8), card('a2', 6)],
+        [card('b1', 8), card('b2', 2)]
+    ]);
+
+    events.emit('gameInitialized', { hands: engine.hands, currentPlayerIndex: 0, rules: engine.rules.getSettings() });
+    events.emit('roundPlayed', engine.compareCards('power'));
+
+    const replay = JSON.parse(JSON.stringify(recorder.getReplay()));
+    const round = replay.rounds[0];
+    assert(replay.rules.tiePolicy === 'sameCategory', 'Replays should keep the tie policy');
+    assert(round.tieBreak.steps[0].plays.map(play => play.cardId).join() === 'a2,b2', 'Replays should keep the tie break cards by id');
+    assert(ReplayRecorder.getSteps(replay)[1].tieBreak.description === round.tieBreak.description, 'Replay steps should describe the tie break');
+
+    console.log("  ✓ Replay tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runTiePolicyTests);
+} else {
+    // In Node.js, run the tests directly
+    runTiePolicyTests();
+}
+
+export default runTiePolicyTests;
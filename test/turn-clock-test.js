@@ -0,0 +1,245 @@
+/**
+ * Turn Clock Test Suite
+ *
+ * Tests the turn time limit, timeouts and forfeits in core/TurnClock, and
+ * forfeiting a seat in core/GameEngine
+ */
+import TurnClock from '../core/TurnClock.js';
+import GameEngine from '../core/GameEngine.js';
+import GameRules from '../core/GameRules.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Whether a call throws an error mentioning some text
+ * @param {Function} fn - Call
+ * @param {String} text - Expected part of the message
+ * @returns {Boolean} - Thrown with the text
+ */
+function throwsWith(fn, text) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return error.message.includes(text);
+    }
+}
+
+/**
+ * A clock whose time and timers are run by hand
+ * @param {Object} options - TurnClock options
+ * @returns {Object} - { clock, advance(ms), pending() }
+ */
+function manualClock(options = {}) {
+    let now = 0;
+    let timers = [];
+    let nextTimer = 1;
+
+    const clock = new TurnClock({
+        ...options,
+        now: () => now,
+        setTimer: (callback, ms) => {
+            const timer = { id: nextTimer++, at: now + ms, callback };
+            timers.push(timer);
+            return timer.id;
+        },
+        clearTimer: id => {
+            timers = timers.filter(timer => timer.id !== id);
+        }
+    });
+
+    const advance = (ms) => {
+        now += ms;
+        const due = timers.filter(timer => timer.at <= now);
+        timers = timers.filter(timer => timer.at > now);
+        due.forEach(timer => timer.callback());
+    };
+
+    return { clock, advance, pending: () => timers.length };
+}
+
+/**
+ * A card with a single stat
+ * @param {String} id - Card ID
+ * @param {Number} power - Value of the "power" stat
+ * @returns {Object} - Card
+ */
+function card(id, power) {
+    return { id, name: id, stats: { power } };
+}
+
+/**
+ * Run all turn clock tests
+ */
+function runTurnClockTests() {
+    console.log("⏱️ Starting Turn Clock Tests");
+
+    testParseTurnTime();
+    testTimeout();
+    testMoveInTime();
+    testForfeitCount();
+    testDisabled();
+    testEngineForfeit();
+
+    console.log("✅ Turn Clock Tests Completed");
+}
+
+/**
+ * Test checking turn times given in seconds
+ */
+function testParseTurnTime() {
+    console.log("  Testing turn time option...");
+
+    assert(TurnClock.parseTurnTime(30) === 30000, 'Seconds should be turned into milliseconds');
+    assert(TurnClock.parseTurnTime('5') === 5000, 'Numeric strings should be accepted');
+    assert(TurnClock.parseTurnTime(0) === 0, '0 should turn the clock off');
+    assert(throwsWith(() => TurnClock.parseTurnTime(4), 'turn time'), 'Too short turns should be rejected');
+    assert(throwsWith(() => TurnClock.parseTurnTime(TurnClock.MAX_TURN_TIME_S + 1), 'turn time'), 'Too long turns should be rejected');
+    assert(throwsWith(() => TurnClock.parseTurnTime(7.5), 'whole number'), 'Partial seconds should be rejected');
+    assert(throwsWith(() => TurnClock.parseTurnTime('soon'), 'turn time'), 'Non-numbers should be rejected');
+
+    console.log("  ✓ Turn time option tests passed");
+}
+
+/**
+ * Test a turn running out
+ */
+function testTimeout() {
+    console.log("  Testing timeout...");
+
+    const { clock, advance } = manualClock({ turnTimeMs: 10000 });
+    const timedOut = [];
+
+    assert(clock.start(1, seat => timedOut.push(seat)) === 10000, 'Starting should return the deadline');
+    advance(4000);
+    assert(clock.getRemaining() === 6000, 'The remaining time should count down');
+
+    const described = clock.describe();
+    assert(described.seat === 1 && described.remainingMs === 6000 && described.turnTimeMs === 10000, 'The clock should describe the running turn');
+
+    advance(6000);
+    assert(timedOut.join() === '1', 'The timeout should be reported with its seat');
+    assert(clock.seat === null && clock.getRemaining() === null, 'No turn should run after a timeout');
+
+    // Starting a turn replaces the running one
+    clock.start(0, seat => timedOut.push(seat));
+    advance(5000);
+    clock.start(1, seat => timedOut.push(seat));
+    advance(5000);
+    assert(timedOut.join() === '1', 'A replaced turn should not time out');
+
+    console.log("  ✓ Timeout tests passed");
+}
+
+/**
+ * Test choosing in time
+ */
+function testMoveInTime() {
+    console.log("  Testing moves in time...");
+
+    const { clock, advance, pending } = manualClock({ turnTimeMs: 10000 });
+    let timedOut = false;
+
+    clock.start(0, () => { timedOut = true; });
+    clock.recordMove(1);
+    assert(pending() === 1, 'A move of another seat should not stop the clock');
+
+    clock.recordMove(0);
+    advance(20000);
+    assert(!timedOut && pending() === 0, 'A move in time should stop the clock');
+
+    console.log("  ✓ Move in time tests passed");
+}
+
+/**
+ * Test that only consecutive timeouts forfeit
+ */
+function testForfeitCount() {
+    console.log("  Testing forfeit count...");
+
+    const { clock } = manualClock({ turnTimeMs: 10000 });
+
+    const first = clock.recordTimeout(0);
+    assert(first.timeouts === 1 && !first.forfeit, 'One timeout should not forfeit');
+
+    clock.recordMove(0);
+    assert(!clock.recordTimeout(0).forfeit, 'A move in time should reset the count');
+    assert(!clock.recordTimeout(1).forfeit, 'Seats should be counted separately');
+
+    const second = clock.recordTimeout(0);
+    assert(second.timeouts === TurnClock.TIMEOUTS_TO_FORFEIT && second.forfeit, 'Consecutive timeouts should forfeit');
+    assert(clock.describe().timeouts[0] === 2, 'Timeouts should be described per seat');
+
+    const strict = manualClock({ turnTimeMs: 10000, timeoutsToForfeit: 1 }).clock;
+    assert(strict.recordTimeout(0).forfeit, 'The forfeit count should be configurable');
+
+    console.log("  ✓ Forfeit count tests passed");
+}
+
+/**
+ * Test a clock that is turned off
+ */
+function testDisabled() {
+    console.log("  Testing disabled clock...");
+
+    const { clock, pending } = manualClock({ turnTimeMs: 0 });
+
+    assert(!clock.enabled, 'A turn time of 0 should turn the clock off');
+    assert(clock.start(0, () => {}) === null && pending() === 0, 'A clock that is off should not time turns');
+    assert(clock.describe().remainingMs === null, 'A clock that is off should have no remaining time');
+    assert(new TurnClock().turnTimeMs === TurnClock.DEFAULT_TURN_TIME_MS, 'Turns should be timed by default');
+
+    console.log("  ✓ Disabled clock tests passed");
+}
+
+/**
+ * Test forfeiting a seat in the engine
+ */
+function testEngineForfeit() {
+    console.log("  Testing engine forfeit...");
+
+    // Seat 0 leads on points, but forfeiting hands the game to seat 1
+    const engine = new GameEngine(null, null, new GameRules({ winCondition: 'points' }));
+    engine.initializePlayers([[card('a1', 9), card('a2', 8)], [card('b1', 1), card('b2', 2)]], 0);
+    engine.compareCards('power');
+    assert(!engine.gameOver, 'The game should still be running');
+
+    assert(engine.forfeit(0), 'An active seat should forfeit');
+    assert(engine.gameOver && engine.winnerIndex === 1, 'The seat left should win');
+    assert(engine.endReason === 'forfeit' && engine.decidedBy === 'forfeit', 'The game should end by forfeit');
+    assert(!engine.forfeit(0), 'A seat should only forfeit once');
+
+    // With more seats the game goes on without the forfeited one
+    const multi = new GameEngine();
+    multi.initializePlayers([[card('a1', 2)], [card('b1', 9)], [card('c1', 4)]], 1);
+    multi.forfeit(1);
+    assert(!multi.gameOver && multi.currentPlayerIndex === 2, 'The turn should pass to the next active seat');
+
+    console.log("  ✓ Engine forfeit tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runTurnClockTests);
+} else {
+    // In Node.js, run the tests directly
+    runTurnClockTests();
+}
+
+export default runTurnClockTests;
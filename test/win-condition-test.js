@@ -0,0 +1,289 @@
+/**
+ * Win Condition Test Suite
+ *
+ * Tests the round limit, the most-cards and points win conditions and the
+ * tiebreaks that decide level games
+ */
+import GameRules from '../core/GameRules.js';
+import GameEngine from '../core/GameEngine.js';
+import CategoryRules from '../core/CategoryRules.js';
+import SeededRandom from '../core/SeededRandom.js';
+import PoliticalCardGame from '../core/PoliticalCardGame.js';
+import { CARD_DATA, CARD_CATEGORIES } from '../js/card-data.js';
+
+/**
+ * Assertion helper that stops the suite on the first failure
+ * @param {Boolean} condition - Condition that must hold
+ * @param {String} message - Description of the expectation
+ */
+function assert(condition, message) {
+    if (!condition) {
+        console.error(`❌ Assertion failed: ${ message }`);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Check that creating rules fails with a message
+ * @param {Object} options - GameRules options
+ * @param {String} fragment - Part of the expected message
+ * @returns {Boolean} - True if the rules were rejected with that message
+ */
+function rejects(options, fragment) {
+    try {
+        new GameRules(options);
+    } catch (error) {
+        return error.message.includes(fragment);
+    }
+    return false;
+}
+
+/**
+ * Play a seeded game until it ends, choosing categories at random
+ * @param {Object} options - GameRules options
+ * @param {String} seed - Seed of the deal
+ * @param {Number} seats - Number of players
+ * @returns {Object} - { engine, results }
+ */
+function playGame(options, seed, seats = 2) {
+    const categoryRules = new CategoryRules(CARD_CATEGORIES);
+    const engine = new GameEngine(categoryRules, new SeededRandom(seed), new GameRules({ ...options, categories: categoryRules }));
+    const categories = Object.keys(CARD_CATEGORIES);
+
+    engine.initializePlayers(engine.dealHands(engine.shuffleDeck([...CARD_DATA]), seats));
+
+    const results = [];
+    for (let round = 0; round < 1000 && !engine.gameOver; round++) {
+        results.push(engine.compareCards(categories[engine.random.nextInt(categories.length)]));
+    }
+
+    return { engine, results };
+}
+
+/**
+ * Run all win condition tests
+ */
+function runWinConditionTests() {
+    console.log("🏁 Starting Win Condition Tests");
+
+    testRuleOptions();
+    testScoring();
+    testDecideWinner();
+    testRoundLimit();
+    testPoints();
+    testDefaultLimit();
+    testEngineState();
+    testPoliticalCardGame();
+
+    console.log("✅ Win Condition Tests Completed");
+}
+
+/**
+ * Test the win condition and round limit options
+ */
+function testRuleOptions() {
+    console.log("  Testing rule options...");
+
+    const rules = new GameRules();
+    assert(rules.winCondition === 'allCards' && rules.maxRounds === GameRules.DEFAULT_MAX_ROUNDS.allCards,
+        'All cards in 50 rounds should be the default');
+    assert(new GameRules({ winCondition: 'points' }).maxRounds === GameRules.DEFAULT_MAX_ROUNDS.points,
+        'Each win condition should have its own round limit');
+    assert(new GameRules({ winCondition: 'mostCards', maxRounds: 7 }).maxRounds === 7, 'Round limits should be configurable');
+    assert(!new GameRules({ maxRounds: 0 }).isRoundLimitReached(10000), 'A round limit of 0 should mean no limit');
+
+    assert(rejects({ winCondition: 'fastest' }, '"fastest"'), 'Unknown win conditions should be rejected');
+    assert(rejects({ maxRounds: -1 }, 'Round limit'), 'Negative round limits should be rejected');
+    assert(rejects({ maxRounds: 2.5 }, 'Round limit'), 'Partial rounds should be rejected');
+
+    const listed = GameRules.listWinConditions();
+    assert(listed.map(condition => condition.id).join() === 'allCards,mostCards,points', 'Every win condition should be listed');
+    assert(listed.every(condition => condition.label && condition.maxRounds > 0), 'Listed win conditions should have labels and limits');
+
+    console.log("  ✓ Rule option tests passed");
+}
+
+/**
+ * Test scoring rounds by margin
+ */
+function testScoring() {
+    console.log("  Testing round scoring...");
+
+    const rules = new GameRules({ winCondition: 'points' });
+
+    assert(rules.scoreRound(10, 9) === 1, 'A narrow win should score 1 point');
+    assert(rules.scoreRound(10, 1) === 5, 'A crushing win should score the maximum');
+    assert(rules.scoreRound(10, 5) === 3, 'A clear win should score in between');
+    assert(rules.scoreRound(-2, -8) === rules.scoreRound(2, 8), 'Lower-wins categories should score by the same margin');
+    assert(rules.scoreRound(3, undefined) === GameRules.MAX_ROUND_POINTS, 'Beating a card without the category should score the maximum');
+    assert(rules.scoreRound(7000, 6900) === rules.scoreRound(70, 69), 'Scoring should not depend on the scale of a category');
+
+    console.log("  ✓ Scoring tests passed");
+}
+
+/**
+ * Test ranking the final standings
+ */
+function testDecideWinner() {
+    console.log("  Testing final standings...");
+
+    const standing = (seat, cards, points, roundsWon, active = cards > 0) => ({ seat, cards, points, roundsWon, active });
+    const mostCards = new GameRules({ winCondition: 'mostCards' });
+    const points = new GameRules({ winCondition: 'points' });
+
+    let decision = mostCards.decideWinner([standing(0, 0, 9, 9), standing(1, 10, 0, 0)], 'lastStanding');
+    assert(decision.winnerIndex === 1 && decision.decidedBy === 'lastStanding', 'The last player standing should win card games');
+
+    decision = mostCards.decideWinner([standing(0, 6, 0, 3), standing(1, 4, 9, 9)], 'roundLimit');
+    assert(decision.winnerIndex === 0 && decision.decidedBy === 'cards', 'Most cards should win at the round limit');
+
+    decision = mostCards.decideWinner([standing(0, 5, 0, 3), standing(1, 5, 9, 4)], 'roundLimit');
+    assert(decision.winnerIndex === 1 && decision.decidedBy === 'roundsWon', 'Rounds won should break a tie on cards');
+
+    decision = mostCards.decideWinner([standing(0, 5, 7, 4), standing(1, 5, 7, 4), standing(2, 0, 20, 9)], 'roundLimit');
+    assert(decision.winnerIndex === null && decision.decidedBy === 'draw', 'Seats level on every measure should draw');
+
+    decision = points.decideWinner([standing(0, 10, 6, 6), standing(1, 0, 8, 4)], 'lastStanding');
+    assert(decision.winnerIndex === 1 && decision.decidedBy === 'points', 'Points should rank eliminated seats too');
+
+    decision = points.decideWinner([standing(0, 4, 8, 3), standing(1, 6, 8, 2)], 'roundLimit');
+    assert(decision.winnerIndex === 1 && decision.decidedBy === 'cards', 'Cards should break a tie on points');
+
+    console.log("  ✓ Final standing tests passed");
+}
+
+/**
+ * Test ending most-cards games at the round limit
+ */
+function testRoundLimit() {
+    console.log("  Testing the round limit...");
+
+    const { engine, results } = playGame({ winCondition: 'mostCards', maxRounds: 5 }, 'limit-1', 3);
+    const last = results[results.length - 1];
+
+    assert(engine.gameOver && engine.roundsPlayed === 5, 'The game should end after exactly the round limit');
+    assert(last.gameOver && last.endReason === 'roundLimit' && last.maxRounds === 5, 'The last round should say why the game ended');
+    assert(results.slice(0, -1).every(result => !result.gameOver), 'No earlier round should end the game');
+
+    const cards = engine.hands.map(hand => hand.length);
+    if (engine.winnerIndex !== null) {
+        assert(cards[engine.winnerIndex] === Math.max(...cards), 'The winner should hold the most cards');
+    }
+    assert(last.decidedBy === engine.decidedBy && last.winnerIndex === engine.winnerIndex, 'The round result should carry the decision');
+
+    console.log("  ✓ Round limit tests passed");
+}
+
+/**
+ * Test scoring points over a game
+ */
+function testPoints() {
+    console.log("  Testing points...");
+
+    const { engine, results } = playGame({ winCondition: 'points', maxRounds: 12 }, 'points-1');
+    const won = results.filter(result => result.roundWinnerIndex !== null);
+
+    assert(won.every(result => result.roundPoints >= 1 && result.roundPoints <= GameRules.MAX_ROUND_POINTS), 'Won rounds should score 1-5 points');
+    assert(results.filter(result => result.roundWinnerIndex === null).every(result => result.roundPoints === 0), 'Ties should score nothing');
+
+    engine.points.forEach((total, seat) => {
+        const scored = won.filter(result => result.roundWinnerIndex === seat).reduce((sum, result) => sum + result.roundPoints, 0);
+        assert(total === scored, `Seat ${ seat } should have the points of its rounds`);
+        assert(engine.roundsWon[seat] === won.filter(result => result.roundWinnerIndex === seat).length, `Seat ${ seat } should count its rounds`);
+    });
+
+    if (engine.winnerIndex !== null && engine.decidedBy === 'points') {
+        assert(engine.points[engine.winnerIndex] === Math.max(...engine.points), 'The most points should win');
+    }
+
+    console.log("  ✓ Points tests passed");
+}
+
+/**
+ * Test that games without a chosen limit still end
+ */
+function testDefaultLimit() {
+    console.log("  Testing the default round limit...");
+
+    const engine = new GameEngine(new CategoryRules(CARD_CATEGORIES));
+    assert(engine.winCondition === 'allCards' && engine.maxRounds === 50, 'Engines should default to all cards in 50 rounds');
+
+    // Two identical hands tie forever without a limit
+    const card = CARD_DATA[0];
+    engine.initializePlayers([[card, card], [card, card]], 0);
+    for (let round = 0; round < 1000 && !engine.gameOver; round++) {
+        engine.compareCards('charisma');
+        // Put the tie pile back so the hands never run out
+        if (engine.tieCards.length > 0) {
+            engine.hands[0].push(engine.tieCards.shift());
+            engine.hands[1].push(engine.tieCards.shift());
+        }
+    }
+
+    assert(engine.gameOver && engine.roundsPlayed === 50 && engine.endReason === 'roundLimit', 'An endless game should stop at the limit');
+    assert(engine.winnerIndex === null && engine.decidedBy === 'draw', 'A game level on every measure should be a draw');
+
+    console.log("  ✓ Default round limit tests passed");
+}
+
+/**
+ * Test the engine state used by clients and reconnects
+ */
+function testEngineState() {
+    console.log("  Testing engine state...");
+
+    const { engine } = playGame({ winCondition: 'points', maxRounds: 4 }, 'state-1');
+    const state = JSON.parse(JSON.stringify(engine.getState()));
+
+    assert(state.winCondition === 'points' && state.maxRounds === 4, 'State should carry the win condition');
+    assert(state.points.length === 2 && state.endReason === 'roundLimit', 'State should carry points and the end reason');
+
+    const copy = new GameEngine(new CategoryRules(CARD_CATEGORIES));
+    copy.syncState(state);
+    assert(copy.winCondition === 'points' && copy.maxRounds === 4, 'Syncing should adopt the win condition');
+    assert(copy.points.join() === engine.points.join() && copy.decidedBy === engine.decidedBy, 'Syncing should adopt the standings');
+
+    // A new deal keeps the rules but clears the score
+    engine.initializePlayers([CARD_DATA.slice(0, 3), CARD_DATA.slice(3, 6)], 0);
+    assert(engine.maxRounds === 4 && engine.points.join() === '0,0' && engine.endReason === null, 'A new deal should reset the score');
+
+    console.log("  ✓ Engine state tests passed");
+}
+
+/**
+ * Test the round limit of the PoliticalCardGame library
+ */
+function testPoliticalCardGame() {
+    console.log("  Testing PoliticalCardGame...");
+
+    const game = new PoliticalCardGame({ seed: 'rounds', winCondition: 'mostCards', maxRounds: 1 })
+        .init(['A', 'B'], CARD_DATA);
+    const attributes = game.getAvailableAttributes();
+
+    for (let turn = 0; turn < 100 && !game.isGameOver(); turn++) {
+        game.playTurn(attributes[turn % attributes.length]);
+    }
+
+    const state = game.getStateForUI();
+    assert(state.isGameOver && state.roundsPlayed === 1 && state.maxRounds === 1, 'PoliticalCardGame should stop at the round limit');
+    assert(state.winner === game.players[0].name || state.winner === game.players[1].name, 'PoliticalCardGame should name the winner');
+    assert(state.scores.reduce((sum, score) => sum + score, 0) > 0, 'PoliticalCardGame should score won rounds');
+
+    console.log("  ✓ PoliticalCardGame tests passed");
+}
+
+// Check if we're in a browser or Node.js environment
+const isBrowser = typeof window !== 'undefined';
+
+// If in browser and the test runner is available, register this test module
+if (isBrowser) {
+    if (typeof window.testModules === 'undefined') {
+        window.testModules = [];
+    }
+    window.testModules.push(runWinConditionTests);
+} else {
+    // In Node.js, run the tests directly
+    runWinConditionTests();
+}
+
+export default runWinConditionTests;